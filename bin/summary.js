@@ -6,7 +6,7 @@
  * Command-line interface for creating AI-powered book summaries
  */
 
-import { program } from 'commander';
+import { program, InvalidArgumentError } from 'commander';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
@@ -19,6 +19,13 @@ import {
   getConfigPath,
   deleteConfig
 } from '../src/utils/config.js';
+import {
+  getUserTemplatesDir,
+  initUserTemplates,
+  BUILTIN_TEMPLATES_DIR,
+  TEMPLATE_NAMES
+} from '../src/utils/prompt-templates.js';
+import { MODEL_STAGES, parseStageModels } from '../src/utils/models.js';
 /**
  * Create SummaryForge instance with config from settings file
  */
@@ -30,13 +37,14 @@ async function createForge() {
     process.exit(1);
   }
   
-  if (!result.config.openaiApiKey) {
-    console.log(chalk.red('\n❌ Error: OpenAI API key is required'));
+  try {
+    return new SummaryForge(result.config);
+  } catch (error) {
+    // Missing provider credentials (e.g. no OpenAI/Anthropic key or base URL)
+    console.log(chalk.red(`\n❌ Error: ${error.message}`));
     console.log(chalk.yellow('   Please run "summary setup" to configure your API keys.\n'));
     process.exit(1);
   }
-  
-  return new SummaryForge(result.config);
 }
 
 program
@@ -71,6 +79,18 @@ program
       // Display existing values if present
       if (existingConfig) {
         console.log(chalk.gray('Current values (press Enter to keep):'));
+        if (existingConfig.llmProvider) {
+          console.log(chalk.gray(`  LLM Provider: ${existingConfig.llmProvider}`));
+        }
+        if (existingConfig.llmModel) {
+          console.log(chalk.gray(`  LLM Model: ${existingConfig.llmModel}`));
+        }
+        if (existingConfig.llmBaseUrl) {
+          console.log(chalk.gray(`  LLM Base URL: ${existingConfig.llmBaseUrl}`));
+        }
+        if (existingConfig.anthropicApiKey) {
+          console.log(chalk.gray(`  Anthropic API Key: ${existingConfig.anthropicApiKey}`));
+        }
         if (existingConfig.openaiApiKey) {
           console.log(chalk.gray(`  OpenAI API Key: ${existingConfig.openaiApiKey}`));
         }
@@ -99,13 +119,47 @@ program
       }
       
       const answers = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'llmProvider',
+          message: 'LLM provider for summaries:',
+          choices: [
+            { name: 'OpenAI', value: 'openai' },
+            { name: 'OpenAI-compatible server (Ollama, vLLM, LM Studio)', value: 'openai-compatible' },
+            { name: 'Anthropic', value: 'anthropic' }
+          ],
+          default: existingConfig?.llmProvider ?? 'openai'
+        },
         {
           type: 'input',
           name: 'openaiApiKey',
           message: 'OpenAI API Key (required):',
+          when: (answers) => answers.llmProvider === 'openai',
           validate: (input) => input.trim().length > 0 || 'OpenAI API key is required',
           default: existingConfig?.openaiApiKey
         },
+        {
+          type: 'input',
+          name: 'anthropicApiKey',
+          message: 'Anthropic API Key (required):',
+          when: (answers) => answers.llmProvider === 'anthropic',
+          validate: (input) => input.trim().length > 0 || 'Anthropic API key is required',
+          default: existingConfig?.anthropicApiKey
+        },
+        {
+          type: 'input',
+          name: 'llmBaseUrl',
+          message: 'Server base URL (e.g., http://localhost:11434/v1):',
+          when: (answers) => answers.llmProvider === 'openai-compatible',
+          validate: (input) => input.trim().length > 0 || 'Base URL is required for an OpenAI-compatible server',
+          default: existingConfig?.llmBaseUrl
+        },
+        {
+          type: 'input',
+          name: 'llmModel',
+          message: 'Model name (press Enter for the provider default):',
+          default: existingConfig?.llmModel
+        },
         {
           type: 'input',
           name: 'rainforestApiKey',
@@ -297,9 +351,136 @@ program
     }
   });
 
+program
+  .command('templates')
+  .description('Show where prompt templates are loaded from')
+  .option('--init', 'Copy the built-in templates to your templates folder for editing')
+  .action(async (options) => {
+    const userDir = getUserTemplatesDir();
+    
+    if (options.init) {
+      const result = await initUserTemplates(userDir);
+      if (!result.success) {
+        console.error(chalk.red(`\n❌ Error: ${result.error}`));
+        process.exit(1);
+      }
+      console.log(chalk.green(`\n✅ Copied ${result.copied.length} template(s) to ${result.directory}`));
+      if (result.copied.length < TEMPLATE_NAMES.length) {
+        console.log(chalk.gray('   Existing templates were left unchanged.'));
+      }
+      console.log();
+      return;
+    }
+    
+    console.log(chalk.blue.bold('\n📝 Prompt Templates\n'));
+    console.log(chalk.white(`User templates:     ${userDir}`));
+    console.log(chalk.white(`Built-in templates: ${BUILTIN_TEMPLATES_DIR}\n`));
+    for (const name of TEMPLATE_NAMES) {
+      console.log(chalk.gray(`   ${name}.txt`));
+    }
+    console.log(chalk.gray('\n💡 Files in the user folder override the built-in ones.'));
+    console.log(chalk.gray('   Run "summary templates --init" to copy the built-ins there for editing.\n'));
+  });
 
 const version = '1.0.0';
 
+/**
+ * Apply per-run CLI flags (e.g. --depth, --audience, --citations, --verify) on top of the saved configuration
+ */
+function applyRunOptions(config, options = {}) {
+  if (options.depth) {
+    config.depth = options.depth;
+  }
+  if (options.audience) {
+    config.audience = options.audience;
+  }
+  if (options.citations) {
+    config.citations = true;
+  }
+  if (options.chapterFiles) {
+    config.chapterFiles = true;
+  }
+  if (options.verify) {
+    config.verify = true;
+  }
+  if (options.verifyRewrite) {
+    config.verifyRewrite = true;
+  }
+  if (options.lang) {
+    config.language = options.lang;
+  }
+  if (options.ocr === false) {
+    config.ocr = false;
+  }
+  if (options.ocrLang) {
+    config.ocrLanguage = options.ocrLang;
+  }
+  if (options.figures) {
+    config.figures = true;
+  }
+  if (options.codeExamples) {
+    config.codeExamples = true;
+  }
+  if (options.glossary) {
+    config.glossary = true;
+  }
+  if (options.quiz) {
+    config.quiz = true;
+  }
+  if (options.mindMap) {
+    config.mindMap = true;
+  }
+  if (options.chunkConcurrency !== undefined) {
+    config.chunkConcurrency = options.chunkConcurrency;
+  }
+  if (options.chunkRetries !== undefined) {
+    config.chunkRetries = options.chunkRetries;
+  }
+  if (options.record) {
+    config.record = path.resolve(options.record);
+  }
+  if (options.replay) {
+    config.replay = path.resolve(options.replay);
+  }
+  if (options.model) {
+    config.llmModel = options.model;
+  }
+  if (options.stageModel?.length) {
+    config.models = { ...config.models, ...parseStageModels(options.stageModel) };
+  }
+  return config;
+}
+
+const DEPTH_OPTION_DESCRIPTION = 'Summary depth: brief (one page), standard (default) or deep (chapter-by-chapter study guide)';
+const STAGE_MODEL_OPTION_DESCRIPTION = `Model for one pipeline stage, repeatable (e.g. chunk=gpt-5-mini). Stages: ${MODEL_STAGES.join(', ')}`;
+
+/**
+ * Print the LLM cost of each model under the cost summary's LLM line
+ */
+function printModelCosts(costs) {
+  for (const [model, { cost, requests }] of Object.entries(costs?.byModel ?? {})) {
+    console.log(chalk.gray(`     ${model}: ${cost} (${requests} request${requests === 1 ? '' : 's'})`));
+  }
+}
+
+/**
+ * Commander argument parser for repeatable options
+ */
+function collectOption(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Commander argument parser for whole-number options (--chunk-concurrency, --chunk-retries)
+ */
+function parseCountOption(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new InvalidArgumentError('Not a whole number.');
+  }
+  return count;
+}
+
 program
   .name('summary')
   .description('Create AI-powered summaries of technical books')
@@ -309,6 +490,27 @@ program
   .command('file <path>')
   .description('Process a PDF or EPUB file')
   .option('-f, --force', 'Overwrite existing directory without prompting')
+  .option('--fresh', 'Ignore saved checkpoints and regenerate everything')
+  .option('-d, --depth <depth>', DEPTH_OPTION_DESCRIPTION)
+  .option('--model <model>', 'LLM model for every stage without its own --stage-model (overrides llmModel)')
+  .option('--stage-model <stage=model>', STAGE_MODEL_OPTION_DESCRIPTION, collectOption)
+  .option('--audience <audience>', 'Target audience for the prompt templates (e.g. "junior developers")')
+  .option('--citations', 'Cite page numbers ([p. 12-15]) for every section and key point')
+  .option('--chapter-files', 'Also write one Markdown file per chapter plus an index (chapters/)')
+  .option('--lang <language>', 'Output language for the summary, audio and flashcards: en (default), es, de, fr, it or pt')
+  .option('--verify', 'Check sampled claims against the source text and write a .verification.json report')
+  .option('--verify-rewrite', 'Like --verify, and rewrite sections with unsupported claims')
+  .option('--no-ocr', 'Do not OCR scanned PDFs (pages without a text layer)')
+  .option('--ocr-lang <codes>', 'Tesseract language(s) of scanned books, e.g. eng or eng+deu (default: eng)')
+  .option('--figures', 'Extract numbered figures from the PDF into figures/ and embed them in the summary')
+  .option('--code-examples', 'Copy the code listings of the PDF into examples/chapter-XX/ with a README index')
+  .option('--glossary', 'Also extract a glossary (<name>.glossary.md, glossary.json), appended to the PDF/EPUB')
+  .option('--quiz', 'Also write a graded quiz (quiz.json) with GIFT, QTI 2.1 and PDF answer-key exports')
+  .option('--mind-map', 'Also draw a mind map of the summary (Mermaid, OPML, FreeMind, SVG and PNG)')
+  .option('--chunk-concurrency <number>', 'Chunks summarized in parallel for large books (default: 3)', parseCountOption)
+  .option('--chunk-retries <number>', 'Retries per rejected chunk response before the run fails (default: 2)', parseCountOption)
+  .option('--record <dir>', 'Record every LLM and TTS response as fixtures in <dir>')
+  .option('--replay <dir>', 'Answer LLM and TTS requests from the fixtures in <dir> (no API calls)')
   .action(async (filePath, options) => {
     try {
       const result = await loadConfig();
@@ -320,6 +522,10 @@ program
       
       const config = { ...result.config };  // Create a copy to avoid mutating original
       config.force = options.force || false;
+      if (options.fresh) {
+        config.resume = false;
+      }
+      applyRunOptions(config, options);
       
       // Add prompt function for interactive mode
       if (!config.force) {
@@ -350,7 +556,8 @@ program
         const costs = forge.getCostSummary();
         if (costs && costs.breakdown && costs.breakdown.total > 0) {
           console.log(chalk.blue('\n💰 Cost Summary:'));
-          console.log(chalk.white(`   OpenAI (GPT-5):     ${costs.openai}`));
+          console.log(chalk.white(`   LLM:                ${costs.openai}`));
+          printModelCosts(costs);
           console.log(chalk.white(`   ElevenLabs (TTS):   ${costs.elevenlabs}`));
           console.log(chalk.white(`   Rainforest API:     ${costs.rainforest}`));
           console.log(chalk.yellow(`   Total:              ${costs.total}\n`));
@@ -364,7 +571,8 @@ program
       // Display cost summary
       const costs = processResult.costs || forge.getCostSummary();
       console.log(chalk.blue('\n💰 Cost Summary:'));
-      console.log(chalk.white(`   OpenAI (GPT-5):     ${costs.openai || '$0.0000'}`));
+      console.log(chalk.white(`   LLM:                ${costs.openai || '$0.0000'}`));
+      printModelCosts(costs);
       console.log(chalk.white(`   ElevenLabs (TTS):   ${costs.elevenlabs || '$0.0000'}`));
       console.log(chalk.white(`   Rainforest API:     ${costs.rainforest || '$0.0000'}`));
       console.log(chalk.yellow(`   Total:              ${costs.total || '$0.0000'}\n`));
@@ -378,6 +586,20 @@ program
   .command('url <url>')
   .description('Process a web page URL and generate summary')
   .option('-f, --force', 'Overwrite existing directory without prompting')
+  .option('-d, --depth <depth>', DEPTH_OPTION_DESCRIPTION)
+  .option('--model <model>', 'LLM model for every stage without its own --stage-model (overrides llmModel)')
+  .option('--stage-model <stage=model>', STAGE_MODEL_OPTION_DESCRIPTION, collectOption)
+  .option('--audience <audience>', 'Target audience for the prompt templates (e.g. "junior developers")')
+  .option('--citations', 'Cite page numbers ([p. 12-15]) for every section and key point')
+  .option('--chapter-files', 'Also write one Markdown file per chapter plus an index (chapters/)')
+  .option('--lang <language>', 'Output language for the summary, audio and flashcards: en (default), es, de, fr, it or pt')
+  .option('--glossary', 'Also extract a glossary (<name>.glossary.md, glossary.json), appended to the PDF/EPUB')
+  .option('--quiz', 'Also write a graded quiz (quiz.json) with GIFT, QTI 2.1 and PDF answer-key exports')
+  .option('--mind-map', 'Also draw a mind map of the summary (Mermaid, OPML, FreeMind, SVG and PNG)')
+  .option('--chunk-concurrency <number>', 'Chunks summarized in parallel for large books (default: 3)', parseCountOption)
+  .option('--chunk-retries <number>', 'Retries per rejected chunk response before the run fails (default: 2)', parseCountOption)
+  .option('--record <dir>', 'Record every LLM and TTS response as fixtures in <dir>')
+  .option('--replay <dir>', 'Answer LLM and TTS requests from the fixtures in <dir> (no API calls)')
   .action(async (url, options) => {
     try {
       // Validate URL format
@@ -398,6 +620,7 @@ program
       
       const config = { ...result.config };  // Create a copy to avoid mutating original
       config.force = options.force || false;
+      applyRunOptions(config, options);
       
       // Add prompt function for interactive mode
       if (!config.force) {
@@ -432,7 +655,8 @@ program
           const costs = forge.getCostSummary();
           if (costs && costs.breakdown && costs.breakdown.total > 0) {
             console.log(chalk.blue('\n💰 Cost Summary:'));
-            console.log(chalk.white(`   OpenAI (GPT-5):     ${costs.openai}`));
+            console.log(chalk.white(`   LLM:                ${costs.openai}`));
+            printModelCosts(costs);
             console.log(chalk.white(`   ElevenLabs (TTS):   ${costs.elevenlabs}`));
             console.log(chalk.white(`   Rainforest API:     ${costs.rainforest}`));
             console.log(chalk.yellow(`   Total:              ${costs.total}\n`));
@@ -448,7 +672,8 @@ program
         // Display cost summary
         const costs = processResult.costs || forge.getCostSummary();
         console.log(chalk.blue('\n💰 Cost Summary:'));
-        console.log(chalk.white(`   OpenAI (GPT-5):     ${costs.openai || '$0.0000'}`));
+        console.log(chalk.white(`   LLM:                ${costs.openai || '$0.0000'}`));
+        printModelCosts(costs);
         console.log(chalk.white(`   ElevenLabs (TTS):   ${costs.elevenlabs || '$0.0000'}`));
         console.log(chalk.white(`   Rainforest API:     ${costs.rainforest || '$0.0000'}`));
         console.log(chalk.yellow(`   Total:              ${costs.total || '$0.0000'}\n`));
@@ -466,9 +691,27 @@ program
   .command('title <bookTitle...>')
   .description('Search 1lib.sk for a book by title (shortcut for search)')
   .option('-f, --force', 'Skip prompts: auto-select first result and process immediately')
+  .option('-d, --depth <depth>', DEPTH_OPTION_DESCRIPTION)
+  .option('--model <model>', 'LLM model for every stage without its own --stage-model (overrides llmModel)')
+  .option('--stage-model <stage=model>', STAGE_MODEL_OPTION_DESCRIPTION, collectOption)
+  .option('--audience <audience>', 'Target audience for the prompt templates (e.g. "junior developers")')
+  .option('--citations', 'Cite page numbers ([p. 12-15]) for every section and key point')
+  .option('--chapter-files', 'Also write one Markdown file per chapter plus an index (chapters/)')
+  .option('--lang <language>', 'Output language for the summary, audio and flashcards: en (default), es, de, fr, it or pt')
+  .option('--verify', 'Check sampled claims against the source text and write a .verification.json report')
+  .option('--verify-rewrite', 'Like --verify, and rewrite sections with unsupported claims')
+  .option('--no-ocr', 'Do not OCR scanned PDFs (pages without a text layer)')
+  .option('--ocr-lang <codes>', 'Tesseract language(s) of scanned books, e.g. eng or eng+deu (default: eng)')
+  .option('--figures', 'Extract numbered figures from the PDF into figures/ and embed them in the summary')
+  .option('--code-examples', 'Copy the code listings of the PDF into examples/chapter-XX/ with a README index')
+  .option('--glossary', 'Also extract a glossary (<name>.glossary.md, glossary.json), appended to the PDF/EPUB')
+  .option('--quiz', 'Also write a graded quiz (quiz.json) with GIFT, QTI 2.1 and PDF answer-key exports')
+  .option('--mind-map', 'Also draw a mind map of the summary (Mermaid, OPML, FreeMind, SVG and PNG)')
+  .option('--chunk-concurrency <number>', 'Chunks summarized in parallel for large books (default: 3)', parseCountOption)
+  .option('--chunk-retries <number>', 'Retries per rejected chunk response before the run fails (default: 2)', parseCountOption)
   .action(async (bookTitleParts, options) => {
     const title = bookTitleParts.join(' ');
-    await search1libAndDisplay(title, options.force);
+    await search1libAndDisplay(title, options.force, options);
   });
 
 program
@@ -637,7 +880,8 @@ program
         const costs = forge.getCostSummary();
         if (costs && costs.breakdown && costs.breakdown.total > 0) {
           console.log(chalk.blue('\n💰 Cost Summary:'));
-          console.log(chalk.white(`   OpenAI (GPT-5):     ${costs.openai}`));
+          console.log(chalk.white(`   LLM:                ${costs.openai}`));
+          printModelCosts(costs);
           console.log(chalk.white(`   ElevenLabs (TTS):   ${costs.elevenlabs}`));
           console.log(chalk.white(`   Rainforest API:     ${costs.rainforest}`));
           console.log(chalk.yellow(`   Total:              ${costs.total}\n`));
@@ -650,7 +894,8 @@ program
       // Display cost summary
       const costs = processResult.costs || forge.getCostSummary();
       console.log(chalk.blue('\n💰 Cost Summary:'));
-      console.log(chalk.white(`   OpenAI (GPT-5):     ${costs.openai || '$0.0000'}`));
+      console.log(chalk.white(`   LLM:                ${costs.openai || '$0.0000'}`));
+      printModelCosts(costs);
       console.log(chalk.white(`   ElevenLabs (TTS):   ${costs.elevenlabs || '$0.0000'}`));
       console.log(chalk.white(`   Rainforest API:     ${costs.rainforest || '$0.0000'}`));
       console.log(chalk.yellow(`   Total:              ${costs.total || '$0.0000'}\n`));
@@ -833,7 +1078,8 @@ program
             
             // Display cost summary
             console.log(chalk.blue('\n💰 Cost Summary:'));
-            console.log(chalk.white(`   OpenAI (GPT-5):     ${processResult.costs.openai}`));
+            console.log(chalk.white(`   LLM:                ${processResult.costs.openai}`));
+            printModelCosts(processResult.costs);
             console.log(chalk.white(`   ElevenLabs (TTS):   ${processResult.costs.elevenlabs}`));
             console.log(chalk.white(`   Rainforest API:     ${processResult.costs.rainforest}`));
             console.log(chalk.yellow(`   Total:              ${processResult.costs.total}\n`));
@@ -855,12 +1101,30 @@ program
   .description('Search and download a book by ISBN (default: 1lib.sk, use --source to change)')
   .option('--source <source>', 'Search source: zlib (1lib.sk, default) or anna (Anna\'s Archive)', 'zlib')
   .option('-f, --force', 'Overwrite existing directory without prompting')
+  .option('-d, --depth <depth>', DEPTH_OPTION_DESCRIPTION)
+  .option('--model <model>', 'LLM model for every stage without its own --stage-model (overrides llmModel)')
+  .option('--stage-model <stage=model>', STAGE_MODEL_OPTION_DESCRIPTION, collectOption)
+  .option('--audience <audience>', 'Target audience for the prompt templates (e.g. "junior developers")')
+  .option('--citations', 'Cite page numbers ([p. 12-15]) for every section and key point')
+  .option('--chapter-files', 'Also write one Markdown file per chapter plus an index (chapters/)')
+  .option('--lang <language>', 'Output language for the summary, audio and flashcards: en (default), es, de, fr, it or pt')
+  .option('--verify', 'Check sampled claims against the source text and write a .verification.json report')
+  .option('--verify-rewrite', 'Like --verify, and rewrite sections with unsupported claims')
+  .option('--no-ocr', 'Do not OCR scanned PDFs (pages without a text layer)')
+  .option('--ocr-lang <codes>', 'Tesseract language(s) of scanned books, e.g. eng or eng+deu (default: eng)')
+  .option('--figures', 'Extract numbered figures from the PDF into figures/ and embed them in the summary')
+  .option('--code-examples', 'Copy the code listings of the PDF into examples/chapter-XX/ with a README index')
+  .option('--glossary', 'Also extract a glossary (<name>.glossary.md, glossary.json), appended to the PDF/EPUB')
+  .option('--quiz', 'Also write a graded quiz (quiz.json) with GIFT, QTI 2.1 and PDF answer-key exports')
+  .option('--mind-map', 'Also draw a mind map of the summary (Mermaid, OPML, FreeMind, SVG and PNG)')
+  .option('--chunk-concurrency <number>', 'Chunks summarized in parallel for large books (default: 3)', parseCountOption)
+  .option('--chunk-retries <number>', 'Retries per rejected chunk response before the run fails (default: 2)', parseCountOption)
   .action(async (isbn, options) => {
     const source = options.source.toLowerCase();
     
     if (source === 'anna') {
       // Use Anna's Archive for ISBN lookup
-      await isbnAnnasArchive(isbn, options.force);
+      await isbnAnnasArchive(isbn, options.force, options);
       return;
     }
     
@@ -875,6 +1139,7 @@ program
       
       const config = { ...configResult.config };  // Create a copy to avoid mutating original
       config.force = options.force || false;
+      applyRunOptions(config, options);
       
       config.promptFn = async (dirPath) => {
         const { action } = await inquirer.prompt([
@@ -989,7 +1254,8 @@ program
         
         // Display cost summary
         console.log(chalk.blue('\n💰 Cost Summary:'));
-        console.log(chalk.white(`   OpenAI (GPT-5):     ${processResult.costs.openai}`));
+        console.log(chalk.white(`   LLM:                ${processResult.costs.openai}`));
+        printModelCosts(processResult.costs);
         console.log(chalk.white(`   ElevenLabs (TTS):   ${processResult.costs.elevenlabs}`));
         console.log(chalk.white(`   Rainforest API:     ${processResult.costs.rainforest}`));
         console.log(chalk.yellow(`   Total:              ${processResult.costs.total}\n`));
@@ -1000,6 +1266,49 @@ program
     }
   });
 
+program
+  .command('compare <bookDirs...>')
+  .description('Compare the summaries of books on the same topic (book directories under uploads/)')
+  .option('-o, --out <dir>', 'Report directory (default: uploads/comparisons/<book>_vs_<book>)')
+  .option('--model <model>', 'LLM model for the comparison (overrides llmModel)')
+  .option('--stage-model <stage=model>', STAGE_MODEL_OPTION_DESCRIPTION, collectOption)
+  .option('--audience <audience>', 'Target audience for the prompt templates (e.g. "junior developers")')
+  .option('--lang <language>', 'Language of the report and of the summaries to read: en (default), es, de, fr, it or pt')
+  .action(async (bookDirs, options) => {
+    try {
+      const result = await loadConfig();
+      
+      if (!result.success || !result.config) {
+        console.error(chalk.red('\n❌ Error: No configuration found. Please run "summary setup" first.\n'));
+        process.exit(1);
+      }
+      
+      const config = applyRunOptions({ ...result.config }, options);
+      const forge = new SummaryForge(config);
+      const compareResult = await forge.compareSummaries(bookDirs, {
+        outputDir: options.out ? path.resolve(options.out) : undefined
+      });
+      
+      if (!compareResult.success) {
+        console.error(chalk.red(`\n❌ Error: ${compareResult.error}`));
+        process.exit(1);
+      }
+      
+      console.log(chalk.green(`\n✨ Comparison complete: ${compareResult.directory}`));
+      for (const file of Object.values(compareResult.files)) {
+        console.log(chalk.white(`   ${file}`));
+      }
+      
+      console.log(chalk.blue('\n💰 Cost Summary:'));
+      console.log(chalk.white(`   LLM:                ${compareResult.costs.openai}`));
+      printModelCosts(compareResult.costs);
+      console.log(chalk.yellow(`   Total:              ${compareResult.costs.total}\n`));
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('interactive')
   .alias('i')
@@ -1047,7 +1356,8 @@ program
         
         // Display cost summary
         console.log(chalk.blue('\n💰 Cost Summary:'));
-        console.log(chalk.white(`   OpenAI (GPT-5):     ${processResult.costs.openai}`));
+        console.log(chalk.white(`   LLM:                ${processResult.costs.openai}`));
+        printModelCosts(processResult.costs);
         console.log(chalk.white(`   ElevenLabs (TTS):   ${processResult.costs.elevenlabs}`));
         console.log(chalk.white(`   Rainforest API:     ${processResult.costs.rainforest}`));
         console.log(chalk.yellow(`   Total:              ${processResult.costs.total}\n`));
@@ -1081,7 +1391,8 @@ program
           
           // Display cost summary
           console.log(chalk.blue('\n💰 Cost Summary:'));
-          console.log(chalk.white(`   OpenAI (GPT-5):     ${processResult.costs.openai}`));
+          console.log(chalk.white(`   LLM:                ${processResult.costs.openai}`));
+          printModelCosts(processResult.costs);
           console.log(chalk.white(`   ElevenLabs (TTS):   ${processResult.costs.elevenlabs}`));
           console.log(chalk.white(`   Rainforest API:     ${processResult.costs.rainforest}`));
           console.log(chalk.yellow(`   Total:              ${processResult.costs.total}\n`));
@@ -1154,7 +1465,8 @@ program
               const costs = forge.getCostSummary();
               if (costs && costs.breakdown && costs.breakdown.total > 0) {
                 console.log(chalk.blue('\n💰 Cost Summary:'));
-                console.log(chalk.white(`   OpenAI (GPT-5):     ${costs.openai}`));
+                console.log(chalk.white(`   LLM:                ${costs.openai}`));
+                printModelCosts(costs);
                 console.log(chalk.white(`   ElevenLabs (TTS):   ${costs.elevenlabs}`));
                 console.log(chalk.white(`   Rainforest API:     ${costs.rainforest}`));
                 console.log(chalk.yellow(`   Total:              ${costs.total}\n`));
@@ -1167,7 +1479,8 @@ program
             // Display cost summary
             const costs = processResult.costs || forge.getCostSummary();
             console.log(chalk.blue('\n💰 Cost Summary:'));
-            console.log(chalk.white(`   OpenAI (GPT-5):     ${costs.openai || '$0.0000'}`));
+            console.log(chalk.white(`   LLM:                ${costs.openai || '$0.0000'}`));
+            printModelCosts(costs);
             console.log(chalk.white(`   ElevenLabs (TTS):   ${costs.elevenlabs || '$0.0000'}`));
             console.log(chalk.white(`   Rainforest API:     ${costs.rainforest || '$0.0000'}`));
             console.log(chalk.yellow(`   Total:              ${costs.total || '$0.0000'}\n`));
@@ -1212,7 +1525,8 @@ program
             
             // Display cost summary
             console.log(chalk.blue('\n💰 Cost Summary:'));
-            console.log(chalk.white(`   OpenAI (GPT-5):     ${processResult.costs.openai}`));
+            console.log(chalk.white(`   LLM:                ${processResult.costs.openai}`));
+            printModelCosts(processResult.costs);
             console.log(chalk.white(`   ElevenLabs (TTS):   ${processResult.costs.elevenlabs}`));
             console.log(chalk.white(`   Rainforest API:     ${processResult.costs.rainforest}`));
             console.log(chalk.yellow(`   Total:              ${processResult.costs.total}\n`));
@@ -1229,7 +1543,7 @@ program
   });
 
 // Helper function for 1lib.sk search and display
-async function search1libAndDisplay(title, force = false) {
+async function search1libAndDisplay(title, force = false, runOptions = {}) {
   try {
     const configResult = await loadConfig();
     
@@ -1240,6 +1554,7 @@ async function search1libAndDisplay(title, force = false) {
     
     const config = { ...configResult.config };  // Create a copy to avoid mutating original
     config.force = force;
+    applyRunOptions(config, runOptions);
     
     if (!force) {
       config.promptFn = async (dirPath) => {
@@ -1352,7 +1667,8 @@ async function search1libAndDisplay(title, force = false) {
       
       // Display cost summary
       console.log(chalk.blue('\n💰 Cost Summary:'));
-      console.log(chalk.white(`   OpenAI (GPT-5):     ${processResult.costs.openai}`));
+      console.log(chalk.white(`   LLM:                ${processResult.costs.openai}`));
+      printModelCosts(processResult.costs);
       console.log(chalk.white(`   ElevenLabs (TTS):   ${processResult.costs.elevenlabs}`));
       console.log(chalk.white(`   Rainforest API:     ${processResult.costs.rainforest}`));
       console.log(chalk.yellow(`   Total:              ${processResult.costs.total}\n`));
@@ -1490,7 +1806,7 @@ async function searchAnnasArchive(query, options) {
 }
 
 // Helper function for Anna's Archive ISBN lookup
-async function isbnAnnasArchive(isbn, force = false) {
+async function isbnAnnasArchive(isbn, force = false, runOptions = {}) {
   try {
     const result = await loadConfig();
     
@@ -1501,6 +1817,7 @@ async function isbnAnnasArchive(isbn, force = false) {
     
     const config = { ...result.config };
     config.force = force;
+    applyRunOptions(config, runOptions);
     
     if (!force) {
       config.promptFn = async (dirPath) => {
@@ -1645,7 +1962,8 @@ async function searchAndDisplay(title, force = false) {
         
         // Display cost summary
         console.log(chalk.blue('\n💰 Cost Summary:'));
-        console.log(chalk.white(`   OpenAI (GPT-5):     ${processResult.costs.openai}`));
+        console.log(chalk.white(`   LLM:                ${processResult.costs.openai}`));
+        printModelCosts(processResult.costs);
         console.log(chalk.white(`   ElevenLabs (TTS):   ${processResult.costs.elevenlabs}`));
         console.log(chalk.white(`   Rainforest API:     ${processResult.costs.rainforest}`));
         console.log(chalk.yellow(`   Total:              ${processResult.costs.total}`));
@@ -9,6 +9,7 @@ import PDFDocument from 'pdfkit';
 import fs from 'node:fs';
 import fsp from 'node:fs/promises';
 import path from 'node:path';
+import { getFlashcardLabels, formatLabel } from './utils/languages.js';
 
 /**
  * Extract flashcards from markdown content
@@ -18,13 +19,18 @@ import path from 'node:path';
  * 2. Definition lists: **Term** followed by : definition
  * 3. Question headers: ### Question? followed by answer paragraph
  *
+ * Glossary entries (from glossary.json) can be added as definition cards for the terms
+ * the markdown does not already ask about.
+ *
  * @param {string} markdown - The markdown content to extract from
  * @param {Object} options - Extraction options
  * @param {number} options.maxCards - Maximum number of cards to extract (default: 100)
+ * @param {Array<{ term: string, definition: string }>} [options.glossary] - Glossary entries to add as definition cards
+ * @param {Object} [options.labels] - Labels from getFlashcardLabels(); definitionQuestion words the glossary questions
  * @returns {Object} JSON object with success status and flashcards array
  */
 export function extractFlashcards(markdown, options = {}) {
-  const { maxCards = 100 } = options;
+  const { maxCards = 100, glossary = [], labels = getFlashcardLabels() } = options;
   const flashcards = [];
 
   if (!markdown || typeof markdown !== 'string') {
@@ -95,6 +101,17 @@ export function extractFlashcards(markdown, options = {}) {
     }
   }
 
+  // Glossary: one definition card per term not covered above
+  for (const { term, definition } of glossary) {
+    if (flashcards.length >= maxCards) {
+      break;
+    }
+    const question = formatLabel(labels.definitionQuestion, { term });
+    if (!flashcards.some(fc => fc.question === question || fc.question.includes(term))) {
+      flashcards.push({ question, answer: definition, source: 'glossary' });
+    }
+  }
+
   const finalFlashcards = flashcards.slice(0, maxCards);
   
   return {
@@ -105,7 +122,8 @@ export function extractFlashcards(markdown, options = {}) {
     patterns: {
       qaFormat: flashcards.filter(fc => fc.source === 'qa').length,
       definitions: flashcards.filter(fc => fc.source === 'definition').length,
-      headers: flashcards.filter(fc => fc.source === 'header').length
+      headers: flashcards.filter(fc => fc.source === 'header').length,
+      glossary: flashcards.filter(fc => fc.source === 'glossary').length
     }
   };
 }
@@ -149,6 +167,7 @@ function cleanMarkdown(text) {
  * @param {number} options.cardHeight - Card height in inches (default: 2.5)
  * @param {number} options.fontSize - Base font size (default: 11)
  * @param {string} options.fontFamily - Font family (default: 'Helvetica')
+ * @param {Object} options.labels - Translated labels from getFlashcardLabels() (default: English)
  * @returns {Promise<Object>} JSON object with success status and PDF path
  */
 export async function generateFlashcardsPDF(flashcards, outputPath, options = {}) {
@@ -167,7 +186,8 @@ export async function generateFlashcardsPDF(flashcards, outputPath, options = {}
     cardWidth = 3.5,  // inches
     cardHeight = 2.5, // inches
     fontSize = 11,
-    fontFamily = 'Helvetica'
+    fontFamily = 'Helvetica',
+    labels = getFlashcardLabels()
   } = options;
 
   // Ensure output directory exists
@@ -199,7 +219,7 @@ export async function generateFlashcardsPDF(flashcards, outputPath, options = {}
         info: {
           Title: title,
           Author: branding,
-          Subject: 'Study Flashcards',
+          Subject: labels.studyFlashcards,
           Keywords: 'flashcards, study, learning'
         }
       });
@@ -235,7 +255,7 @@ export async function generateFlashcardsPDF(flashcards, outputPath, options = {}
         doc.fontSize(8)
            .fillColor('#666666')
            .font(`${fontFamily}-Bold`)
-           .text(isQuestion ? 'Q' : 'A', x + padding, y + padding, {
+           .text(isQuestion ? labels.question : labels.answer, x + padding, y + padding, {
              width: 20,
              align: 'left'
            });
@@ -296,7 +316,7 @@ export async function generateFlashcardsPDF(flashcards, outputPath, options = {}
         // Add page number
         doc.fontSize(8)
            .fillColor('#999999')
-           .text(`Page ${pageCount} (Questions)`, 0, pageHeight - 30, {
+           .text(formatLabel(labels.questionsPage, { page: pageCount }), 0, pageHeight - 30, {
              width: pageWidth,
              align: 'center'
            });
@@ -320,7 +340,7 @@ export async function generateFlashcardsPDF(flashcards, outputPath, options = {}
         // Add page number
         doc.fontSize(8)
            .fillColor('#999999')
-           .text(`Page ${pageCount} (Answers)`, 0, pageHeight - 30, {
+           .text(formatLabel(labels.answersPage, { page: pageCount }), 0, pageHeight - 30, {
              width: pageWidth,
              align: 'center'
            });
@@ -331,32 +351,32 @@ export async function generateFlashcardsPDF(flashcards, outputPath, options = {}
       doc.fontSize(16)
          .fillColor('#000000')
          .font(`${fontFamily}-Bold`)
-         .text('Printing Instructions', 72, 100, { align: 'center' });
+         .text(labels.printingInstructions, 72, 100, { align: 'center' });
 
       doc.fontSize(12)
          .font(fontFamily)
          .text([
            '',
-           '1. Print this PDF using double-sided (duplex) printing',
-           '   - Select "Flip on Long Edge" or "Long-Edge Binding"',
+           `1. ${labels.printDuplex}`,
+           `   - ${labels.flipLongEdge}`,
            '',
-           '2. After printing, cut along the gray guide lines',
-           '   - You should get 6 cards per sheet',
+           `2. ${labels.cutAlongLines}`,
+           `   - ${formatLabel(labels.cardsPerSheet, { count: cardsPerPage })}`,
            '',
-           '3. Each card will have:',
-           '   - Question on the front (marked with "Q")',
-           '   - Answer on the back (marked with "A")',
+           `3. ${labels.eachCardHas}`,
+           `   - ${formatLabel(labels.questionOnFront, { mark: labels.question })}`,
+           `   - ${formatLabel(labels.answerOnBack, { mark: labels.answer })}`,
            '',
-           `4. Total flashcards: ${flashcards.length}`,
+           `4. ${formatLabel(labels.totalFlashcards, { count: flashcards.length })}`,
            '',
            '',
-           'Tips for best results:',
-           '• Use heavier paper (cardstock) for durability',
-           '• Print in color for better visual appeal',
-           '• Laminate cards for long-term use',
+           labels.tips,
+           `• ${labels.tipCardstock}`,
+           `• ${labels.tipColor}`,
+           `• ${labels.tipLaminate}`,
            '',
            '',
-           `Generated by ${branding}`,
+           formatLabel(labels.generatedBy, { branding }),
            new Date().toLocaleDateString()
          ].join('\n'), 72, 150, {
            width: pageWidth - 144,
@@ -405,6 +425,7 @@ export async function generateFlashcardsPDF(flashcards, outputPath, options = {}
  * @param {number} options.height - Image height in pixels (default: 600)
  * @param {number} options.fontSize - Base font size (default: 24)
  * @param {string} options.fontFamily - Font family (default: 'Helvetica')
+ * @param {Object} options.labels - Translated labels from getFlashcardLabels() (default: English)
  * @returns {Promise<Object>} JSON object with success status and image paths
  */
 export async function generateFlashcardImages(flashcards, outputDir, options = {}) {
@@ -424,7 +445,8 @@ export async function generateFlashcardImages(flashcards, outputDir, options = {
     width = 800,
     height = 600,
     fontSize = 24,
-    fontFamily = 'Helvetica'
+    fontFamily = 'Helvetica',
+    labels = getFlashcardLabels()
   } = options;
 
   try {
@@ -445,7 +467,7 @@ export async function generateFlashcardImages(flashcards, outputDir, options = {
         true,
         i + 1,
         path.join(outputDir, `q-${cardNum}.png`),
-        { title, branding, width, height, fontSize, fontFamily }
+        { title, branding, width, height, fontSize, fontFamily, labels }
       );
       images.push(path.join(outputDir, `q-${cardNum}.png`));
 
@@ -455,7 +477,7 @@ export async function generateFlashcardImages(flashcards, outputDir, options = {
         false,
         i + 1,
         path.join(outputDir, `a-${cardNum}.png`),
-        { title, branding, width, height, fontSize, fontFamily }
+        { title, branding, width, height, fontSize, fontFamily, labels }
       );
       images.push(path.join(outputDir, `a-${cardNum}.png`));
     }
@@ -498,7 +520,7 @@ export async function generateFlashcardImages(flashcards, outputDir, options = {
  * @returns {Promise<void>}
  */
 async function generateSingleCardImage(text, isQuestion, cardNumber, outputPath, options) {
-  const { title, branding, width, height, fontSize, fontFamily } = options;
+  const { title, branding, width, height, fontSize, fontFamily, labels } = options;
   
   // Import sharp dynamically
   const sharp = (await import('sharp')).default;
@@ -526,7 +548,7 @@ async function generateSingleCardImage(text, isQuestion, cardNumber, outputPath,
       <!-- Header: Q/A label and card number -->
       <text x="${padding}" y="${padding + 20}" 
             font-family="${fontFamily}" font-size="18" font-weight="bold" fill="#666666">
-        ${isQuestion ? 'Q' : 'A'}
+        ${escapeXml(isQuestion ? labels.question : labels.answer)}
       </text>
       <text x="${width - padding}" y="${padding + 20}" 
             font-family="${fontFamily}" font-size="14" fill="#999999" text-anchor="end">
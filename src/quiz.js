@@ -0,0 +1,382 @@
+/**
+ * Quiz Generator Module
+ *
+ * Parses the graded quiz the LLM writes from a summary (multiple-choice and true/false
+ * questions with explanations) and exports it for learning management systems:
+ * Moodle GIFT, an IMS QTI 2.1 content package and a printable PDF with an answer key.
+ */
+
+import PDFDocument from 'pdfkit';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { getFlashcardLabels, formatLabel } from './utils/languages.js';
+
+export const QUIZ_BASENAME = 'quiz';
+
+// Folder of the QTI content package (zip its contents to import it)
+export const QTI_DIRNAME = 'quiz-qti';
+
+export const QUIZ_TYPES = ['multiple_choice', 'true_false'];
+
+const MIN_OPTIONS = 3;
+const MAX_OPTIONS = 6;
+const OPTION_LETTERS = 'ABCDEF';
+
+/**
+ * Resolve the correct option of a multiple-choice question
+ * Accepts the zero-based index the prompt asks for, a letter ("B") or the option text
+ * @private
+ */
+function resolveAnswerIndex(answer, options) {
+  if (Number.isInteger(answer)) {
+    return answer;
+  }
+  const text = String(answer ?? '').trim();
+  if (/^[A-F]$/i.test(text)) {
+    return OPTION_LETTERS.indexOf(text.toUpperCase());
+  }
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  return options.findIndex((option) => option.toLowerCase() === text.toLowerCase());
+}
+
+/**
+ * Parse the quiz JSON array from an LLM response
+ *
+ * Questions are kept in order. Questions of an unknown type, without text, with fewer than
+ * three (or more than six) distinct options or without a valid answer are dropped, as are
+ * repeated questions (case-insensitive).
+ *
+ * @param {string} content - Response text containing [{ "type", "question", "options", "answer", "explanation", "chapter" }, ...]
+ * @returns {Array<{ type: string, question: string, options?: string[], answer: number|boolean, explanation: string, chapter: string|null }>}
+ *   Multiple-choice answers are option indexes, true/false answers booleans
+ * @throws {Error} If the response holds no JSON array
+ */
+export function parseQuiz(content) {
+  const start = content?.indexOf('[') ?? -1;
+  const end = content?.lastIndexOf(']') ?? -1;
+  if (start < 0 || end < start) {
+    throw new Error('Quiz response did not contain a JSON array');
+  }
+
+  const seen = new Set();
+  const questions = [];
+  for (const entry of JSON.parse(content.slice(start, end + 1))) {
+    const type = String(entry?.type ?? '').trim().toLowerCase().replace(/[\s/-]+/g, '_');
+    const question = String(entry?.question ?? '').trim();
+    const key = question.toLowerCase();
+    if (!QUIZ_TYPES.includes(type) || !question || seen.has(key)) {
+      continue;
+    }
+
+    const explanation = String(entry.explanation ?? '').trim();
+    const chapter = String(entry.chapter ?? '').trim() || null;
+
+    if (type === 'true_false') {
+      const answer = typeof entry.answer === 'boolean' ? entry.answer : String(entry.answer).trim().toLowerCase();
+      if (![true, false, 'true', 'false'].includes(answer)) {
+        continue;
+      }
+      seen.add(key);
+      questions.push({ type, question, answer: answer === true || answer === 'true', explanation, chapter });
+      continue;
+    }
+
+    const options = (Array.isArray(entry.options) ? entry.options : []).map((option) => String(option ?? '').trim());
+    const distinct = new Set(options.map((option) => option.toLowerCase()));
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS || options.some((option) => !option) || distinct.size !== options.length) {
+      continue;
+    }
+    const answer = resolveAnswerIndex(entry.answer, options);
+    if (!(answer >= 0 && answer < options.length)) {
+      continue;
+    }
+    seen.add(key);
+    questions.push({ type, question, options, answer, explanation, chapter });
+  }
+
+  return questions;
+}
+
+/**
+ * Escape GIFT special characters
+ * @private
+ */
+function escapeGift(text) {
+  return text.replace(/[~=#{}:\\]/g, (char) => `\\${char}`).replace(/\n+/g, ' ');
+}
+
+/**
+ * Render a quiz in Moodle GIFT format
+ * The explanation becomes the question's general feedback
+ * @param {Array} questions - Questions from parseQuiz()
+ * @param {Object} [options]
+ * @param {string} [options.title] - Quiz title, used as the question category
+ * @returns {string}
+ */
+export function formatQuizGift(questions, options = {}) {
+  const { title } = options;
+  const blocks = questions.map((question, idx) => {
+    const feedback = question.explanation ? `####${escapeGift(question.explanation)}` : '';
+    const name = `::Q${idx + 1}::`;
+    if (question.type === 'true_false') {
+      return `${name}${escapeGift(question.question)} {${question.answer ? 'TRUE' : 'FALSE'}${feedback}}`;
+    }
+    const choices = question.options.map((option, optionIdx) => `\t${optionIdx === question.answer ? '=' : '~'}${escapeGift(option)}`);
+    return [`${name}${escapeGift(question.question)} {`, ...choices, ...(feedback ? [`\t${feedback}`] : []), '}'].join('\n');
+  });
+
+  return [
+    ...(title ? [`// ${title.replace(/\n+/g, ' ')}`, `$CATEGORY: ${escapeGift(title)}`, ''] : []),
+    blocks.join('\n\n'),
+    '',
+  ].join('\n');
+}
+
+/**
+ * Escape XML special characters
+ * @private
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Choices of a question, true/false included
+ * @private
+ */
+function questionChoices(question, labels) {
+  if (question.type === 'true_false') {
+    return { options: [labels.true, labels.false], answer: question.answer ? 0 : 1 };
+  }
+  return { options: question.options, answer: question.answer };
+}
+
+/**
+ * Render one question as a QTI 2.1 assessment item
+ * @param {Object} question - Question from parseQuiz()
+ * @param {string} identifier - Item identifier, e.g. "q001"
+ * @param {Object} [options]
+ * @param {Object} [options.labels] - Labels from getFlashcardLabels(); words the true/false choices
+ * @returns {string} XML
+ */
+export function formatQtiItem(question, identifier, options = {}) {
+  const { labels = getFlashcardLabels() } = options;
+  const { options: choices, answer } = questionChoices(question, labels);
+  const choiceId = (idx) => `choice_${OPTION_LETTERS[idx]}`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"',
+    `    identifier="${identifier}" title="${escapeXml(question.question.slice(0, 80))}" adaptive="false" timeDependent="false">`,
+    '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">',
+    `    <correctResponse><value>${choiceId(answer)}</value></correctResponse>`,
+    '  </responseDeclaration>',
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+    '    <defaultValue><value>0</value></defaultValue>',
+    '  </outcomeDeclaration>',
+    '  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>',
+    '  <itemBody>',
+    '    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">',
+    `      <prompt>${escapeXml(question.question)}</prompt>`,
+    ...choices.map((choice, idx) => `      <simpleChoice identifier="${choiceId(idx)}">${escapeXml(choice)}</simpleChoice>`),
+    '    </choiceInteraction>',
+    '  </itemBody>',
+    '  <responseProcessing>',
+    '    <responseCondition>',
+    '      <responseIf>',
+    '        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>',
+    '        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>',
+    '      </responseIf>',
+    '    </responseCondition>',
+    ...(question.explanation ? [
+      '    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>',
+    ] : []),
+    '  </responseProcessing>',
+    ...(question.explanation ? [
+      `  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(question.explanation)}</modalFeedback>`,
+    ] : []),
+    '</assessmentItem>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Write a quiz as an IMS QTI 2.1 content package
+ *
+ * The folder holds imsmanifest.xml, an assessment test and one item per question; zip its
+ * contents to import it into an LMS. The folder is rewritten on every call.
+ *
+ * @param {Array} questions - Questions from parseQuiz()
+ * @param {string} outputDir - Package folder
+ * @param {Object} [options]
+ * @param {string} [options.title='Quiz'] - Test title
+ * @param {Object} [options.labels] - Labels from getFlashcardLabels()
+ * @returns {Promise<{ directory: string, manifest: string, test: string, items: string[] }>}
+ */
+export async function writeQtiPackage(questions, outputDir, options = {}) {
+  const { title = 'Quiz', labels = getFlashcardLabels() } = options;
+  await fsp.rm(outputDir, { recursive: true, force: true });
+  await fsp.mkdir(path.join(outputDir, 'items'), { recursive: true });
+
+  const items = questions.map((question, idx) => {
+    const identifier = `q${String(idx + 1).padStart(3, '0')}`;
+    return { identifier, href: `items/${identifier}.xml`, xml: formatQtiItem(question, identifier, { labels }) };
+  });
+  for (const item of items) {
+    await fsp.writeFile(path.join(outputDir, item.href), item.xml, 'utf8');
+  }
+
+  const test = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<assessmentTest xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"',
+    `    identifier="quiz" title="${escapeXml(title)}">`,
+    '  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="simultaneous">',
+    `    <assessmentSection identifier="section1" title="${escapeXml(title)}" visible="true">`,
+    ...items.map((item) => `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`),
+    '    </assessmentSection>',
+    '  </testPart>',
+    '</assessmentTest>',
+    '',
+  ].join('\n');
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"',
+    '    identifier="quiz-package">',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="quiz" type="imsqti_test_xmlv2p1" href="test.xml">',
+    '      <file href="test.xml"/>',
+    ...items.map((item) => `      <dependency identifierref="${item.identifier}"/>`),
+    '    </resource>',
+    ...items.map((item) => [
+      `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">`,
+      `      <file href="${item.href}"/>`,
+      '    </resource>',
+    ].join('\n')),
+    '  </resources>',
+    '</manifest>',
+    '',
+  ].join('\n');
+
+  await fsp.writeFile(path.join(outputDir, 'test.xml'), test, 'utf8');
+  await fsp.writeFile(path.join(outputDir, 'imsmanifest.xml'), manifest, 'utf8');
+
+  return {
+    directory: outputDir,
+    manifest: path.join(outputDir, 'imsmanifest.xml'),
+    test: path.join(outputDir, 'test.xml'),
+    items: items.map((item) => path.join(outputDir, item.href)),
+  };
+}
+
+/**
+ * Generate a printable quiz PDF with an answer key
+ *
+ * The questions come first, then the answer key on a new page with the correct option
+ * and the explanation of every question.
+ *
+ * @param {Array} questions - Questions from parseQuiz()
+ * @param {string} outputPath - Path where the PDF should be saved
+ * @param {Object} options - PDF generation options
+ * @param {string} options.title - Quiz title (default: 'Quiz')
+ * @param {string} options.branding - Branding text (e.g., "SummaryForge.com")
+ * @param {Object} options.labels - Translated labels from getFlashcardLabels() (default: English)
+ * @returns {Promise<Object>} JSON object with success status and PDF path
+ * @throws {Error} If the PDF cannot be written
+ */
+export async function generateQuizPDF(questions, outputPath, options = {}) {
+  if (!questions || questions.length === 0) {
+    return {
+      success: false,
+      error: 'No quiz questions to generate',
+      path: null,
+      count: 0
+    };
+  }
+
+  const {
+    title = 'Quiz',
+    branding = 'SummaryForge.com',
+    labels = getFlashcardLabels()
+  } = options;
+
+  await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: 72,
+        info: {
+          Title: title,
+          Author: branding,
+          Subject: labels.quiz,
+          Keywords: 'quiz, assessment, study'
+        }
+      });
+
+      const stream = fs.createWriteStream(outputPath);
+      doc.pipe(stream);
+
+      doc.font('Helvetica-Bold').fontSize(18).text(title);
+      doc.font('Helvetica').fontSize(10).fillColor('#666666')
+         .text(formatLabel(labels.questionCount, { count: questions.length }))
+         .fillColor('#000000')
+         .moveDown();
+
+      questions.forEach((question, idx) => {
+        const { options: choices } = questionChoices(question, labels);
+        doc.font('Helvetica-Bold').fontSize(11).text(`${idx + 1}. ${question.question}`, { lineGap: 2 });
+        doc.font('Helvetica').fontSize(11);
+        choices.forEach((choice, choiceIdx) => {
+          doc.text(`${OPTION_LETTERS[choiceIdx]}. ${choice}`, { indent: 18, lineGap: 2 });
+        });
+        doc.moveDown();
+      });
+
+      doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(16).text(`${labels.answerKey}: ${title}`).moveDown();
+
+      questions.forEach((question, idx) => {
+        const { options: choices, answer } = questionChoices(question, labels);
+        doc.font('Helvetica-Bold').fontSize(11).text(`${idx + 1}. ${OPTION_LETTERS[answer]} (${choices[answer]})`, { lineGap: 2 });
+        if (question.explanation) {
+          doc.font('Helvetica').fontSize(10).fillColor('#444444')
+             .text(question.explanation, { indent: 18, lineGap: 2 })
+             .fillColor('#000000');
+        }
+        doc.moveDown(0.5);
+      });
+
+      doc.moveDown().font('Helvetica-Oblique').fontSize(8).fillColor('#999999')
+         .text(formatLabel(labels.generatedBy, { branding }));
+
+      doc.end();
+
+      stream.on('finish', () => resolve({
+        success: true,
+        path: outputPath,
+        count: questions.length,
+        message: 'Quiz PDF generated successfully'
+      }));
+      stream.on('error', reject);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
@@ -8,20 +8,37 @@ import fs from "node:fs";
 import fsp from "node:fs/promises";
 import path from "node:path";
 import { spawn } from "node:child_process";
-import OpenAI from "openai";
 import { ElevenLabsClient } from "elevenlabs";
 // Use puppeteer-core to avoid Canvas/DOMMatrix dependencies
 // puppeteer-core doesn't bundle Chrome and has no browser API dependencies
 import puppeteer from 'puppeteer-core';
 import PDFParse from "pdf-parse";
 import { extractFlashcards, generateFlashcardsPDF, generateFlashcardImages } from "./flashcards.js";
-import { extractPdfPages, createChunks, getPdfStats, calculateOptimalChunkSize } from "./utils/pdf-chunker.js";
+import { parseQuiz, formatQuizGift, writeQtiPackage, generateQuizPDF, QUIZ_BASENAME, QTI_DIRNAME } from "./quiz.js";
+import { extractPdfPages, createChunks, createChapterChunks, findChapters, getPdfStats, calculateChunkTokenBudget, toPdfData, groupByTokenBudget } from "./utils/pdf-chunker.js";
 import { ensureDirectory, getDirectoryContents } from "./utils/directory-protection.js";
 import { fetchWebPageAsPdf, generateCleanTitle } from "./utils/web-page.js";
 import { SSELogger } from "./utils/sse-logger.js";
 import { navigateWithChallengeBypass } from "./utils/browser.js";
-
-const API_MODEL = "gpt-5";
+import { createLLMProvider } from "./utils/llm-providers.js";
+import { mapWithConcurrency, withRetries } from "./utils/concurrency.js";
+import { CheckpointStore, CHECKPOINT_DIRNAME } from "./utils/checkpoint-store.js";
+import { getDepthPreset, flashcardPromptLines, DEFAULT_SUMMARY_DEPTH } from "./utils/summary-depth.js";
+import { PromptTemplates } from "./utils/prompt-templates.js";
+import { countTokens as countModelTokens } from "./utils/token-counter.js";
+import { addPageMarkers, citationsToFootnotes, formatPageRange, stripCitations } from "./utils/citations.js";
+import { extractClaims, sampleClaims, matchClaimsToChunks, parseVerdicts, VERIFY_SOURCE_TOKENS, DEFAULT_VERIFY_CLAIMS } from "./utils/summary-verification.js";
+import { splitSections, splitChapters, promoteHeadings, chapterFileName, CHAPTERS_DIRNAME } from "./utils/markdown-sections.js";
+import { getLanguage, getFlashcardLabels, DEFAULT_LANGUAGE } from "./utils/languages.js";
+import { extractFigures, readFigureManifest, formatFigureList, embedFigures, FIGURES_DIRNAME, DEFAULT_FIGURE_DPI } from "./utils/figures.js";
+import { extractCodeExamples } from "./utils/code-listings.js";
+import { FixtureStore, withLLMFixtures, withTTSFixtures } from "./utils/record-replay.js";
+import { parseGlossary, formatGlossaryMarkdown, GLOSSARY_BASENAME } from "./utils/glossary.js";
+import { buildMindMap, writeMindMap } from "./utils/mind-map.js";
+import { withContinuation, DEFAULT_MAX_CONTINUATIONS } from "./utils/continuation.js";
+import { MODEL_PRICING, FALLBACK_MODEL_PRICING, getModelPricing, resolveStageModels } from "./utils/models.js";
+import { requestWithRetry, withProviderRetries, isRequestError, RateLimiter, DEFAULT_MAX_RETRIES, DEFAULT_RETRY_BASE_DELAY, DEFAULT_RETRY_MAX_DELAY } from "./utils/retry.js";
+import { needsOcr, ocrPdfPages, OCR_MIN_CHARS_PER_PAGE, DEFAULT_OCR_LANGUAGE, DEFAULT_OCR_DPI } from "./utils/ocr.js";
 
 /**
  * Summary Forge class for creating book summaries
@@ -32,6 +49,7 @@ export class SummaryForge {
   constructor(config = {}) {
     // All configuration must be passed via config object
     this.openaiApiKey = config.openaiApiKey;
+    this.anthropicApiKey = config.anthropicApiKey;
     this.rainforestApiKey = config.rainforestApiKey;
     this.elevenlabsApiKey = config.elevenlabsApiKey;
     this.twocaptchaApiKey = config.twocaptchaApiKey;
@@ -58,19 +76,146 @@ export class SummaryForge {
     // If logger is provided, use it; otherwise create console logger for CLI compatibility
     this.logger = config.logger ?? SSELogger.createConsoleLogger();
     
-    if (!this.openaiApiKey) {
-      throw new Error("OpenAI API key is required");
+    // Record/replay of AI calls: `record` writes every LLM and TTS response to fixtures in a
+    // directory, `replay` answers from them without network access (API keys are not needed)
+    if (config.record && config.replay) {
+      throw new Error('record and replay cannot be used together');
+    }
+    this.fixtures = config.record || config.replay
+      ? new FixtureStore(config.record || config.replay, { mode: config.record ? 'record' : 'replay' })
+      : null;
+    
+    // Retries for LLM and TTS requests: 429s, 5xx and dropped connections are retried with
+    // exponential backoff and jitter, waiting at least the server's Retry-After; other errors fail at once.
+    // requestsPerMinute / ttsRequestsPerMinute cap the request rate per service (null = no cap)
+    this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryBaseDelay = config.retryBaseDelay ?? DEFAULT_RETRY_BASE_DELAY;
+    this.retryMaxDelay = config.retryMaxDelay ?? DEFAULT_RETRY_MAX_DELAY;
+    this.rateLimiters = {
+      llm: new RateLimiter(config.requestsPerMinute ?? null),
+      tts: new RateLimiter(config.ttsRequestsPerMinute ?? null),
+    };
+    
+    // LLM provider: 'openai' (default), 'openai-compatible' (Ollama, vLLM, ...) or 'anthropic'
+    // Throws if the selected provider is missing its API key or base URL
+    this.llm = withProviderRetries(createLLMProvider(this.fixtures?.replaying
+      ? { ...config, openaiApiKey: config.openaiApiKey ?? 'replay', anthropicApiKey: config.anthropicApiKey ?? 'replay' }
+      : config), this.retryOptions('llm'));
+    if (this.fixtures) {
+      this.llm = withLLMFixtures(this.llm, this.fixtures);
     }
     
+    // Output that stops at maxTokens (finishReason 'length') is continued with up to
+    // maxContinuations follow-up requests; every truncation is recorded in this.warnings
+    this.maxContinuations = config.maxContinuations ?? DEFAULT_MAX_CONTINUATIONS;
+    this.warnings = [];
+    this.llm = withContinuation(this.llm, {
+      maxContinuations: this.maxContinuations,
+      onTruncated: (truncation) => this.recordTruncation(truncation)
+    });
+    // Raw OpenAI client (null for non-OpenAI providers)
+    this.openai = this.llm.client ?? null;
+    
+    // Model per pipeline stage, e.g. { chunk: 'gpt-5-mini', synthesis: 'gpt-5' }
+    // Stages without one use the provider's model; throws on unknown stage names
+    this.models = resolveStageModels(config.models, this.llm.model);
+    
     // Session ID for sticky proxy sessions (maintains same IP)
     this.proxySessionId = null;
     
-    this.openai = new OpenAI({ apiKey: this.openaiApiKey });
     this.maxChars = config.maxChars ?? 400000;
-    this.maxTokens = config.maxTokens ?? 16000;
+    
+    // Summary depth: 'brief' (one page), 'standard' or 'deep' (chapter-by-chapter study guide)
+    // The preset sets the output token budget unless maxTokens is given explicitly
+    this.depth = config.depth ?? DEFAULT_SUMMARY_DEPTH;
+    this.depthPreset = getDepthPreset(this.depth);
+    this.maxTokens = config.maxTokens ?? this.depthPreset.maxTokens;
     // GPT-5 has a 272k token input limit, we use 250k to leave room for system prompts
     this.maxInputTokens = config.maxInputTokens ?? 250000;
     
+    // Chunked fallback: how many chunks to summarize at once, and how often to retry a failed chunk
+    this.chunkConcurrency = config.chunkConcurrency ?? 3;
+    this.chunkRetries = config.chunkRetries ?? 2;
+    this.chunkRetryDelay = config.chunkRetryDelay ?? 2000; // ms, doubled on each retry
+    
+    // Resume from .checkpoints/ in the book directory (false = recompute everything)
+    // Recording and replaying always make every call, so fixtures cover the whole run
+    this.resume = (config.resume ?? true) && !this.fixtures;
+    
+    // Figures: crop numbered figures from the source PDF into figures/ in the book directory; the
+    // model references them as [Figure N] and the summary outputs embed them as images
+    this.figures = config.figures ?? false;
+    this.figureDpi = config.figureDpi ?? DEFAULT_FIGURE_DPI;
+    
+    // Code examples: copy the source listings of the PDF into examples/chapter-XX/ in the book
+    // directory (with an index README), so they ship in the bundle
+    this.codeExamples = config.codeExamples ?? false;
+    
+    // OCR for scanned PDFs: when the text layer averages under 25 characters per page, the
+    // pages are rasterized and read with Tesseract (ocrLanguage takes Tesseract codes, e.g. 'eng+deu')
+    this.ocr = config.ocr ?? true;
+    this.ocrLanguage = config.ocrLanguage ?? DEFAULT_OCR_LANGUAGE;
+    this.ocrDpi = config.ocrDpi ?? DEFAULT_OCR_DPI;
+    this.ocrConcurrency = config.ocrConcurrency ?? 2;
+    
+    // Stream the whole-book summary and the final synthesis: emits progress events with the
+    // output tokens so far and `partial` events with the text so far, at most once per interval
+    this.stream = config.stream ?? false;
+    this.streamEventInterval = config.streamEventInterval ?? 1000; // ms
+    
+    // Faithfulness check after summary generation: sample claims, check them against the source
+    // text and write <basename>.verification.json; verifyRewrite also corrects unsupported sections
+    this.verifyRewrite = config.verifyRewrite ?? false;
+    this.verify = config.verify ?? this.verifyRewrite;
+    this.verifyClaims = config.verifyClaims ?? DEFAULT_VERIFY_CLAIMS;
+    
+    // Prompt templates: built-ins, overridable in ~/.config/summary-forge/templates/ or templatesDir
+    // templateVariables are available to every template alongside the ones set here
+    this.audience = config.audience ?? null;
+    
+    // Output language: summaries, audio and flashcards are written in it, and non-English
+    // output files carry the language code (e.g. Book.summary.es.md)
+    this.language = getLanguage(config.language ?? DEFAULT_LANGUAGE);
+    this.languageSuffix = this.language.code === DEFAULT_LANGUAGE ? '' : `.${this.language.code}`;
+    
+    // Citation mode: every section and key point carries a [p. X-Y] page reference,
+    // rendered as footnotes in the PDF/EPUB outputs
+    this.citations = config.citations ?? false;
+    
+    // Also write chapters/NN-<slug>.md per chapter plus chapters/index.md; the EPUB gets one
+    // navigation entry per chapter
+    this.chapterFiles = config.chapterFiles ?? false;
+    
+    // Also extract a glossary (term, definition, introducing chapter) into <basename>.glossary.md and
+    // glossary.json; it is appended to the PDF/EPUB and adds definition flashcards
+    this.glossary = config.glossary ?? false;
+    
+    // Also write a graded quiz (multiple-choice and true/false questions with explanations) to
+    // quiz.json, exported as Moodle GIFT, a QTI 2.1 package and a PDF with an answer key
+    this.quiz = config.quiz ?? false;
+    
+    // Also draw a mind map of the summary's headings and key points: mindmap.mmd (Mermaid),
+    // mindmap.opml, mindmap.mm (FreeMind) and an SVG/PNG rendering
+    this.mindMap = config.mindMap ?? false;
+    
+    this.templates = new PromptTemplates({
+      directory: config.templatesDir,
+      variables: {
+        ...config.templateVariables,
+        audience: this.audience,
+        citations: this.citations,
+        language: this.language.code === DEFAULT_LANGUAGE ? null : this.language.name,
+        depth: this.depthPreset.name,
+        depthInstructions: this.depthPreset.instructions,
+        depthCoverage: this.depthPreset.coverage,
+        chunkInstructions: this.depthPreset.chunkInstructions,
+        flashcardCount: this.depthPreset.flashcardCount,
+        flashcardInstructions: flashcardPromptLines(this.depthPreset),
+        glossaryTermCount: this.depthPreset.glossaryTermCount,
+        quizQuestionCount: this.depthPreset.quizQuestionCount,
+      }
+    });
+    
     // Initialize ElevenLabs client if API key is provided
     if (this.elevenlabsApiKey) {
       this.elevenlabs = new ElevenLabsClient({
@@ -78,6 +223,10 @@ export class SummaryForge {
         timeout: 300000  // 5 minutes timeout for long audio generation
       });
     }
+    // Replays audio whenever the fixtures have some, with or without an API key
+    if (this.fixtures && (this.elevenlabs || (this.fixtures.replaying && this.fixtures.has('tts')))) {
+      this.elevenlabs = withTTSFixtures(this.elevenlabs ?? null, this.fixtures);
+    }
     
     // ElevenLabs voice settings
     this.voiceId = config.voiceId ?? "nPczCjzI2devNBz1zQrb"; // Default: Brian voice (best for books)
@@ -88,20 +237,29 @@ export class SummaryForge {
       use_speaker_boost: true
     };
     
-    // Cost tracking
+    // Cost tracking (byModel: { [model]: { requests, inputTokens, outputTokens, cost } })
     this.costs = {
       openai: 0,
       elevenlabs: 0,
       rainforest: 0,
-      total: 0
+      total: 0,
+      byModel: {}
     };
     
     // API pricing (approximate, in USD)
+    // The "openai" bucket covers whichever LLM provider is configured. LLM prices come from the
+    // registry keyed by model name (modelPricing adds or overrides entries); llmPricing overrides
+    // the rate of the provider's model. Self-hosted OpenAI-compatible servers default to free
+    const selfHosted = this.llm.name === 'openai-compatible';
+    const modelPricing = { ...(selfHosted ? {} : MODEL_PRICING), ...config.modelPricing };
+    const defaultLLMPricing = getModelPricing(this.llm.model, modelPricing)
+      ?? (selfHosted ? { inputPerMillion: 0, outputPerMillion: 0 } : FALLBACK_MODEL_PRICING);
     this.pricing = {
       openai: {
-        inputPerMillion: 2.50,   // GPT-5 input tokens
-        outputPerMillion: 10.00  // GPT-5 output tokens
+        ...defaultLLMPricing,
+        ...config.llmPricing
       },
+      models: modelPricing,
       elevenlabs: {
         perCharacter: 0.00003    // Turbo v2.5 pricing
       },
@@ -112,19 +270,90 @@ export class SummaryForge {
   }
 
   /**
-   * Calculate and track OpenAI costs
+   * Model used for a pipeline stage
+   * @param {string} stage - One of MODEL_STAGES (e.g. 'chunk', 'synthesis')
+   * @returns {string} Model name
+   */
+  modelFor(stage) {
+    return this.models[stage] ?? this.llm.model;
+  }
+
+  /**
+   * Per-million-token pricing of a model
+   * The provider's model uses this.pricing.openai (including llmPricing); other models are looked
+   * up in the registry, and unknown ones are charged at the provider model's rate
+   * @param {string} [model] - Model name (default: the provider's model)
+   * @returns {{ inputPerMillion: number, outputPerMillion: number }}
    */
-  trackOpenAICost(usage) {
-    const inputCost = (usage.prompt_tokens / 1000000) * this.pricing.openai.inputPerMillion;
-    const outputCost = (usage.completion_tokens / 1000000) * this.pricing.openai.outputPerMillion;
+  pricingFor(model = this.llm.model) {
+    if (model === this.llm.model) {
+      return this.pricing.openai;
+    }
+    return getModelPricing(model, this.pricing.models) ?? this.pricing.openai;
+  }
+
+  /**
+   * Calculate and track LLM costs at the rate of the model that served the request
+   * @param {Object} usage - { prompt_tokens, completion_tokens }
+   * @param {string} [model] - Model of the request (default: the provider's model)
+   */
+  trackOpenAICost(usage, model = this.llm.model) {
+    const pricing = this.pricingFor(model);
+    const inputCost = (usage.prompt_tokens / 1000000) * pricing.inputPerMillion;
+    const outputCost = (usage.completion_tokens / 1000000) * pricing.outputPerMillion;
     const cost = inputCost + outputCost;
     
     this.costs.openai += cost;
     this.costs.total += cost;
+
+    const modelCosts = this.costs.byModel[model] ??= { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+    modelCosts.requests += 1;
+    modelCosts.inputTokens += usage.prompt_tokens ?? 0;
+    modelCosts.outputTokens += usage.completion_tokens ?? 0;
+    modelCosts.cost += cost;
     
     return cost;
   }
 
+  /**
+   * Count tokens with a model's tokenizer
+   * @param {string} text - Text to count
+   * @param {string} [model] - Model the text is sent to (default: the provider's model)
+   * @returns {number} Token count
+   */
+  countTokens(text, model = this.llm.model) {
+    return countModelTokens(text, model);
+  }
+
+  /**
+   * Pre-flight LLM cost estimate: exact input tokens, output at the maxTokens cap
+   * @param {number} inputTokens - Input tokens of all planned requests
+   * @param {number} [requests=1] - Number of requests (each may return up to maxTokens)
+   * @param {string} [model] - Model of the requests (default: the provider's model)
+   * @returns {{ inputTokens: number, maxOutputTokens: number, inputCost: number, maxCost: number }}
+   */
+  estimateLLMCost(inputTokens, requests = 1, model = this.llm.model) {
+    const pricing = this.pricingFor(model);
+    const maxOutputTokens = requests * this.maxTokens;
+    const inputCost = (inputTokens / 1000000) * pricing.inputPerMillion;
+    const maxCost = inputCost + (maxOutputTokens / 1000000) * pricing.outputPerMillion;
+    return { inputTokens, maxOutputTokens, inputCost, maxCost };
+  }
+
+  /**
+   * Log a pre-flight cost estimate
+   * @private
+   */
+  logCostEstimate(inputTokens, requests, label, model = this.llm.model) {
+    const estimate = this.estimateLLMCost(inputTokens, requests, model);
+    this.logger.log(
+      `Pre-flight estimate (${label}, ${model}): ${inputTokens.toLocaleString()} input tokens ($${estimate.inputCost.toFixed(4)}), at most $${estimate.maxCost.toFixed(4)} with output`,
+      'info',
+      { step: 'cost_estimate', ...estimate, requests, model }
+    );
+    return estimate;
+  }
+
   /**
    * Track ElevenLabs costs
    */
@@ -156,11 +385,17 @@ export class SummaryForge {
       elevenlabs: `$${this.costs.elevenlabs.toFixed(4)}`,
       rainforest: `$${this.costs.rainforest.toFixed(4)}`,
       total: `$${this.costs.total.toFixed(4)}`,
+      // LLM costs per model: { [model]: { cost: '$x.xxxx', requests, inputTokens, outputTokens } }
+      byModel: Object.fromEntries(Object.entries(this.costs.byModel).map(([model, { cost, ...usage }]) => [
+        model,
+        { cost: `$${cost.toFixed(4)}`, ...usage }
+      ])),
       breakdown: {
         openai: this.costs.openai,
         elevenlabs: this.costs.elevenlabs,
         rainforest: this.costs.rainforest,
-        total: this.costs.total
+        total: this.costs.total,
+        byModel: Object.fromEntries(Object.entries(this.costs.byModel).map(([model, { cost }]) => [model, cost]))
       }
     };
   }
@@ -2485,48 +2720,42 @@ export class SummaryForge {
   /**
    * Process a single chunk and generate a partial summary
    * @private
+   * @param {Object} [options]
+   * @param {CheckpointStore} [options.checkpoints] - Checkpoint store for resumable runs
+   * @param {string[]} [options.chapters] - Chapter titles covered by this chunk
+   * @param {string[]} [options.figures] - Figures on these pages, from formatFigureList()
    */
-  async processSingleChunk(chunkText, chunkIndex, totalChunks, startPage, endPage) {
-    const systemPrompt = [
-      "You are an expert technical writer creating a detailed summary of a book section.",
-      `This is chunk ${chunkIndex + 1} of ${totalChunks} (pages ${startPage}-${endPage}).`,
-      "Extract and summarize ALL key information from this section:",
-      "- Main concepts and principles",
-      "- Important examples and case studies",
-      "- Key takeaways and actionable insights",
-      "- Technical details and methodologies",
-      "- Any diagrams, tables, or visual content (describe in text)",
-      "",
-      "Format your response as structured Markdown with:",
-      "- Clear section headers",
-      "- Bullet points for key concepts",
-      "- Numbered lists for sequential information",
-      "- Code blocks for technical content",
-      "",
-      "Be comprehensive - this will be combined with other chunks to form the complete summary.",
-      "Do NOT add introductory or concluding remarks about this being a partial summary."
-    ].join("\n");
+  async processSingleChunk(chunkText, chunkIndex, totalChunks, startPage, endPage, options = {}) {
+    const { checkpoints = null, chapters = [], figures = [] } = options;
+    const { system: systemPrompt, prompt: userPrompt } = await this.renderPrompts('chunk', {
+      chunkIndex: chunkIndex + 1,
+      totalChunks,
+      startPage,
+      endPage,
+      chapters: chapters.join("; "),
+      figures,
+      text: chunkText,
+    });
 
-    const userPrompt = `Summarize this section of the book (pages ${startPage}-${endPage}):\n\n${chunkText}`;
+    const model = this.modelFor('chunk');
+    const checkpointKey = CheckpointStore.hash(model, systemPrompt, userPrompt, this.maxTokens);
+    const savedSummary = await checkpoints?.get('chunk', checkpointKey);
+    if (savedSummary) {
+      this.logger.log(`Chunk ${chunkIndex + 1}/${totalChunks} restored from checkpoint`, 'info', { step: 'checkpoint_hit', chunk: chunkIndex + 1 });
+      return savedSummary;
+    }
 
     this.logger.log(`Processing chunk ${chunkIndex + 1}/${totalChunks} (pages ${startPage}-${endPage})...`);
-    this.logger.progress(
-      ((chunkIndex + 1) / totalChunks) * 80, // Reserve 20% for synthesis
-      `Processing chunk ${chunkIndex + 1}/${totalChunks}`,
-      { step: 'chunk_processing', current: chunkIndex + 1, total: totalChunks }
-    );
 
-    const resp = await this.openai.chat.completions.create({
-      model: API_MODEL,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ],
-      max_completion_tokens: this.maxTokens,
+    const resp = await this.llm.complete({
+      system: systemPrompt,
+      prompt: userPrompt,
+      maxTokens: this.maxTokens,
+      model,
     });
 
     if (resp.usage) {
-      const cost = this.trackOpenAICost(resp.usage);
+      const cost = this.trackOpenAICost(resp.usage, model);
       this.logger.log(
         `Chunk ${chunkIndex + 1} cost: $${cost.toFixed(4)} (${resp.usage.prompt_tokens} in, ${resp.usage.completion_tokens} out)`,
         'info',
@@ -2534,68 +2763,107 @@ export class SummaryForge {
       );
     }
 
-    const summary = resp.choices[0]?.message?.content ?? "";
+    const summary = resp.content;
     if (!summary || summary.trim().length < 50) {
       throw new Error(`Chunk ${chunkIndex + 1} returned unexpectedly short content`);
     }
 
     this.logger.log(`Chunk ${chunkIndex + 1} processed: ${summary.length} chars`);
+    await checkpoints?.set('chunk', checkpointKey, summary);
     return summary;
   }
 
+  /**
+   * Format section summaries as one Markdown document with a heading per section
+   * In citation mode the heading carries the section's page range, e.g. "[p. 12-40]"
+   * @private
+   * @param {Array<{ summary: string, chapters: string[], pages?: { startPage: number, endPage: number } }>} sections - Section summaries
+   * @returns {string}
+   */
+  formatSections(sections) {
+    return sections
+      .map(({ summary, chapters, pages }, idx) => {
+        let heading = chapters.length > 0 ? `## Section ${idx + 1}: ${chapters.join("; ")}` : `## Section ${idx + 1}`;
+        if (this.citations && pages) {
+          heading += ` [${formatPageRange(pages.startPage, pages.endPage)}]`;
+        }
+        return `${heading}\n\n${summary}`;
+      })
+      .join("\n\n---\n\n");
+  }
+
+  /**
+   * Whether rendered prompts fit within maxInputTokens
+   * @private
+   */
+  fitsInputBudget({ system, prompt }, model = this.llm.model) {
+    return this.countTokens(system, model) + this.countTokens(prompt, model) <= this.maxInputTokens;
+  }
+
   /**
    * Synthesize multiple chunk summaries into a cohesive final summary
+   *
+   * When the combined summaries exceed maxInputTokens, they are first merged in groups
+   * (level 1), and those merged summaries again (level 2, ...) until the final synthesis fits.
+   *
    * @private
+   * @param {Object} [options]
+   * @param {CheckpointStore} [options.checkpoints] - Checkpoint store for resumable runs
+   * @param {Array<string[]>} [options.sectionChapters] - Chapter titles covered by each chunk summary
+   * @param {Array<{ startPage: number, endPage: number }>} [options.sectionPages] - Page range of each chunk summary
+   * @param {string[]} [options.figures] - Figures the section summaries may reference, from formatFigureList()
    */
-  async synthesizeChunkSummaries(chunkSummaries, bookTitle = "the book") {
+  async synthesizeChunkSummaries(chunkSummaries, bookTitle = "the book", options = {}) {
+    const { checkpoints = null, sectionChapters = [], sectionPages = [], figures = [] } = options;
     this.logger.log("Synthesizing chunk summaries into final comprehensive summary...");
     this.logger.progress(85, "Synthesizing final summary", { step: 'synthesis' });
 
-    const combinedText = chunkSummaries
-      .map((summary, idx) => `## Section ${idx + 1}\n\n${summary}`)
-      .join("\n\n---\n\n");
+    // Chapter titles from the PDF outline/headings form the real table of contents
+    // (split chapters appear once, without their "(part i/n)" suffix)
+    const tableOfContents = [...new Set(
+      sectionChapters.flat().map((title) => title.replace(/ \(part \d+\/\d+\)$/, ""))
+    )];
 
-    const systemPrompt = [
-      "You are an expert technical writer. You will receive summaries of different sections of a book.",
-      "Your task is to synthesize these into ONE cohesive, comprehensive Markdown summary.",
-      "",
-      "Requirements:",
-      "- Title and author at top (extract from content)",
-      "- Organize content by the book's ACTUAL structure as found in the section summaries",
-      "- DO NOT invent or assume chapter numbers - use only what's in the provided content",
-      "- Merge overlapping information intelligently",
-      "- Maintain ALL key concepts, principles, and details from all sections",
-      "- Create a unified narrative flow",
-      "- Include: Preface/Introduction (if present), all chapters/sections found in content, Quick-Reference tables, Final takeaways",
-      "- Use headers, lists, and code-fenced ASCII diagrams",
-      "- No external images or links",
-      "- IMPORTANT: Add a 'Study Flashcards' section at the end with 20-30 Q&A pairs:",
-      "  **Q: What is [concept]?**",
-      "  A: [Clear, concise answer in 1-3 sentences]",
-      "  ",
-      "  (blank line between each Q&A pair)",
-      "",
-      "CRITICAL: Only summarize content that was actually provided. Do not mention missing chapters or sections.",
-      "Output ONLY the final Markdown summary (no meta-commentary)."
-    ].join("\n");
+    const renderSynthesis = (sections) => this.renderPrompts('synthesis', {
+      title: bookTitle,
+      tableOfContents: tableOfContents.map((title) => `- ${title}`),
+      figures,
+      sections: this.formatSections(sections),
+    });
 
-    const userPrompt = [
-      `Synthesize these section summaries of "${bookTitle}" into one comprehensive, well-organized summary:`,
-      "",
-      combinedText
-    ].join("\n");
+    let sections = chunkSummaries.map((summary, idx) => ({
+      summary,
+      chapters: sectionChapters[idx] ?? [],
+      pages: sectionPages[idx]
+    }));
+    const model = this.modelFor('synthesis');
+    let prompts = await renderSynthesis(sections);
+    let synthesisProgress = 85;
+    for (let level = 1; sections.length > 1 && !this.fitsInputBudget(prompts, model); level++) {
+      sections = await this.mergeSections(sections, bookTitle, level, { checkpoints, figures });
+      prompts = await renderSynthesis(sections);
+      synthesisProgress = Math.min(94, 85 + level * 2);
+    }
 
-    const resp = await this.openai.chat.completions.create({
-      model: API_MODEL,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ],
-      max_completion_tokens: this.maxTokens,
-    });
+    const { system: systemPrompt, prompt: userPrompt } = prompts;
+
+    const checkpointKey = CheckpointStore.hash(model, systemPrompt, userPrompt, this.maxTokens);
+    const savedSummary = await checkpoints?.get('synthesis', checkpointKey);
+    if (savedSummary) {
+      this.logger.log("Synthesis restored from checkpoint", 'info', { step: 'checkpoint_hit' });
+      this.logger.progress(95, "Summary synthesis complete", { step: 'synthesis_complete' });
+      return savedSummary;
+    }
+
+    const resp = await this.completeWithProgress({
+      system: systemPrompt,
+      prompt: userPrompt,
+      maxTokens: this.maxTokens,
+      model,
+    }, { stage: 'synthesis', from: synthesisProgress, to: 95, message: "Synthesizing final summary" });
 
     if (resp.usage) {
-      const cost = this.trackOpenAICost(resp.usage);
+      const cost = this.trackOpenAICost(resp.usage, model);
       this.logger.log(
         `Synthesis cost: $${cost.toFixed(4)} (${resp.usage.prompt_tokens} in, ${resp.usage.completion_tokens} out)`,
         'info',
@@ -2603,87 +2871,418 @@ export class SummaryForge {
       );
     }
 
-    const finalSummary = resp.choices[0]?.message?.content ?? "";
+    const finalSummary = resp.content;
     if (!finalSummary || finalSummary.trim().length < 200) {
       throw new Error("Synthesis returned unexpectedly short content");
     }
 
     this.logger.log(`Final summary synthesized: ${finalSummary.length} chars`);
+    await checkpoints?.set('synthesis', checkpointKey, finalSummary);
     this.logger.progress(95, "Summary synthesis complete", { step: 'synthesis_complete' });
     return finalSummary;
   }
 
   /**
-   * Generate summary using GPT-5 with PDF file upload (with fallback to chunked text extraction)
+   * One level of hierarchical synthesis: merge consecutive section summaries in groups
+   * that each fit within maxInputTokens
+   * @private
+   * @param {Array<{ summary: string, chapters: string[], pages?: Object }>} sections - Section summaries
+   * @param {string} bookTitle - Book title
+   * @param {number} level - Reduction level (1 = merging chunk summaries)
+   * @param {Object} [options]
+   * @param {CheckpointStore} [options.checkpoints] - Checkpoint store for resumable runs
+   * @param {string[]} [options.figures] - Figures the summaries may reference
+   * @returns {Promise<Array<{ summary: string, chapters: string[], pages?: Object }>>} Fewer, merged sections
+   */
+  async mergeSections(sections, bookTitle, level, options = {}) {
+    const { checkpoints = null, figures = [] } = options;
+    const model = this.modelFor('synthesis');
+    const emptyPrompts = await this.renderPrompts('section-merge', { title: bookTitle, level, figures });
+    const budget = this.maxInputTokens - this.countTokens(emptyPrompts.system, model) - this.countTokens(emptyPrompts.prompt, model);
+    const groups = groupByTokenBudget(
+      sections.map((section) => this.countTokens(this.formatSections([section]), model)),
+      budget
+    ).map((indices) => indices.map((index) => sections[index]));
+
+    const progress = Math.min(94, 85 + level * 2);
+    this.logger.log(`Section summaries exceed ${this.maxInputTokens.toLocaleString()} input tokens - merging ${sections.length} sections into ${groups.length} (level ${level})`);
+    this.logger.progress(progress, `Synthesis level ${level}: merging ${sections.length} sections into ${groups.length}`, {
+      step: 'synthesis_level',
+      level,
+      sections: sections.length,
+      groups: groups.length
+    });
+
+    let completedGroups = 0;
+    return mapWithConcurrency(groups, this.chunkConcurrency, async (group, i) => {
+      const chapters = group.flatMap((section) => section.chapters);
+      const groupPages = group.map((section) => section.pages).filter(Boolean);
+      const pages = groupPages.length > 0
+        ? { startPage: Math.min(...groupPages.map((range) => range.startPage)), endPage: Math.max(...groupPages.map((range) => range.endPage)) }
+        : undefined;
+      // A section that fits nowhere else is carried to the next level unchanged
+      const summary = group.length === 1
+        ? group[0].summary
+        : await withRetries(
+            () => this.mergeSectionGroup(group, i, groups.length, bookTitle, level, { checkpoints, figures }),
+            {
+              retries: this.chunkRetries,
+              delayMs: this.chunkRetryDelay,
+              shouldRetry: (error) => !isRequestError(error),
+              onRetry: (error, attempt) => this.logger.log(
+                `Merging group ${i + 1} (level ${level}) failed (attempt ${attempt}/${this.chunkRetries + 1}): ${error.message} - retrying`,
+                'warn',
+                { step: 'synthesis_retry', level, group: i + 1, attempt }
+              )
+            }
+          );
+
+      completedGroups++;
+      this.logger.progress(progress, `Synthesis level ${level}: merged group ${completedGroups}/${groups.length}`, {
+        step: 'synthesis_group',
+        level,
+        current: completedGroups,
+        total: groups.length
+      });
+      return { summary, chapters, pages };
+    });
+  }
+
+  /**
+   * Merge one group of section summaries into a single intermediate summary
+   * @private
+   */
+  async mergeSectionGroup(group, groupIndex, totalGroups, bookTitle, level, options = {}) {
+    const { checkpoints = null, figures = [] } = options;
+    const { system: systemPrompt, prompt: userPrompt } = await this.renderPrompts('section-merge', {
+      title: bookTitle,
+      level,
+      figures,
+      groupIndex: groupIndex + 1,
+      totalGroups,
+      chapters: group.flatMap((section) => section.chapters).join("; "),
+      sections: this.formatSections(group),
+    });
+
+    const model = this.modelFor('synthesis');
+    const checkpointKey = CheckpointStore.hash(model, systemPrompt, userPrompt, this.maxTokens);
+    const savedSummary = await checkpoints?.get('section-merge', checkpointKey);
+    if (savedSummary) {
+      this.logger.log(`Merged group ${groupIndex + 1}/${totalGroups} (level ${level}) restored from checkpoint`, 'info', { step: 'checkpoint_hit' });
+      return savedSummary;
+    }
+
+    const resp = await this.llm.complete({
+      system: systemPrompt,
+      prompt: userPrompt,
+      maxTokens: this.maxTokens,
+      model,
+    });
+
+    if (resp.usage) {
+      const cost = this.trackOpenAICost(resp.usage, model);
+      this.logger.log(
+        `Merge level ${level} group ${groupIndex + 1} cost: $${cost.toFixed(4)} (${resp.usage.prompt_tokens} in, ${resp.usage.completion_tokens} out)`,
+        'info',
+        { step: 'cost_tracking', cost, tokens: resp.usage }
+      );
+    }
+
+    const summary = resp.content;
+    if (!summary || summary.trim().length < 50) {
+      throw new Error(`Merging group ${groupIndex + 1} (level ${level}) returned unexpectedly short content`);
+    }
+
+    await checkpoints?.set('section-merge', checkpointKey, summary);
+    return summary;
+  }
+
+  /**
+   * Open the checkpoint store for a book directory
+   * @private
+   */
+  openCheckpoints(bookDir) {
+    return bookDir ? CheckpointStore.forBookDir(bookDir, { resume: this.resume }) : null;
+  }
+
+  /**
+   * Generate summary with PDF file upload (with fallback to chunked text extraction)
+   * Providers without PDF input support (e.g. local OpenAI-compatible servers) go straight to the fallback
    * Returns JSON object with summary result
+   *
+   * @param {string} pdfPath - Path to the PDF
+   * @param {Object} [options]
+   * @param {string} [options.bookDir] - Book directory; enables checkpoints in <bookDir>/.checkpoints
    */
-  async generateSummary(pdfPath) {
+  async generateSummary(pdfPath, options = {}) {
     this.logger.log("Processing PDF...");
     this.logger.progress(5, "Starting PDF processing", { step: 'init' });
     
+    const checkpoints = this.openCheckpoints(options.bookDir);
+    const figures = await this.extractSourceFigures(pdfPath, options.bookDir);
+    if (!checkpoints) {
+      return this.generateSummaryFromPdf(pdfPath, null, figures);
+    }
+    
+    const summaryKey = await this.getSummaryCheckpointKey(pdfPath, figures);
+    const savedResult = await checkpoints.get('summary', summaryKey);
+    if (savedResult) {
+      this.logger.log(`Summary restored from checkpoint (${savedResult.method})`, 'info', { step: 'checkpoint_hit' });
+      this.logger.progress(90, "Summary generation complete", { step: 'generation_complete' });
+      return { ...savedResult, resumed: true };
+    }
+    
+    const result = await this.generateSummaryFromPdf(pdfPath, checkpoints, figures);
+    if (result.success) {
+      await checkpoints.set('summary', summaryKey, result);
+    }
+    return result;
+  }
+
+  /**
+   * Checkpoint key for a finished summary: the PDF contents plus every setting that shapes the output
+   * @private
+   */
+  async getSummaryCheckpointKey(pdfPath, figures = []) {
+    return CheckpointStore.hash(
+      await CheckpointStore.hashFile(pdfPath),
+      figures,
+      this.models,
+      this.depth,
+      this.maxTokens,
+      this.maxChars,
+      this.maxInputTokens,
+      this.templates.variables,
+      await this.templates.contents()
+    );
+  }
+
+  /**
+   * Tokens used by a prompt template pair without the book text
+   * @private
+   */
+  async countPromptTokens(name, variables = {}, model = this.llm.model) {
+    const { system, prompt } = await this.renderPrompts(name, variables);
+    return this.countTokens(system, model) + this.countTokens(prompt, model);
+  }
+
+  /**
+   * Render the system and user prompts for a prompt template pair (`<name>-system` / `<name>-user`)
+   * @private
+   * @param {string} name - Template base name, e.g. 'chunk' or 'synthesis'
+   * @param {Object} [variables] - Template variables
+   * @returns {Promise<{ system: string, prompt: string }>}
+   */
+  async renderPrompts(name, variables = {}) {
+    const [system, prompt] = await Promise.all([
+      this.templates.render(`${name}-system`, variables),
+      this.templates.render(`${name}-user`, variables),
+    ]);
+    return { system, prompt };
+  }
+
+  /**
+   * Crop the source PDF's figures into <bookDir>/figures/ when figures are enabled
+   * A failed extraction is logged and the summary is made without figures
+   * @private
+   * @returns {Promise<Array>} Figures from extractFigures()
+   */
+  async extractSourceFigures(pdfPath, bookDir) {
+    if (!this.figures || !bookDir) {
+      return [];
+    }
+
+    try {
+      this.logger.log("Extracting figures from the PDF...");
+      const figures = await extractFigures(pdfPath, bookDir, { dpi: this.figureDpi });
+      this.logger.log(`Extracted ${figures.length} figures to ${path.join(bookDir, FIGURES_DIRNAME)}`, 'info', { step: 'figures', count: figures.length });
+      return figures;
+    } catch (error) {
+      this.logger.log(`Continuing without figures: ${error.message}`, 'warn');
+      return [];
+    }
+  }
+
+  /**
+   * Extract the code listings of a PDF into <bookDir>/examples/
+   * Returns JSON object with the written files
+   * @param {string} pdfPath - Path to the PDF
+   * @param {string} bookDir - Book directory
+   * @param {Object} [options]
+   * @param {string} [options.title] - Book title for the examples index
+   * @returns {Promise<{success: boolean, directory?: string, index?: string, files?: string[], count: number, message?: string, error?: string}>}
+   */
+  async writeCodeExamples(pdfPath, bookDir, options = {}) {
+    try {
+      this.logger.log("Extracting code listings from the PDF...");
+      const { directory, index, listings } = await extractCodeExamples(pdfPath, bookDir, { title: options.title });
+      if (listings.length === 0) {
+        throw new Error("No code listings found in the PDF");
+      }
+
+      this.logger.log(`Wrote ${listings.length} code listings to ${directory}`, 'info', { step: 'code_examples', count: listings.length });
+      return {
+        success: true,
+        directory,
+        index,
+        files: listings.map((listing) => path.join(directory, listing.file)),
+        count: listings.length,
+        message: `Extracted ${listings.length} code listings`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        count: 0
+      };
+    }
+  }
+
+  /**
+   * Read the pages of a scanned PDF with OCR
+   * @private
+   * @param {string} pdfPath - Path to the PDF
+   * @param {number} totalPages - Number of pages
+   * @param {CheckpointStore} [checkpoints] - Checkpoint store; the OCR text is saved so re-runs skip OCR
+   * @returns {Promise<Array<{pageNum: number, text: string, charCount: number}>>} Pages like extractPdfPages()
+   */
+  async ocrPages(pdfPath, totalPages, checkpoints = null) {
+    const checkpointKey = CheckpointStore.hash(await CheckpointStore.hashFile(pdfPath), this.ocrLanguage, this.ocrDpi);
+    const savedPages = await checkpoints?.get('ocr', checkpointKey);
+    if (savedPages) {
+      this.logger.log("OCR text restored from checkpoint", 'info', { step: 'checkpoint_hit' });
+      return savedPages;
+    }
+
+    this.logger.log(`PDF has little or no text layer (scanned document) - running OCR on ${totalPages} pages (${this.ocrLanguage})...`);
+    this.logger.progress(16, "Running OCR on scanned pages", { step: 'ocr_start', total: totalPages });
+
+    let completedPages = 0;
+    const recognized = await ocrPdfPages(pdfPath, Array.from({ length: totalPages }, (_, i) => i + 1), {
+      language: this.ocrLanguage,
+      dpi: this.ocrDpi,
+      concurrency: this.ocrConcurrency,
+      onPage: () => {
+        completedPages++;
+        this.logger.progress(16 + (completedPages / totalPages) * 4, `OCR: page ${completedPages}/${totalPages}`, {
+          step: 'ocr',
+          current: completedPages,
+          total: totalPages
+        });
+      }
+    });
+
+    // Same shape as extractPdfPages(): the trailing blank line keeps adjacent pages apart
+    const pages = recognized.map(({ pageNum, text }) => {
+      const pageText = `${text.trim()}\n\n`;
+      return { pageNum, text: pageText, charCount: pageText.length };
+    });
+    const totalChars = pages.reduce((sum, page) => sum + page.text.trim().length, 0);
+    if (totalChars < 100) {
+      throw new Error("OCR found no text in the PDF");
+    }
+
+    this.logger.log(`OCR complete: ${totalChars.toLocaleString()} chars from ${pages.length} pages`);
+    await checkpoints?.set('ocr', checkpointKey, pages);
+    return pages;
+  }
+
+  /**
+   * Extract the source text per page, falling back to OCR for scanned PDFs
+   * @private
+   * @param {string} pdfPath - Path to the PDF
+   * @param {CheckpointStore} [checkpoints] - Checkpoint store (reuses the summary run's OCR text)
+   * @returns {Promise<Array<{pageNum: number, text: string, charCount: number}>>}
+   */
+  async extractSourcePages(pdfPath, checkpoints = null) {
+    const pages = await extractPdfPages(pdfPath);
+    return this.ocr && needsOcr(pages) ? this.ocrPages(pdfPath, pages.length, checkpoints) : pages;
+  }
+
+  /**
+   * Run a completion, streaming it when `stream` is enabled
+   *
+   * While streaming, progress moves from `from` towards `to` as output tokens arrive (measured
+   * against maxTokens), and the text so far is emitted as a `partial` event.
+   *
+   * @private
+   * @param {Object} request - Request for llm.complete()
+   * @param {Object} progress
+   * @param {string} progress.stage - Stage name included in the events (e.g. 'summary', 'synthesis')
+   * @param {number} progress.from - Progress percentage when generation starts
+   * @param {number} progress.to - Progress percentage once generation completes
+   * @param {string} progress.message - Progress message
+   */
+  async completeWithProgress(request, { stage, from, to, message }) {
+    if (!this.stream) {
+      return this.llm.complete(request);
+    }
+
+    let lastEventAt = 0;
+    return this.llm.complete({
+      ...request,
+      onToken: (delta, text) => {
+        const now = Date.now();
+        if (now - lastEventAt < this.streamEventInterval) {
+          return;
+        }
+        lastEventAt = now;
+
+        const outputTokens = this.countTokens(text, request.model);
+        // Stay below `to`: the caller reports completion
+        const percentage = Math.min(to - 1, from + (to - from) * (outputTokens / request.maxTokens));
+        this.logger.progress(Math.floor(percentage), `${message} (${outputTokens.toLocaleString()} tokens written)`, {
+          step: 'streaming',
+          stage,
+          outputTokens,
+          maxTokens: request.maxTokens
+        });
+        this.logger.partial(text, { stage, outputTokens });
+      }
+    });
+  }
+
+  /**
+   * Generate the summary (no summary-level checkpoint; chunk/synthesis checkpoints still apply)
+   * @private
+   */
+  async generateSummaryFromPdf(pdfPath, checkpoints, figures = []) {
+    const figureList = formatFigureList(figures);
+    
     // Get file stats
     const stats = await fsp.stat(pdfPath);
     const pdfSizeKB = (stats.size / 1024).toFixed(2);
     const pdfSizeMB = (stats.size / 1024 / 1024).toFixed(2);
     this.logger.log(`PDF size: ${pdfSizeMB} MB (${pdfSizeKB} KB)`);
     
-    // Try GPT-5 with file upload first
+    // Try the provider with file upload first
     try {
-      this.logger.log("Attempting GPT-5 with PDF file upload...");
-      this.logger.progress(10, "Uploading PDF to OpenAI", { step: 'upload' });
-      
-      // Upload PDF file to OpenAI
-      const fileStream = fs.createReadStream(pdfPath);
-      const file = await this.openai.files.create({
-        file: fileStream,
-        purpose: 'user_data'
-      });
+      this.logger.log(`Attempting ${this.llm.label} with PDF file upload...`);
+      this.logger.progress(10, "Uploading PDF to LLM provider", { step: 'upload' });
+      
+      // Upload PDF file to the provider
+      const file = await this.llm.uploadFile(pdfPath);
       
       this.logger.log(`PDF uploaded. File ID: ${file.id}`);
       this.logger.progress(20, "PDF uploaded successfully", { step: 'upload_complete' });
       
-      const systemPrompt = [
-        "You are an expert technical writer. Produce a single, self-contained Markdown file.",
-        "Source: the attached PDF. Do not hallucinate; pull claims from the PDF.",
-        "Goal: Let a reader skip the book but learn the principles.",
-        "Requirements:",
-        "- Title and author at top.",
-        "- Organize by the book's actual structure (chapters, parts, sections as they appear in the PDF).",
-        "- Include: Preface/Introduction, all chapters/sections found in the book, Quick-Reference tables, Final takeaways.",
-        "- Keep all graphics as ASCII (code fences) for diagrams/curves; preserve tables in Markdown.",
-        "- No external images or links.",
-        "- Write concisely but completely. Use headers, lists, and code-fenced ASCII diagrams.",
-        "- IMPORTANT: Add a 'Study Flashcards' section at the end with 20-30 Q&A pairs in this exact format:",
-        "  **Q: What is [concept]?**",
-        "  A: [Clear, concise answer in 1-3 sentences]",
-        "  ",
-        "  (blank line between each Q&A pair)",
-      ].join("\n");
-
-      const userPrompt = "Read the attached PDF and produce the full Markdown summary described above. Output ONLY Markdown content (no JSON, no preambles).";
-
-      this.logger.log("Asking GPT-5 to generate summary from PDF file...");
+      const { system: systemPrompt, prompt: userPrompt } = await this.renderPrompts('book-summary', { fromText: false, figures: figureList });
+
+      this.logger.log(`Asking ${this.llm.label} to generate summary from PDF file...`);
       this.logger.progress(30, "Generating summary with AI", { step: 'ai_generation' });
       
-      const resp = await this.openai.chat.completions.create({
-        model: API_MODEL,
-        messages: [
-          { role: "system", content: systemPrompt },
-          {
-            role: "user",
-            content: [
-              { type: "file", file: { file_id: file.id } },
-              { type: "text", text: userPrompt }
-            ]
-          }
-        ],
-        max_completion_tokens: this.maxTokens,
-      });
+      const resp = await this.completeWithProgress({
+        system: systemPrompt,
+        prompt: userPrompt,
+        file,
+        maxTokens: this.maxTokens,
+        model: this.modelFor('summary'),
+      }, { stage: 'summary', from: 30, to: 90, message: "Generating summary with AI" });
 
-      // Track OpenAI costs
+      // Track LLM costs
       if (resp.usage) {
-        const cost = this.trackOpenAICost(resp.usage);
-        this.logger.log(`OpenAI cost: $${cost.toFixed(4)}`, 'info', {
+        const cost = this.trackOpenAICost(resp.usage, this.modelFor('summary'));
+        this.logger.log(`LLM cost: $${cost.toFixed(4)}`, 'info', {
           step: 'cost_tracking',
           cost,
           tokens: { input: resp.usage.prompt_tokens, output: resp.usage.completion_tokens }
@@ -2692,30 +3291,30 @@ export class SummaryForge {
 
       // Clean up uploaded file
       try {
-        await this.openai.files.delete(file.id);
+        await this.llm.deleteFile(file);
         this.logger.log("Cleaned up uploaded file");
       } catch (cleanupError) {
         this.logger.log(`Warning: Could not delete uploaded file: ${cleanupError.message}`, 'warn');
       }
 
-      const md = resp.choices[0]?.message?.content ?? "";
+      const md = resp.content;
       if (!md || md.trim().length < 200) {
         throw new Error("Model returned unexpectedly short content");
       }
 
-      this.logger.log("Successfully generated summary using GPT-5 with PDF file");
+      this.logger.log(`Successfully generated summary using ${this.llm.label} with PDF file`);
       this.logger.progress(90, "Summary generation complete", { step: 'generation_complete' });
       return {
         success: true,
         markdown: md,
         length: md.length,
         method: 'gpt5_pdf_upload',
-        message: 'Successfully generated summary using GPT-5 with PDF file'
+        message: `Successfully generated summary using ${this.llm.label} with PDF file`
       };
       
     } catch (fileUploadError) {
       // Log the file upload error
-      this.logger.log(`GPT-5 PDF file upload failed: ${fileUploadError.message}`, 'warn');
+      this.logger.log(`PDF file upload failed: ${fileUploadError.message}`, 'warn');
       if (fileUploadError.response) {
         this.logger.log(`API Error: ${fileUploadError.response.status}`, 'error', {
           status: fileUploadError.response.status,
@@ -2729,11 +3328,19 @@ export class SummaryForge {
       
       try {
         // Get PDF statistics
-        const stats = await getPdfStats(pdfPath);
-        this.logger.log(`PDF Stats: ${stats.totalPages} pages, ${stats.totalChars.toLocaleString()} chars, ~${stats.estimatedTokens.toLocaleString()} tokens`);
+        const stats = await getPdfStats(pdfPath, { model: this.modelFor('summary') });
+        this.logger.log(`PDF Stats: ${stats.totalPages} pages, ${stats.totalChars.toLocaleString()} chars, ${stats.estimatedTokens.toLocaleString()} tokens`);
         
-        // Determine if we need chunking
-        const needsChunking = stats.totalChars > this.maxChars;
+        // Scanned books have (almost) no text layer: their OCR text goes through the chunking path
+        const ocrPages = this.ocr && stats.avgCharsPerPage < OCR_MIN_CHARS_PER_PAGE
+          ? await this.ocrPages(pdfPath, stats.totalPages, checkpoints)
+          : null;
+        
+        // Chunk when the book is over maxChars or the whole prompt would not fit the model's input limit
+        const summaryPromptTokens = await this.countPromptTokens('book-summary', { fromText: true, figures: figureList }, this.modelFor('summary'));
+        const needsChunking = ocrPages !== null ||
+          stats.totalChars > this.maxChars ||
+          stats.estimatedTokens + summaryPromptTokens > this.maxInputTokens;
         
         if (!needsChunking) {
           // Small PDF - process normally without chunking
@@ -2741,56 +3348,45 @@ export class SummaryForge {
           this.logger.progress(25, "Processing PDF in single request", { step: 'single_request' });
           
           const pdfBuffer = await fsp.readFile(pdfPath);
-          const result = await PDFParse(pdfBuffer);
+          const result = await PDFParse(toPdfData(pdfBuffer));
           
-          const extractedText = result.text;
+          // Citation mode needs page boundaries, so the text is rebuilt from [Page N]-marked pages
+          const extractedText = this.citations
+            ? addPageMarkers(await extractPdfPages(pdfPath)).map((page) => page.text).join('')
+            : result.text;
           
-          if (!extractedText || extractedText.trim().length < 100) {
-            throw new Error("PDF appears to be empty or contains only images (scanned document)");
+          if (!result.text || result.text.trim().length < 100) {
+            throw new Error("PDF appears to be empty or contains only images (scanned document) - enable OCR to read it");
           }
           
-          const systemPrompt = [
-            "You are an expert technical writer. Produce a single, self-contained Markdown file.",
-            "Source: the provided book text. Do not hallucinate; pull claims from the text.",
-            "Goal: Let a reader skip the book but learn the principles.",
-            "Requirements:",
-            "- Title and author at top.",
-            "- Organize by the book's actual structure (chapters, parts, sections as they appear in the text).",
-            "- Include: Preface/Introduction, all chapters/sections found in the book, Quick-Reference tables, Final takeaways.",
-            "- Keep all graphics as ASCII (code fences) for diagrams/curves; preserve tables in Markdown.",
-            "- No external images or links.",
-            "- Write concisely but completely. Use headers, lists, and code-fenced ASCII diagrams.",
-            "- IMPORTANT: Add a 'Study Flashcards' section at the end with 20-30 Q&A pairs in this exact format:",
-            "  **Q: What is [concept]?**",
-            "  A: [Clear, concise answer in 1-3 sentences]",
-            "  ",
-            "  (blank line between each Q&A pair)",
-          ].join("\n");
-
-          const userPrompt = `Read the following book text and produce the full Markdown summary described above. Output ONLY Markdown content (no JSON, no preambles).\n\n${extractedText}`;
-
-          this.logger.log("Asking GPT-5 to generate summary from extracted text...");
+          const { system: systemPrompt, prompt: userPrompt } = await this.renderPrompts('book-summary', {
+            fromText: true,
+            figures: figureList,
+            text: extractedText,
+          });
+          const summaryModel = this.modelFor('summary');
+          this.logCostEstimate(this.countTokens(systemPrompt, summaryModel) + this.countTokens(userPrompt, summaryModel), 1, 'single request', summaryModel);
+
+          this.logger.log(`Asking ${this.llm.label} to generate summary from extracted text...`);
           this.logger.progress(40, "Generating summary with AI", { step: 'ai_generation' });
           
-          const resp = await this.openai.chat.completions.create({
-            model: API_MODEL,
-            messages: [
-              { role: "system", content: systemPrompt },
-              { role: "user", content: userPrompt }
-            ],
-            max_completion_tokens: this.maxTokens,
-          });
+          const resp = await this.completeWithProgress({
+            system: systemPrompt,
+            prompt: userPrompt,
+            maxTokens: this.maxTokens,
+            model: this.modelFor('summary'),
+          }, { stage: 'summary', from: 40, to: 90, message: "Generating summary with AI" });
 
           if (resp.usage) {
-            const cost = this.trackOpenAICost(resp.usage);
-            this.logger.log(`OpenAI cost: $${cost.toFixed(4)}`, 'info', {
+            const cost = this.trackOpenAICost(resp.usage, this.modelFor('summary'));
+            this.logger.log(`LLM cost: $${cost.toFixed(4)}`, 'info', {
               step: 'cost_tracking',
               cost,
               tokens: { input: resp.usage.prompt_tokens, output: resp.usage.completion_tokens }
             });
           }
 
-          const md = resp.choices[0]?.message?.content ?? "";
+          const md = resp.content;
           if (!md || md.trim().length < 200) {
             throw new Error("Model returned unexpectedly short content");
           }
@@ -2813,54 +3409,104 @@ export class SummaryForge {
         
         // Extract pages
         this.logger.log("Extracting pages from PDF...");
-        const pages = await extractPdfPages(pdfPath);
+        // In citation mode each page starts with a [Page N] marker the chunk prompt can cite
+        const extractedPages = ocrPages ?? await extractPdfPages(pdfPath);
+        const chunkModel = this.modelFor('chunk');
+        const pages = (this.citations ? addPageMarkers(extractedPages) : extractedPages)
+          .map((page) => ({ ...page, tokenCount: this.countTokens(page.text, chunkModel) }));
         this.logger.log(`Extracted ${pages.length} pages`);
         
-        // Calculate optimal chunk size based on model's input token limit
-        const optimalChunkSize = calculateOptimalChunkSize(stats.totalChars, this.maxInputTokens);
-        this.logger.log(`Using chunk size: ${optimalChunkSize.toLocaleString()} chars (max input tokens: ${this.maxInputTokens.toLocaleString()})`);
+        // Size chunks by real token counts: the model's input limit minus the chunk prompt itself
+        const chunkPromptTokens = await this.countPromptTokens('chunk', {
+          chunkIndex: 1,
+          totalChunks: 1,
+          startPage: 1,
+          endPage: pages.length,
+        }, chunkModel);
+        const chunkTokenBudget = calculateChunkTokenBudget(this.maxInputTokens, chunkPromptTokens);
+        this.logger.log(`Using chunk size: ${chunkTokenBudget.toLocaleString()} tokens (max input tokens: ${this.maxInputTokens.toLocaleString()})`);
         
-        // Create chunks
-        const chunks = createChunks(pages, optimalChunkSize);
+        // Create chunks that follow the book's chapters when the structure can be found
+        const { source: chapterSource, chapters } = await findChapters(pdfPath, pages);
+        let chunks;
+        if (chapterSource) {
+          this.logger.log(`Found ${chapters.length} chapters (from ${chapterSource === 'outline' ? 'PDF outline' : 'chapter headings'})`);
+          chunks = createChapterChunks(pages, chapters, chunkTokenBudget, { sizeKey: 'tokenCount' });
+        } else {
+          this.logger.log("No chapter structure found - chunking by size");
+          chunks = createChunks(pages, chunkTokenBudget, { sizeKey: 'tokenCount' });
+        }
         this.logger.log(`Created ${chunks.length} chunks for processing`);
         
         // Display chunk information
         chunks.forEach((chunk, idx) => {
-          this.logger.log(`Chunk ${idx + 1}: Pages ${chunk.startPage}-${chunk.endPage} (${chunk.charCount.toLocaleString()} chars)`, 'debug');
+          const chapterInfo = chunk.chapters ? ` [${chunk.chapters.join('; ')}]` : '';
+          this.logger.log(`Chunk ${idx + 1}: Pages ${chunk.startPage}-${chunk.endPage} (${chunk.charCount.toLocaleString()} chars, ${chunk.tokenCount.toLocaleString()} tokens)${chapterInfo}`, 'debug');
         });
+        this.logCostEstimate(
+          chunks.reduce((sum, chunk) => sum + chunk.tokenCount + chunkPromptTokens, 0),
+          chunks.length,
+          `${chunks.length} chunk requests, synthesis not included`,
+          chunkModel
+        );
         
-        // Process each chunk
-        this.logger.log("Processing chunks...");
-        this.logger.progress(25, `Processing ${chunks.length} chunks`, { step: 'chunk_processing_start', total: chunks.length });
-        const chunkSummaries = [];
+        // Process chunks concurrently; results keep chunk order for synthesis
+        const concurrency = Math.min(this.chunkConcurrency, chunks.length);
+        this.logger.log(`Processing chunks (concurrency: ${concurrency})...`);
+        this.logger.progress(25, `Processing ${chunks.length} chunks`, { step: 'chunk_processing_start', total: chunks.length, concurrency });
+        let completedChunks = 0;
         
-        for (let i = 0; i < chunks.length; i++) {
-          const chunk = chunks[i];
+        const chunkSummaries = await mapWithConcurrency(chunks, concurrency, async (chunk, i) => {
           try {
-            const summary = await this.processSingleChunk(
-              chunk.text,
-              i,
-              chunks.length,
-              chunk.startPage,
-              chunk.endPage
+            const summary = await withRetries(
+              () => this.processSingleChunk(chunk.text, i, chunks.length, chunk.startPage, chunk.endPage, {
+                checkpoints,
+                chapters: chunk.chapters,
+                figures: formatFigureList(figures.filter(({ pageNum }) => pageNum >= chunk.startPage && pageNum <= chunk.endPage))
+              }),
+              {
+                retries: this.chunkRetries,
+                delayMs: this.chunkRetryDelay,
+                shouldRetry: (error) => !isRequestError(error),
+                onRetry: (error, attempt) => this.logger.log(
+                  `Chunk ${i + 1} failed (attempt ${attempt}/${this.chunkRetries + 1}): ${error.message} - retrying`,
+                  'warn',
+                  { step: 'chunk_retry', chunk: i + 1, attempt }
+                )
+              }
+            );
+            
+            // Progress counts completed chunks, since chunks finish out of order
+            completedChunks++;
+            this.logger.progress(
+              25 + (completedChunks / chunks.length) * 55, // Reserve 20% for synthesis
+              `Processed chunk ${completedChunks}/${chunks.length}`,
+              { step: 'chunk_processing', current: completedChunks, total: chunks.length, chunk: i + 1 }
             );
-            chunkSummaries.push(summary);
+            return summary;
           } catch (chunkError) {
             this.logger.error(`Failed to process chunk ${i + 1}: ${chunkError.message}`, chunkError);
             throw new Error(`Chunk processing failed at chunk ${i + 1}: ${chunkError.message}`);
           }
-        }
+        });
         
         this.logger.log(`All ${chunks.length} chunks processed successfully`);
         this.logger.progress(80, "All chunks processed", { step: 'chunks_complete' });
         
         // Synthesize chunks into final summary
         const bookTitle = pdfPath.split('/').pop().replace(/\.pdf$/i, '').replace(/_/g, ' ');
-        const finalSummary = await this.synthesizeChunkSummaries(chunkSummaries, bookTitle);
+        const finalSummary = await this.synthesizeChunkSummaries(chunkSummaries, bookTitle, {
+          checkpoints,
+          figures: figureList,
+          sectionChapters: chunks.map((chunk) => chunk.chapters ?? []),
+          sectionPages: chunks.map(({ startPage, endPage }) => ({ startPage, endPage }))
+        });
         
         this.logger.log("Successfully generated comprehensive summary using intelligent chunking");
         this.logger.log(`Final summary: ${finalSummary.length.toLocaleString()} characters`);
-        this.logger.log("Note: Images/diagrams from PDF were not included (text-only extraction)", 'info');
+        if (figures.length === 0) {
+          this.logger.log("Note: Images/diagrams from PDF were not included (text-only extraction)", 'info');
+        }
         this.logger.progress(95, "Summary complete", { step: 'complete' });
         
         return {
@@ -2868,7 +3514,9 @@ export class SummaryForge {
           markdown: finalSummary,
           length: finalSummary.length,
           method: 'text_extraction_chunked',
+          ocr: ocrPages !== null,
           chunks: chunks.length,
+          chapters: chapters.map(({ title, pageNum }) => ({ title, pageNum })),
           message: 'Successfully generated comprehensive summary using intelligent chunking'
         };
         
@@ -2886,59 +3534,428 @@ export class SummaryForge {
   }
 
   /**
-   * Generate audio-friendly script from markdown summary
-   * Converts markdown to natural, conversational narration
-   * Returns JSON object with script result
+   * Check a summary against the source text, optionally rewriting sections with unsupported claims
+   *
+   * Samples verifyClaims claims from the summary, matches each to the source chunk it most
+   * likely comes from, and asks the LLM which claims that chunk supports.
+   * Returns JSON object with the verification report and the (possibly corrected) markdown
+   *
+   * @param {string} markdown - Summary Markdown
+   * @param {string} pdfPath - Source PDF
+   * @param {Object} [options]
+   * @param {string} [options.bookDir] - Book directory; enables checkpoints in <bookDir>/.checkpoints
+   * @param {boolean} [options.rewrite] - Rewrite sections with unsupported claims (default: verifyRewrite)
    */
-  async generateAudioScript(markdown) {
-    console.log("🎙️  Generating audio-friendly narration script...");
-    
-    const systemPrompt = [
-      "You are an expert audiobook narrator and script writer.",
-      "Convert the provided markdown summary into a natural, conversational script suitable for text-to-speech narration.",
-      "Requirements:",
-      "- Write in a warm, engaging, conversational tone",
-      "- Convert bullet points into flowing sentences",
-      "- Replace markdown formatting with natural speech patterns",
-      "- Add smooth transitions between sections",
-      "- Use phrases like 'Let's explore...', 'Now, moving on to...', 'It's important to note that...'",
-      "- Spell out acronyms on first use, then use the acronym",
-      "- Convert lists into narrative form",
-      "- Remove or describe any code examples, ASCII art, or diagrams",
-      "- Keep the content informative but make it sound like a human narrator speaking",
-      "- Maintain all key information and concepts from the original",
-      "Output ONLY the narration script, no meta-commentary."
-    ].join("\n");
-
-    const userPrompt = [
-      "Convert this markdown summary into a natural audiobook narration script:",
-      "",
-      markdown
-    ].join("\n");
+  async verifySummary(markdown, pdfPath, options = {}) {
+    const { rewrite = this.verifyRewrite } = options;
+    const checkpoints = this.openCheckpoints(options.bookDir);
+    const title = path.basename(pdfPath).replace(/\.pdf$/i, '').replace(/_/g, ' ');
 
     try {
-      const resp = await this.openai.chat.completions.create({
-        model: API_MODEL,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ],
-        max_completion_tokens: this.maxTokens,
-      });
+      this.logger.log("Verifying summary against the source text...");
+      const claims = extractClaims(markdown);
+      const sampled = sampleClaims(claims, this.verifyClaims);
+      this.logger.log(`Checking ${sampled.length} of ${claims.length} claims`);
 
-      // Track OpenAI costs
-      if (resp.usage) {
-        const cost = this.trackOpenAICost(resp.usage);
-        console.log(`💰 OpenAI cost for audio script: $${cost.toFixed(4)}`);
-        console.log(`📊 Tokens used: ${resp.usage.prompt_tokens} input, ${resp.usage.completion_tokens} output`);
-      }
+      // Small source chunks keep each request to the passage a claim comes from
+      const verifyModel = this.modelFor('verify');
+      const pages = addPageMarkers(await this.extractSourcePages(pdfPath, checkpoints))
+        .map((page) => ({ ...page, tokenCount: this.countTokens(page.text, verifyModel) }));
+      const promptTokens = await this.countPromptTokens('verify', {
+        title,
+        claims: sampled.map(({ id, text }) => `${id}. ${text}`),
+      }, verifyModel);
+      const sourceTokens = Math.min(VERIFY_SOURCE_TOKENS, calculateChunkTokenBudget(this.maxInputTokens, promptTokens));
+      const chunks = createChunks(pages, sourceTokens, { sizeKey: 'tokenCount' });
 
-      const script = resp.choices[0]?.message?.content ?? "";
+      const claimsByChunk = new Map();
+      const verdicts = new Map();
+      for (const { claim, chunkIndex } of matchClaimsToChunks(sampled, chunks)) {
+        if (chunkIndex < 0) {
+          verdicts.set(claim.id, { supported: false, reason: 'No passage in the book shares the key terms of this claim' });
+          continue;
+        }
+        claimsByChunk.set(chunkIndex, [...(claimsByChunk.get(chunkIndex) ?? []), claim]);
+      }
+
+      const groups = [...claimsByChunk.entries()];
+      let completedGroups = 0;
+      await mapWithConcurrency(groups, this.chunkConcurrency, async ([chunkIndex, chunkClaims]) => {
+        const results = await withRetries(
+          () => this.verifyClaimsAgainstChunk(chunkClaims, chunks[chunkIndex], title, { checkpoints }),
+          {
+            retries: this.chunkRetries,
+            delayMs: this.chunkRetryDelay,
+            shouldRetry: (error) => !isRequestError(error),
+            onRetry: (error, attempt) => this.logger.log(
+              `Verifying pages ${chunks[chunkIndex].startPage}-${chunks[chunkIndex].endPage} failed (attempt ${attempt}/${this.chunkRetries + 1}): ${error.message} - retrying`,
+              'warn',
+              { step: 'verification_retry', attempt }
+            )
+          }
+        );
+        // Claims the verifier skipped stay unchecked rather than counting as unsupported
+        for (const claim of chunkClaims) {
+          const verdict = results.find(({ id }) => id === claim.id);
+          if (verdict) {
+            verdicts.set(claim.id, { ...verdict, chunkIndex });
+          }
+        }
+        completedGroups++;
+        this.logger.progress(95, `Verified ${completedGroups}/${groups.length} source passages`, {
+          step: 'verification',
+          current: completedGroups,
+          total: groups.length
+        });
+      });
+
+      const checked = sampled.filter((claim) => verdicts.has(claim.id));
+      const unsupported = checked.filter((claim) => !verdicts.get(claim.id).supported);
+      const report = {
+        source: path.basename(pdfPath),
+        model: this.modelFor('verify'),
+        claimsFound: claims.length,
+        claimsChecked: checked.length,
+        supportedClaims: checked.length - unsupported.length,
+        supportRate: checked.length > 0 ? Number(((checked.length - unsupported.length) / checked.length).toFixed(3)) : null,
+        unsupportedClaims: unsupported.map((claim) => {
+          const { reason, chunkIndex } = verdicts.get(claim.id);
+          const chunk = chunks[chunkIndex];
+          return {
+            id: claim.id,
+            section: claim.section,
+            claim: claim.text,
+            reason,
+            sourcePages: chunk ? { startPage: chunk.startPage, endPage: chunk.endPage } : null
+          };
+        }),
+        rewrittenSections: []
+      };
+      this.logger.log(
+        `Verification: ${report.supportedClaims}/${report.claimsChecked} checked claims supported by the source`,
+        unsupported.length > 0 ? 'warn' : 'info',
+        { step: 'verification_complete', claimsChecked: report.claimsChecked, unsupported: unsupported.length }
+      );
+
+      let verifiedMarkdown = markdown;
+      if (rewrite && unsupported.length > 0) {
+        const sections = splitSections(markdown);
+        const claimsBySection = new Map();
+        for (const claim of unsupported) {
+          claimsBySection.set(claim.sectionIndex, [...(claimsBySection.get(claim.sectionIndex) ?? []), claim]);
+        }
+
+        this.logger.log(`Rewriting ${claimsBySection.size} section(s) with unsupported claims...`);
+        await mapWithConcurrency([...claimsBySection.entries()], this.chunkConcurrency, async ([sectionIndex, sectionClaims]) => {
+          const chunkIndexes = [...new Set(sectionClaims.map((claim) => verdicts.get(claim.id).chunkIndex))]
+            .filter((chunkIndex) => chunkIndex !== undefined);
+          const excerpt = chunkIndexes.map((chunkIndex) => chunks[chunkIndex].text).join("\n\n");
+          const sectionText = sections[sectionIndex].text;
+          const rewritten = await withRetries(
+            () => this.rewriteSection(sectionText, sectionClaims.map((claim) => ({ ...claim, ...verdicts.get(claim.id) })), excerpt, title, { checkpoints }),
+            {
+              retries: this.chunkRetries,
+              delayMs: this.chunkRetryDelay,
+              shouldRetry: (error) => !isRequestError(error)
+            }
+          );
+          // Keep the blank lines that separated the section from the next heading
+          sections[sectionIndex] = { ...sections[sectionIndex], text: rewritten + sectionText.match(/\n*$/)[0] };
+        });
+
+        verifiedMarkdown = sections.map((section) => section.text).join("\n");
+        report.rewrittenSections = [...claimsBySection.keys()]
+          .sort((a, b) => a - b)
+          .map((sectionIndex) => sections[sectionIndex].heading ?? "(introduction)");
+        this.logger.log(`Rewrote ${report.rewrittenSections.length} section(s)`);
+      }
+
+      return {
+        success: true,
+        report,
+        markdown: verifiedMarkdown,
+        rewritten: report.rewrittenSections.length > 0
+      };
+    } catch (error) {
+      this.logger.error(`Summary verification failed: ${error.message}`, error);
+      return {
+        success: false,
+        error: error.message,
+        report: null,
+        markdown
+      };
+    }
+  }
+
+  /**
+   * Ask the LLM which claims a source chunk supports
+   * @private
+   * @returns {Promise<Array<{ id: number, supported: boolean, reason: string }>>}
+   */
+  async verifyClaimsAgainstChunk(claims, chunk, bookTitle, options = {}) {
+    const { checkpoints = null } = options;
+    const { system: systemPrompt, prompt: userPrompt } = await this.renderPrompts('verify', {
+      title: bookTitle,
+      claims: claims.map(({ id, text }) => `${id}. ${text}`),
+      startPage: chunk.startPage,
+      endPage: chunk.endPage,
+      text: chunk.text,
+    });
+
+    const model = this.modelFor('verify');
+    const checkpointKey = CheckpointStore.hash(model, systemPrompt, userPrompt);
+    const savedVerdicts = await checkpoints?.get('verify', checkpointKey);
+    if (savedVerdicts) {
+      return savedVerdicts;
+    }
+
+    const resp = await this.llm.complete({
+      system: systemPrompt,
+      prompt: userPrompt,
+      maxTokens: 4000,
+      model,
+    });
+
+    if (resp.usage) {
+      const cost = this.trackOpenAICost(resp.usage, model);
+      this.logger.log(
+        `Verification (pages ${chunk.startPage}-${chunk.endPage}) cost: $${cost.toFixed(4)} (${resp.usage.prompt_tokens} in, ${resp.usage.completion_tokens} out)`,
+        'info',
+        { step: 'cost_tracking', cost, tokens: resp.usage }
+      );
+    }
+
+    const verdicts = parseVerdicts(resp.content);
+    await checkpoints?.set('verify', checkpointKey, verdicts);
+    return verdicts;
+  }
+
+  /**
+   * Rewrite one summary section so it drops or corrects its unsupported claims
+   * @private
+   * @returns {Promise<string>} Corrected section Markdown
+   */
+  async rewriteSection(sectionText, claims, excerpt, bookTitle, options = {}) {
+    const { checkpoints = null } = options;
+    const { system: systemPrompt, prompt: userPrompt } = await this.renderPrompts('section-rewrite', {
+      title: bookTitle,
+      section: sectionText.trim(),
+      claims: claims.map(({ text, reason }) => `- ${text}${reason ? ` (${reason})` : ""}`),
+      text: excerpt || "(No matching passage was found in the book.)",
+    });
+
+    const model = this.modelFor('verify');
+    const checkpointKey = CheckpointStore.hash(model, systemPrompt, userPrompt, this.maxTokens);
+    const savedSection = await checkpoints?.get('rewrite', checkpointKey);
+    if (savedSection) {
+      return savedSection;
+    }
+
+    const resp = await this.llm.complete({
+      system: systemPrompt,
+      prompt: userPrompt,
+      maxTokens: this.maxTokens,
+      model,
+    });
+
+    if (resp.usage) {
+      const cost = this.trackOpenAICost(resp.usage, model);
+      this.logger.log(
+        `Section rewrite cost: $${cost.toFixed(4)} (${resp.usage.prompt_tokens} in, ${resp.usage.completion_tokens} out)`,
+        'info',
+        { step: 'cost_tracking', cost, tokens: resp.usage }
+      );
+    }
+
+    const section = resp.content?.trim();
+    if (!section || section.length < 20) {
+      throw new Error("Section rewrite returned unexpectedly short content");
+    }
+
+    await checkpoints?.set('rewrite', checkpointKey, section);
+    return section;
+  }
+
+  /**
+   * Extract a glossary from a markdown summary: key terms with a definition and the chapter introducing them
+   * Returns JSON object with glossary result
+   *
+   * @param {string} markdown - Summary Markdown
+   * @param {Object} [options]
+   * @param {string} [options.title] - Book title for the prompt
+   * @param {string} [options.bookDir] - Book directory; enables checkpoints in <bookDir>/.checkpoints
+   * @returns {Promise<{ success: boolean, entries: Array, count: number, resumed?: boolean, message?: string, error?: string }>}
+   */
+  async generateGlossary(markdown, options = {}) {
+    const checkpoints = this.openCheckpoints(options.bookDir);
+    const { system: systemPrompt, prompt: userPrompt } = await this.renderPrompts('glossary', {
+      title: options.title ?? "the book",
+      summary: this.citations ? stripCitations(markdown) : markdown,
+    });
+
+    const model = this.modelFor('glossary');
+    const checkpointKey = CheckpointStore.hash(model, systemPrompt, userPrompt, this.maxTokens);
+    const savedEntries = await checkpoints?.get('glossary', checkpointKey);
+    if (savedEntries) {
+      this.logger.log(`Glossary restored from checkpoint (${savedEntries.length} terms)`, 'info', { step: 'checkpoint_hit' });
+      return { success: true, entries: savedEntries, count: savedEntries.length, resumed: true, message: 'Restored glossary from checkpoint' };
+    }
+
+    try {
+      this.logger.log("Extracting glossary...", 'info', { step: 'glossary' });
+      const resp = await this.llm.complete({
+        system: systemPrompt,
+        prompt: userPrompt,
+        maxTokens: this.maxTokens,
+        model,
+      });
+
+      if (resp.usage) {
+        const cost = this.trackOpenAICost(resp.usage, model);
+        this.logger.log(
+          `Glossary cost: $${cost.toFixed(4)} (${resp.usage.prompt_tokens} in, ${resp.usage.completion_tokens} out)`,
+          'info',
+          { step: 'cost_tracking', cost, tokens: resp.usage }
+        );
+      }
+
+      const entries = parseGlossary(resp.content);
+      if (entries.length === 0) {
+        throw new Error("Glossary response contained no terms");
+      }
+
+      await checkpoints?.set('glossary', checkpointKey, entries);
+      this.logger.log(`Glossary extracted: ${entries.length} terms`, 'info', { step: 'glossary', count: entries.length });
+      return { success: true, entries, count: entries.length, message: `Extracted ${entries.length} glossary terms` };
+    } catch (error) {
+      return { success: false, entries: [], count: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Write a graded quiz from a markdown summary: multiple-choice and true/false questions with explanations
+   * Returns JSON object with quiz result
+   *
+   * @param {string} markdown - Summary Markdown
+   * @param {Object} [options]
+   * @param {string} [options.title] - Book title for the prompt
+   * @param {string} [options.bookDir] - Book directory; enables checkpoints in <bookDir>/.checkpoints
+   * @returns {Promise<{ success: boolean, questions: Array, count: number, resumed?: boolean, message?: string, error?: string }>}
+   */
+  async generateQuiz(markdown, options = {}) {
+    const checkpoints = this.openCheckpoints(options.bookDir);
+    const { system: systemPrompt, prompt: userPrompt } = await this.renderPrompts('quiz', {
+      title: options.title ?? "the book",
+      summary: this.citations ? stripCitations(markdown) : markdown,
+    });
+
+    const model = this.modelFor('quiz');
+    const checkpointKey = CheckpointStore.hash(model, systemPrompt, userPrompt, this.maxTokens);
+    const savedQuestions = await checkpoints?.get('quiz', checkpointKey);
+    if (savedQuestions) {
+      this.logger.log(`Quiz restored from checkpoint (${savedQuestions.length} questions)`, 'info', { step: 'checkpoint_hit' });
+      return { success: true, questions: savedQuestions, count: savedQuestions.length, resumed: true, message: 'Restored quiz from checkpoint' };
+    }
+
+    try {
+      this.logger.log("Writing quiz...", 'info', { step: 'quiz' });
+      const resp = await this.llm.complete({
+        system: systemPrompt,
+        prompt: userPrompt,
+        maxTokens: this.maxTokens,
+        model,
+      });
+
+      if (resp.usage) {
+        const cost = this.trackOpenAICost(resp.usage, model);
+        this.logger.log(
+          `Quiz cost: $${cost.toFixed(4)} (${resp.usage.prompt_tokens} in, ${resp.usage.completion_tokens} out)`,
+          'info',
+          { step: 'cost_tracking', cost, tokens: resp.usage }
+        );
+      }
+
+      const questions = parseQuiz(resp.content);
+      if (questions.length === 0) {
+        throw new Error("Quiz response contained no valid questions");
+      }
+
+      await checkpoints?.set('quiz', checkpointKey, questions);
+      this.logger.log(`Quiz written: ${questions.length} questions`, 'info', { step: 'quiz', count: questions.length });
+      return { success: true, questions, count: questions.length, message: `Wrote ${questions.length} quiz questions` };
+    } catch (error) {
+      return { success: false, questions: [], count: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Generate audio-friendly script from markdown summary
+   * Converts markdown to natural, conversational narration
+   * Returns JSON object with script result
+   */
+  async generateAudioScript(markdown, options = {}) {
+    console.log("🎙️  Generating audio-friendly narration script...");
+    const checkpoints = this.openCheckpoints(options.bookDir);
+    
+    const systemPrompt = [
+      "You are an expert audiobook narrator and script writer.",
+      "Convert the provided markdown summary into a natural, conversational script suitable for text-to-speech narration.",
+      "Requirements:",
+      "- Write in a warm, engaging, conversational tone",
+      "- Convert bullet points into flowing sentences",
+      "- Replace markdown formatting with natural speech patterns",
+      "- Add smooth transitions between sections",
+      "- Use phrases like 'Let's explore...', 'Now, moving on to...', 'It's important to note that...'",
+      "- Spell out acronyms on first use, then use the acronym",
+      "- Convert lists into narrative form",
+      "- Remove or describe any code examples, ASCII art, or diagrams",
+      "- Keep the content informative but make it sound like a human narrator speaking",
+      "- Maintain all key information and concepts from the original",
+      ...(this.languageSuffix ? [`- Write the entire script in ${this.language.name}, translating the example phrases above`] : []),
+      "Output ONLY the narration script, no meta-commentary."
+    ].join("\n");
+
+    const userPrompt = [
+      "Convert this markdown summary into a natural audiobook narration script:",
+      "",
+      markdown
+    ].join("\n");
+
+    const model = this.modelFor('audioScript');
+    const checkpointKey = CheckpointStore.hash(model, systemPrompt, userPrompt, this.maxTokens);
+    const savedScript = await checkpoints?.get('audio-script', checkpointKey);
+    if (savedScript) {
+      console.log(`✅ Restored audio script from checkpoint: ${savedScript.length} characters`);
+      return {
+        success: true,
+        script: savedScript,
+        length: savedScript.length,
+        message: 'Restored audio script from checkpoint'
+      };
+    }
+
+    try {
+      const resp = await this.llm.complete({
+        system: systemPrompt,
+        prompt: userPrompt,
+        maxTokens: this.maxTokens,
+        model,
+      });
+
+      // Track LLM costs
+      if (resp.usage) {
+        const cost = this.trackOpenAICost(resp.usage, model);
+        console.log(`💰 LLM cost for audio script: $${cost.toFixed(4)}`);
+        console.log(`📊 Tokens used: ${resp.usage.prompt_tokens} input, ${resp.usage.completion_tokens} output`);
+      }
+
+      const script = resp.content;
       if (!script || script.trim().length < 100) {
         throw new Error("Model returned unexpectedly short audio script");
       }
 
       console.log(`✅ Generated audio script: ${script.length} characters`);
+      await checkpoints?.set('audio-script', checkpointKey, script);
       return {
         success: true,
         script,
@@ -3031,7 +4048,7 @@ export class SummaryForge {
    * Generate audio from text using ElevenLabs TTS with chunking and streaming
    * Returns JSON object with audio generation result
    */
-  async generateAudio(text, outputPath) {
+  async generateAudio(text, outputPath, options = {}) {
     if (!this.elevenlabs) {
       console.log("ℹ️  Skipping audio generation (ElevenLabs API key not provided)");
       return {
@@ -3066,29 +4083,50 @@ export class SummaryForge {
 
       const audioBuffers = [];
       const requestIds = [];
+      const checkpoints = this.openCheckpoints(options.bookDir);
+      let restoredChars = 0;
       
       for (let i = 0; i < chunks.length; i++) {
         const chunk = chunks[i];
+        
+        // Stitching context depends on position, so the index is part of the key
+        const checkpointKey = CheckpointStore.hash(this.voiceId, this.voiceSettings, "eleven_turbo_v2_5", i, chunk);
+        const savedAudio = await checkpoints?.getBuffer('audio', checkpointKey);
+        if (savedAudio) {
+          audioBuffers.push(savedAudio);
+          restoredChars += chunk.length;
+          requestIds.push(`chunk_${i}`);
+          if (requestIds.length > 3) {
+            requestIds.shift();
+          }
+          console.log(`   ♻️  Chunk ${i + 1}/${chunks.length} restored from checkpoint (${savedAudio.length} bytes)`);
+          continue;
+        }
+        
         console.log(`   Processing chunk ${i + 1}/${chunks.length} (${chunk.length} chars)...`);
         
         try {
-          // Use textToSpeech.convert with request stitching
-          const audioStream = await this.elevenlabs.textToSpeech.convert(this.voiceId, {
-            text: chunk,
-            model_id: "eleven_turbo_v2_5",
-            output_format: "mp3_44100_128",
-            previous_request_ids: requestIds.length > 0 ? requestIds : undefined,
-            voice_settings: this.voiceSettings
-          });
-          
-          // Collect audio chunks into buffer
-          const chunkBuffers = [];
-          for await (const audioChunk of audioStream) {
-            chunkBuffers.push(audioChunk);
-          }
-          
-          const chunkBuffer = Buffer.concat(chunkBuffers);
+          // Use textToSpeech.convert with request stitching; the SDK's own retries are off so
+          // the shared retry policy (and its rate limit) applies, including to a broken stream
+          const chunkBuffer = await requestWithRetry(async () => {
+            const audioStream = await this.elevenlabs.textToSpeech.convert(this.voiceId, {
+              text: chunk,
+              model_id: "eleven_turbo_v2_5",
+              language_code: this.languageSuffix ? this.language.code : undefined,
+              output_format: "mp3_44100_128",
+              previous_request_ids: requestIds.length > 0 ? requestIds : undefined,
+              voice_settings: this.voiceSettings
+            }, { maxRetries: 0 });
+            
+            // Collect audio chunks into buffer
+            const chunkBuffers = [];
+            for await (const audioChunk of audioStream) {
+              chunkBuffers.push(audioChunk);
+            }
+            return Buffer.concat(chunkBuffers);
+          }, this.retryOptions('tts'));
           audioBuffers.push(chunkBuffer);
+          await checkpoints?.setBuffer('audio', checkpointKey, chunkBuffer);
           
           // Store request ID for stitching (if available from headers)
           // Note: Request ID tracking may not be available in all SDK versions
@@ -3111,8 +4149,8 @@ export class SummaryForge {
       
       console.log(`📊 Total audio size: ${(finalAudioBuffer.length / 1024 / 1024).toFixed(2)} MB`);
       
-      // Track ElevenLabs costs
-      const cost = this.trackElevenLabsCost(textToConvert.length);
+      // Track ElevenLabs costs (restored chunks were already paid for)
+      const cost = this.trackElevenLabsCost(Math.max(0, textToConvert.length - restoredChars));
       console.log(`✅ Generated audio: ${outputPath}`);
       console.log(`💰 ElevenLabs cost: $${cost.toFixed(4)}`);
       
@@ -3181,42 +4219,156 @@ export class SummaryForge {
    * Generate output files using Pandoc
    */
   async generateOutputFiles(markdown, basename, outputDir) {
-    const summaryMd = path.join(outputDir, `${basename}.summary.md`);
-    const summaryTxt = path.join(outputDir, `${basename}.summary.txt`);
-    const summaryPdf = path.join(outputDir, `${basename}.summary.pdf`);
-    const summaryEpub = path.join(outputDir, `${basename}.summary.epub`);
-    const audioScript = path.join(outputDir, `${basename}.audio-script.txt`);
-    const summaryMp3 = path.join(outputDir, `${basename}.summary.mp3`);
-    const flashcardsPdf = path.join(outputDir, `${basename}.flashcards.pdf`);
+    const lang = this.languageSuffix;
+    const summaryMd = path.join(outputDir, `${basename}.summary${lang}.md`);
+    const summaryTxt = path.join(outputDir, `${basename}.summary${lang}.txt`);
+    const summaryPdf = path.join(outputDir, `${basename}.summary${lang}.pdf`);
+    const summaryEpub = path.join(outputDir, `${basename}.summary${lang}.epub`);
+    const audioScript = path.join(outputDir, `${basename}.audio-script${lang}.txt`);
+    const summaryMp3 = path.join(outputDir, `${basename}.summary${lang}.mp3`);
+    const flashcardsPdf = path.join(outputDir, `${basename}.flashcards${lang}.pdf`);
+    const flashcardLabels = getFlashcardLabels(this.language.code);
+    // Sets hyphenation and the EPUB language for non-English summaries
+    const langMetadata = lang ? ["--metadata", `lang=${this.language.code}`] : [];
+
+    // [Figure N] references become images, with paths relative to the book directory
+    const figures = this.figures ? await readFigureManifest(outputDir) : [];
+    const summaryMarkdown = embedFigures(markdown, figures);
+    const resourcePath = figures.length > 0 ? [`--resource-path=${outputDir}`] : [];
 
     // Write markdown file
-    await fsp.writeFile(summaryMd, markdown, "utf8");
+    await fsp.writeFile(summaryMd, summaryMarkdown, "utf8");
     
     // Write plain text file (strip markdown formatting)
-    const plainText = this.stripMarkdown(markdown);
+    const plainText = this.stripMarkdown(summaryMarkdown);
     await fsp.writeFile(summaryTxt, plainText, "utf8");
     
     console.log(`✅ Wrote ${summaryMd} and ${summaryTxt}`);
 
-    console.log("🛠️ Rendering PDF via pandoc...");
-    await this.sh("pandoc", [
-      summaryMd,
-      "-o", summaryPdf,
-      "--standalone",
-      "--toc",
-      "--metadata", `title=${basename.replace(/_/g, ' ')} (Summary)`,
-      "--metadata", `author=Summary by OpenAI GPT-5`,
-      "--metadata", `date=${new Date().toISOString().slice(0, 10)}`,
-      "--pdf-engine=xelatex"
-    ]);
+    let chapterFiles = null;
+    if (this.chapterFiles) {
+      const chaptersResult = await this.writeChapterFiles(markdown, basename, outputDir, { figures });
+      if (chaptersResult.success) {
+        chapterFiles = chaptersResult;
+        console.log(`✅ Wrote ${chaptersResult.chapters.length} chapter files and ${chaptersResult.index}`);
+      } else {
+        console.log(`⚠️  Skipping chapter files: ${chaptersResult.error}`);
+      }
+    }
 
-    console.log("🛠️ Rendering EPUB...");
-    await this.sh("pandoc", [
-      summaryMd,
-      "-o", summaryEpub,
-      "--standalone",
-      "--toc",
-    ]);
+    // Glossary files, plus an appendix for the PDF/EPUB and definition cards for the flashcards
+    let glossary = null;
+    if (this.glossary) {
+      const title = basename.replace(/_/g, ' ');
+      const glossaryResult = await this.generateGlossary(markdown, { title, bookDir: outputDir });
+      if (glossaryResult.success) {
+        glossary = {
+          entries: glossaryResult.entries,
+          md: path.join(outputDir, `${basename}.glossary${lang}.md`),
+          json: path.join(outputDir, `${GLOSSARY_BASENAME}${lang}.json`),
+          appendix: formatGlossaryMarkdown(glossaryResult.entries, { heading: flashcardLabels.glossary })
+        };
+        await fsp.writeFile(glossary.md, formatGlossaryMarkdown(glossary.entries, { heading: `${title} - ${flashcardLabels.glossary}` }), "utf8");
+        const glossaryJson = { title, language: this.language.code, count: glossary.entries.length, terms: glossary.entries };
+        await fsp.writeFile(glossary.json, `${JSON.stringify(glossaryJson, null, 2)}\n`, "utf8");
+        console.log(`✅ Wrote glossary (${glossary.entries.length} terms): ${glossary.md} and ${glossary.json}`);
+      } else {
+        console.log(`⚠️  Skipping glossary: ${glossaryResult.error}`);
+      }
+    }
+
+    // Quiz files: quiz.json plus the GIFT and QTI exports and a printable PDF with the answer key
+    let quiz = null;
+    if (this.quiz) {
+      const title = basename.replace(/_/g, ' ');
+      const quizResult = await this.generateQuiz(markdown, { title, bookDir: outputDir });
+      if (quizResult.success) {
+        const quizFiles = {
+          json: path.join(outputDir, `${QUIZ_BASENAME}${lang}.json`),
+          gift: path.join(outputDir, `${basename}.quiz${lang}.gift`),
+          qti: path.join(outputDir, this.localizedDirName(QTI_DIRNAME)),
+          pdf: path.join(outputDir, `${basename}.quiz${lang}.pdf`)
+        };
+        const quizTitle = `${title} - ${flashcardLabels.quiz}`;
+        const quizJson = { title, language: this.language.code, count: quizResult.count, questions: quizResult.questions };
+        try {
+          await fsp.writeFile(quizFiles.json, `${JSON.stringify(quizJson, null, 2)}\n`, "utf8");
+          await fsp.writeFile(quizFiles.gift, formatQuizGift(quizResult.questions, { title: quizTitle }), "utf8");
+          await writeQtiPackage(quizResult.questions, quizFiles.qti, { title: quizTitle, labels: flashcardLabels });
+          await generateQuizPDF(quizResult.questions, quizFiles.pdf, { title: quizTitle, branding: 'SummaryForge.com', labels: flashcardLabels });
+          quiz = quizFiles;
+          console.log(`✅ Wrote quiz (${quizResult.count} questions): ${quiz.json}, ${quiz.gift}, ${quiz.pdf} and ${quiz.qti}/`);
+        } catch (error) {
+          console.log(`⚠️  Skipping quiz: ${error.message}`);
+        }
+      } else {
+        console.log(`⚠️  Skipping quiz: ${quizResult.error}`);
+      }
+    }
+
+    // Mind map of the summary's headings and key points
+    let mindMap = null;
+    if (this.mindMap) {
+      const tree = buildMindMap(markdown, { title: basename.replace(/_/g, ' ') });
+      if (tree.children.length > 0) {
+        try {
+          mindMap = await writeMindMap(tree, outputDir, { suffix: lang, branding: 'SummaryForge.com' });
+          console.log(`✅ Wrote mind map: ${[mindMap.mermaid, mindMap.opml, mindMap.freemind, mindMap.svg, mindMap.png].filter(Boolean).join(', ')}`);
+          if (mindMap.pngError) {
+            console.log(`⚠️  Skipping mind map PNG: ${mindMap.pngError}`);
+          }
+        } catch (error) {
+          console.log(`⚠️  Skipping mind map: ${error.message}`);
+        }
+      } else {
+        console.log('⚠️  Skipping mind map: the summary has no headings or key points');
+      }
+    }
+
+    // Page citations stay inline in the .md and become footnotes in the PDF/EPUB; the glossary is appended
+    const toPandocMarkdown = (text) => `${this.citations ? citationsToFootnotes(text) : text}${glossary ? `\n\n${glossary.appendix}` : ""}`;
+    const pandocSource = this.citations || glossary ? path.join(outputDir, `.${basename}.pandoc.md`) : summaryMd;
+    if (pandocSource !== summaryMd) {
+      await fsp.writeFile(pandocSource, toPandocMarkdown(summaryMarkdown), "utf8");
+    }
+    // With chapter files, every chapter becomes a level-1 heading so the EPUB splits and navigates by chapter
+    const epubSource = chapterFiles ? path.join(outputDir, `.${basename}.chapters.md`) : pandocSource;
+    if (chapterFiles) {
+      await fsp.writeFile(epubSource, toPandocMarkdown(embedFigures(chapterFiles.epubMarkdown, figures)), "utf8");
+    }
+
+    try {
+      console.log("🛠️ Rendering PDF via pandoc...");
+      await this.sh("pandoc", [
+        pandocSource,
+        "-o", summaryPdf,
+        "--standalone",
+        "--toc",
+        "--metadata", `title=${basename.replace(/_/g, ' ')} (Summary)`,
+        "--metadata", `author=Summary by ${this.llm.label}`,
+        "--metadata", `date=${new Date().toISOString().slice(0, 10)}`,
+        ...langMetadata,
+        ...resourcePath,
+        "--pdf-engine=xelatex"
+      ]);
+
+      console.log("🛠️ Rendering EPUB...");
+      await this.sh("pandoc", [
+        epubSource,
+        "-o", summaryEpub,
+        "--standalone",
+        "--toc",
+        ...(chapterFiles ? ["--metadata", `title=${chapterFiles.title}`] : []),
+        ...langMetadata,
+        ...resourcePath,
+      ]);
+    } finally {
+      for (const tempSource of new Set([pandocSource, epubSource])) {
+        if (tempSource !== summaryMd) {
+          await fsp.rm(tempSource, { force: true });
+        }
+      }
+    }
 
     // Generate audio-friendly script and audio if ElevenLabs is configured
     let audioPath = null;
@@ -3224,48 +4376,42 @@ export class SummaryForge {
     
     if (this.elevenlabs) {
       // Generate audio script
-      const scriptResult = await this.generateAudioScript(markdown);
+      // Page references would be read aloud, so narration starts from the summary without them
+      const narrationMarkdown = this.citations ? stripCitations(markdown) : markdown;
+      const scriptResult = await this.generateAudioScript(narrationMarkdown, { bookDir: outputDir });
       if (scriptResult.success && scriptResult.script) {
         await fsp.writeFile(audioScript, scriptResult.script, "utf8");
         audioScriptPath = audioScript;
         console.log(`✅ Wrote audio script: ${audioScript}`);
         
         // Generate audio from script
-        const audioResult = await this.generateAudio(scriptResult.script, summaryMp3);
+        const audioResult = await this.generateAudio(scriptResult.script, summaryMp3, { bookDir: outputDir });
         if (audioResult.success && audioResult.path) {
           audioPath = audioResult.path;
         }
       }
     }
 
-    // Generate flashcards MD and PDF using dedicated GPT call
-    console.log("🃏 Generating flashcards with GPT...");
+    // Generate flashcards MD and PDF using dedicated LLM call
+    console.log("🃏 Generating flashcards with LLM...");
     let flashcardsPath = null;
     let flashcardsMdPath = null;
     try {
-      const flashcardResp = await this.openai.chat.completions.create({
-        model: API_MODEL,
-        messages: [
-          {
-            role: "system",
-            content: "You are a study aid creator. Generate 20-30 flashcard Q&A pairs from the provided summary. Output ONLY the flashcards in this exact format:\n\n**Q: Question here?**\nA: Answer here\n\n**Q: Next question?**\nA: Next answer\n\n(blank line between each pair, continue for all cards)"
-          },
-          {
-            role: "user",
-            content: `Generate flashcards from this summary:\n\n${markdown.substring(0, 50000)}`
-          }
-        ],
-        max_completion_tokens: 4000,
+      const flashcardResp = await this.llm.complete({
+        system: `You are a study aid creator. Generate ${this.depthPreset.flashcardCount} flashcard Q&A pairs from the provided summary. Output ONLY the flashcards in this exact format:\n\n**Q: Question here?**\nA: Answer here\n\n**Q: Next question?**\nA: Next answer\n\n(blank line between each pair, continue for all cards)${lang ? `\n\nWrite the questions and answers in ${this.language.name}, but keep the "**Q:**" and "A:" markers exactly as shown.` : ""}`,
+        prompt: `Generate flashcards from this summary:\n\n${markdown.substring(0, 50000)}`,
+        maxTokens: this.depthPreset.flashcardMaxTokens,
+        model: this.modelFor('flashcards'),
       });
       
       if (flashcardResp.usage) {
-        this.trackOpenAICost(flashcardResp.usage);
+        this.trackOpenAICost(flashcardResp.usage, this.modelFor('flashcards'));
       }
       
-      const flashcardText = flashcardResp.choices[0]?.message?.content ?? "";
+      const flashcardText = flashcardResp.content;
       if (!flashcardText || flashcardText.trim().length === 0) {
-        console.log('⚠️  GPT returned empty flashcard content, skipping flashcard generation');
-        console.log(`   Response status: ${flashcardResp.choices[0]?.finish_reason || 'unknown'}`);
+        console.log('⚠️  LLM returned empty flashcard content, skipping flashcard generation');
+        console.log(`   Response status: ${flashcardResp.finishReason || 'unknown'}`);
         return {
           success: true,
           files: {
@@ -3273,37 +4419,52 @@ export class SummaryForge {
             summaryTxt,
             summaryPdf,
             summaryEpub,
+            chapterIndex: chapterFiles?.index ?? null,
+            chapters: chapterFiles?.chapters.map((chapter) => chapter.path) ?? [],
+            figures: figures.map((figure) => path.join(outputDir, figure.file)),
+            glossaryMd: glossary?.md ?? null,
+            glossaryJson: glossary?.json ?? null,
+            quizJson: quiz?.json ?? null,
+            quizGift: quiz?.gift ?? null,
+            quizQti: quiz?.qti ?? null,
+            quizPdf: quiz?.pdf ?? null,
+            mindMapMermaid: mindMap?.mermaid ?? null,
+            mindMapOpml: mindMap?.opml ?? null,
+            mindMapFreeMind: mindMap?.freemind ?? null,
+            mindMapSvg: mindMap?.svg ?? null,
+            mindMapPng: mindMap?.png ?? null,
             audioScript: audioScriptPath,
             summaryMp3: audioPath,
             flashcardsMd: null,
             flashcardsPdf: null
           },
-          message: 'Successfully generated output files (flashcards skipped due to empty GPT response)'
+          message: 'Successfully generated output files (flashcards skipped due to empty LLM response)'
         };
       }
       
       console.log(`📝 Flashcard text received: ${flashcardText.length} chars`);
       console.log(`📝 First 200 chars: ${flashcardText.substring(0, 200)}...`);
       
-      const flashcards = extractFlashcards(flashcardText, { maxCards: 100 });
+      const flashcards = extractFlashcards(flashcardText, { maxCards: 100, glossary: glossary?.entries, labels: flashcardLabels });
       
       console.log(`🔍 Extraction result: ${flashcards.count} flashcards found`);
       if (flashcards.patterns) {
         console.log(`   - QA format: ${flashcards.patterns.qaFormat}`);
         console.log(`   - Definitions: ${flashcards.patterns.definitions}`);
         console.log(`   - Headers: ${flashcards.patterns.headers}`);
+        console.log(`   - Glossary: ${flashcards.patterns.glossary}`);
       }
       
       if (flashcards.count > 0) {
         console.log(`📚 Generated ${flashcards.count} flashcards`);
         
         // Generate flashcards.md file
-        const flashcardsMd = path.join(outputDir, `${basename}.flashcards.md`);
+        const flashcardsMd = path.join(outputDir, `${basename}.flashcards${lang}.md`);
         const flashcardsContent = [
-          `# ${basename.replace(/_/g, ' ')} - Study Flashcards`,
+          `# ${basename.replace(/_/g, ' ')} - ${flashcardLabels.studyFlashcards}`,
           '',
           `Generated by SummaryForge.com`,
-          `Total cards: ${flashcards.count}`,
+          `${flashcardLabels.totalCards}: ${flashcards.count}`,
           '',
           '---',
           '',
@@ -3319,17 +4480,19 @@ export class SummaryForge {
         // Generate flashcards PDF
         await generateFlashcardsPDF(flashcards.flashcards, flashcardsPdf, {
           title: basename.replace(/_/g, ' '),
-          branding: 'SummaryForge.com'
+          branding: 'SummaryForge.com',
+          labels: flashcardLabels
         });
         flashcardsPath = flashcardsPdf;
         console.log(`✅ Generated flashcards PDF: ${flashcardsPdf}`);
         
         // Generate flashcard images in ./flashcards subdirectory
-        const flashcardsImagesDir = path.join(outputDir, 'flashcards');
+        const flashcardsImagesDir = path.join(outputDir, this.localizedDirName('flashcards'));
         console.log(`🖼️  Generating flashcard images in ${flashcardsImagesDir}...`);
         const imagesResult = await generateFlashcardImages(flashcards.flashcards, flashcardsImagesDir, {
           title: basename.replace(/_/g, ' '),
-          branding: 'SummaryForge.com'
+          branding: 'SummaryForge.com',
+          labels: flashcardLabels
         });
         
         if (imagesResult.success) {
@@ -3338,7 +4501,7 @@ export class SummaryForge {
           console.log(`⚠️  Failed to generate flashcard images: ${imagesResult.error}`);
         }
       } else {
-        console.log("⚠️  No flashcards extracted from GPT response");
+        console.log("⚠️  No flashcards extracted from LLM response");
       }
     } catch (error) {
       console.log(`⚠️  Failed to generate flashcards: ${error.message}`);
@@ -3351,6 +4514,20 @@ export class SummaryForge {
         summaryTxt,
         summaryPdf,
         summaryEpub,
+        chapterIndex: chapterFiles?.index ?? null,
+        chapters: chapterFiles?.chapters.map((chapter) => chapter.path) ?? [],
+        figures: figures.map((figure) => path.join(outputDir, figure.file)),
+        glossaryMd: glossary?.md ?? null,
+        glossaryJson: glossary?.json ?? null,
+        quizJson: quiz?.json ?? null,
+        quizGift: quiz?.gift ?? null,
+        quizQti: quiz?.qti ?? null,
+        quizPdf: quiz?.pdf ?? null,
+        mindMapMermaid: mindMap?.mermaid ?? null,
+        mindMapOpml: mindMap?.opml ?? null,
+        mindMapFreeMind: mindMap?.freemind ?? null,
+        mindMapSvg: mindMap?.svg ?? null,
+        mindMapPng: mindMap?.png ?? null,
         audioScript: audioScriptPath,
         summaryMp3: audioPath,
         flashcardsMd: flashcardsMdPath,
@@ -3360,6 +4537,127 @@ export class SummaryForge {
     };
   }
 
+  /**
+   * requestWithRetry() options for a service ('llm' or 'tts'); every retry is emitted as a `retry` event
+   * @private
+   */
+  retryOptions(service) {
+    return {
+      retries: this.maxRetries,
+      baseDelay: this.retryBaseDelay,
+      maxDelay: this.retryMaxDelay,
+      limiter: this.rateLimiters[service],
+      onRetry: ({ error, attempt, retries, delay, status, operation }) => {
+        const label = service === 'tts' ? 'ElevenLabs' : this.llm.label;
+        this.logger.retry(
+          `${label} request failed (${status ?? error.code ?? error.name}: ${error.message}) - retry ${attempt}/${retries} in ${(delay / 1000).toFixed(1)}s`,
+          { service, operation: operation ?? 'tts', attempt, retries, delay, status, error: error.message }
+        );
+      },
+    };
+  }
+
+  /**
+   * Log a truncated completion and add a warning for the result object
+   * @private
+   */
+  recordTruncation({ request, continuations, truncated }) {
+    const model = request.model ?? this.llm.model;
+    const limit = `${request.maxTokens?.toLocaleString() ?? 'output'}-token limit`;
+    const message = truncated
+      ? `${model} output is still cut off at the ${limit} after ${continuations} continuation(s); the text ends mid-way`
+      : `${model} output reached the ${limit} and was continued in ${continuations} more request(s)`;
+    this.warnings.push({ code: truncated ? 'output_truncated' : 'output_continued', model, continuations, message });
+    this.logger.log(message, 'warn', { step: 'continuation', model, continuations, truncated });
+  }
+
+  /**
+   * Throw if a replay ran into requests it had no fixture for
+   * @private
+   * @throws {Error} Listing the missing fixtures
+   */
+  assertReplayComplete() {
+    const report = this.fixtures?.missReport();
+    if (report) {
+      this.logger.log(report, 'error', { step: 'replay', misses: this.fixtures.misses.map(({ kind, key }) => ({ kind, key })) });
+      throw new Error(report);
+    }
+  }
+
+  /**
+   * Name of an output folder, with the language code for non-English output (e.g. "flashcards-es")
+   * @private
+   */
+  localizedDirName(name) {
+    return this.languageSuffix ? `${name}-${this.language.code}` : name;
+  }
+
+  /**
+   * Write one Markdown file per chapter plus an index to <outputDir>/chapters/
+   * Chapter headings become level-1 headings in each file
+   * Returns JSON object with the written files and the Markdown for a chapter-split EPUB
+   *
+   * @param {string} markdown - Summary Markdown
+   * @param {string} basename - Book basename (used for the title and the link to the full summary)
+   * @param {string} outputDir - Book directory
+   * @param {Object} [options]
+   * @param {Array} [options.figures] - Figures to embed where chapters reference them (epubMarkdown keeps the references)
+   */
+  async writeChapterFiles(markdown, basename, outputDir, options = {}) {
+    const { figures = [] } = options;
+    try {
+      const { title: summaryTitle, level, front, chapters } = splitChapters(markdown);
+      if (chapters.length === 0) {
+        throw new Error("No chapter headings found in the summary");
+      }
+
+      const title = summaryTitle ?? basename.replace(/_/g, ' ');
+      const chaptersDir = path.join(outputDir, this.localizedDirName(CHAPTERS_DIRNAME));
+      // Titles may have changed since the last run, so stale chapter files are removed
+      await fsp.rm(chaptersDir, { recursive: true, force: true });
+      await fsp.mkdir(chaptersDir, { recursive: true });
+
+      const written = [];
+      for (const [idx, chapter] of chapters.entries()) {
+        const fileName = chapterFileName(idx, chapter.title, chapters.length);
+        const chapterMarkdown = promoteHeadings(chapter.text, level - 1);
+        const chapterPath = path.join(chaptersDir, fileName);
+        await fsp.writeFile(chapterPath, `${embedFigures(chapterMarkdown, figures, { baseDir: '..' })}\n`, "utf8");
+        written.push({ title: chapter.title, fileName, path: chapterPath, markdown: chapterMarkdown });
+      }
+
+      const index = path.join(chaptersDir, 'index.md');
+      const indexMarkdown = [
+        `# ${title}`,
+        '',
+        ...(front ? [embedFigures(promoteHeadings(front, level - 2), figures, { baseDir: '..' }), ''] : []),
+        '## Chapters',
+        '',
+        ...written.map((chapter, idx) => `${idx + 1}. [${chapter.title}](${encodeURI(chapter.fileName)})`),
+        '',
+        `Full summary: [${basename}.summary${this.languageSuffix}.md](${encodeURI(`../${basename}.summary${this.languageSuffix}.md`)})`,
+        '',
+      ].join('\n');
+      await fsp.writeFile(index, indexMarkdown, "utf8");
+
+      return {
+        success: true,
+        title,
+        directory: chaptersDir,
+        index,
+        chapters: written.map(({ markdown: _, ...chapter }) => chapter),
+        epubMarkdown: [promoteHeadings(front, level - 1), ...written.map((chapter) => chapter.markdown)]
+          .filter(Boolean)
+          .join('\n\n')
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Create bundle archive
    * Returns JSON object with bundle result
@@ -3418,78 +4716,69 @@ export class SummaryForge {
     const pdfSizeMB = (stats.size / 1024 / 1024).toFixed(2);
     console.log(`📊 PDF size: ${pdfSizeMB} MB (${pdfSizeKB} KB)`);
     
-    // Try GPT-5 with file upload first
+    // Try the provider with file upload first
+    let file = null;
+    if (this.llm.supportsFileInput !== false) {
+      try {
+        console.log(`🔄 Attempting ${this.llm.label} with PDF file upload...`);
+        file = await this.llm.uploadFile(pdfPath);
+        console.log(`✅ PDF uploaded. File ID: ${file.id}`);
+      } catch (fileUploadError) {
+        console.error(`⚠️  PDF file upload failed: ${fileUploadError.message}`);
+      }
+    }
+    
     try {
-      console.log("🔄 Attempting GPT-5 with PDF file upload...");
-      
-      // Upload PDF file to OpenAI
-      const fileStream = fs.createReadStream(pdfPath);
-      const file = await this.openai.files.create({
-        file: fileStream,
-        purpose: 'user_data'
-      });
+      let prompts;
+      if (file) {
+        prompts = await this.renderPrompts('webpage-summary', { title: pageTitle, url, fromText: false });
+        console.log(`🧠 Asking ${this.llm.label} to generate summary from web page PDF...`);
+      } else {
+        // Fallback: providers without PDF input get the page text
+        console.log("🔄 Falling back to text extraction...");
+        const result = await PDFParse(toPdfData(await fsp.readFile(pdfPath)));
+        if (!result.text || result.text.trim().length < 100) {
+          throw new Error("Web page PDF contains no text to summarize");
+        }
+        
+        prompts = await this.renderPrompts('webpage-summary', { title: pageTitle, url, fromText: true, text: result.text });
+        if (!this.fitsInputBudget(prompts, this.modelFor('summary'))) {
+          throw new Error(`The web page is too long to summarize in one request (maxInputTokens: ${this.maxInputTokens})`);
+        }
+        console.log(`🧠 Asking ${this.llm.label} to generate summary from web page text...`);
+      }
       
-      console.log(`✅ PDF uploaded. File ID: ${file.id}`);
-      
-      const systemPrompt = [
-        "You are an expert technical writer. Produce a single, self-contained Markdown file.",
-        "Source: the attached PDF containing a web page. Focus on the MAIN CONTENT only.",
-        "IMPORTANT: Ignore navigation menus, headers, footers, advertisements, and sidebars.",
-        "Goal: Extract and summarize the core content of the web page.",
-        "Requirements:",
-        `- Title: "${pageTitle}" (from: ${url})`,
-        "- Organize by the actual content structure (sections, headings as they appear).",
-        "- Include: Main content sections, key points, important information.",
-        "- Keep all graphics as ASCII (code fences) for diagrams; preserve tables in Markdown.",
-        "- No external images or links.",
-        "- Write concisely but completely. Use headers, lists, and code-fenced ASCII diagrams.",
-        "- IMPORTANT: Add a 'Study Flashcards' section at the end with 20-30 Q&A pairs in this exact format:",
-        "  **Q: What is [concept]?**",
-        "  A: [Clear, concise answer in 1-3 sentences]",
-        "  ",
-        "  (blank line between each Q&A pair)",
-      ].join("\n");
-
-      const userPrompt = "Read the attached PDF (web page content) and produce the full Markdown summary described above. Focus on the main content and ignore navigation/ads/footers. Output ONLY Markdown content (no JSON, no preambles).";
-
-      console.log("🧠 Asking GPT-5 to generate summary from web page PDF...");
-      
-      const resp = await this.openai.chat.completions.create({
-        model: API_MODEL,
-        messages: [
-          { role: "system", content: systemPrompt },
-          {
-            role: "user",
-            content: [
-              { type: "file", file: { file_id: file.id } },
-              { type: "text", text: userPrompt }
-            ]
-          }
-        ],
-        max_completion_tokens: this.maxTokens,
+      const resp = await this.llm.complete({
+        system: prompts.system,
+        prompt: prompts.prompt,
+        ...(file ? { file } : {}),
+        maxTokens: this.maxTokens,
+        model: this.modelFor('summary'),
       });
 
-      // Track OpenAI costs
+      // Track LLM costs
       if (resp.usage) {
-        const cost = this.trackOpenAICost(resp.usage);
-        console.log(`💰 OpenAI cost: $${cost.toFixed(4)}`);
+        const cost = this.trackOpenAICost(resp.usage, this.modelFor('summary'));
+        console.log(`💰 LLM cost: $${cost.toFixed(4)}`);
         console.log(`📊 Tokens used: ${resp.usage.prompt_tokens} input, ${resp.usage.completion_tokens} output`);
       }
 
       // Clean up uploaded file
-      try {
-        await this.openai.files.delete(file.id);
-        console.log(`🗑️  Cleaned up uploaded file`);
-      } catch (cleanupError) {
-        console.log(`⚠️  Warning: Could not delete uploaded file: ${cleanupError.message}`);
+      if (file) {
+        try {
+          await this.llm.deleteFile(file);
+          console.log(`🗑️  Cleaned up uploaded file`);
+        } catch (cleanupError) {
+          console.log(`⚠️  Warning: Could not delete uploaded file: ${cleanupError.message}`);
+        }
       }
 
-      const md = resp.choices[0]?.message?.content ?? "";
+      const md = resp.content;
       if (!md || md.trim().length < 200) {
         throw new Error("Model returned unexpectedly short content");
       }
 
-      console.log("✅ Successfully generated summary using GPT-5 with web page PDF");
+      console.log(`✅ Successfully generated summary using ${this.llm.label} with web page ${file ? 'PDF' : 'text'}`);
       return {
         success: true,
         markdown: md,
@@ -3497,11 +4786,11 @@ export class SummaryForge {
         message: 'Successfully generated web page summary'
       };
       
-    } catch (fileUploadError) {
-      console.error(`⚠️  GPT-5 PDF file upload failed: ${fileUploadError.message}`);
+    } catch (error) {
+      console.error(`⚠️  Web page summary failed: ${error.message}`);
       return {
         success: false,
-        error: fileUploadError.message,
+        error: error.message,
         markdown: null,
         length: 0
       };
@@ -3536,34 +4825,26 @@ export class SummaryForge {
     const cleanTitle = generateCleanTitle(rawTitle, url);
     this.logger.log(`Clean title: ${cleanTitle}`);
     
-    // Generate title using OpenAI if it's too generic
+    // Generate title using the LLM if it's too generic
     let finalTitle = cleanTitle;
     if (cleanTitle.length < 10 || cleanTitle.toLowerCase().includes('webpage')) {
-      this.logger.log("Generating better title using OpenAI...");
+      this.logger.log("Generating better title using LLM...");
       this.logger.progress(5, "Improving title with AI", { step: 'title_generation' });
       try {
-        const titleResp = await this.openai.chat.completions.create({
-          model: API_MODEL,
-          messages: [
-            {
-              role: "system",
-              content: "Generate a concise, descriptive title (max 60 chars) for this web page based on its content. Output ONLY the title, no quotes or extra text."
-            },
-            {
-              role: "user",
-              content: `Web page URL: ${url}\nOriginal title: ${rawTitle}\n\nGenerate a better title.`
-            }
-          ],
-          max_completion_tokens: 100,
+        const titleResp = await this.llm.complete({
+          system: "Generate a concise, descriptive title (max 60 chars) for this web page based on its content. Output ONLY the title, no quotes or extra text.",
+          prompt: `Web page URL: ${url}\nOriginal title: ${rawTitle}\n\nGenerate a better title.`,
+          maxTokens: 100,
+          model: this.modelFor('title'),
         });
         
-        const generatedTitle = titleResp.choices[0]?.message?.content?.trim();
+        const generatedTitle = titleResp.content?.trim();
         if (generatedTitle && generatedTitle.length > 3) {
           finalTitle = generatedTitle;
           this.logger.log(`Generated title: ${finalTitle}`);
           
           if (titleResp.usage) {
-            this.trackOpenAICost(titleResp.usage);
+            this.trackOpenAICost(titleResp.usage, this.modelFor('title'));
           }
         }
       } catch (titleError) {
@@ -3632,6 +4913,30 @@ export class SummaryForge {
       outputs.summaryEpub
     ];
     
+    if (outputs.chapterIndex) {
+      generatedFiles.push(outputs.chapterIndex, ...outputs.chapters);
+    }
+    
+    if (outputs.figures?.length > 0) {
+      generatedFiles.push(...outputs.figures);
+    }
+    
+    if (outputs.glossaryMd) {
+      generatedFiles.push(outputs.glossaryMd, outputs.glossaryJson);
+    }
+    
+    if (outputs.quizJson) {
+      generatedFiles.push(outputs.quizJson, outputs.quizGift, outputs.quizQti, outputs.quizPdf);
+    }
+    
+    if (outputs.mindMapMermaid) {
+      generatedFiles.push(outputs.mindMapMermaid, outputs.mindMapOpml, outputs.mindMapFreeMind, outputs.mindMapSvg);
+    }
+    
+    if (outputs.mindMapPng) {
+      generatedFiles.push(outputs.mindMapPng);
+    }
+    
     // Add optional files if they were generated
     if (outputs.audioScript) {
       generatedFiles.push(outputs.audioScript);
@@ -3646,13 +4951,14 @@ export class SummaryForge {
       generatedFiles.push(outputs.flashcardsPdf);
     }
     
-    // Create file list for archive (includes PDF)
-    const files = [pdfPath, ...generatedFiles];
+    // Create file list for archive (includes PDF), relative to the web page directory since
+    // chapter files and figures sit in subdirectories
+    const files = [pdfPath, ...generatedFiles].map((f) => path.relative(webPageDir, f));
     
     // Add flashcards directory if it exists (contains generated images)
-    const flashcardsDir = path.join(webPageDir, 'flashcards');
+    const flashcardsDir = path.join(webPageDir, this.localizedDirName('flashcards'));
     if (await this.fileExists(flashcardsDir)) {
-      files.push('flashcards');
+      files.push(this.localizedDirName('flashcards'));
     }
     
     const archiveName = path.join(webPageDir, `${dirName}_bundle.tgz`);
@@ -3664,14 +4970,16 @@ export class SummaryForge {
     
     try {
       // Create bundle with relative paths
-      const relativeFiles = files.map(f => path.basename(f));
-      await this.sh("tar", ["-czf", path.basename(archiveName), ...relativeFiles]);
+      await this.sh("tar", ["-czf", path.basename(archiveName), ...files]);
       this.logger.log(`Bundle created: ${archiveName}`);
-      this.logger.log(`Bundle contains: ${relativeFiles.join(', ')}`);
+      this.logger.log(`Bundle contains: ${files.join(', ')}`);
     } finally {
       process.chdir(originalCwd);
     }
     
+      // A replay that hit a missing fixture must not pass, even if the pipeline skipped the step
+      this.assertReplayComplete();
+
       // Play terminal beep to signal completion
       process.stdout.write('\x07');
       
@@ -3696,6 +5004,7 @@ export class SummaryForge {
         url: pageUrl,
         title: finalTitle,
         costs: this.getCostSummary(),
+        warnings: [...this.warnings],
         message: `Successfully processed web page: ${finalTitle}`
       };
   }
@@ -3747,21 +5056,6 @@ export class SummaryForge {
     const basename = this.sanitizeFilename(path.basename(filePath));
     this.logger.log(`Basename: ${basename}`);
     
-    // Generate summary first (this will fail if file doesn't exist)
-    this.logger.progress(3, "Generating summary from PDF", { step: 'summary_generation' });
-    const summaryResult = await this.generateSummary(pdfPath);
-    if (!summaryResult.success) {
-      this.logger.error("Summary generation failed", new Error(summaryResult.error));
-      return {
-        success: false,
-        error: summaryResult.error,
-        basename,
-        directory: null
-      };
-    }
-    const markdown = summaryResult.markdown;
-    
-    // Only create directory after successful summary generation
     // Determine if file is already in an uploads directory (from downloadFromAnnasArchive)
     const isInUploadsDir = filePath.includes(path.join('uploads', path.sep));
     
@@ -3772,20 +5066,65 @@ export class SummaryForge {
       // File is already in the correct directory from downloadFromAnnasArchive
       bookDir = path.dirname(filePath);
       dirName = path.basename(bookDir);
-      this.logger.log(`Using existing directory: ${bookDir}`);
     } else {
-      // Create new directory structure for manually provided files
+      // New directory structure for manually provided files
       if (asin) {
         dirName = this.generateDirectoryName(basename, asin);
       } else {
         dirName = basename;
       }
-      
       bookDir = path.join('uploads', dirName);
+    }
+    
+    // Generate summary first (this will fail if file doesn't exist)
+    // Intermediate results are checkpointed in the book directory so a re-run resumes
+    this.logger.progress(3, "Generating summary from PDF", { step: 'summary_generation' });
+    const summaryResult = await this.generateSummary(pdfPath, { bookDir });
+    if (!summaryResult.success) {
+      this.logger.error("Summary generation failed", new Error(summaryResult.error));
+      return {
+        success: false,
+        error: summaryResult.error,
+        basename,
+        directory: null
+      };
+    }
+    let markdown = summaryResult.markdown;
+    
+    // Only create directory after successful summary generation
+    if (isInUploadsDir) {
+      this.logger.log(`Using existing directory: ${bookDir}`);
+    } else {
       await fsp.mkdir(bookDir, { recursive: true });
       this.logger.log(`Created directory: ${bookDir}`);
     }
     
+    // Optional faithfulness check; a failed check is reported but does not stop the run
+    let verificationReport = null;
+    if (this.verify) {
+      this.logger.progress(95, "Verifying summary against the source", { step: 'verification' });
+      const verification = await this.verifySummary(markdown, pdfPath, { bookDir });
+      if (verification.success) {
+        verificationReport = path.join(bookDir, `${basename}.verification${this.languageSuffix}.json`);
+        await fsp.writeFile(verificationReport, JSON.stringify(verification.report, null, 2), 'utf8');
+        this.logger.log(`Verification report: ${verificationReport}`);
+        markdown = verification.markdown;
+      } else {
+        this.logger.log(`Continuing without verification: ${verification.error}`, 'warn');
+      }
+    }
+    
+    // Optional code examples from the source PDF; they end up in the bundle with the rest of bookDir
+    let codeExamples = null;
+    if (this.codeExamples) {
+      const examplesResult = await this.writeCodeExamples(pdfPath, bookDir, { title: basename.replace(/_/g, ' ') });
+      if (examplesResult.success) {
+        codeExamples = examplesResult;
+      } else {
+        this.logger.log(`Continuing without code examples: ${examplesResult.error}`, 'warn');
+      }
+    }
+    
     // Generate output files using basename WITHOUT ASIN
     this.logger.progress(96, "Generating output files", { step: 'output_generation' });
     const outputsResult = await this.generateOutputFiles(markdown, basename, bookDir);
@@ -3849,7 +5188,12 @@ export class SummaryForge {
     try {
       // Tar the entire directory - this will preserve the directory name in the archive
       // Create archive in current directory (parentDir)
-      await this.sh("tar", ["-czf", archiveBasename, "--exclude", `${bookDirBasename}/${archiveBasename}`, bookDirBasename]);
+      await this.sh("tar", [
+        "-czf", archiveBasename,
+        "--exclude", `${bookDirBasename}/${archiveBasename}`,
+        "--exclude", `${bookDirBasename}/${CHECKPOINT_DIRNAME}`,
+        bookDirBasename
+      ]);
       
       this.logger.log(`Archive created in parent directory`);
       
@@ -3880,6 +5224,34 @@ export class SummaryForge {
       outputs.summaryEpub
     ];
     
+    if (outputs.chapterIndex) {
+      generatedFiles.push(outputs.chapterIndex, ...outputs.chapters);
+    }
+    
+    if (outputs.figures?.length > 0) {
+      generatedFiles.push(...outputs.figures);
+    }
+    
+    if (outputs.glossaryMd) {
+      generatedFiles.push(outputs.glossaryMd, outputs.glossaryJson);
+    }
+    
+    if (outputs.quizJson) {
+      generatedFiles.push(outputs.quizJson, outputs.quizGift, outputs.quizQti, outputs.quizPdf);
+    }
+    
+    if (outputs.mindMapMermaid) {
+      generatedFiles.push(outputs.mindMapMermaid, outputs.mindMapOpml, outputs.mindMapFreeMind, outputs.mindMapSvg);
+    }
+    
+    if (outputs.mindMapPng) {
+      generatedFiles.push(outputs.mindMapPng);
+    }
+    
+    if (codeExamples) {
+      generatedFiles.push(codeExamples.index, ...codeExamples.files);
+    }
+    
     // Add optional files if they were generated
     if (outputs.audioScript) {
       generatedFiles.push(outputs.audioScript);
@@ -3893,6 +5265,12 @@ export class SummaryForge {
     if (outputs.flashcardsPdf) {
       generatedFiles.push(outputs.flashcardsPdf);
     }
+    if (verificationReport) {
+      generatedFiles.push(verificationReport);
+    }
+
+      // A replay that hit a missing fixture must not pass, even if the pipeline skipped the step
+      this.assertReplayComplete();
 
       // Play terminal beep to signal completion
       process.stdout.write('\x07');
@@ -3916,6 +5294,7 @@ export class SummaryForge {
         hasAudio: !!outputs.summaryMp3,
         asin: asin,
         costs: this.getCostSummary(),
+        warnings: [...this.warnings],
         message: `Successfully processed file: ${basename}`
       };
     } catch (error) {
@@ -3928,6 +5307,153 @@ export class SummaryForge {
       };
     }
   }
+
+  /**
+   * Read the summary of an earlier run from its book directory
+   * A bare directory name is looked up in uploads/. The summary in the output language is
+   * preferred; otherwise any <name>.summary.*.md is used.
+   * @private
+   * @returns {Promise<{ title: string, directory: string, path: string, markdown: string }>}
+   */
+  async readBookSummary(bookDir) {
+    const directory = !(await this.fileExists(bookDir)) && !bookDir.includes(path.sep)
+      ? path.join('uploads', bookDir)
+      : bookDir;
+    const entries = await fsp.readdir(directory).catch(() => {
+      throw new Error(`Book directory not found: ${bookDir}`);
+    });
+
+    const summaries = entries.filter((name) => !name.startsWith('.') && /\.summary(\.[a-z]{2})?\.md$/.test(name)).sort();
+    const file = summaries.find((name) => name.endsWith(`.summary${this.languageSuffix}.md`)) ?? summaries[0];
+    if (!file) {
+      throw new Error(`No summary found in ${directory}`);
+    }
+
+    const markdown = await fsp.readFile(path.join(directory, file), "utf8");
+    return {
+      title: splitChapters(markdown).title ?? path.basename(directory).replace(/_/g, ' '),
+      directory,
+      path: path.join(directory, file),
+      markdown
+    };
+  }
+
+  /**
+   * Compare the summaries of several books on the same topic
+   *
+   * Reads the summary of each book directory (see readBookSummary()) and writes a comparative
+   * report - shared concepts, disagreements, unique contributions and a recommended reading
+   * order - as comparison.md with PDF and EPUB renderings.
+   * Returns JSON object with comparison result
+   *
+   * @param {string[]} bookDirs - Two or more book directories, e.g. "uploads/my_book" or "my_book"
+   * @param {Object} [options]
+   * @param {string} [options.outputDir] - Report directory (default: uploads/comparisons/<book>_vs_<book>...)
+   * @returns {Promise<{ success: boolean, markdown?: string, books?: Array<{ title: string, directory: string, summary: string }>, directory?: string, files?: { comparisonMd: string, comparisonPdf: string, comparisonEpub: string }, costs?: Object, message?: string, error?: string }>}
+   */
+  async compareSummaries(bookDirs, options = {}) {
+    try {
+      if (!Array.isArray(bookDirs) || bookDirs.length < 2) {
+        throw new Error("At least two book directories are needed for a comparison");
+      }
+
+      this.logger.log(`Comparing ${bookDirs.length} books`, 'info', { step: 'compare' });
+      const books = [];
+      for (const bookDir of bookDirs) {
+        books.push(await this.readBookSummary(bookDir));
+      }
+
+      // Page citations point into different books, so they are left out
+      const { system: systemPrompt, prompt: userPrompt } = await this.renderPrompts('compare', {
+        bookCount: books.length,
+        books: books
+          .map((book, idx) => `=== Book ${idx + 1}: "${book.title}" ===\n\n${stripCitations(book.markdown).trim()}`)
+          .join("\n\n"),
+      });
+      const model = this.modelFor('compare');
+      if (!this.fitsInputBudget({ system: systemPrompt, prompt: userPrompt }, model)) {
+        throw new Error(`The summaries are too long to compare in one request (maxInputTokens: ${this.maxInputTokens})`);
+      }
+
+      this.logger.progress(20, "Writing comparative report", { step: 'compare' });
+      const resp = await this.llm.complete({
+        system: systemPrompt,
+        prompt: userPrompt,
+        maxTokens: this.maxTokens,
+        model,
+      });
+
+      if (resp.usage) {
+        const cost = this.trackOpenAICost(resp.usage, model);
+        this.logger.log(
+          `Comparison cost: $${cost.toFixed(4)} (${resp.usage.prompt_tokens} in, ${resp.usage.completion_tokens} out)`,
+          'info',
+          { step: 'cost_tracking', cost, tokens: resp.usage }
+        );
+      }
+
+      const markdown = resp.content?.trim();
+      if (!markdown) {
+        throw new Error("Comparison response was empty");
+      }
+
+      const dirName = books.map((book) => path.basename(book.directory)).join('_vs_').slice(0, 150);
+      const outputDir = options.outputDir ?? path.join('uploads', 'comparisons', dirName);
+      await fsp.mkdir(outputDir, { recursive: true });
+
+      const lang = this.languageSuffix;
+      const files = {
+        comparisonMd: path.join(outputDir, `comparison${lang}.md`),
+        comparisonPdf: path.join(outputDir, `comparison${lang}.pdf`),
+        comparisonEpub: path.join(outputDir, `comparison${lang}.epub`)
+      };
+      await fsp.writeFile(files.comparisonMd, `${markdown}\n`, "utf8");
+      console.log(`✅ Wrote ${files.comparisonMd}`);
+
+      const title = `${books.map((book) => book.title).join(' vs ')} (Comparison)`;
+      const langMetadata = lang ? ["--metadata", `lang=${this.language.code}`] : [];
+      this.logger.progress(80, "Rendering comparison PDF and EPUB", { step: 'rendering' });
+      console.log("🛠️ Rendering PDF via pandoc...");
+      await this.sh("pandoc", [
+        files.comparisonMd,
+        "-o", files.comparisonPdf,
+        "--standalone",
+        "--toc",
+        "--metadata", `title=${title}`,
+        "--metadata", `author=Comparison by ${this.llm.label}`,
+        "--metadata", `date=${new Date().toISOString().slice(0, 10)}`,
+        ...langMetadata,
+        "--pdf-engine=xelatex"
+      ]);
+
+      console.log("🛠️ Rendering EPUB...");
+      await this.sh("pandoc", [
+        files.comparisonMd,
+        "-o", files.comparisonEpub,
+        "--standalone",
+        "--toc",
+        "--metadata", `title=${title}`,
+        ...langMetadata,
+      ]);
+
+      this.logger.complete(`Compared ${books.length} books`, { directory: outputDir, books: books.length });
+      return {
+        success: true,
+        markdown,
+        books: books.map(({ title: bookTitle, directory, path: summary }) => ({ title: bookTitle, directory, summary })),
+        directory: outputDir,
+        files,
+        costs: this.getCostSummary(),
+        message: `Successfully compared ${books.length} books`
+      };
+    } catch (error) {
+      this.logger.error(`Comparison failed: ${error.message}`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 }
 
 export default SummaryForge;
\ No newline at end of file
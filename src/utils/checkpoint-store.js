@@ -0,0 +1,143 @@
+/**
+ * Checkpoint Store
+ *
+ * Persists intermediate results (chunk summaries, synthesis, audio script, audio chunks)
+ * to a `.checkpoints/` folder so an interrupted run can resume instead of paying for
+ * every LLM/TTS call again.
+ *
+ * Entries are keyed by a hash of everything that determines the result (input text,
+ * prompts, model, limits), so changing any of them simply misses the old checkpoint.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+
+export const CHECKPOINT_DIRNAME = '.checkpoints';
+
+export class CheckpointStore {
+  /**
+   * @param {string} directory - Directory that holds checkpoint files
+   * @param {Object} [options]
+   * @param {boolean} [options.resume=true] - Read existing checkpoints (false = start fresh, still write)
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.resume = options.resume ?? true;
+  }
+
+  /**
+   * Create a store in the `.checkpoints/` folder of a book directory
+   * @param {string} bookDir - Book output directory
+   * @param {Object} [options] - Store options
+   * @returns {CheckpointStore}
+   */
+  static forBookDir(bookDir, options = {}) {
+    return new CheckpointStore(path.join(bookDir, CHECKPOINT_DIRNAME), options);
+  }
+
+  /**
+   * Hash any number of key parts into a stable hex key
+   * @param {...*} parts - Strings, numbers or JSON-serializable values
+   * @returns {string} sha256 hex digest
+   */
+  static hash(...parts) {
+    const hash = crypto.createHash('sha256');
+    for (const part of parts) {
+      hash.update(typeof part === 'string' ? part : JSON.stringify(part ?? null));
+      hash.update('\0');
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Hash a file's contents
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>} sha256 hex digest
+   */
+  static async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Path of a checkpoint file
+   * @private
+   */
+  pathFor(stage, key, ext) {
+    return path.join(this.directory, `${stage}-${key.slice(0, 24)}.${ext}`);
+  }
+
+  /**
+   * Write a file atomically so a crash never leaves a half-written checkpoint
+   * @private
+   */
+  async writeAtomic(filePath, data) {
+    await fsp.mkdir(this.directory, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tempPath, data);
+    await fsp.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read a JSON checkpoint
+   * @param {string} stage - Stage name (e.g. 'chunk', 'synthesis')
+   * @param {string} key - Key from CheckpointStore.hash()
+   * @returns {Promise<*>} Stored value, or null if missing/unreadable
+   */
+  async get(stage, key) {
+    if (!this.resume) {
+      return null;
+    }
+    try {
+      const entry = JSON.parse(await fsp.readFile(this.pathFor(stage, key, 'json'), 'utf8'));
+      return entry.key === key ? entry.value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write a JSON checkpoint
+   * @param {string} stage - Stage name
+   * @param {string} key - Key from CheckpointStore.hash()
+   * @param {*} value - JSON-serializable value
+   */
+  async set(stage, key, value) {
+    const entry = { stage, key, createdAt: new Date().toISOString(), value };
+    await this.writeAtomic(this.pathFor(stage, key, 'json'), JSON.stringify(entry));
+  }
+
+  /**
+   * Read a binary checkpoint (e.g. an audio chunk)
+   * @returns {Promise<Buffer|null>} Stored buffer, or null if missing
+   */
+  async getBuffer(stage, key) {
+    if (!this.resume) {
+      return null;
+    }
+    try {
+      return await fsp.readFile(this.pathFor(stage, key, 'bin'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write a binary checkpoint
+   */
+  async setBuffer(stage, key, buffer) {
+    await this.writeAtomic(this.pathFor(stage, key, 'bin'), buffer);
+  }
+
+  /**
+   * Delete all checkpoints
+   */
+  async clear() {
+    await fsp.rm(this.directory, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Page Citations
+ *
+ * Helpers for the `[p. 142-145]` page references that citation mode asks the LLM to
+ * attach to every section and key point. The Markdown summary keeps them inline;
+ * PDF/EPUB outputs turn them into footnotes and the audio script drops them.
+ */
+
+// [p. 12], [p. 12-15], [pp. 12-15], [p. 12; p. 40-42], [p. 12, 40-42]
+const PAGE_REF = String.raw`(?:pp?\.\s*)?\d+(?:\s*[-–]\s*\d+)?`;
+const CITATION_PATTERN = new RegExp(String.raw`[ \t]*\[(pp?\.\s*\d+(?:\s*[-–]\s*\d+)?(?:\s*[;,]\s*${PAGE_REF})*)\](?!\()`, 'g');
+const CODE_FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Format a page range as a citation label
+ * @param {number} startPage - First page
+ * @param {number} [endPage=startPage] - Last page
+ * @returns {string} e.g. "p. 12" or "p. 12-15"
+ */
+export function formatPageRange(startPage, endPage = startPage) {
+  return startPage === endPage ? `p. ${startPage}` : `p. ${startPage}-${endPage}`;
+}
+
+/**
+ * Parse a citation label into page ranges
+ * @param {string} label - Citation label, e.g. "p. 12; pp. 40-42"
+ * @returns {Array<{startPage: number, endPage: number}>}
+ */
+export function parseCitation(label) {
+  return [...label.matchAll(/(\d+)(?:\s*[-–]\s*(\d+))?/g)].map(([, start, end]) => ({
+    startPage: Number(start),
+    endPage: Number(end ?? start),
+  }));
+}
+
+/**
+ * Prefix each page's text with a [Page N] marker so the LLM can cite exact pages
+ * @param {Array<{pageNum: number, text: string}>} pages - Pages from extractPdfPages()
+ * @returns {Array<{pageNum: number, text: string, charCount: number}>} Pages with marked text
+ */
+export function addPageMarkers(pages) {
+  return pages.map((page) => {
+    const text = `[Page ${page.pageNum}]\n${page.text}`;
+    return { ...page, text, charCount: text.length };
+  });
+}
+
+/**
+ * Apply a replacement to citations outside fenced code blocks
+ * @private
+ */
+function replaceCitations(markdown, replacer) {
+  let inFence = false;
+  return markdown
+    .split('\n')
+    .map((line) => {
+      if (CODE_FENCE.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      return inFence ? line : line.replace(CITATION_PATTERN, replacer);
+    })
+    .join('\n');
+}
+
+/**
+ * Find all citations in a Markdown document (outside code blocks)
+ * @param {string} markdown - Markdown text
+ * @returns {string[]} Citation labels, e.g. ["p. 12", "p. 40-42"]
+ */
+export function findCitations(markdown) {
+  const citations = [];
+  replaceCitations(markdown, (match, label) => {
+    citations.push(label);
+    return match;
+  });
+  return citations;
+}
+
+/**
+ * Turn inline citations into pandoc footnotes (`text^[p. 12]`)
+ * @param {string} markdown - Markdown with [p. X] citations
+ * @returns {string} Markdown for pandoc
+ */
+export function citationsToFootnotes(markdown) {
+  return replaceCitations(markdown, (_, label) => `^[${label}]`);
+}
+
+/**
+ * Remove inline citations (e.g. for narration)
+ * @param {string} markdown - Markdown with [p. X] citations
+ * @returns {string} Markdown without citations
+ */
+export function stripCitations(markdown) {
+  return replaceCitations(markdown, '');
+}
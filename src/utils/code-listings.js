@@ -0,0 +1,315 @@
+/**
+ * Code Listing Extraction
+ *
+ * Finds the source listings of a programming book in the PDF text layer and writes them to
+ * an examples/ tree, one folder per chapter, so the book's code can be run as printed.
+ *
+ * A listing is a run of lines that look like code (keywords, operators, braces, semicolons),
+ * optionally captioned ("Listing 3.2: ...", "Example 4-1. ..."). Indentation is rebuilt from
+ * the line positions, since typeset PDFs rarely keep the leading spaces.
+ */
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { extractPageLayouts } from './figures.js';
+import { findChapters } from './pdf-chunker.js';
+
+// Folder for the examples, inside the book directory
+export const EXAMPLES_DIRNAME = 'examples';
+
+// Uncaptioned runs shorter than this are taken as inline code in the prose
+const MIN_LISTING_LINES = 3;
+// Lines of this many words, mostly plain ones, are prose whatever they contain
+const MIN_PROSE_WORDS = 8;
+const PROSE_WORD_SHARE = 0.75;
+
+// "Listing 3.2: Title", "Example 4-1. Title", "LISTING 7 Title"
+const CAPTION_PATTERN = /^\s*(?:listing|example)\s+(\d+(?:[.-]\d+)*)(?![.-]?\d)(?:\s*[:.\-–—]\s*|\s+(?=[A-Z]))(.*)$/i;
+
+// Comments, shell prompts, REPLs, shebangs, decorators, preprocessor
+const COMMENT_PATTERN = /^(\/\/|\/\*|\*\/|#!|# |-- |>>> |\.\.\. |\$ |@\w+|#include\b|#define\b)/;
+
+const CODE_PATTERNS = [
+  // Statement and block endings
+  /[;{}]$/,
+  /^[)\]}]+[;,)]*$/,
+  // Declarations and control flow
+  /^(def|class|import|from\s+[\w.]+\s+import|function|const|let|var|return|public|private|protected|static|package|func|fn|using|namespace|struct|enum|interface|type|impl|module|require|export|elif|else|try|except|finally|catch|switch|case|raise|throw|yield|async|await|with)\b.*[\w)\]}:;{("'`]$/,
+  /^(if|for|while)\s*\(/,
+  /^(if|for|while|elif|else|try|except|with|def|class)\b.*:$/,
+  // SQL
+  /^(SELECT|INSERT|UPDATE|DELETE|CREATE|DROP|ALTER|WITH)\s+[A-Z*(]/,
+  // Operators
+  /=>|==|!=|->|::|\+=|-=|&&|\|\||<-|:=/,
+  // Assignments and calls
+  /^[\w.$[\]'"]+\s*=\s*\S/,
+  /^[\w.$]+\(.*\)[;:]?$/,
+  // Markup
+  /^<\/?[a-z][\w-]*(\s[^>]*)?\/?>/i,
+];
+
+/**
+ * Whether a line reads like a sentence: many plain words and no code punctuation
+ * @private
+ */
+function isProse(line) {
+  const words = line.split(/\s+/);
+  const plain = words.filter((word) => /^[\p{L}'’-]+[,.;:!?]?$/u.test(word)).length;
+  return words.length >= MIN_PROSE_WORDS && plain / words.length >= PROSE_WORD_SHARE && !/[{}=<>]/.test(line);
+}
+
+/**
+ * Whether a line of text looks like source code
+ * @param {string} text - Line text
+ * @returns {boolean}
+ */
+export function isCodeLine(text) {
+  const line = text.trim();
+  if (!line || CAPTION_PATTERN.test(line)) {
+    return false;
+  }
+  if (COMMENT_PATTERN.test(line)) {
+    return true;
+  }
+  if (isProse(line)) {
+    return false;
+  }
+  return CODE_PATTERNS.some((pattern) => pattern.test(line));
+}
+
+/**
+ * Rebuild the indentation of a listing from its line positions
+ * Monospaced text has one character width, so the offset of a line from the listing's left
+ * edge gives its indentation in characters
+ * @private
+ */
+function indentLines(lines) {
+  const charWidths = lines
+    .filter((line) => line.text.length >= 8)
+    .map((line) => (line.right - line.left) / line.text.length)
+    .sort((a, b) => a - b);
+  const charWidth = charWidths[Math.floor(charWidths.length / 2)] || 6;
+  const edge = Math.min(...lines.map((line) => line.left));
+
+  return lines.map((line) => {
+    const text = line.text.trimStart();
+    const column = Math.max(0, Math.round((line.left - edge) / charWidth)) + (line.text.length - text.length);
+    return ' '.repeat(column) + text.trimEnd();
+  });
+}
+
+/**
+ * Find the code listings of a book
+ * Runs of code lines may skip single lines that are not prose (e.g. a wrapped argument list),
+ * and a listing that runs to the bottom of a page continues at the top of the next one
+ * @param {Array} layouts - Page layouts from extractPageLayouts()
+ * @returns {Array<{number: string|null, caption: string, pageNum: number, code: string}>} In page order
+ */
+export function findCodeListings(layouts) {
+  const listings = [];
+  // Listing that ran to the bottom of the previous page
+  let carried = null;
+
+  for (const page of layouts) {
+    const { lines } = page;
+    const runs = [];
+    let run = null;
+
+    lines.forEach((line, index) => {
+      // Captions and sentences end a run; other lines between code lines are bridged
+      if (CAPTION_PATTERN.test(line.text) || isProse(line.text.trim())) {
+        run = null;
+      } else if (isCodeLine(line.text)) {
+        if (run && index - run.end <= 2) {
+          run.end = index;
+        } else {
+          run = { start: index, end: index };
+          runs.push(run);
+        }
+      }
+    });
+
+    let last = null;
+    for (const [runIdx, { start, end }] of runs.entries()) {
+      last = null;
+      const runLines = lines.slice(start, end + 1);
+      // Captions usually sit above; one below counts unless it heads the next listing
+      const isCaption = (index) => lines[index] && CAPTION_PATTERN.test(lines[index].text);
+      const captionIndex = [start - 1, end + 1]
+        .find((index) => isCaption(index) && (index < start || !isCodeLine(lines[index + 1]?.text ?? '')));
+      const caption = captionIndex === undefined ? null : lines[captionIndex].text.match(CAPTION_PATTERN);
+
+      let listing;
+      if (carried && runIdx === 0 && start <= 1 && !caption) {
+        listing = carried;
+        listing.lines.push(...runLines);
+      } else if (caption || runLines.length >= MIN_LISTING_LINES) {
+        listing = { number: caption?.[1] ?? null, caption: caption?.[2].trim() ?? '', pageNum: page.pageNum, lines: runLines };
+        listings.push(listing);
+      } else {
+        continue;
+      }
+      // The last line or two of a page may be a running footer
+      last = end >= lines.length - 2 ? listing : null;
+    }
+    carried = last;
+  }
+
+  return listings.map(({ number, caption, pageNum, lines }) => ({ number, caption, pageNum, code: indentLines(lines).join('\n') }));
+}
+
+/**
+ * Guess the language of a listing
+ * @param {string} code - Listing source
+ * @returns {{ language: string, extension: string }} 'text' / '.txt' when unknown
+ */
+export function guessLanguage(code) {
+  const rules = [
+    ['php', '.php', /<\?php/],
+    ['html', '.html', /<!DOCTYPE html|<html[\s>]|<\/(div|body|head|p|span)>/i],
+    ['shell', '.sh', /^#!\/(usr\/)?bin\/(env\s+)?(ba|z)?sh|^\$ |^(sudo|npm|npx|pip|git|cd|ls|echo|curl|docker|kubectl|brew|apt(-get)?) /m],
+    ['sql', '.sql', /^\s*(SELECT\s.+\sFROM|INSERT INTO|CREATE TABLE|UPDATE\s+\w+\s+SET|DELETE FROM)\b/im],
+    ['java', '.java', /\bpublic\s+(static\s+)?(final\s+)?(class|void|interface)\b|System\.out\.|\bimport\s+java\./],
+    ['csharp', '.cs', /\busing\s+System\b|\bnamespace\s+[\w.]+|Console\.Write/],
+    ['cpp', '.cpp', /#include\s*<(iostream|vector|string|memory|map)>|std::|\bcout\s*<</],
+    ['c', '.c', /#include\s*[<"]|\bprintf\s*\(|\bint\s+main\s*\(/],
+    ['go', '.go', /^\s*package\s+\w+\s*$|\bfunc\s+(\(\w+\s+\*?\w+\)\s*)?\w+\(|\bfmt\.\w+\(|:=/m],
+    ['rust', '.rs', /\bfn\s+\w+\s*[(<]|\blet\s+mut\b|\w+!\(|\bimpl\b/],
+    ['kotlin', '.kt', /\bfun\s+\w+\s*\(|\bval\s+\w+\s*[:=]/],
+    ['python', '.py', /^\s*(def\s+\w+\s*\(.*\)\s*(->\s*[\w[\], ]+)?:|class\s+\w+(\(.*\))?:|from\s+[\w.]+\s+import\s|import\s+[\w.]+\s*$|if\s+__name__|elif\s|print\()/m],
+    ['ruby', '.rb', /^\s*(def\s+\w+[?!]?\s*(\(.*\))?\s*$|end\s*$|puts\s|require\s+['"])/m],
+    ['typescript', '.ts', /\binterface\s+\w+\s*\{|\b(const|let|function)\b[^=\n]*:\s*(string|number|boolean|void|any)\b|\bimport\s+type\b/],
+    ['javascript', '.js', /\b(const|let|var|function)\b|=>|console\.log|require\(|\bexport\s+(default|const|function)|\bimport\s+.+\s+from\s+['"]/],
+    ['css', '.css', /^\s*[.#]?[\w-]+(\s*[,>]\s*[.#]?[\w-]+)*\s*\{[^}]*[\w-]+\s*:\s*[^;]+;/m],
+    ['json', '.json', /^\s*[{[]\s*"[\w-]+"\s*:/],
+    ['yaml', '.yaml', /^[\w-]+:\s*$\n^\s+[\w-]+:\s/m],
+  ];
+  const match = rules.find(([, , pattern]) => pattern.test(code));
+  return match ? { language: match[0], extension: match[1] } : { language: 'text', extension: '.txt' };
+}
+
+/**
+ * Folder name of a chapter's examples
+ * @param {number} number - Chapter number (0 for listings outside any chapter)
+ * @returns {string} e.g. "chapter-03"
+ */
+export function chapterDirName(number) {
+  return `chapter-${String(number).padStart(2, '0')}`;
+}
+
+/**
+ * Assign each listing to a chapter
+ * Listings go to the last chapter starting on or before their page. Without chapters, the
+ * major number of the caption ("Listing 3.2" is in chapter 3) is used. Everything else is chapter 0.
+ * @param {Array} listings - Listings from findCodeListings()
+ * @param {Array<{title: string, pageNum: number}>} chapters - Chapter start pages
+ * @returns {Array<{ number: number, title: string, listings: Array }>} Chapters that have listings, in order
+ */
+export function groupListingsByChapter(listings, chapters) {
+  const groups = new Map();
+
+  for (const listing of listings) {
+    let number = 0;
+    let title = null;
+    if (chapters.length > 0) {
+      const index = chapters.findLastIndex((chapter) => chapter.pageNum <= listing.pageNum);
+      number = index + 1;
+      title = index >= 0 ? chapters[index].title : null;
+    } else if (listing.number) {
+      number = Number.parseInt(listing.number, 10);
+      title = `Chapter ${number}`;
+    }
+    const group = groups.get(number) ?? { number, title: title ?? 'Other listings', listings: [] };
+    group.listings.push(listing);
+    groups.set(number, group);
+  }
+
+  return [...groups.values()].sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Render the index of the examples folder
+ * @param {Array} groups - Chapters with the written listings (file, language set)
+ * @param {Object} [options]
+ * @param {string} [options.title] - Book title
+ * @returns {string}
+ */
+export function formatExamplesIndex(groups, options = {}) {
+  const { title } = options;
+  const lines = [
+    '# Code Examples',
+    '',
+    `Source listings${title ? ` from *${title}*` : ''}, by chapter. They are copied from the PDF text, so check them before running.`,
+  ];
+
+  for (const group of groups) {
+    lines.push('', `## ${group.title}`, '');
+    for (const listing of group.listings) {
+      const label = listing.number ? `Listing ${listing.number}${listing.caption ? `: ${listing.caption}` : ''}` : listing.language;
+      lines.push(`- [${path.basename(listing.file)}](${encodeURI(listing.file)}) - ${label} (p. ${listing.pageNum})`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Extract the code listings of a PDF into <bookDir>/examples/
+ *
+ * Writes examples/chapter-XX/listing-<number><ext> (captioned listings) or listing-NN<ext>,
+ * plus examples/README.md indexing them. The folder is rewritten on every run.
+ *
+ * @param {string} pdfPath - Path to PDF file
+ * @param {string} bookDir - Book directory
+ * @param {Object} [options]
+ * @param {string} [options.title] - Book title for the index
+ * @returns {Promise<{directory: string, index: string|null, listings: Array<{number: string|null, caption: string, pageNum: number, language: string, file: string}>}>}
+ *   `file` is relative to the examples folder; no index is written when there are no listings
+ */
+export async function extractCodeExamples(pdfPath, bookDir, options = {}) {
+  const layouts = await extractPageLayouts(pdfPath);
+  const examplesDir = path.join(bookDir, EXAMPLES_DIRNAME);
+  await fsp.rm(examplesDir, { recursive: true, force: true });
+
+  const found = findCodeListings(layouts);
+  if (found.length === 0) {
+    return { directory: examplesDir, index: null, listings: [] };
+  }
+
+  const pages = layouts.map(({ pageNum, lines }) => ({ pageNum, text: lines.map((line) => line.text).join('\n') }));
+  const { chapters } = await findChapters(pdfPath, pages);
+  const groups = groupListingsByChapter(found, chapters);
+
+  const listings = [];
+  for (const group of groups) {
+    const dirName = chapterDirName(group.number);
+    await fsp.mkdir(path.join(examplesDir, dirName), { recursive: true });
+    const usedNumbers = new Set();
+
+    group.listings = group.listings.map((listing, idx) => {
+      const { language, extension } = guessLanguage(listing.code);
+      const numbered = listing.number && !usedNumbers.has(listing.number);
+      if (numbered) {
+        usedNumbers.add(listing.number);
+      }
+      const name = numbered
+        ? `listing-${listing.number.replace(/[^\d]+/g, '-')}`
+        : `listing-${String(idx + 1).padStart(2, '0')}`;
+      return { ...listing, number: numbered ? listing.number : null, language, file: `${dirName}/${name}${extension}` };
+    });
+
+    for (const listing of group.listings) {
+      await fsp.writeFile(path.join(examplesDir, listing.file), `${listing.code}\n`, 'utf8');
+      listings.push(listing);
+    }
+  }
+
+  const index = path.join(examplesDir, 'README.md');
+  await fsp.writeFile(index, formatExamplesIndex(groups, { title: options.title }), 'utf8');
+
+  return {
+    directory: examplesDir,
+    index,
+    listings: listings.map(({ code: _, ...listing }) => listing),
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Concurrency Utilities
+ *
+ * Helpers for running async work with a bounded number of in-flight tasks
+ */
+
+/**
+ * Map over items with at most `limit` async calls in flight at once
+ *
+ * Results are returned in input order regardless of completion order.
+ * The first rejection stops new work from being started and is re-thrown
+ * once in-flight tasks have settled.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls (minimum 1)
+ * @param {Function} fn - Async function called as fn(item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  let nextIndex = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (failure === null && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure ??= error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  if (failure !== null) {
+    throw failure;
+  }
+
+  return results;
+}
+
+/**
+ * Call an async function, retrying on failure
+ *
+ * @param {Function} fn - Async function called as fn(attempt), attempt starting at 1
+ * @param {Object} [options]
+ * @param {number} [options.retries=2] - Extra attempts after the first failure
+ * @param {number} [options.delayMs=1000] - Base delay, doubled after each failed attempt
+ * @param {Function} [options.shouldRetry] - Called as shouldRetry(error); a falsy result throws at once
+ * @param {Function} [options.onRetry] - Called as onRetry(error, attempt) before each retry
+ * @returns {Promise<*>} Result of the first successful call
+ */
+export async function withRetries(fn, options = {}) {
+  const { retries = 2, delayMs = 1000, shouldRetry = () => true, onRetry } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) {
+        throw error;
+      }
+      onRetry?.(error, attempt);
+      if (delayMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delayMs * 2 ** (attempt - 1)));
+      }
+    }
+  }
+}
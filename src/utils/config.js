@@ -10,6 +10,7 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import os from 'node:os';
 import { config as dotenvConfig } from 'dotenv';
+import { inferLLMProvider } from './llm-providers.js';
 
 /**
  * Get the path to the config file
@@ -80,6 +81,11 @@ export async function loadConfig(options = {}) {
     // Merge with environment variables (config file takes precedence)
     const mergedConfig = {
       openaiApiKey: config.openaiApiKey || process.env.OPENAI_API_KEY,
+      anthropicApiKey: config.anthropicApiKey || process.env.ANTHROPIC_API_KEY,
+      llmProvider: config.llmProvider || process.env.LLM_PROVIDER,
+      llmModel: config.llmModel || process.env.LLM_MODEL,
+      llmBaseUrl: config.llmBaseUrl || process.env.LLM_BASE_URL,
+      llmApiKey: config.llmApiKey || process.env.LLM_API_KEY,
       rainforestApiKey: config.rainforestApiKey || process.env.RAINFOREST_API_KEY,
       elevenlabsApiKey: config.elevenlabsApiKey || process.env.ELEVENLABS_API_KEY,
       twocaptchaApiKey: config.twocaptchaApiKey || process.env.TWOCAPTCHA_API_KEY,
@@ -90,7 +96,52 @@ export async function loadConfig(options = {}) {
       proxyUsername: config.proxyUsername || process.env.PROXY_USERNAME,
       proxyPassword: config.proxyPassword || process.env.PROXY_PASSWORD,
       proxyPoolSize: config.proxyPoolSize ?? (process.env.PROXY_POOL_SIZE ? parseInt(process.env.PROXY_POOL_SIZE, 10) : 36),
+      // Prompt template options (settings.json only)
+      audience: config.audience,
+      language: config.language,
+      citations: config.citations,
+      templatesDir: config.templatesDir,
+      templateVariables: config.templateVariables,
+      // Output options (settings.json only)
+      chapterFiles: config.chapterFiles,
+      glossary: config.glossary,
+      quiz: config.quiz,
+      mindMap: config.mindMap,
+      // Verification options (settings.json only)
+      verify: config.verify,
+      verifyRewrite: config.verifyRewrite,
+      verifyClaims: config.verifyClaims,
+      // OCR options
+      ocr: config.ocr,
+      ocrLanguage: config.ocrLanguage,
+      ocrDpi: config.ocrDpi,
+      ocrConcurrency: config.ocrConcurrency,
+      // Chunking options (settings.json only)
+      chunkConcurrency: config.chunkConcurrency,
+      chunkRetries: config.chunkRetries,
+      chunkRetryDelay: config.chunkRetryDelay,
+      // Figure options
+      figures: config.figures,
+      figureDpi: config.figureDpi,
+      // Code listing options
+      codeExamples: config.codeExamples,
+      // Model options (settings.json only)
+      models: config.models,
+      modelPricing: config.modelPricing,
+      llmPricing: config.llmPricing,
+      maxContinuations: config.maxContinuations,
+      // Retry options (settings.json only)
+      maxRetries: config.maxRetries,
+      retryBaseDelay: config.retryBaseDelay,
+      retryMaxDelay: config.retryMaxDelay,
+      requestsPerMinute: config.requestsPerMinute,
+      ttsRequestsPerMinute: config.ttsRequestsPerMinute,
+      // Streaming options (settings.json only)
+      stream: config.stream,
+      streamEventInterval: config.streamEventInterval,
     };
+    // Without an llmProvider, use the provider whose credentials are set
+    mergedConfig.llmProvider ||= inferLLMProvider(mergedConfig);
     
     return {
       success: true,
@@ -114,7 +165,8 @@ export async function loadConfig(options = {}) {
       // Try loading from .env only
       dotenvConfig();
       
-      if (!process.env.OPENAI_API_KEY) {
+      // Any usable LLM provider is enough: OpenAI, Anthropic or a self-hosted base URL
+      if (!process.env.OPENAI_API_KEY && !process.env.ANTHROPIC_API_KEY && !process.env.LLM_BASE_URL) {
         return {
           success: false,
           source: 'none',
@@ -126,6 +178,11 @@ export async function loadConfig(options = {}) {
       
       const envConfig = {
         openaiApiKey: process.env.OPENAI_API_KEY,
+        anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+        llmProvider: process.env.LLM_PROVIDER,
+        llmModel: process.env.LLM_MODEL,
+        llmBaseUrl: process.env.LLM_BASE_URL,
+        llmApiKey: process.env.LLM_API_KEY,
         rainforestApiKey: process.env.RAINFOREST_API_KEY,
         elevenlabsApiKey: process.env.ELEVENLABS_API_KEY,
         twocaptchaApiKey: process.env.TWOCAPTCHA_API_KEY,
@@ -137,6 +194,7 @@ export async function loadConfig(options = {}) {
         proxyPassword: process.env.PROXY_PASSWORD,
         proxyPoolSize: process.env.PROXY_POOL_SIZE ? parseInt(process.env.PROXY_POOL_SIZE, 10) : 36,
       };
+      envConfig.llmProvider ||= inferLLMProvider(envConfig);
       
       return {
         success: true,
@@ -0,0 +1,94 @@
+/**
+ * Continuation of Truncated Output
+ *
+ * A completion that stops at the output token limit (finishReason 'length') ends mid-sentence.
+ * withContinuation() detects this on every call and asks the model to carry on from where it
+ * stopped, appending each continuation until the model finishes or the cap is reached.
+ *
+ * The continuation replays the conversation with the text so far as the assistant's turn, so
+ * every provider that accepts `messages` supports it.
+ */
+
+export const DEFAULT_MAX_CONTINUATIONS = 3;
+
+export const CONTINUE_PROMPT = 'Your reply was cut off at the output limit. Continue exactly where it stopped, '
+  + 'mid-sentence if need be. Do not repeat any text, restart the document or add commentary.';
+
+/**
+ * Add up the usage of several responses
+ * @private
+ */
+function addUsage(total, usage) {
+  if (!usage) {
+    return total;
+  }
+  if (!total) {
+    return { ...usage };
+  }
+  return {
+    prompt_tokens: (total.prompt_tokens ?? 0) + (usage.prompt_tokens ?? 0),
+    completion_tokens: (total.completion_tokens ?? 0) + (usage.completion_tokens ?? 0),
+    total_tokens: (total.total_tokens ?? 0) + (usage.total_tokens ?? 0),
+  };
+}
+
+/**
+ * Wrap an LLM provider so truncated completions are continued
+ *
+ * The response has the joined content, the usage of all requests, the finish reason of the last
+ * one, plus `continuations` (requests added) and `truncated` (still cut off after the cap).
+ * With onToken, the text passed on keeps growing across the continuations.
+ *
+ * @param {Object} provider - Provider from createLLMProvider() (or a wrapper of it)
+ * @param {Object} [options]
+ * @param {number} [options.maxContinuations=DEFAULT_MAX_CONTINUATIONS] - Continuation requests per call (0 = detect only)
+ * @param {Function} [options.onTruncated] - Called once per truncated call with
+ *   { request, response, continuations, truncated }
+ * @returns {Object} Provider with the same interface
+ */
+export function withContinuation(provider, options = {}) {
+  const { maxContinuations = DEFAULT_MAX_CONTINUATIONS, onTruncated } = options;
+  const wrapped = Object.create(provider);
+
+  wrapped.complete = async (request) => {
+    let response = await provider.complete(request);
+    if (response.finishReason !== 'length') {
+      return response;
+    }
+
+    const { prompt, messages, onToken, ...rest } = request;
+    const conversation = messages?.length > 0 ? messages : [{ role: 'user', content: prompt ?? '' }];
+    let content = response.content ?? '';
+    let usage = response.usage ?? null;
+    let continuations = 0;
+
+    // An empty piece (e.g. the budget went to reasoning) would only come back empty again
+    while (response.finishReason === 'length' && response.content && continuations < maxContinuations) {
+      continuations++;
+      const textSoFar = content;
+      response = await provider.complete({
+        ...rest,
+        messages: [
+          ...conversation,
+          { role: 'assistant', content: textSoFar },
+          { role: 'user', content: CONTINUE_PROMPT },
+        ],
+        ...(onToken ? { onToken: (delta, text) => onToken(delta, textSoFar + text) } : {}),
+      });
+      content += response.content ?? '';
+      usage = addUsage(usage, response.usage);
+    }
+
+    const result = {
+      ...response,
+      content,
+      usage,
+      continuations,
+      truncated: response.finishReason === 'length',
+    };
+    onTruncated?.({ request, response: result, continuations, truncated: result.truncated });
+    return result;
+  };
+
+  return wrapped;
+}
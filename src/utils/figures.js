@@ -0,0 +1,250 @@
+/**
+ * Figure Extraction
+ *
+ * Finds numbered figures ("Figure 3.2: ...") in the source PDF by their captions,
+ * crops them out of the rendered page and lets summaries embed them. The model refers
+ * to a figure as [Figure 3.2] on its own line; embedFigures() turns that into an image.
+ *
+ * A figure is taken to be the text-free area between its caption and the nearest full
+ * line of body text above it, which fits the usual "figure, then caption" layout.
+ */
+
+import PDFParse from 'pdf-parse';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { toPdfData } from './pdf-chunker.js';
+import { rasterizePage } from './ocr.js';
+
+// Folder for figure images, inside the book directory
+export const FIGURES_DIRNAME = 'figures';
+
+// Figure list written next to the images, read back when the outputs are rendered
+export const FIGURE_MANIFEST = 'figures.json';
+
+export const DEFAULT_FIGURE_DPI = 150;
+
+// "Figure 3.2: Title", "Fig. 4 - Title", "FIGURE 12 Title" (not "Figure 3 shows ...")
+const CAPTION_PATTERN = /^\s*(?:[Ff]igure|FIGURE|[Ff]ig\.|FIG\.)\s+(\d+(?:[.-]\d+)*)(?![.-]?\d)(?:\s*[:.\-–—]\s*|\s+(?=[A-Z]))(.*)$/;
+
+// [Figure 3.2] alone on a line, as the prompts ask the model to write it
+const REFERENCE_PATTERN = /^[ \t]*\[(?:figure|fig\.)\s+(\d+(?:[.-]\d+)*)\][ \t]*$/gim;
+
+// Figures shorter than this (in points) are taken as a caption without a figure above it
+const MIN_FIGURE_HEIGHT = 72;
+// Lines at least this share of the page's widest line count as body text
+const BODY_LINE_WIDTH = 0.6;
+const PAGE_MARGIN = 36;
+const CROP_PADDING = 6;
+
+/**
+ * Extract the text lines of every page with their positions
+ * @param {string} pdfPath - Path to PDF file
+ * @returns {Promise<Array<{pageNum: number, width: number, height: number, lines: Array<{text: string, left: number, right: number, top: number, bottom: number}>}>>}
+ *   Positions are in PDF points from the top-left corner of the page
+ */
+export async function extractPageLayouts(pdfPath) {
+  const pdfBuffer = await fsp.readFile(pdfPath);
+  const layouts = [];
+
+  await PDFParse(toPdfData(pdfBuffer), {
+    pagerender: async (pageData) => {
+      const { width, height } = pageData.getViewport(1);
+      const { items } = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+
+      // Group text items into lines by baseline
+      const lines = new Map();
+      for (const item of items) {
+        if (!item.str.trim()) {
+          continue;
+        }
+        const baseline = Math.round(item.transform[5]);
+        const fontSize = Math.abs(item.transform[3]) || item.height || 10;
+        const line = lines.get(baseline) ?? { parts: [], left: Infinity, right: -Infinity, fontSize: 0 };
+        line.parts.push({ x: item.transform[4], str: item.str });
+        line.left = Math.min(line.left, item.transform[4]);
+        line.right = Math.max(line.right, item.transform[4] + (item.width ?? 0));
+        line.fontSize = Math.max(line.fontSize, fontSize);
+        lines.set(baseline, line);
+      }
+
+      layouts[pageData.pageIndex] = {
+        pageNum: pageData.pageIndex + 1,
+        width,
+        height,
+        lines: [...lines.entries()]
+          .map(([baseline, line]) => ({
+            text: line.parts.sort((a, b) => a.x - b.x).map((part) => part.str).join(''),
+            left: line.left,
+            right: line.right,
+            top: height - baseline - line.fontSize,
+            bottom: height - baseline + line.fontSize * 0.25,
+          }))
+          .sort((a, b) => a.top - b.top),
+      };
+      return '';
+    }
+  });
+
+  return layouts.filter(Boolean);
+}
+
+/**
+ * Find figure captions and the page area of each figure
+ * @param {Array} layouts - Page layouts from extractPageLayouts()
+ * @returns {Array<{number: string, caption: string, pageNum: number, region: {left: number, top: number, width: number, height: number}}>}
+ *   One entry per figure number (its first caption), in page order; region is in PDF points
+ */
+export function findFigures(layouts) {
+  const figures = [];
+  const seen = new Set();
+
+  for (const page of layouts) {
+    const widest = Math.max(0, ...page.lines.map((line) => line.right - line.left));
+    // Figures span the text column
+    const left = Math.max(0, Math.min(...page.lines.map((line) => line.left)) - CROP_PADDING);
+    const right = Math.min(page.width, Math.max(...page.lines.map((line) => line.right)) + CROP_PADDING);
+
+    page.lines.forEach((line, index) => {
+      const match = line.text.match(CAPTION_PATTERN);
+      if (!match || seen.has(match[1])) {
+        return;
+      }
+
+      // The figure reaches up to the nearest line of body text (or the top margin)
+      const bodyAbove = page.lines
+        .slice(0, index)
+        .reverse()
+        .find((above) => above.right - above.left >= widest * BODY_LINE_WIDTH);
+      const top = (bodyAbove ? bodyAbove.bottom : PAGE_MARGIN) + CROP_PADDING;
+      const bottom = line.top - CROP_PADDING;
+      if (bottom - top < MIN_FIGURE_HEIGHT) {
+        return;
+      }
+
+      seen.add(match[1]);
+      figures.push({
+        number: match[1],
+        caption: match[2].trim(),
+        pageNum: page.pageNum,
+        region: { left, top, width: right - left, height: bottom - top },
+      });
+    });
+  }
+
+  return figures;
+}
+
+/**
+ * File name for a figure image
+ * @param {string} number - Figure number, e.g. "3.2"
+ * @returns {string} e.g. "figure-3-2.png"
+ */
+export function figureFileName(number) {
+  return `figure-${number.replace(/[^\d]+/g, '-')}.png`;
+}
+
+/**
+ * Crop the figures of a PDF into PNG images and write the figure manifest
+ * @param {string} pdfPath - Path to PDF file
+ * @param {string} bookDir - Book directory; images go to <bookDir>/figures/
+ * @param {Object} [options]
+ * @param {number} [options.dpi=DEFAULT_FIGURE_DPI] - Image resolution
+ * @returns {Promise<Array<{number: string, caption: string, pageNum: number, file: string}>>}
+ *   `file` is relative to the book directory
+ */
+export async function extractFigures(pdfPath, bookDir, options = {}) {
+  const { dpi = DEFAULT_FIGURE_DPI } = options;
+  const located = findFigures(await extractPageLayouts(pdfPath));
+  const figuresDir = path.join(bookDir, FIGURES_DIRNAME);
+  await fsp.rm(figuresDir, { recursive: true, force: true });
+  if (located.length === 0) {
+    return [];
+  }
+
+  const sharp = (await import('sharp')).default;
+  const scale = dpi / 72;
+  const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'summary-forge-figures-'));
+  await fsp.mkdir(figuresDir, { recursive: true });
+
+  const figures = [];
+  try {
+    for (const pageNum of new Set(located.map((figure) => figure.pageNum))) {
+      const pageImage = await rasterizePage(pdfPath, pageNum, workDir, { dpi });
+      const { width: imageWidth, height: imageHeight } = await sharp(pageImage).metadata();
+
+      for (const figure of located.filter((candidate) => candidate.pageNum === pageNum)) {
+        const left = Math.max(0, Math.round(figure.region.left * scale));
+        const top = Math.max(0, Math.round(figure.region.top * scale));
+        const fileName = figureFileName(figure.number);
+        await sharp(pageImage)
+          .extract({
+            left,
+            top,
+            width: Math.min(imageWidth - left, Math.round(figure.region.width * scale)),
+            height: Math.min(imageHeight - top, Math.round(figure.region.height * scale)),
+          })
+          .png()
+          .toFile(path.join(figuresDir, fileName));
+        figures.push({
+          number: figure.number,
+          caption: figure.caption,
+          pageNum,
+          file: `${FIGURES_DIRNAME}/${fileName}`,
+        });
+      }
+    }
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+
+  await fsp.writeFile(path.join(figuresDir, FIGURE_MANIFEST), JSON.stringify(figures, null, 2), 'utf8');
+  return figures;
+}
+
+/**
+ * Read the figure manifest of a book directory
+ * @param {string} bookDir - Book directory
+ * @returns {Promise<Array>} Figures from extractFigures(), empty when there are none
+ */
+export async function readFigureManifest(bookDir) {
+  try {
+    return JSON.parse(await fsp.readFile(path.join(bookDir, FIGURES_DIRNAME, FIGURE_MANIFEST), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * List figures for a prompt
+ * @param {Array} figures - Figures from extractFigures()
+ * @returns {string[]} e.g. ["- Figure 3.2 (p. 45): Leader election"]
+ */
+export function formatFigureList(figures) {
+  return figures.map(({ number, caption, pageNum }) => `- Figure ${number} (p. ${pageNum})${caption ? `: ${caption}` : ''}`);
+}
+
+/**
+ * Replace [Figure N] reference lines with Markdown images (unknown numbers are left as they are)
+ * @param {string} markdown - Summary Markdown
+ * @param {Array} figures - Figures from extractFigures()
+ * @param {Object} [options]
+ * @param {string} [options.baseDir=''] - Path from the Markdown file to the book directory, e.g. '..'
+ * @returns {string}
+ */
+export function embedFigures(markdown, figures, options = {}) {
+  const { baseDir = '' } = options;
+  const byNumber = new Map(figures.map((figure) => [figure.number, figure]));
+
+  return markdown.replace(REFERENCE_PATTERN, (reference, number) => {
+    const figure = byNumber.get(number);
+    if (!figure) {
+      return reference;
+    }
+    const alt = `Figure ${number}${figure.caption ? `: ${figure.caption}` : ''}`.replace(/[[\]]/g, '');
+    return `![${alt}](${encodeURI(baseDir ? `${baseDir}/${figure.file}` : figure.file)})`;
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * Glossary
+ *
+ * Parses the glossary the LLM extracts from a summary (terms, definitions and the chapter
+ * introducing each term) and renders it as Markdown. The Markdown uses definition lists, so
+ * pandoc typesets it in the PDF/EPUB appendix and extractFlashcards() can read it back.
+ */
+
+export const GLOSSARY_BASENAME = 'glossary';
+
+const MAX_TERM_LENGTH = 100;
+
+/**
+ * Parse the glossary JSON array from an LLM response
+ *
+ * Entries without a term or definition are dropped, repeated terms (case-insensitive) keep
+ * their first definition, and the result is sorted alphabetically.
+ *
+ * @param {string} content - Response text containing [{ "term", "definition", "chapter" }, ...]
+ * @returns {Array<{ term: string, definition: string, chapter: string|null }>}
+ * @throws {Error} If the response holds no JSON array
+ */
+export function parseGlossary(content) {
+  const start = content?.indexOf('[') ?? -1;
+  const end = content?.lastIndexOf(']') ?? -1;
+  if (start < 0 || end < start) {
+    throw new Error('Glossary response did not contain a JSON array');
+  }
+
+  const seen = new Set();
+  const entries = [];
+  for (const entry of JSON.parse(content.slice(start, end + 1))) {
+    const term = String(entry?.term ?? '').trim();
+    const definition = String(entry?.definition ?? '').trim();
+    const key = term.toLowerCase();
+    if (!term || !definition || term.length > MAX_TERM_LENGTH || seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    const chapter = String(entry.chapter ?? '').trim();
+    entries.push({ term, definition, chapter: chapter || null });
+  }
+
+  return entries.sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Render glossary entries as a Markdown definition list
+ * @param {Array<{ term: string, definition: string, chapter: string|null }>} entries - From parseGlossary()
+ * @param {Object} [options]
+ * @param {string} [options.heading='Glossary'] - Level-1 heading
+ * @returns {string}
+ */
+export function formatGlossaryMarkdown(entries, options = {}) {
+  const { heading = 'Glossary' } = options;
+  const items = entries.map(({ term, definition, chapter }) =>
+    `**${term}**\n: ${definition}${chapter ? ` _(${chapter})_` : ''}`
+  );
+  return [`# ${heading}`, '', items.join('\n\n'), ''].join('\n');
+}
@@ -0,0 +1,234 @@
+/**
+ * Output Languages
+ *
+ * Languages summaries, audio and flashcards can be written in, plus the translated
+ * labels of the flashcard PDF and images. The list is limited to languages the
+ * built-in PDF fonts (WinAnsi encoding) can render.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = {
+  en: { code: 'en', name: 'English', nativeName: 'English' },
+  es: { code: 'es', name: 'Spanish', nativeName: 'Español' },
+  de: { code: 'de', name: 'German', nativeName: 'Deutsch' },
+  fr: { code: 'fr', name: 'French', nativeName: 'Français' },
+  it: { code: 'it', name: 'Italian', nativeName: 'Italiano' },
+  pt: { code: 'pt', name: 'Portuguese', nativeName: 'Português' },
+};
+
+/**
+ * Flashcard PDF/image labels per language ({placeholders} are filled in by formatLabel())
+ */
+export const FLASHCARD_LABELS = {
+  en: {
+    question: 'Q',
+    answer: 'A',
+    studyFlashcards: 'Study Flashcards',
+    totalCards: 'Total cards',
+    questionsPage: 'Page {page} (Questions)',
+    answersPage: 'Page {page} (Answers)',
+    printingInstructions: 'Printing Instructions',
+    printDuplex: 'Print this PDF using double-sided (duplex) printing',
+    flipLongEdge: 'Select "Flip on Long Edge" or "Long-Edge Binding"',
+    cutAlongLines: 'After printing, cut along the gray guide lines',
+    cardsPerSheet: 'You should get {count} cards per sheet',
+    eachCardHas: 'Each card will have:',
+    questionOnFront: 'Question on the front (marked with "{mark}")',
+    answerOnBack: 'Answer on the back (marked with "{mark}")',
+    totalFlashcards: 'Total flashcards: {count}',
+    tips: 'Tips for best results:',
+    tipCardstock: 'Use heavier paper (cardstock) for durability',
+    tipColor: 'Print in color for better visual appeal',
+    tipLaminate: 'Laminate cards for long-term use',
+    generatedBy: 'Generated by {branding}',
+    definitionQuestion: 'What is {term}?',
+    glossary: 'Glossary',
+    quiz: 'Quiz',
+    answerKey: 'Answer Key',
+    true: 'True',
+    false: 'False',
+    questionCount: '{count} questions',
+  },
+  es: {
+    question: 'P',
+    answer: 'R',
+    studyFlashcards: 'Tarjetas de estudio',
+    totalCards: 'Total de tarjetas',
+    questionsPage: 'Página {page} (Preguntas)',
+    answersPage: 'Página {page} (Respuestas)',
+    printingInstructions: 'Instrucciones de impresión',
+    printDuplex: 'Imprime este PDF a doble cara (dúplex)',
+    flipLongEdge: 'Selecciona "Voltear por el borde largo" o "Encuadernación por el borde largo"',
+    cutAlongLines: 'Después de imprimir, recorta por las líneas guía grises',
+    cardsPerSheet: 'Obtendrás {count} tarjetas por hoja',
+    eachCardHas: 'Cada tarjeta tendrá:',
+    questionOnFront: 'La pregunta en el anverso (marcada con "{mark}")',
+    answerOnBack: 'La respuesta en el reverso (marcada con "{mark}")',
+    totalFlashcards: 'Total de tarjetas: {count}',
+    tips: 'Consejos para obtener mejores resultados:',
+    tipCardstock: 'Usa papel más grueso (cartulina) para mayor durabilidad',
+    tipColor: 'Imprime en color para un mejor aspecto visual',
+    tipLaminate: 'Plastifica las tarjetas para un uso prolongado',
+    generatedBy: 'Generado por {branding}',
+    definitionQuestion: '¿Qué es {term}?',
+    glossary: 'Glosario',
+    quiz: 'Cuestionario',
+    answerKey: 'Respuestas correctas',
+    true: 'Verdadero',
+    false: 'Falso',
+    questionCount: '{count} preguntas',
+  },
+  de: {
+    question: 'F',
+    answer: 'A',
+    studyFlashcards: 'Lernkarten',
+    totalCards: 'Anzahl der Karten',
+    questionsPage: 'Seite {page} (Fragen)',
+    answersPage: 'Seite {page} (Antworten)',
+    printingInstructions: 'Druckanleitung',
+    printDuplex: 'Drucke dieses PDF beidseitig (Duplex)',
+    flipLongEdge: 'Wähle "An langer Kante spiegeln" oder "Bindung an der langen Kante"',
+    cutAlongLines: 'Schneide die Karten nach dem Drucken entlang der grauen Hilfslinien aus',
+    cardsPerSheet: 'Pro Blatt erhältst du {count} Karten',
+    eachCardHas: 'Jede Karte hat:',
+    questionOnFront: 'Die Frage auf der Vorderseite (markiert mit "{mark}")',
+    answerOnBack: 'Die Antwort auf der Rückseite (markiert mit "{mark}")',
+    totalFlashcards: 'Lernkarten insgesamt: {count}',
+    tips: 'Tipps für beste Ergebnisse:',
+    tipCardstock: 'Verwende dickeres Papier (Karton), damit die Karten länger halten',
+    tipColor: 'Drucke in Farbe für eine bessere Optik',
+    tipLaminate: 'Laminiere die Karten für den langfristigen Gebrauch',
+    generatedBy: 'Erstellt von {branding}',
+    definitionQuestion: 'Was ist {term}?',
+    glossary: 'Glossar',
+    quiz: 'Quiz',
+    answerKey: 'Lösungen',
+    true: 'Wahr',
+    false: 'Falsch',
+    questionCount: '{count} Fragen',
+  },
+  fr: {
+    question: 'Q',
+    answer: 'R',
+    studyFlashcards: 'Fiches de révision',
+    totalCards: 'Nombre de fiches',
+    questionsPage: 'Page {page} (Questions)',
+    answersPage: 'Page {page} (Réponses)',
+    printingInstructions: "Instructions d'impression",
+    printDuplex: 'Imprimez ce PDF en recto verso',
+    flipLongEdge: 'Choisissez "Retourner sur les bords longs" ou "Reliure bord long"',
+    cutAlongLines: "Après l'impression, découpez le long des lignes guides grises",
+    cardsPerSheet: 'Vous obtiendrez {count} fiches par feuille',
+    eachCardHas: 'Chaque fiche comporte :',
+    questionOnFront: 'La question au recto (marquée "{mark}")',
+    answerOnBack: 'La réponse au verso (marquée "{mark}")',
+    totalFlashcards: 'Nombre total de fiches : {count}',
+    tips: 'Conseils pour un meilleur résultat :',
+    tipCardstock: 'Utilisez du papier plus épais (bristol) pour plus de solidité',
+    tipColor: 'Imprimez en couleur pour un meilleur rendu',
+    tipLaminate: 'Plastifiez les fiches pour une utilisation durable',
+    generatedBy: 'Généré par {branding}',
+    definitionQuestion: "Qu'est-ce que {term} ?",
+    glossary: 'Glossaire',
+    quiz: 'Quiz',
+    answerKey: 'Corrigé',
+    true: 'Vrai',
+    false: 'Faux',
+    questionCount: '{count} questions',
+  },
+  it: {
+    question: 'D',
+    answer: 'R',
+    studyFlashcards: 'Schede di studio',
+    totalCards: 'Totale schede',
+    questionsPage: 'Pagina {page} (Domande)',
+    answersPage: 'Pagina {page} (Risposte)',
+    printingInstructions: 'Istruzioni di stampa',
+    printDuplex: 'Stampa questo PDF fronte-retro',
+    flipLongEdge: 'Seleziona "Capovolgi sul lato lungo" o "Rilegatura sul lato lungo"',
+    cutAlongLines: 'Dopo la stampa, ritaglia lungo le linee guida grigie',
+    cardsPerSheet: 'Otterrai {count} schede per foglio',
+    eachCardHas: 'Ogni scheda avrà:',
+    questionOnFront: 'La domanda sul fronte (contrassegnata con "{mark}")',
+    answerOnBack: 'La risposta sul retro (contrassegnata con "{mark}")',
+    totalFlashcards: 'Totale schede: {count}',
+    tips: 'Consigli per risultati migliori:',
+    tipCardstock: 'Usa carta più spessa (cartoncino) per una maggiore durata',
+    tipColor: 'Stampa a colori per un aspetto migliore',
+    tipLaminate: "Plastifica le schede per un uso a lungo termine",
+    generatedBy: 'Generato da {branding}',
+    definitionQuestion: "Che cos'è {term}?",
+    glossary: 'Glossario',
+    quiz: 'Quiz',
+    answerKey: 'Soluzioni',
+    true: 'Vero',
+    false: 'Falso',
+    questionCount: '{count} domande',
+  },
+  pt: {
+    question: 'P',
+    answer: 'R',
+    studyFlashcards: 'Cartões de estudo',
+    totalCards: 'Total de cartões',
+    questionsPage: 'Página {page} (Perguntas)',
+    answersPage: 'Página {page} (Respostas)',
+    printingInstructions: 'Instruções de impressão',
+    printDuplex: 'Imprima este PDF em frente e verso (duplex)',
+    flipLongEdge: 'Selecione "Virar na borda longa" ou "Encadernação na borda longa"',
+    cutAlongLines: 'Depois de imprimir, recorte ao longo das linhas-guia cinzentas',
+    cardsPerSheet: 'Você obterá {count} cartões por folha',
+    eachCardHas: 'Cada cartão terá:',
+    questionOnFront: 'A pergunta na frente (marcada com "{mark}")',
+    answerOnBack: 'A resposta no verso (marcada com "{mark}")',
+    totalFlashcards: 'Total de cartões: {count}',
+    tips: 'Dicas para melhores resultados:',
+    tipCardstock: 'Use papel mais grosso (cartolina) para maior durabilidade',
+    tipColor: 'Imprima em cores para um melhor visual',
+    tipLaminate: 'Plastifique os cartões para uso prolongado',
+    generatedBy: 'Gerado por {branding}',
+    definitionQuestion: 'O que é {term}?',
+    glossary: 'Glossário',
+    quiz: 'Questionário',
+    answerKey: 'Gabarito',
+    true: 'Verdadeiro',
+    false: 'Falso',
+    questionCount: '{count} perguntas',
+  },
+};
+
+/**
+ * Look up an output language by code, English name or native name
+ * @param {string} [language='en'] - e.g. 'es', 'es-MX', 'Spanish' or 'Deutsch'
+ * @returns {{code: string, name: string, nativeName: string}} Language
+ * @throws {Error} If the language is not supported
+ */
+export function getLanguage(language = DEFAULT_LANGUAGE) {
+  const value = String(language).trim().toLowerCase();
+  const match = LANGUAGES[value.split(/[-_]/)[0]]
+    ?? Object.values(LANGUAGES).find(({ name, nativeName }) => name.toLowerCase() === value || nativeName.toLowerCase() === value);
+  if (!match) {
+    const supported = Object.values(LANGUAGES).map(({ code, name }) => `${code} (${name})`).join(', ');
+    throw new Error(`Unsupported language: ${language}. Supported: ${supported}`);
+  }
+  return match;
+}
+
+/**
+ * Flashcard labels for a language
+ * @param {string} [code='en'] - Language code
+ * @returns {Object} Labels
+ */
+export function getFlashcardLabels(code = DEFAULT_LANGUAGE) {
+  return FLASHCARD_LABELS[code] ?? FLASHCARD_LABELS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Fill the {placeholders} of a label
+ * @param {string} label - Label text
+ * @param {Object} [values={}] - Placeholder values
+ * @returns {string}
+ */
+export function formatLabel(label, values = {}) {
+  return label.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
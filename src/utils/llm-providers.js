@@ -0,0 +1,420 @@
+/**
+ * LLM Provider Utility
+ *
+ * Pluggable chat-completion providers behind one interface, so SummaryForge can run
+ * against OpenAI, any OpenAI-compatible server (Ollama, vLLM, LM Studio) or Anthropic.
+ *
+ * Every provider implements:
+ *   - complete({ system, prompt, messages, file, maxTokens, model, onToken })
+ *       → { content, usage, finishReason, model }
+ *     With onToken(delta, text) the response is streamed and onToken is called for every
+ *     piece of text as it arrives (custom providers may ignore it and answer in one go).
+ *   - uploadFile(filePath) → file handle usable as `file` in complete()
+ *   - deleteFile(file)
+ *
+ * Providers make a single attempt per call; SummaryForge wraps them with retries.
+ *
+ * `usage` is always normalized to the OpenAI shape ({ prompt_tokens, completion_tokens,
+ * total_tokens }) so cost tracking works the same regardless of provider.
+ */
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import OpenAI from 'openai';
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'anthropic'];
+
+export const DEFAULT_MODELS = {
+  openai: 'gpt-5',
+  'openai-compatible': 'llama3.1',
+  anthropic: 'claude-sonnet-4-5'
+};
+
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Map Anthropic stop reasons onto OpenAI finish reasons
+const ANTHROPIC_FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length'
+};
+
+/**
+ * Normalize provider usage into the OpenAI usage shape
+ * @param {Object} usage - Raw usage object from the provider response
+ * @returns {Object|null} { prompt_tokens, completion_tokens, total_tokens } or null
+ */
+export function normalizeUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+
+  const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage.total_tokens ?? promptTokens + completionTokens
+  };
+}
+
+/**
+ * Build the message list for a request (prompt is shorthand for one user message)
+ * @private
+ */
+function buildMessages({ prompt, messages }) {
+  if (messages && messages.length > 0) {
+    return messages;
+  }
+  return [{ role: 'user', content: prompt ?? '' }];
+}
+
+/**
+ * Parse a Server-Sent Events stream into its JSON `data:` payloads
+ * @private
+ * @param {AsyncIterable<Uint8Array>} body - Response body
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.match(/^data:\s?(.*)$/)?.[1]?.trim();
+      if (data && data !== '[DONE]') {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+/**
+ * Provider for the OpenAI API and OpenAI-compatible servers
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.apiKey] - API key (placeholder is used for local servers)
+   * @param {string} [options.baseURL] - Base URL for OpenAI-compatible servers
+   * @param {string} [options.model] - Default model
+   * @param {string} [options.name='openai'] - Provider name ('openai' or 'openai-compatible')
+   * @param {Object} [options.client] - Pre-built OpenAI client (for testing)
+   */
+  constructor(options = {}) {
+    this.name = options.name ?? 'openai';
+    this.model = options.model ?? DEFAULT_MODELS[this.name] ?? DEFAULT_MODELS.openai;
+    this.baseURL = options.baseURL ?? null;
+    this.client = options.client ?? new OpenAI({
+      apiKey: options.apiKey ?? 'not-needed',
+      // SummaryForge retries failed requests itself (utils/retry.js)
+      maxRetries: 0,
+      ...(this.baseURL ? { baseURL: this.baseURL } : {})
+    });
+
+    // Only the hosted OpenAI API accepts PDF file inputs; local servers get text only
+    this.supportsFileInput = this.name === 'openai';
+  }
+
+  get label() {
+    return this.name === 'openai' ? `OpenAI ${this.model}` : `${this.model} (${this.baseURL})`;
+  }
+
+  async uploadFile(filePath) {
+    if (!this.supportsFileInput) {
+      throw new Error(`PDF file input is not supported by the ${this.name} provider`);
+    }
+
+    const file = await this.client.files.create({
+      file: fs.createReadStream(filePath),
+      purpose: 'user_data'
+    });
+
+    return { id: file.id };
+  }
+
+  async deleteFile(file) {
+    if (file?.id) {
+      await this.client.files.delete(file.id);
+    }
+  }
+
+  async complete(request) {
+    const { system, file, maxTokens, model } = request;
+    const messages = buildMessages(request).map((message) => ({ ...message }));
+
+    if (file) {
+      const last = messages[messages.length - 1];
+      last.content = [
+        { type: 'file', file: { file_id: file.id } },
+        { type: 'text', text: last.content }
+      ];
+    }
+
+    // The hosted API wants max_completion_tokens; most compatible servers only know max_tokens
+    const tokenParam = this.name === 'openai' ? 'max_completion_tokens' : 'max_tokens';
+
+    const params = {
+      model: model ?? this.model,
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+      [tokenParam]: maxTokens,
+    };
+
+    if (request.onToken) {
+      return this.completeStreaming(params, request.onToken);
+    }
+
+    const resp = await this.client.chat.completions.create(params);
+
+    const choice = resp.choices?.[0];
+    return {
+      content: choice?.message?.content ?? '',
+      usage: normalizeUsage(resp.usage),
+      finishReason: choice?.finish_reason ?? null,
+      model: resp.model ?? model ?? this.model
+    };
+  }
+
+  /**
+   * Stream a chat completion, collecting the text and the final usage
+   * @private
+   */
+  async completeStreaming(params, onToken) {
+    const stream = await this.client.chat.completions.create({
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+
+    let content = '';
+    let usage = null;
+    let finishReason = null;
+    let model = params.model;
+    for await (const chunk of stream) {
+      model = chunk.model ?? model;
+      usage = chunk.usage ?? usage;
+      const choice = chunk.choices?.[0];
+      finishReason = choice?.finish_reason ?? finishReason;
+      const delta = choice?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta, content);
+      }
+    }
+
+    return { content, usage: normalizeUsage(usage), finishReason, model };
+  }
+}
+
+/**
+ * Messages API endpoint under an Anthropic base URL
+ * Accepts the host (https://api.anthropic.com), a /v1 base like the OpenAI-compatible URLs, or the full endpoint.
+ * @param {string} baseURL - Base URL
+ * @returns {string} URL ending in /v1/messages
+ */
+function anthropicMessagesUrl(baseURL) {
+  const url = baseURL.replace(/\/+$/, '');
+  if (url.endsWith('/messages')) {
+    return url;
+  }
+  return url.endsWith('/v1') ? `${url}/messages` : `${url}/v1/messages`;
+}
+
+/**
+ * Provider for the Anthropic Messages API (uses fetch, no SDK dependency)
+ */
+export class AnthropicProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} [options.model] - Default model
+   * @param {string} [options.baseURL] - API base URL, e.g. a proxy (default: https://api.anthropic.com)
+   */
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey;
+    this.model = options.model ?? DEFAULT_MODELS.anthropic;
+    this.baseURL = options.baseURL ?? ANTHROPIC_BASE_URL;
+    this.messagesURL = anthropicMessagesUrl(this.baseURL);
+    this.supportsFileInput = true;
+  }
+
+  get label() {
+    return `Anthropic ${this.model}`;
+  }
+
+  /**
+   * Anthropic accepts PDFs inline as base64 document blocks, so "uploading" just reads the file
+   */
+  async uploadFile(filePath) {
+    const data = await fsp.readFile(filePath);
+    return {
+      id: `inline:${path.basename(filePath)}`,
+      mediaType: 'application/pdf',
+      data: data.toString('base64')
+    };
+  }
+
+  async deleteFile() {
+    // Nothing to clean up for inline documents
+  }
+
+  async complete(request) {
+    const { system, file, maxTokens, model } = request;
+    const messages = buildMessages(request).map((message) => ({ ...message }));
+
+    if (file) {
+      const last = messages[messages.length - 1];
+      last.content = [
+        { type: 'document', source: { type: 'base64', media_type: file.mediaType, data: file.data } },
+        { type: 'text', text: last.content }
+      ];
+    }
+
+    const response = await fetch(this.messagesURL, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify({
+        model: model ?? this.model,
+        max_tokens: maxTokens,
+        ...(system ? { system } : {}),
+        messages,
+        ...(request.onToken ? { stream: true } : {})
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`Anthropic API error ${response.status}: ${body || response.statusText}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+
+    if (request.onToken) {
+      return this.readStream(response.body, request.onToken, model ?? this.model);
+    }
+
+    const data = await response.json();
+    const content = (data.content ?? [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+
+    return {
+      content,
+      usage: normalizeUsage(data.usage),
+      finishReason: ANTHROPIC_FINISH_REASONS[data.stop_reason] ?? data.stop_reason ?? null,
+      model: data.model ?? model ?? this.model
+    };
+  }
+
+  /**
+   * Collect a streamed Messages API response
+   * @private
+   */
+  async readStream(body, onToken, requestedModel) {
+    let content = '';
+    let usage = {};
+    let stopReason = null;
+    let model = requestedModel;
+    for await (const event of readServerSentEvents(body)) {
+      if (event.type === 'message_start') {
+        model = event.message?.model ?? model;
+        usage = { ...event.message?.usage };
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        content += event.delta.text;
+        onToken(event.delta.text, content);
+      } else if (event.type === 'message_delta') {
+        stopReason = event.delta?.stop_reason ?? stopReason;
+        usage = { ...usage, ...event.usage };
+      } else if (event.type === 'error') {
+        throw new Error(`Anthropic API error: ${event.error?.message ?? 'stream error'}`);
+      }
+    }
+
+    return {
+      content,
+      usage: normalizeUsage(usage),
+      finishReason: ANTHROPIC_FINISH_REASONS[stopReason] ?? stopReason,
+      model
+    };
+  }
+}
+
+/**
+ * Provider to use when none is configured, judged by the credentials that are set
+ * An Anthropic key without an OpenAI key picks anthropic, a base URL picks a self-hosted server.
+ * @param {Object} config - Configuration with openaiApiKey, anthropicApiKey and llmBaseUrl
+ * @returns {string} Provider name
+ */
+export function inferLLMProvider(config = {}) {
+  if (config.anthropicApiKey && !config.openaiApiKey) {
+    return 'anthropic';
+  }
+  return config.llmBaseUrl ? 'openai-compatible' : 'openai';
+}
+
+/**
+ * Create an LLM provider from SummaryForge configuration
+ *
+ * @param {Object} config - SummaryForge configuration
+ * @param {string|Object} [config.llmProvider] - Provider name, or a custom provider object (default: from inferLLMProvider())
+ * @param {string} [config.llmModel] - Model name (defaults per provider)
+ * @param {string} [config.llmBaseUrl] - Base URL (required for 'openai-compatible', a proxy for 'anthropic')
+ * @param {string} [config.llmApiKey] - API key for an OpenAI-compatible server
+ * @param {string} [config.openaiApiKey] - OpenAI API key
+ * @param {string} [config.anthropicApiKey] - Anthropic API key
+ * @returns {Object} Provider instance
+ */
+export function createLLMProvider(config = {}) {
+  const provider = config.llmProvider ?? inferLLMProvider(config);
+
+  // Custom providers only need to implement complete()
+  if (typeof provider === 'object' && typeof provider.complete === 'function') {
+    return provider;
+  }
+
+  switch (provider) {
+    case 'openai':
+      if (!config.openaiApiKey) {
+        throw new Error('OpenAI API key is required');
+      }
+      return new OpenAIProvider({
+        apiKey: config.openaiApiKey,
+        model: config.llmModel
+      });
+
+    case 'openai-compatible':
+      if (!config.llmBaseUrl) {
+        throw new Error('llmBaseUrl is required for the openai-compatible provider');
+      }
+      return new OpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: config.llmApiKey ?? config.openaiApiKey,
+        baseURL: config.llmBaseUrl,
+        model: config.llmModel
+      });
+
+    case 'anthropic':
+      if (!config.anthropicApiKey) {
+        throw new Error('Anthropic API key is required');
+      }
+      return new AnthropicProvider({
+        apiKey: config.anthropicApiKey,
+        model: config.llmModel,
+        baseURL: config.llmBaseUrl
+      });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}. Supported: ${LLM_PROVIDERS.join(', ')}`);
+  }
+}
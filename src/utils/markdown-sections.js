@@ -0,0 +1,137 @@
+/**
+ * Markdown Sections
+ *
+ * Splits a summary into its heading sections and chapters, e.g. for the
+ * per-chapter summary files.
+ */
+
+import { stripCitations } from './citations.js';
+
+// Folder for the per-chapter summary files, inside the book directory
+export const CHAPTERS_DIRNAME = 'chapters';
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const CODE_FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Split Markdown into sections at its headings (fenced code is never split)
+ * @param {string} markdown - Markdown text
+ * @returns {Array<{heading: string|null, level: number, text: string}>} Sections; joining their
+ *   text with "\n" restores the document. Content before the first heading has heading null.
+ */
+export function splitSections(markdown) {
+  const sections = [];
+  let current = { heading: null, level: 0, lines: [] };
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (CODE_FENCE.test(line)) {
+      inFence = !inFence;
+    }
+    const heading = !inFence && line.match(HEADING);
+    if (heading) {
+      if (current.heading !== null || current.lines.length > 0) {
+        sections.push(current);
+      }
+      current = { heading: stripCitations(heading[2]).trim(), level: heading[1].length, lines: [] };
+    }
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections.map(({ lines, ...section }) => ({ ...section, text: lines.join('\n') }));
+}
+
+/**
+ * Split a summary into chapters
+ *
+ * A lone level-1 heading opening the document is taken as the book title. Chapters are the
+ * shallowest headings below it; deeper headings stay inside their chapter.
+ *
+ * @param {string} markdown - Summary Markdown
+ * @returns {{title: string|null, level: number, front: string, chapters: Array<{title: string, text: string}>}}
+ *   `front` is the text before the first chapter without the title heading; `level` is the chapter heading level
+ */
+export function splitChapters(markdown) {
+  const sections = splitSections(markdown);
+  const headed = sections.filter((section) => section.heading !== null);
+  const titleSection = headed[0]?.level === 1 && headed.filter((section) => section.level === 1).length === 1
+    ? headed[0]
+    : null;
+  const level = Math.min(...headed.filter((section) => section !== titleSection).map((section) => section.level));
+
+  const front = [];
+  const chapters = [];
+  for (const section of sections) {
+    if (section === titleSection) {
+      // Keep what follows the title line (e.g. an introduction paragraph)
+      front.push(section.text.split('\n').slice(1).join('\n'));
+    } else if (section.level === level) {
+      chapters.push({ title: section.heading, text: section.text });
+    } else if (chapters.length === 0) {
+      front.push(section.text);
+    } else {
+      chapters.at(-1).text += `\n${section.text}`;
+    }
+  }
+
+  return {
+    title: titleSection?.heading ?? null,
+    level: chapters.length > 0 ? level : 0,
+    front: front.join('\n').trim(),
+    chapters: chapters.map((chapter) => ({ ...chapter, text: chapter.text.trim() })),
+  };
+}
+
+/**
+ * Shift the heading levels of a Markdown text (fenced code is left alone)
+ * @param {string} markdown - Markdown text
+ * @param {number} by - Levels to promote, e.g. 1 turns "##" into "#"
+ * @returns {string}
+ */
+export function promoteHeadings(markdown, by) {
+  let inFence = false;
+  return markdown
+    .split('\n')
+    .map((line) => {
+      if (CODE_FENCE.test(line)) {
+        inFence = !inFence;
+      }
+      const heading = !inFence && line.match(HEADING);
+      return heading ? `${'#'.repeat(Math.max(1, heading[1].length - by))} ${heading[2]}` : line;
+    })
+    .join('\n');
+}
+
+/**
+ * Turn a chapter title into a file-name slug ("Chapter 1: Getting Started" -> "getting-started")
+ * @param {string} title - Chapter title
+ * @returns {string}
+ */
+export function slugify(title) {
+  const toSlug = (text) => text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  const cleanTitle = stripCitations(title);
+  // Drop a "Chapter 1:" prefix unless it is the whole title
+  return toSlug(cleanTitle.replace(/^(chapter|part|section)\s+[\divxlc]+\s*[:.\-–—]?\s*/i, ''))
+    || toSlug(cleanTitle)
+    || 'chapter';
+}
+
+/**
+ * File name for a chapter, numbered in reading order
+ * @param {number} index - 0-based chapter index
+ * @param {string} title - Chapter title
+ * @param {number} total - Number of chapters (sets the zero padding)
+ * @returns {string} e.g. "01-introduction.md"
+ */
+export function chapterFileName(index, title, total) {
+  const number = String(index + 1).padStart(Math.max(2, String(total).length), '0');
+  return `${number}-${slugify(title)}.md`;
+}
@@ -0,0 +1,357 @@
+/**
+ * Mind Map
+ *
+ * Derives a mind map from a summary's heading structure and key points (no LLM call) and
+ * writes it as Mermaid, OPML and FreeMind, plus an SVG drawing rendered to PNG with sharp.
+ */
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { splitSections } from './markdown-sections.js';
+import { stripCitations } from './citations.js';
+
+export const MINDMAP_BASENAME = 'mindmap';
+
+const MAX_LABEL_LENGTH = 80;
+const DEFAULT_MAX_POINTS = 5;
+const CODE_FENCE = /^\s*(```|~~~)/;
+const LIST_ITEM = /^(?:[-*+]|\d+[.)])\s+(.+)$/;
+const BOLD_PHRASE = /\*\*([^*\n]+)\*\*|__([^_\n]+)__/g;
+
+// Drawing
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const CHAR_WIDTH = 0.6;
+const BOX_PADDING = 12;
+const BOX_HEIGHT = 28;
+const ROW_HEIGHT = 36;
+const COLUMN_GAP = 48;
+const MARGIN = 24;
+const BRANCH_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#b07aa1', '#9c755f', '#ff9da7'];
+const NODE_STYLES = {
+  root: { fontSize: 18, fontWeight: 'bold' },
+  heading: { fontSize: 14, fontWeight: 'bold' },
+  point: { fontSize: 13, fontWeight: 'normal' },
+};
+
+/**
+ * Turn a heading or list item into a one-line node label
+ * Markdown markup and page citations are removed; long labels are cut at the first sentence
+ * or a word boundary
+ * @private
+ */
+function toLabel(text) {
+  let label = stripCitations(text)
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])([*_])(?!\s)(.+?)(?<!\s)\2(?![\w*])/g, '$1$3')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (label.length > MAX_LABEL_LENGTH) {
+    const sentence = label.match(/^(.+?[.!?])\s/);
+    label = sentence && sentence[1].length <= MAX_LABEL_LENGTH
+      ? sentence[1]
+      : `${label.slice(0, MAX_LABEL_LENGTH - 1).replace(/\s+\S*$/, '')}…`;
+  }
+  return label;
+}
+
+/**
+ * Key points of a section: its top-level list items or, without a list, its bold phrases
+ * @private
+ */
+function findKeyPoints(text, maxPoints) {
+  const items = [];
+  const phrases = [];
+  let inFence = false;
+
+  // The first line of a headed section is the heading itself
+  for (const line of text.split('\n')) {
+    if (CODE_FENCE.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || /^#{1,6}\s/.test(line)) {
+      continue;
+    }
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      items.push(item[1]);
+    }
+    for (const [, stars, underscores] of line.matchAll(BOLD_PHRASE)) {
+      phrases.push(stars ?? underscores);
+    }
+  }
+
+  const seen = new Set();
+  const points = [];
+  for (const label of (items.length > 0 ? items : phrases).map(toLabel)) {
+    const key = label.toLowerCase();
+    if (label && !seen.has(key) && points.length < maxPoints) {
+      seen.add(key);
+      points.push(label);
+    }
+  }
+  return points;
+}
+
+/**
+ * Build a mind map from a summary
+ *
+ * The root is the summary's title (a lone level-1 heading opening the document) or
+ * options.title. Headings nest by level below it, and every heading (the root included)
+ * gets the key points of its own text: the top-level list items, or the bold phrases when
+ * the text has no list.
+ *
+ * @param {string} markdown - Summary Markdown
+ * @param {Object} [options]
+ * @param {string} [options.title='Summary'] - Root label when the summary has no title heading
+ * @param {number} [options.maxPoints=5] - Key points per heading
+ * @returns {{ label: string, kind: 'root', children: Array }} Tree of { label, kind, children }
+ *   nodes, where kind is 'root', 'heading' or 'point'
+ */
+export function buildMindMap(markdown, options = {}) {
+  const { title = 'Summary', maxPoints = DEFAULT_MAX_POINTS } = options;
+  const sections = splitSections(markdown ?? '');
+  const headed = sections.filter((section) => section.heading !== null);
+  const titleSection = headed[0]?.level === 1 && headed.filter((section) => section.level === 1).length === 1
+    ? headed[0]
+    : null;
+
+  const root = { label: toLabel(titleSection?.heading || title), kind: 'root', children: [] };
+  const stack = [{ node: root, level: 0 }];
+  const addPoints = (node, text) => {
+    node.children.push(...findKeyPoints(text, maxPoints).map((label) => ({ label, kind: 'point', children: [] })));
+  };
+
+  for (const section of sections) {
+    if (section.heading === null || section === titleSection) {
+      addPoints(root, section.text);
+      continue;
+    }
+    while (stack.length > 1 && stack.at(-1).level >= section.level) {
+      stack.pop();
+    }
+    const node = { label: toLabel(section.heading), kind: 'heading', children: [] };
+    stack.at(-1).node.children.push(node);
+    stack.push({ node, level: section.level });
+    addPoints(node, section.text);
+  }
+
+  return root;
+}
+
+/**
+ * Format a mind map as a Mermaid mindmap diagram
+ * @param {Object} tree - Tree from buildMindMap()
+ * @returns {string}
+ */
+export function formatMindMapMermaid(tree) {
+  // Quoted node text may hold brackets and parentheses, but no double quotes
+  const quote = (label) => `"${label.replace(/"/g, "'")}"`;
+  const lines = ['mindmap', `  root((${quote(tree.label)}))`];
+  let id = 0;
+
+  const addChildren = (node, depth) => {
+    for (const child of node.children) {
+      id += 1;
+      lines.push(`${'  '.repeat(depth + 2)}n${id}[${quote(child.label)}]`);
+      addChildren(child, depth + 1);
+    }
+  };
+  addChildren(tree, 0);
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for an XML attribute
+ * @private
+ */
+function escapeXmlAttribute(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a mind map as an OPML 2.0 outline
+ * @param {Object} tree - Tree from buildMindMap()
+ * @returns {string}
+ */
+export function formatMindMapOpml(tree) {
+  const outline = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    const text = `text="${escapeXmlAttribute(node.label)}"`;
+    if (node.children.length === 0) {
+      return `${indent}<outline ${text}/>`;
+    }
+    return [
+      `${indent}<outline ${text}>`,
+      ...node.children.map((child) => outline(child, depth + 1)),
+      `${indent}</outline>`,
+    ].join('\n');
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXmlAttribute(tree.label)}</title>`,
+    '  </head>',
+    '  <body>',
+    outline(tree, 2),
+    '  </body>',
+    '</opml>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Format a mind map as a FreeMind (.mm) map
+ * First-level branches alternate between the right and left of the root, as FreeMind lays them out.
+ * @param {Object} tree - Tree from buildMindMap()
+ * @returns {string}
+ */
+export function formatMindMapFreeMind(tree) {
+  // FreeMind reads .mm files without an encoding declaration, so non-ASCII text is written as character references
+  const text = (label) => escapeXmlAttribute(label).replace(/[^\x20-\x7e]/gu, (char) => `&#x${char.codePointAt(0).toString(16)};`);
+
+  const node = (entry, depth, position) => {
+    const indent = '  '.repeat(depth);
+    const attributes = `TEXT="${text(entry.label)}"${position ? ` POSITION="${position}"` : ''}`;
+    if (entry.children.length === 0) {
+      return `${indent}<node ${attributes}/>`;
+    }
+    return [
+      `${indent}<node ${attributes}>`,
+      ...entry.children.map((child, idx) => node(child, depth + 1, depth === 1 ? (idx % 2 === 0 ? 'right' : 'left') : null)),
+      `${indent}</node>`,
+    ].join('\n');
+  };
+
+  return `<map version="1.0.1">\n${node(tree, 1, null)}\n</map>\n`;
+}
+
+/**
+ * Draw a mind map as SVG: the root on the left, one column per level and one row per leaf
+ * Each first-level branch gets its own color.
+ *
+ * @param {Object} tree - Tree from buildMindMap()
+ * @param {Object} [options]
+ * @param {string} [options.branding] - Footer text
+ * @returns {string} SVG document
+ */
+export function renderMindMapSvg(tree, options = {}) {
+  const { branding = '' } = options;
+  const entries = [];
+  let rows = 0;
+
+  const place = (node, depth, color) => {
+    const style = NODE_STYLES[node.kind];
+    const entry = {
+      node,
+      depth,
+      color,
+      width: Math.ceil(node.label.length * style.fontSize * CHAR_WIDTH) + BOX_PADDING * 2,
+      children: [],
+    };
+    entries.push(entry);
+    if (node.children.length === 0) {
+      entry.y = rows * ROW_HEIGHT;
+      rows += 1;
+    } else {
+      entry.children = node.children.map((child, idx) => place(child, depth + 1, color ?? BRANCH_COLORS[idx % BRANCH_COLORS.length]));
+      entry.y = (entry.children[0].y + entry.children.at(-1).y) / 2;
+    }
+    return entry;
+  };
+  place(tree, 0, null);
+
+  // Columns are as wide as their widest node
+  const columnWidths = [];
+  for (const { depth, width } of entries) {
+    columnWidths[depth] = Math.max(columnWidths[depth] ?? 0, width);
+  }
+  const columnX = columnWidths.map((_, depth) => MARGIN + columnWidths.slice(0, depth).reduce((sum, width) => sum + width + COLUMN_GAP, 0));
+  const width = columnX.at(-1) + columnWidths.at(-1) + MARGIN;
+  const footer = branding ? 24 : 0;
+  const height = MARGIN * 2 + (rows - 1) * ROW_HEIGHT + BOX_HEIGHT + footer;
+  const top = (entry) => MARGIN + entry.y;
+
+  const edges = [];
+  const boxes = [];
+  for (const entry of entries) {
+    const x = columnX[entry.depth];
+    const y = top(entry);
+    const middle = y + BOX_HEIGHT / 2;
+    const { fontSize, fontWeight } = NODE_STYLES[entry.node.kind];
+
+    for (const child of entry.children) {
+      const fromX = x + entry.width;
+      const toX = columnX[child.depth];
+      const toY = top(child) + BOX_HEIGHT / 2;
+      const bend = (toX - fromX) / 2;
+      edges.push(`<path d="M ${fromX} ${middle} C ${fromX + bend} ${middle}, ${toX - bend} ${toY}, ${toX} ${toY}" fill="none" stroke="${child.color}" stroke-width="2"/>`);
+    }
+
+    const isPoint = entry.node.kind === 'point';
+    const fill = entry.color === null ? '#333333' : isPoint ? '#ffffff' : entry.color;
+    const stroke = entry.color ?? '#333333';
+    const textColor = isPoint ? '#333333' : '#ffffff';
+    boxes.push(
+      `<rect x="${x}" y="${y}" width="${entry.width}" height="${BOX_HEIGHT}" rx="8" fill="${fill}" stroke="${stroke}" stroke-width="1.5"/>`,
+      `<text x="${x + BOX_PADDING}" y="${middle}" dominant-baseline="central" font-family="${FONT_FAMILY}" font-size="${fontSize}" font-weight="${fontWeight}" fill="${textColor}">${escapeXmlAttribute(entry.node.label)}</text>`
+    );
+  }
+
+  const footerText = branding
+    ? `<text x="${width - MARGIN}" y="${height - MARGIN / 2}" text-anchor="end" font-family="${FONT_FAMILY}" font-size="12" font-style="italic" fill="#999999">${escapeXmlAttribute(branding)}</text>`
+    : '';
+
+  return [
+    `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...edges,
+    ...boxes,
+    footerText,
+    '</svg>',
+  ].filter(Boolean).join('\n') + '\n';
+}
+
+/**
+ * Write a mind map in every format: mindmap.mmd, mindmap.opml, mindmap.mm, mindmap.svg and mindmap.png
+ *
+ * @param {Object} tree - Tree from buildMindMap()
+ * @param {string} outputDir - Directory to write to
+ * @param {Object} [options]
+ * @param {string} [options.suffix=''] - Added to the file names, e.g. ".es" for a Spanish summary
+ * @param {string} [options.branding] - Footer text of the drawing
+ * @returns {Promise<{ mermaid: string, opml: string, freemind: string, svg: string, png: string|null, pngError?: string }>}
+ *   File paths; png is null, with the reason in pngError, when the drawing cannot be rendered
+ */
+export async function writeMindMap(tree, outputDir, options = {}) {
+  const { suffix = '', branding } = options;
+  const file = (extension) => path.join(outputDir, `${MINDMAP_BASENAME}${suffix}.${extension}`);
+  const files = { mermaid: file('mmd'), opml: file('opml'), freemind: file('mm'), svg: file('svg'), png: file('png') };
+
+  const svg = renderMindMapSvg(tree, { branding });
+  await fsp.writeFile(files.mermaid, formatMindMapMermaid(tree), 'utf8');
+  await fsp.writeFile(files.opml, formatMindMapOpml(tree), 'utf8');
+  await fsp.writeFile(files.freemind, formatMindMapFreeMind(tree), 'utf8');
+  await fsp.writeFile(files.svg, svg, 'utf8');
+
+  // Import sharp dynamically; render at twice the SVG size for a sharp image
+  try {
+    const sharp = (await import('sharp')).default;
+    await sharp(Buffer.from(svg), { density: 144 }).png().toFile(files.png);
+  } catch (error) {
+    return { ...files, png: null, pngError: error.message };
+  }
+
+  return files;
+}
@@ -0,0 +1,110 @@
+/**
+ * Models and Pricing
+ *
+ * Each pipeline stage can run on its own model (e.g. a cheap model for chunk summaries and
+ * flashcards, a strong one for synthesis). Stages without a model use the provider's
+ * default model (`llmModel`).
+ *
+ * The pricing registry is keyed by model name so costs are charged at the rate of the model
+ * that served each request. Prices are list prices in USD per million tokens; override or
+ * extend them with the `modelPricing` option.
+ */
+
+/**
+ * Pipeline stages that can be given their own model
+ * - summary: whole-book summary in one request (PDF upload or extracted text), web page summaries
+ * - chunk: per-chunk summaries of large books
+ * - synthesis: merging chunk summaries into the final summary
+ * - verify: claim verification and section rewrites
+ * - audioScript: narration script for the audio summary
+ * - flashcards: flashcard Q&A pairs
+ * - glossary: glossary terms and definitions
+ * - quiz: multiple-choice and true/false quiz questions
+ * - compare: comparative reports across several books' summaries
+ * - title: better titles for generically named web pages
+ */
+export const MODEL_STAGES = ['summary', 'chunk', 'synthesis', 'verify', 'audioScript', 'flashcards', 'glossary', 'quiz', 'compare', 'title'];
+
+/**
+ * Per-million-token prices (USD) by model name
+ * Dated snapshots (e.g. 'gpt-5-2025-08-07') are priced as their base model
+ */
+export const MODEL_PRICING = {
+  'gpt-5': { inputPerMillion: 1.25, outputPerMillion: 10.00 },
+  'gpt-5-mini': { inputPerMillion: 0.25, outputPerMillion: 2.00 },
+  'gpt-5-nano': { inputPerMillion: 0.05, outputPerMillion: 0.40 },
+  'gpt-4.1': { inputPerMillion: 2.00, outputPerMillion: 8.00 },
+  'gpt-4.1-mini': { inputPerMillion: 0.40, outputPerMillion: 1.60 },
+  'gpt-4.1-nano': { inputPerMillion: 0.10, outputPerMillion: 0.40 },
+  'gpt-4o': { inputPerMillion: 2.50, outputPerMillion: 10.00 },
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.60 },
+  'o3': { inputPerMillion: 2.00, outputPerMillion: 8.00 },
+  'o4-mini': { inputPerMillion: 1.10, outputPerMillion: 4.40 },
+  'claude-opus-4-1': { inputPerMillion: 15.00, outputPerMillion: 75.00 },
+  'claude-opus-4': { inputPerMillion: 15.00, outputPerMillion: 75.00 },
+  'claude-sonnet-4-5': { inputPerMillion: 3.00, outputPerMillion: 15.00 },
+  'claude-sonnet-4': { inputPerMillion: 3.00, outputPerMillion: 15.00 },
+  'claude-haiku-4-5': { inputPerMillion: 1.00, outputPerMillion: 5.00 },
+  'claude-3-5-haiku': { inputPerMillion: 0.80, outputPerMillion: 4.00 },
+};
+
+// Charged for hosted models missing from the registry (GPT-4o-class rates, errs on the high side)
+export const FALLBACK_MODEL_PRICING = { inputPerMillion: 2.50, outputPerMillion: 10.00 };
+
+/**
+ * Look up the price of a model
+ *
+ * An exact match wins; otherwise the longest registry name the model starts with followed by
+ * '-' (a dated snapshot such as 'claude-sonnet-4-5-20250929' or 'gpt-5-2025-08-07').
+ *
+ * @param {string} model - Model name
+ * @param {Object} [registry=MODEL_PRICING] - Prices by model name
+ * @returns {{ inputPerMillion: number, outputPerMillion: number }|null} Null for unknown models
+ */
+export function getModelPricing(model, registry = MODEL_PRICING) {
+  if (!model) {
+    return null;
+  }
+  if (registry[model]) {
+    return { ...registry[model] };
+  }
+  const base = Object.keys(registry)
+    .filter((name) => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? { ...registry[base] } : null;
+}
+
+/**
+ * Resolve the model of every stage
+ * @param {Object} [models={}] - Models by stage name, e.g. { chunk: 'gpt-5-mini' }
+ * @param {string} defaultModel - Model for stages without one
+ * @returns {Object} Model for each of MODEL_STAGES
+ * @throws {Error} On an unknown stage name
+ */
+export function resolveStageModels(models = {}, defaultModel) {
+  for (const stage of Object.keys(models)) {
+    if (!MODEL_STAGES.includes(stage)) {
+      throw new Error(`Unknown model stage: ${stage}. Supported: ${MODEL_STAGES.join(', ')}`);
+    }
+  }
+  return Object.fromEntries(MODEL_STAGES.map((stage) => [stage, models[stage] || defaultModel]));
+}
+
+/**
+ * Parse CLI stage models ("chunk=gpt-5-mini", or several separated by commas)
+ * @param {string[]} values - Option values
+ * @returns {Object} Models by stage name
+ * @throws {Error} On a malformed value or unknown stage
+ */
+export function parseStageModels(values) {
+  const models = {};
+  for (const pair of values.flatMap((value) => value.split(','))) {
+    const [stage, model] = pair.split('=').map((part) => part.trim());
+    if (!stage || !model) {
+      throw new Error(`Invalid stage model "${pair}": expected <stage>=<model>, e.g. chunk=gpt-5-mini`);
+    }
+    models[stage] = model;
+  }
+  resolveStageModels(models, null);
+  return models;
+}
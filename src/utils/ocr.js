@@ -0,0 +1,138 @@
+/**
+ * OCR Utility
+ *
+ * Text extraction for scanned PDFs: each page is rasterized with poppler and read
+ * with the Tesseract command-line OCR engine. On macOS and Windows the poppler build
+ * bundled with pdf-poppler is used; elsewhere `pdftoppm` (poppler-utils) must be installed.
+ */
+
+import { spawn } from 'node:child_process';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { mapWithConcurrency } from './concurrency.js';
+
+// A PDF whose text layer averages fewer characters per page than this is treated as scanned
+export const OCR_MIN_CHARS_PER_PAGE = 25;
+
+// Tesseract language codes; combine with "+" for multilingual books (e.g. 'eng+deu')
+export const DEFAULT_OCR_LANGUAGE = 'eng';
+
+export const DEFAULT_OCR_DPI = 300;
+
+const INSTALL_HINTS = {
+  tesseract: 'install Tesseract OCR (brew install tesseract, apt install tesseract-ocr)',
+  pdftoppm: 'install poppler (apt install poppler-utils)',
+};
+
+/**
+ * Whether a PDF's extracted text is too sparse to summarize, i.e. it is (mostly) scanned images
+ * @param {Array<{text: string}>} pages - Pages from extractPdfPages()
+ * @param {number} [minCharsPerPage=OCR_MIN_CHARS_PER_PAGE] - Minimum average characters per page
+ * @returns {boolean}
+ */
+export function needsOcr(pages, minCharsPerPage = OCR_MIN_CHARS_PER_PAGE) {
+  if (pages.length === 0) {
+    return false;
+  }
+  const chars = pages.reduce((sum, page) => sum + page.text.trim().length, 0);
+  return chars / pages.length < minCharsPerPage;
+}
+
+/**
+ * Run a command and collect its standard output
+ * @private
+ */
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', (data) => stdout.push(data));
+    child.stderr.on('data', (data) => stderr.push(data));
+    child.on('error', (error) => {
+      const name = path.basename(command);
+      reject(error.code === 'ENOENT' && INSTALL_HINTS[name]
+        ? new Error(`${name} not found - ${INSTALL_HINTS[name]}`)
+        : error);
+    });
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout).toString('utf8'));
+      } else {
+        reject(new Error(`${path.basename(command)} exited ${code}: ${Buffer.concat(stderr).toString('utf8').trim()}`));
+      }
+    });
+  });
+}
+
+/**
+ * Render one PDF page to a PNG image
+ * @param {string} pdfPath - Path to the PDF
+ * @param {number} pageNum - 1-based page number
+ * @param {string} outputDir - Directory for the image
+ * @param {Object} [options]
+ * @param {number} [options.dpi=DEFAULT_OCR_DPI] - Resolution
+ * @returns {Promise<string>} Path to the PNG image
+ */
+export async function rasterizePage(pdfPath, pageNum, outputDir, options = {}) {
+  const { dpi = DEFAULT_OCR_DPI } = options;
+  const prefix = `page${pageNum}`;
+
+  if (process.platform === 'darwin' || process.platform === 'win32') {
+    // pdf-poppler exits the process when imported on other platforms, so it is loaded here only
+    const { default: poppler } = await import('pdf-poppler');
+    // pdf-poppler sizes by the longest edge: the dpi applied to an 11-inch page
+    await poppler.convert(pdfPath, { format: 'png', out_dir: outputDir, out_prefix: prefix, page: pageNum, scale: dpi * 11 });
+    // pdftocairo appends the zero-padded page number, e.g. page7-007.png
+    const image = (await fsp.readdir(outputDir)).find((file) => file.startsWith(`${prefix}-`) && file.endsWith('.png'));
+    if (!image) {
+      throw new Error(`Could not render page ${pageNum} of ${path.basename(pdfPath)}`);
+    }
+    return path.join(outputDir, image);
+  }
+
+  const outputPrefix = path.join(outputDir, prefix);
+  await run('pdftoppm', ['-png', '-r', String(dpi), '-f', String(pageNum), '-l', String(pageNum), '-singlefile', pdfPath, outputPrefix]);
+  return `${outputPrefix}.png`;
+}
+
+/**
+ * Read the text of an image with Tesseract
+ * @param {string} imagePath - Image file
+ * @param {Object} [options]
+ * @param {string} [options.language=DEFAULT_OCR_LANGUAGE] - Tesseract language code(s)
+ * @returns {Promise<string>} Recognized text
+ */
+export async function ocrImage(imagePath, options = {}) {
+  const { language = DEFAULT_OCR_LANGUAGE } = options;
+  return run('tesseract', [imagePath, 'stdout', '-l', language]);
+}
+
+/**
+ * OCR pages of a PDF
+ * @param {string} pdfPath - Path to the PDF
+ * @param {number[]} pageNumbers - 1-based page numbers
+ * @param {Object} [options]
+ * @param {string} [options.language=DEFAULT_OCR_LANGUAGE] - Tesseract language code(s)
+ * @param {number} [options.dpi=DEFAULT_OCR_DPI] - Rasterization resolution
+ * @param {number} [options.concurrency=2] - Pages processed at once
+ * @param {Function} [options.onPage] - Called as onPage(pageNum) after each page
+ * @returns {Promise<Array<{pageNum: number, text: string}>>} Pages in input order
+ */
+export async function ocrPdfPages(pdfPath, pageNumbers, options = {}) {
+  const { language = DEFAULT_OCR_LANGUAGE, dpi = DEFAULT_OCR_DPI, concurrency = 2, onPage } = options;
+  const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'summary-forge-ocr-'));
+
+  try {
+    return await mapWithConcurrency(pageNumbers, concurrency, async (pageNum) => {
+      const image = await rasterizePage(pdfPath, pageNum, workDir, { dpi });
+      const text = await ocrImage(image, { language });
+      await fsp.rm(image, { force: true });
+      onPage?.(pageNum);
+      return { pageNum, text };
+    });
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+}
@@ -6,99 +6,388 @@
 
 import PDFParse from 'pdf-parse';
 import fsp from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { countTokens } from './token-counter.js';
+
+const require = createRequire(import.meta.url);
+
+// The pdf.js build bundled with pdf-parse (the version PDFParse() uses by default)
+const PDFJS_BUILD = 'pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js';
+
+// "Chapter 3", "CHAPTER IV: Title", "Ch. 12 - Title"
+const CHAPTER_HEADING_PATTERN = /^(?:chapter|ch\.)\s+(\d+|[ivxlcdm]+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\b\s*[:.\-\u2013\u2014]?\s*(.*)$/i;
+
+/**
+ * Convert a file buffer into data pdf.js can parse
+ * pdf.js relies on slice() copying, but Buffer.slice() returns a view, which breaks
+ * xref parsing for some files (e.g. PDFs with outlines); a plain Uint8Array is safe
+ * @param {Buffer} buffer - File contents
+ * @returns {Uint8Array}
+ */
+export function toPdfData(buffer) {
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Render a page's text content, one line per text row
+ * Mirrors pdf-parse's default renderer so the text matches what PDFParse() returns
+ * @private
+ */
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+  
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
 
 /**
  * Extract text from PDF with page-level granularity
+ * Uses pdf-parse's per-page render hook, so page numbers are the real PDF page numbers
+ * and chunk boundaries created from these pages always fall on page boundaries.
  * @param {string} pdfPath - Path to PDF file
- * @returns {Promise<Array<{pageNum: number, text: string}>>}
+ * @returns {Promise<Array<{pageNum: number, text: string, charCount: number}>>}
  */
 export async function extractPdfPages(pdfPath) {
   const pdfBuffer = await fsp.readFile(pdfPath);
-  const result = await PDFParse(pdfBuffer);
+  const pageTexts = [];
   
-  // pdf-parse doesn't provide per-page text by default
-  // We'll need to use a different approach or split by estimated page breaks
-  const fullText = result.text;
-  const totalPages = result.total;
-  
-  // Estimate characters per page
-  const avgCharsPerPage = Math.ceil(fullText.length / totalPages);
+  const result = await PDFParse(toPdfData(pdfBuffer), {
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pageTexts[pageData.pageIndex] = text;
+      return text;
+    }
+  });
   
-  // Split text into page-sized chunks
+  // Pages that failed to render are kept (empty) so numbering stays aligned
   const pages = [];
-  let currentPos = 0;
-  
-  for (let i = 0; i < totalPages; i++) {
-    const pageText = fullText.slice(currentPos, currentPos + avgCharsPerPage);
+  for (let i = 0; i < result.numpages; i++) {
+    // Trailing blank line keeps words on adjacent pages apart when chunks concatenate pages
+    const text = `${pageTexts[i] ?? ''}\n\n`;
     pages.push({
       pageNum: i + 1,
-      text: pageText,
-      charCount: pageText.length
+      text,
+      charCount: text.length
     });
-    currentPos += avgCharsPerPage;
   }
   
   return pages;
 }
 
 /**
- * Group pages into chunks based on character limit
- * @param {Array<{pageNum: number, text: string, charCount: number}>} pages
- * @param {number} maxCharsPerChunk - Maximum characters per chunk (default: 100,000)
- * @returns {Array<{startPage: number, endPage: number, text: string, charCount: number}>}
+ * Combine consecutive pages into one chunk
+ * tokenCount is summed too when every page has one
+ * @private
  */
-export function createChunks(pages, maxCharsPerChunk = 100000) {
-  const chunks = [];
-  let currentChunk = {
-    startPage: 1,
-    endPage: 1,
-    text: '',
-    charCount: 0,
-    pages: []
+function combinePages(pages) {
+  const chunk = {
+    startPage: pages[0].pageNum,
+    endPage: pages[pages.length - 1].pageNum,
+    text: pages.map(page => page.text).join(''),
+    charCount: pages.reduce((sum, page) => sum + page.charCount, 0)
   };
+  if (pages.every(page => page.tokenCount !== undefined)) {
+    chunk.tokenCount = pages.reduce((sum, page) => sum + page.tokenCount, 0);
+  }
+  return chunk;
+}
+
+/**
+ * Group pages into chunks based on a size limit
+ * @param {Array<{pageNum: number, text: string, charCount: number, tokenCount?: number}>} pages
+ * @param {number} maxPerChunk - Maximum chunk size in `sizeKey` units (default: 100,000 characters)
+ * @param {Object} [options]
+ * @param {string} [options.sizeKey='charCount'] - Page field to measure: 'charCount' or 'tokenCount'
+ * @returns {Array<{startPage: number, endPage: number, text: string, charCount: number, tokenCount?: number}>}
+ */
+export function createChunks(pages, maxPerChunk = 100000, options = {}) {
+  const sizeKey = options.sizeKey ?? 'charCount';
+  const groups = [];
+  let current = [];
+  let currentSize = 0;
   
   for (const page of pages) {
-    // Check if adding this page would exceed the limit
-    if (currentChunk.charCount + page.charCount > maxCharsPerChunk && currentChunk.pages.length > 0) {
-      // Save current chunk and start a new one
-      chunks.push({
-        startPage: currentChunk.startPage,
-        endPage: currentChunk.endPage,
-        text: currentChunk.text,
-        charCount: currentChunk.charCount
-      });
-      
-      currentChunk = {
-        startPage: page.pageNum,
-        endPage: page.pageNum,
-        text: page.text,
-        charCount: page.charCount,
-        pages: [page]
-      };
-    } else {
-      // Add page to current chunk
-      currentChunk.text += page.text;
-      currentChunk.charCount += page.charCount;
-      currentChunk.endPage = page.pageNum;
-      currentChunk.pages.push(page);
+    // Start a new chunk if adding this page would exceed the limit
+    if (current.length > 0 && currentSize + page[sizeKey] > maxPerChunk) {
+      groups.push(current);
+      current = [];
+      currentSize = 0;
     }
+    current.push(page);
+    currentSize += page[sizeKey];
+  }
+  
+  if (current.length > 0) {
+    groups.push(current);
   }
   
-  // Add the last chunk
-  if (currentChunk.pages.length > 0) {
-    chunks.push({
-      startPage: currentChunk.startPage,
-      endPage: currentChunk.endPage,
-      text: currentChunk.text,
-      charCount: currentChunk.charCount
+  return groups.map(combinePages);
+}
+
+/**
+ * Sort chapters by page and drop duplicates/empty titles
+ * @private
+ */
+function normalizeChapters(chapters) {
+  const seenPages = new Set();
+  return chapters
+    .filter(chapter => chapter.title && chapter.pageNum >= 1)
+    .sort((a, b) => a.pageNum - b.pageNum)
+    .filter(chapter => {
+      if (seenPages.has(chapter.pageNum)) {
+        return false;
+      }
+      seenPages.add(chapter.pageNum);
+      return true;
     });
+}
+
+/**
+ * Read chapter starts from the PDF outline (bookmarks)
+ * Uses top-level outline entries; if there are fewer than two (e.g. a single "Contents"
+ * root), the next level down is used instead.
+ * @param {string} pdfPath - Path to PDF file
+ * @returns {Promise<Array<{title: string, pageNum: number}>>} Empty when the PDF has no outline
+ */
+export async function extractPdfOutline(pdfPath) {
+  const pdfBuffer = await fsp.readFile(pdfPath);
+  const PDFJS = require(PDFJS_BUILD);
+  PDFJS.disableWorker = true;
+  const doc = await PDFJS.getDocument(toPdfData(pdfBuffer));
+  
+  const resolveItems = async (items) => {
+    const chapters = [];
+    for (const item of items) {
+      try {
+        const dest = typeof item.dest === 'string' ? await doc.getDestination(item.dest) : item.dest;
+        if (!Array.isArray(dest) || dest[0] == null) {
+          continue;
+        }
+        const pageIndex = typeof dest[0] === 'number' ? dest[0] : await doc.getPageIndex(dest[0]);
+        chapters.push({ title: item.title.trim(), pageNum: pageIndex + 1 });
+      } catch {
+        // Skip entries whose destination can't be resolved
+      }
+    }
+    return normalizeChapters(chapters);
+  };
+  
+  try {
+    const outline = (await doc.getOutline()) ?? [];
+    const topLevel = await resolveItems(outline);
+    if (topLevel.length >= 2) {
+      return topLevel;
+    }
+    return resolveItems(outline.flatMap(item => item.items ?? []));
+  } finally {
+    doc.destroy();
   }
+}
+
+/**
+ * Detect "Chapter N" headings in page text (used when the PDF has no outline)
+ * Only the first few lines of each page are checked. Running headers that repeat the
+ * same chapter on every page are collapsed, and table-of-contents pages (several
+ * chapter headings on one page) are ignored.
+ * @param {Array<{pageNum: number, text: string}>} pages - Pages from extractPdfPages()
+ * @returns {Array<{title: string, pageNum: number}>}
+ */
+export function detectChapterHeadings(pages) {
+  const chapters = [];
+  let previousKey = null;
   
+  for (const page of pages) {
+    const lines = page.text.split('\n').map(line => line.trim()).filter(Boolean);
+    
+    const headingCount = lines.filter(line => CHAPTER_HEADING_PATTERN.test(line)).length;
+    if (headingCount >= 3) {
+      continue;
+    }
+    
+    const topLines = lines.slice(0, 5);
+    const index = topLines.findIndex(line => CHAPTER_HEADING_PATTERN.test(line));
+    if (index === -1) {
+      continue;
+    }
+    
+    const [heading, number, rest] = topLines[index].match(CHAPTER_HEADING_PATTERN);
+    const key = number.toLowerCase();
+    if (key === previousKey) {
+      continue;
+    }
+    previousKey = key;
+    
+    // "Chapter 3" on its own line is usually followed by the chapter title
+    let title = heading;
+    const nextLine = topLines[index + 1];
+    if (!rest && nextLine && nextLine.length <= 80 && !CHAPTER_HEADING_PATTERN.test(nextLine)) {
+      title = `${heading}: ${nextLine}`;
+    }
+    
+    chapters.push({ title, pageNum: page.pageNum });
+  }
+  
+  return normalizeChapters(chapters);
+}
+
+/**
+ * Find the book's chapters: PDF outline first, then detected headings
+ * @param {string} pdfPath - Path to PDF file
+ * @param {Array<{pageNum: number, text: string}>} pages - Pages from extractPdfPages()
+ * @returns {Promise<{source: 'outline'|'headings'|null, chapters: Array<{title: string, pageNum: number}>}>}
+ */
+export async function findChapters(pdfPath, pages) {
+  const outline = await extractPdfOutline(pdfPath).catch(() => []);
+  if (outline.length >= 2) {
+    return { source: 'outline', chapters: outline };
+  }
+  
+  const headings = detectChapterHeadings(pages);
+  if (headings.length >= 2) {
+    return { source: 'headings', chapters: headings };
+  }
+  
+  return { source: null, chapters: [] };
+}
+
+/**
+ * Group pages into chunks that follow the book's chapters
+ * Small adjacent chapters are merged (up to maxPerChunk) and oversized chapters are
+ * split on page boundaries. Pages before the first chapter become "Front Matter".
+ * @param {Array<{pageNum: number, text: string, charCount: number, tokenCount?: number}>} pages
+ * @param {Array<{title: string, pageNum: number}>} chapters - Chapter start pages
+ * @param {number} maxPerChunk - Maximum chunk size in `sizeKey` units (default: 100,000 characters)
+ * @param {Object} [options]
+ * @param {string} [options.sizeKey='charCount'] - Page field to measure: 'charCount' or 'tokenCount'
+ * @param {number} [options.minPerChunk] - Chunks smaller than this absorb the next chapter (default: max / 4)
+ * @returns {Array<{startPage: number, endPage: number, text: string, charCount: number, tokenCount?: number, chapters: string[]}>}
+ */
+export function createChapterChunks(pages, chapters, maxPerChunk = 100000, options = {}) {
+  const sizeKey = options.sizeKey ?? 'charCount';
+  const minPerChunk = options.minPerChunk ?? Math.floor(maxPerChunk / 4);
+  const lastPage = pages.length > 0 ? pages[pages.length - 1].pageNum : 0;
+  const starts = normalizeChapters(chapters).filter(chapter => chapter.pageNum <= lastPage);
+  
+  // Build page ranges for each section
+  const sections = [];
+  if (starts.length === 0 || starts[0].pageNum > pages[0]?.pageNum) {
+    const frontEnd = starts.length > 0 ? starts[0].pageNum - 1 : lastPage;
+    sections.push({ title: 'Front Matter', startPage: pages[0]?.pageNum ?? 1, endPage: frontEnd });
+  }
+  starts.forEach((chapter, i) => {
+    const endPage = i + 1 < starts.length ? starts[i + 1].pageNum - 1 : lastPage;
+    sections.push({ title: chapter.title, startPage: chapter.pageNum, endPage });
+  });
+  
+  const chunks = [];
+  // Pages and chapter titles of the chunk being built
+  let current = null;
+  const sizeOf = (sectionPages) => sectionPages.reduce((sum, page) => sum + page[sizeKey], 0);
+  const flush = () => {
+    if (current) {
+      chunks.push({ ...combinePages(current.pages), chapters: current.chapters });
+      current = null;
+    }
+  };
+  
+  for (const section of sections) {
+    const sectionPages = pages.filter(page => page.pageNum >= section.startPage && page.pageNum <= section.endPage);
+    if (sectionPages.length === 0) {
+      continue;
+    }
+    const size = sizeOf(sectionPages);
+    
+    // Oversized chapter: split on page boundaries
+    if (size > maxPerChunk) {
+      flush();
+      const parts = createChunks(sectionPages, maxPerChunk, { sizeKey });
+      parts.forEach((part, i) => {
+        chunks.push({
+          ...part,
+          chapters: [parts.length > 1 ? `${section.title} (part ${i + 1}/${parts.length})` : section.title]
+        });
+      });
+      continue;
+    }
+    
+    // Merge small neighbours while the result still fits
+    const currentSize = current ? sizeOf(current.pages) : 0;
+    const isSmall = size < minPerChunk || (current && currentSize < minPerChunk);
+    if (current && isSmall && currentSize + size <= maxPerChunk) {
+      current.pages.push(...sectionPages);
+      current.chapters.push(section.title);
+      continue;
+    }
+    
+    flush();
+    current = { pages: [...sectionPages], chapters: [section.title] };
+  }
+  
+  flush();
   return chunks;
 }
 
+/**
+ * Group consecutive items so each group's total token count stays within a budget
+ *
+ * An item larger than the budget gets a group of its own. If no two neighbours fit
+ * together, items are paired anyway so that every call reduces the number of groups.
+ *
+ * @param {number[]} tokenCounts - Token count of each item, in order
+ * @param {number} budget - Maximum tokens per group
+ * @returns {number[][]} Groups of item indices, in order
+ */
+export function groupByTokenBudget(tokenCounts, budget) {
+  const groups = [];
+  let current = [];
+  let currentTokens = 0;
+
+  tokenCounts.forEach((tokens, index) => {
+    if (current.length > 0 && currentTokens + tokens > budget) {
+      groups.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(index);
+    currentTokens += tokens;
+  });
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  if (groups.length === tokenCounts.length && tokenCounts.length > 1) {
+    return groups.reduce((pairs, group, index) => {
+      if (index % 2 === 0) {
+        pairs.push(group);
+      } else {
+        pairs[pairs.length - 1].push(...group);
+      }
+      return pairs;
+    }, []);
+  }
+
+  return groups;
+}
+
+// Conservative estimate: 1 token ≈ 3.5 characters (safer than 4)
+const CHARS_PER_TOKEN = 3.5;
+
 /**
  * Calculate optimal chunk size based on PDF size and token limits
+ * Character-based heuristic for callers without token counts; SummaryForge sizes
+ * chunks with real per-page token counts (see calculateChunkTokenBudget)
  * @param {number} totalChars - Total characters in PDF
  * @param {number} maxInputTokens - Maximum input tokens per API call (default: 250000 for GPT-5 with overhead buffer)
  * @returns {number} Recommended characters per chunk
@@ -108,9 +397,7 @@ export function calculateOptimalChunkSize(totalChars, maxInputTokens = 250000) {
   const SYSTEM_OVERHEAD_TOKENS = 20000;
   const availableTokens = maxInputTokens - SYSTEM_OVERHEAD_TOKENS;
   
-  // Conservative estimate: 1 token ≈ 3.5 characters (safer than 4)
   // Use 70% safety margin to account for token estimation variance
-  const CHARS_PER_TOKEN = 3.5;
   const SAFETY_MARGIN = 0.70;
   
   const maxCharsPerChunk = Math.floor(availableTokens * CHARS_PER_TOKEN * SAFETY_MARGIN);
@@ -120,22 +407,37 @@ export function calculateOptimalChunkSize(totalChars, maxInputTokens = 250000) {
   return Math.max(50000, maxCharsPerChunk);
 }
 
+/**
+ * Token budget for the book text of one chunk
+ * @param {number} maxInputTokens - Maximum input tokens per API call
+ * @param {number} promptTokens - Tokens used by the chunk prompts without the book text
+ * @returns {number} Maximum tokens of book text per chunk
+ */
+export function calculateChunkTokenBudget(maxInputTokens, promptTokens = 0) {
+  // Token counts are exact (or scaled up), so only a small margin is kept for
+  // message framing and provider-side differences
+  const SAFETY_MARGIN = 0.95;
+  return Math.max(1000, Math.floor((maxInputTokens - promptTokens) * SAFETY_MARGIN));
+}
+
 /**
  * Get PDF metadata and statistics
  * @param {string} pdfPath - Path to PDF file
- * @returns {Promise<{totalPages: number, totalChars: number, estimatedTokens: number}>}
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model whose tokenizer counts the tokens (default: cl100k_base approximation)
+ * @returns {Promise<{totalPages: number, totalChars: number, estimatedTokens: number, avgCharsPerPage: number}>}
  */
-export async function getPdfStats(pdfPath) {
+export async function getPdfStats(pdfPath, options = {}) {
   const pdfBuffer = await fsp.readFile(pdfPath);
-  const result = await PDFParse(pdfBuffer);
+  const result = await PDFParse(toPdfData(pdfBuffer));
   
   const totalChars = result.text.length;
-  const estimatedTokens = Math.ceil(totalChars / 4); // Rough estimate
+  const estimatedTokens = countTokens(result.text, options.model);
   
   return {
-    totalPages: result.total,
+    totalPages: result.numpages,
     totalChars,
     estimatedTokens,
-    avgCharsPerPage: Math.ceil(totalChars / result.total)
+    avgCharsPerPage: Math.ceil(totalChars / Math.max(1, result.numpages))
   };
 }
\ No newline at end of file
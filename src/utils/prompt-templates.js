@@ -0,0 +1,210 @@
+/**
+ * Prompt Templates
+ *
+ * Loads the LLM prompts from plain-text template files so they can be tuned without
+ * forking the package. Templates are looked up in (first match wins):
+ *
+ *   1. A custom directory (`templatesDir` option)
+ *   2. ~/.config/summary-forge/templates/
+ *   3. The built-in templates in src/templates/
+ *
+ * Template syntax:
+ *   {{name}}                          - Insert a variable (arrays are joined with newlines)
+ *   {{#if name}}...{{else}}...{{/if}} - Conditional block ({{else}} is optional)
+ *
+ * A block tag alone on its line is removed together with that line, and trailing
+ * whitespace of the rendered prompt is trimmed.
+ */
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getConfigPath } from './config.js';
+
+export const BUILTIN_TEMPLATES_DIR = fileURLToPath(new URL('../templates', import.meta.url));
+
+export const TEMPLATE_EXTENSION = '.txt';
+
+/**
+ * Names of the templates used by SummaryForge
+ */
+export const TEMPLATE_NAMES = [
+  'book-summary-system',
+  'book-summary-user',
+  'chunk-system',
+  'chunk-user',
+  'synthesis-system',
+  'synthesis-user',
+  'section-merge-system',
+  'section-merge-user',
+  'webpage-summary-system',
+  'webpage-summary-user',
+  'verify-system',
+  'verify-user',
+  'section-rewrite-system',
+  'section-rewrite-user',
+  'glossary-system',
+  'glossary-user',
+  'quiz-system',
+  'quiz-user',
+  'compare-system',
+  'compare-user',
+];
+
+const STANDALONE_BLOCK_TAG = /^[ \t]*(\{\{(?:#if [\w.]+|else|\/if)\}\})[ \t]*(?:\r?\n|$)/gm;
+const INNERMOST_IF_BLOCK = /\{\{#if ([\w.]+)\}\}((?:(?!\{\{#if )[\s\S])*?)\{\{\/if\}\}/;
+const VARIABLE_TAG = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Get the user templates directory
+ * @returns {string} ~/.config/summary-forge/templates
+ */
+export function getUserTemplatesDir() {
+  return path.join(getConfigPath().directory, 'templates');
+}
+
+/**
+ * Look up a (possibly dotted) variable name
+ * @private
+ */
+function lookup(variables, name) {
+  return name.split('.').reduce((value, key) => value?.[key], variables);
+}
+
+/**
+ * Whether a variable counts as set for {{#if}}
+ * @private
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render a template string
+ * @param {string} template - Template text
+ * @param {Object} [variables={}] - Variable values
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, variables = {}) {
+  let text = template.replace(STANDALONE_BLOCK_TAG, '$1');
+
+  // Resolve conditionals innermost-first so nested blocks work
+  let match;
+  while ((match = INNERMOST_IF_BLOCK.exec(text)) !== null) {
+    const [block, name, body] = match;
+    const [whenTrue, whenFalse = ''] = body.split('{{else}}');
+    const replacement = isTruthy(lookup(variables, name)) ? whenTrue : whenFalse;
+    text = text.slice(0, match.index) + replacement + text.slice(match.index + block.length);
+  }
+
+  // Single pass, so variable values are never parsed as template syntax
+  return text
+    .replace(VARIABLE_TAG, (_, name) => {
+      const value = lookup(variables, name);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return Array.isArray(value) ? value.join('\n') : String(value);
+    })
+    .trimEnd();
+}
+
+export class PromptTemplates {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Custom templates directory, checked first
+   * @param {string} [options.userDirectory] - User templates directory (default: ~/.config/summary-forge/templates)
+   * @param {Object} [options.variables] - Variables available to every template (e.g. audience)
+   */
+  constructor(options = {}) {
+    this.directories = [
+      options.directory,
+      options.userDirectory ?? getUserTemplatesDir(),
+      BUILTIN_TEMPLATES_DIR,
+    ].filter(Boolean);
+    this.variables = options.variables ?? {};
+    this.cache = new Map();
+  }
+
+  /**
+   * Load a template from the first directory that has it
+   * @param {string} name - Template name (without extension)
+   * @returns {Promise<{ template: string, path: string }>}
+   * @throws {Error} If no directory has the template
+   */
+  async load(name) {
+    if (this.cache.has(name)) {
+      return this.cache.get(name);
+    }
+
+    for (const directory of this.directories) {
+      const templatePath = path.join(directory, `${name}${TEMPLATE_EXTENSION}`);
+      try {
+        const entry = { template: await fsp.readFile(templatePath, 'utf8'), path: templatePath };
+        this.cache.set(name, entry);
+        return entry;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error(`Prompt template not found: ${name}. Looked in: ${this.directories.join(', ')}`);
+  }
+
+  /**
+   * Render a template with the shared variables plus per-call variables
+   * @param {string} name - Template name
+   * @param {Object} [variables={}] - Per-call variables (override shared ones)
+   * @returns {Promise<string>} Rendered prompt
+   */
+  async render(name, variables = {}) {
+    const { template } = await this.load(name);
+    return renderTemplate(template, { ...this.variables, ...variables });
+  }
+
+  /**
+   * Raw text of the resolved templates, e.g. for checkpoint keys that must change when a template is edited
+   * @param {string[]} [names=TEMPLATE_NAMES] - Template names
+   * @returns {Promise<string[]>}
+   */
+  async contents(names = TEMPLATE_NAMES) {
+    const entries = await Promise.all(names.map((name) => this.load(name)));
+    return entries.map(({ template }) => template);
+  }
+}
+
+/**
+ * Copy the built-in templates into a directory for editing (existing files are kept)
+ * @param {string} [directory] - Target directory (default: ~/.config/summary-forge/templates)
+ * @returns {Promise<Object>} JSON object with success status, directory and copied file names
+ */
+export async function initUserTemplates(directory = getUserTemplatesDir()) {
+  try {
+    await fsp.mkdir(directory, { recursive: true });
+    const copied = [];
+    for (const name of TEMPLATE_NAMES) {
+      const fileName = `${name}${TEMPLATE_EXTENSION}`;
+      try {
+        await fsp.copyFile(path.join(BUILTIN_TEMPLATES_DIR, fileName), path.join(directory, fileName), fsp.constants.COPYFILE_EXCL);
+        copied.push(fileName);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+    }
+    return {
+      success: true,
+      directory,
+      copied
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      directory
+    };
+  }
+}
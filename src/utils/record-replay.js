@@ -0,0 +1,245 @@
+/**
+ * Record/Replay of AI Calls
+ *
+ * Lets processFile() and processWebPage() run end to end without paid API calls.
+ * In record mode every LLM completion, PDF upload and ElevenLabs TTS response is written
+ * to a fixture directory, keyed by a hash of the request. In replay mode the same requests
+ * are answered from those fixtures without touching the network; a request without a
+ * fixture throws and is remembered in `misses`, so a run can fail even where the pipeline
+ * would otherwise fall back or skip a step.
+ *
+ * Fixtures are plain JSON (plus .mp3 for audio) so they can be committed next to tests.
+ */
+
+import fsp from 'node:fs/promises';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { CheckpointStore } from './checkpoint-store.js';
+
+export const FIXTURE_MODES = ['record', 'replay'];
+
+// PDF metadata that changes on every render (e.g. a web page printed again)
+const VOLATILE_PDF_FIELDS = /\/(?:CreationDate|ModDate)\s*\([^)]*\)|\/ID\s*\[[^\]]*\]/g;
+
+/**
+ * Hash a PDF for fixture keys, ignoring its timestamps and document ID
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} sha256 hex digest
+ */
+export async function hashFixtureFile(filePath) {
+  const data = await fsp.readFile(filePath);
+  return crypto
+    .createHash('sha256')
+    .update(data.toString('latin1').replace(VOLATILE_PDF_FIELDS, ''), 'latin1')
+    .digest('hex');
+}
+
+export class FixtureStore {
+  /**
+   * @param {string} directory - Fixture directory
+   * @param {Object} options
+   * @param {'record'|'replay'} options.mode - Write fixtures, or serve them
+   */
+  constructor(directory, options = {}) {
+    if (!FIXTURE_MODES.includes(options.mode)) {
+      throw new Error(`Unknown fixture mode: ${options.mode}. Supported: ${FIXTURE_MODES.join(', ')}`);
+    }
+    this.directory = path.resolve(directory);
+    this.mode = options.mode;
+    // Requests replay had no fixture for: { kind, key, request }
+    this.misses = [];
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Path of a fixture file
+   * @private
+   */
+  pathFor(kind, key, ext) {
+    return path.join(this.directory, `${kind}-${key.slice(0, 24)}.${ext}`);
+  }
+
+  /**
+   * Whether the directory holds fixtures of a kind (e.g. 'tts')
+   * @param {string} kind - Fixture kind
+   * @returns {boolean}
+   */
+  has(kind) {
+    try {
+      return fs.readdirSync(this.directory).some((file) => file.startsWith(`${kind}-`) && file.endsWith('.json'));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Read a fixture
+   * @param {string} kind - 'llm', 'upload' or 'tts'
+   * @param {string} key - Key from CheckpointStore.hash()
+   * @param {Object} request - The request, reported when the fixture is missing
+   * @returns {Promise<Object>} The recorded response
+   * @throws {Error} With code 'REPLAY_MISS' when there is no fixture for the request
+   */
+  async read(kind, key, request) {
+    try {
+      const entry = JSON.parse(await fsp.readFile(this.pathFor(kind, key, 'json'), 'utf8'));
+      if (entry.key === key) {
+        return entry.response;
+      }
+    } catch {
+      // Missing or unreadable: a miss
+    }
+
+    this.misses.push({ kind, key, request });
+    const error = new Error(`No ${kind} fixture for this request in ${this.directory} (key ${key.slice(0, 12)}); record it with --record`);
+    error.code = 'REPLAY_MISS';
+    throw error;
+  }
+
+  /**
+   * Write a fixture
+   * @param {string} kind - 'llm', 'upload' or 'tts'
+   * @param {string} key - Key from CheckpointStore.hash()
+   * @param {Object} request - The request, stored for reference
+   * @param {Object} response - JSON-serializable response
+   */
+  async write(kind, key, request, response) {
+    await fsp.mkdir(this.directory, { recursive: true });
+    const entry = { kind, key, recordedAt: new Date().toISOString(), request, response };
+    await fsp.writeFile(this.pathFor(kind, key, 'json'), `${JSON.stringify(entry, null, 2)}\n`, 'utf8');
+  }
+
+  /**
+   * Read a binary fixture (audio)
+   * @returns {Promise<Buffer>}
+   */
+  async readBuffer(kind, key, ext) {
+    return fsp.readFile(this.pathFor(kind, key, ext));
+  }
+
+  /**
+   * Write a binary fixture (audio)
+   */
+  async writeBuffer(kind, key, ext, buffer) {
+    await fsp.mkdir(this.directory, { recursive: true });
+    await fsp.writeFile(this.pathFor(kind, key, ext), buffer);
+  }
+
+  /**
+   * Describe the misses of a replay, or null when there were none
+   * @returns {string|null}
+   */
+  missReport() {
+    if (this.misses.length === 0) {
+      return null;
+    }
+    const list = this.misses.map(({ kind, key }) => `${kind} ${key.slice(0, 12)}`).join(', ');
+    return `Replay is missing ${this.misses.length} fixture(s) in ${this.directory}: ${list}`;
+  }
+}
+
+/**
+ * Wrap an LLM provider so its calls are recorded to, or replayed from, a fixture store
+ *
+ * The wrapper keeps the provider's name, model, label and client. Streaming requests are
+ * recorded like any other; on replay onToken gets the whole text at once.
+ *
+ * @param {Object} provider - Provider from createLLMProvider()
+ * @param {FixtureStore} store - Fixture store
+ * @returns {Object} Provider with the same interface
+ */
+export function withLLMFixtures(provider, store) {
+  const wrapped = Object.create(provider);
+  // Uploaded file handle → hash of the file, so requests match across runs
+  const fileKeys = new WeakMap();
+
+  wrapped.uploadFile = async (filePath) => {
+    const fileHash = await hashFixtureFile(filePath);
+    const key = CheckpointStore.hash('upload', provider.name, fileHash);
+    const request = { provider: provider.name, file: path.basename(filePath), fileHash };
+
+    let file;
+    if (store.replaying) {
+      // Uploads that failed while recording fail the same way, so the same fallback runs
+      const recorded = await store.read('upload', key, request);
+      if (recorded.error) {
+        throw new Error(recorded.error);
+      }
+      file = { id: recorded.id };
+    } else {
+      try {
+        file = await provider.uploadFile(filePath);
+      } catch (error) {
+        await store.write('upload', key, request, { error: error.message });
+        throw error;
+      }
+      await store.write('upload', key, request, { id: file.id });
+    }
+
+    fileKeys.set(file, fileHash);
+    return file;
+  };
+
+  wrapped.deleteFile = async (file) => {
+    if (!store.replaying) {
+      await provider.deleteFile(file);
+    }
+  };
+
+  wrapped.complete = async (request) => {
+    const { onToken, file, ...rest } = request;
+    const recordedRequest = {
+      ...rest,
+      model: rest.model ?? provider.model,
+      ...(file ? { file: fileKeys.get(file) ?? file.id } : {}),
+    };
+    const key = CheckpointStore.hash('llm', provider.name, recordedRequest);
+
+    if (store.replaying) {
+      const response = await store.read('llm', key, recordedRequest);
+      onToken?.(response.content, response.content);
+      return response;
+    }
+
+    const response = await provider.complete(request);
+    await store.write('llm', key, recordedRequest, response);
+    return response;
+  };
+
+  return wrapped;
+}
+
+/**
+ * Wrap an ElevenLabs client so text-to-speech is recorded to, or replayed from, a fixture store
+ * @param {Object|null} client - ElevenLabsClient (may be null when replaying)
+ * @param {FixtureStore} store - Fixture store
+ * @returns {{ textToSpeech: { convert: Function } }} Client with the convert() call SummaryForge uses
+ */
+export function withTTSFixtures(client, store) {
+  return {
+    textToSpeech: {
+      convert: async (voiceId, params, requestOptions) => {
+        const request = { voiceId, ...params };
+        const key = CheckpointStore.hash('tts', request);
+
+        if (store.replaying) {
+          await store.read('tts', key, { ...request, text: `${params.text.slice(0, 80)}...` });
+          return [await store.readBuffer('tts', key, 'mp3')];
+        }
+
+        const chunks = [];
+        for await (const chunk of await client.textToSpeech.convert(voiceId, params, requestOptions)) {
+          chunks.push(chunk);
+        }
+        const audio = Buffer.concat(chunks);
+        await store.writeBuffer('tts', key, 'mp3', audio);
+        await store.write('tts', key, request, { bytes: audio.length });
+        return [audio];
+      }
+    }
+  };
+}
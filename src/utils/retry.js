@@ -0,0 +1,249 @@
+/**
+ * Retry Utility
+ *
+ * One retry policy for the paid API calls (LLM completions, PDF uploads, text-to-speech):
+ * transient failures (429, 5xx, timeouts, dropped connections) are retried with exponential
+ * backoff and jitter, waiting at least as long as the server's Retry-After header asks.
+ * Errors that waiting will not fix (bad request, wrong API key, exhausted quota) fail at once.
+ *
+ * A RateLimiter per service keeps the client under a requests-per-minute budget, so
+ * concurrent chunk requests do not trip the provider's own limit in the first place.
+ */
+
+export const DEFAULT_MAX_RETRIES = 4;
+export const DEFAULT_RETRY_BASE_DELAY = 1000; // ms
+export const DEFAULT_RETRY_MAX_DELAY = 60000; // ms
+
+const RATE_WINDOW_MS = 60000;
+
+// Request timeout, conflict, too early, rate limited; 5xx (incl. Anthropic's 529 overloaded) are checked separately
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429]);
+
+// Dropped or timed-out connections, anywhere in the error's cause chain (SDKs wrap fetch errors).
+// Unknown hosts (ENOTFOUND) are left out: that is a wrong base URL, not a hiccup
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+]);
+const RETRYABLE_NAMES = new Set(['APIConnectionTimeoutError', 'ElevenLabsTimeoutError', 'TimeoutError']);
+
+// A 429 for an exhausted quota, or a replay without a fixture, will not go away by waiting
+const FATAL_CODES = new Set(['insufficient_quota', 'REPLAY_MISS']);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * HTTP status of an SDK or fetch error
+ * @param {Error} error - Error thrown by a request
+ * @returns {number|null}
+ */
+export function errorStatus(error) {
+  return error?.status ?? error?.statusCode ?? error?.response?.status ?? null;
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (!error || FATAL_CODES.has(error.code) || FATAL_CODES.has(error.error?.code)) {
+    return false;
+  }
+
+  const status = errorStatus(error);
+  if (status) {
+    return RETRYABLE_STATUSES.has(status) || status >= 500;
+  }
+
+  for (let cause = error, depth = 0; cause && depth < 5; cause = cause.cause, depth++) {
+    if (RETRYABLE_CODES.has(cause.code) || RETRYABLE_NAMES.has(cause.name) || RETRYABLE_NAMES.has(cause.constructor?.name)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether an error came from a request (an HTTP status or an error code anywhere in its cause
+ * chain) rather than from checking the response
+ * Such errors have already been through requestWithRetry(), so retrying the whole step again
+ * would only multiply the attempts or repeat a fatal error.
+ * @param {Error} error - Error thrown by a step
+ * @returns {boolean}
+ */
+export function isRequestError(error) {
+  if (errorStatus(error) !== null || isRetryableError(error)) {
+    return true;
+  }
+  for (let cause = error, depth = 0; cause && depth < 5; cause = cause.cause, depth++) {
+    if (typeof cause.code === 'string' || typeof cause.error?.code === 'string') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Delay the server asked for in its Retry-After (or retry-after-ms) header
+ * @param {Error} error - Error carrying the response headers (a Headers object or a plain object)
+ * @returns {number|null} Milliseconds, or null without a usable header
+ */
+export function retryAfterMs(error) {
+  const headers = error?.headers ?? error?.response?.headers;
+  if (!headers) {
+    return null;
+  }
+  const header = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) ?? null;
+
+  const milliseconds = header('retry-after-ms');
+  if (milliseconds !== null && Number.isFinite(Number(milliseconds))) {
+    return Math.max(0, Number(milliseconds));
+  }
+
+  const value = header('retry-after');
+  if (value === null) {
+    return null;
+  }
+  // Either delay-seconds or an HTTP date
+  if (Number.isFinite(Number(value))) {
+    return Math.max(0, Number(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of baseDelay * 2^(attempt-1)
+ * @param {number} attempt - Failed attempt, starting at 1
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay=DEFAULT_RETRY_BASE_DELAY] - Delay after the first failure (ms)
+ * @param {number} [options.maxDelay=DEFAULT_RETRY_MAX_DELAY] - Upper bound (ms)
+ * @param {Function} [options.random=Math.random] - Random source (for tests)
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, options = {}) {
+  const { baseDelay = DEFAULT_RETRY_BASE_DELAY, maxDelay = DEFAULT_RETRY_MAX_DELAY, random = Math.random } = options;
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+/**
+ * Client-side requests-per-minute limit over a sliding one-minute window
+ */
+export class RateLimiter {
+  /**
+   * @param {number|null} [requestsPerMinute=null] - Budget per minute (null or 0 = unlimited)
+   * @param {Object} [options]
+   * @param {Function} [options.now=Date.now] - Clock (for tests)
+   * @param {Function} [options.sleep] - Async sleep(ms) (for tests)
+   */
+  constructor(requestsPerMinute = null, options = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.now = options.now ?? Date.now;
+    this.sleep = options.sleep ?? sleep;
+    this.startTimes = [];
+    // Callers queue up, so concurrent requests take the free slots in order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait until another request fits in the budget, and count it
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  acquire() {
+    if (!this.requestsPerMinute) {
+      return Promise.resolve(0);
+    }
+
+    const turn = this.queue.then(async () => {
+      let waited = 0;
+      for (;;) {
+        const now = this.now();
+        this.startTimes = this.startTimes.filter((time) => now - time < RATE_WINDOW_MS);
+        if (this.startTimes.length < this.requestsPerMinute) {
+          this.startTimes.push(now);
+          return waited;
+        }
+        const wait = this.startTimes[0] + RATE_WINDOW_MS - now;
+        await this.sleep(wait);
+        waited += wait;
+      }
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+/**
+ * Make a request, retrying transient failures
+ *
+ * Each attempt first waits for the rate limiter. A Retry-After longer than maxDelay is not
+ * waited out: the error is thrown so the caller can fail or fall back.
+ *
+ * @param {Function} fn - Async request, called as fn(attempt) with attempt starting at 1
+ * @param {Object} [options]
+ * @param {number} [options.retries=DEFAULT_MAX_RETRIES] - Retries after the first attempt
+ * @param {number} [options.baseDelay=DEFAULT_RETRY_BASE_DELAY] - Backoff after the first failure (ms)
+ * @param {number} [options.maxDelay=DEFAULT_RETRY_MAX_DELAY] - Longest wait between attempts (ms)
+ * @param {RateLimiter} [options.limiter] - Requests-per-minute limit
+ * @param {Function} [options.onRetry] - Called before each retry with
+ *   { error, attempt, retries, delay, status, retryAfter }
+ * @param {Function} [options.sleep] - Async sleep(ms) (for tests)
+ * @param {Function} [options.random] - Random source for the jitter (for tests)
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function requestWithRetry(fn, options = {}) {
+  const {
+    retries = DEFAULT_MAX_RETRIES,
+    baseDelay = DEFAULT_RETRY_BASE_DELAY,
+    maxDelay = DEFAULT_RETRY_MAX_DELAY,
+    limiter = null,
+    onRetry,
+    sleep: wait = sleep,
+    random = Math.random,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    await limiter?.acquire();
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const retryAfter = retryAfterMs(error);
+      if (retryAfter !== null && retryAfter > maxDelay) {
+        throw error;
+      }
+      const delay = Math.max(backoffDelay(attempt, { baseDelay, maxDelay, random }), retryAfter ?? 0);
+      onRetry?.({ error, attempt, retries, delay, status: errorStatus(error), retryAfter });
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Wrap an LLM provider so completions and uploads go through requestWithRetry()
+ * @param {Object} provider - Provider from createLLMProvider()
+ * @param {Object} options - requestWithRetry() options; onRetry also gets `operation` ('complete' or 'upload')
+ * @returns {Object} Provider with the same interface
+ */
+export function withProviderRetries(provider, options = {}) {
+  const wrapped = Object.create(provider);
+  const retrying = (operation, fn) => requestWithRetry(fn, {
+    ...options,
+    onRetry: (retry) => options.onRetry?.({ ...retry, operation }),
+  });
+
+  wrapped.complete = (request) => retrying('complete', () => provider.complete(request));
+  wrapped.uploadFile = (filePath) => retrying('upload', () => provider.uploadFile(filePath));
+  return wrapped;
+}
@@ -72,6 +72,40 @@ export class SSELogger {
     this.emit(event);
   }
 
+  /**
+   * Emit a partial result event (e.g. the summary text written so far while it streams)
+   * 
+   * @param {string} text - Text generated so far
+   * @param {Object} [metadata] - Additional metadata
+   */
+  partial(text, metadata = {}) {
+    const event = {
+      type: 'partial',
+      text,
+      timestamp: Date.now(),
+      ...metadata,
+    };
+
+    this.emit(event);
+  }
+
+  /**
+   * Emit a retry event (a failed request that will be tried again)
+   * 
+   * @param {string} message - Retry message
+   * @param {Object} [metadata] - Additional metadata (service, attempt, delay, status, ...)
+   */
+  retry(message, metadata = {}) {
+    const event = {
+      type: 'retry',
+      message,
+      timestamp: Date.now(),
+      ...metadata,
+    };
+
+    this.emit(event);
+  }
+
   /**
    * Emit an error event
    * 
@@ -166,6 +200,13 @@ export class SSELogger {
         case 'complete':
           console.log(`${prefix}`, event.message);
           break;
+        case 'retry':
+          console.warn(`${prefix}`, event.message);
+          break;
+        case 'partial':
+          // The text so far is meant for live previews; the console only shows its length
+          console.log(`${prefix} ${event.text.length.toLocaleString()} chars written`);
+          break;
         default:
           console.log(`${prefix}`, event);
       }
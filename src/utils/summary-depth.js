@@ -0,0 +1,87 @@
+/**
+ * Summary Depth Presets
+ *
+ * Controls how long and detailed generated summaries are. Each preset carries its
+ * own token budget, flashcard, glossary and quiz sizes, the parts of the book the
+ * summary covers and prompt instructions.
+ */
+
+export const SUMMARY_DEPTHS = {
+  brief: {
+    name: 'brief',
+    description: 'One-page brief of the core ideas',
+    maxTokens: 4000,
+    flashcardCount: '8-12',
+    flashcardMaxTokens: 2000,
+    glossaryTermCount: '10-20',
+    quizQuestionCount: '8-12',
+    instructions: [
+      "- Keep the entire summary to ONE page (roughly 500-700 words).",
+      "- Cover only the core thesis, the most important ideas, and the key takeaways.",
+      "- Prefer short bullet lists; skip examples, anecdotes, and secondary detail.",
+    ],
+    coverage: "- Include: the core thesis and Final takeaways; mention a chapter only where it carries a core idea. Leave out the Preface, per-chapter sections and Quick-Reference tables.",
+    chunkInstructions: "Be brief - capture only the main ideas of this section in a few bullet points per chapter.",
+  },
+  standard: {
+    name: 'standard',
+    description: 'Concise but complete summary',
+    maxTokens: 16000,
+    flashcardCount: '20-30',
+    flashcardMaxTokens: 4000,
+    glossaryTermCount: '30-50',
+    quizQuestionCount: '15-25',
+    instructions: [
+      "- Write concisely but completely. Use headers, lists, and code-fenced ASCII diagrams.",
+    ],
+    coverage: "- Include: Preface/Introduction (if present), all chapters/sections found in the book, Quick-Reference tables, Final takeaways.",
+    chunkInstructions: "Be comprehensive - this will be combined with other chunks to form the complete summary.",
+  },
+  deep: {
+    name: 'deep',
+    description: 'Chapter-by-chapter study guide',
+    maxTokens: 32000,
+    flashcardCount: '40-60',
+    flashcardMaxTokens: 8000,
+    glossaryTermCount: '60-100',
+    quizQuestionCount: '30-50',
+    instructions: [
+      "- Write a chapter-by-chapter STUDY GUIDE: give every chapter its own section.",
+      "- For each chapter include: an overview, key concepts with explanations, important examples or code, and 3-5 review questions.",
+      "- Preserve definitions, formulas, and step-by-step procedures. Use headers, lists, and code-fenced ASCII diagrams.",
+    ],
+    coverage: "- Include: Preface/Introduction (if present), all chapters/sections found in the book, Quick-Reference tables, Final takeaways.",
+    chunkInstructions: "Be exhaustive - keep every concept, definition, example and procedure; this feeds a chapter-by-chapter study guide.",
+  },
+};
+
+export const DEFAULT_SUMMARY_DEPTH = 'standard';
+
+/**
+ * Look up a depth preset by name
+ * @param {string} [depth='standard'] - 'brief', 'standard' or 'deep'
+ * @returns {Object} Depth preset
+ * @throws {Error} If the depth is unknown
+ */
+export function getDepthPreset(depth = DEFAULT_SUMMARY_DEPTH) {
+  const preset = SUMMARY_DEPTHS[String(depth).toLowerCase()];
+  if (!preset) {
+    throw new Error(`Unknown summary depth: ${depth}. Supported: ${Object.keys(SUMMARY_DEPTHS).join(', ')}`);
+  }
+  return preset;
+}
+
+/**
+ * Prompt lines asking for the Study Flashcards section
+ * @param {Object} preset - Depth preset
+ * @returns {string[]} Lines to append to a system prompt
+ */
+export function flashcardPromptLines(preset) {
+  return [
+    `- IMPORTANT: Add a 'Study Flashcards' section at the end with ${preset.flashcardCount} Q&A pairs in this exact format:`,
+    "  **Q: What is [concept]?**",
+    "  A: [Clear, concise answer in 1-3 sentences]",
+    "  ",
+    "  (blank line between each Q&A pair)",
+  ];
+}
@@ -0,0 +1,172 @@
+/**
+ * Summary Verification
+ *
+ * Helpers for the optional faithfulness check: pull checkable claims out of a
+ * Markdown summary, match each claim to the source chunk it most likely comes
+ * from, and parse the verifier's verdicts.
+ */
+
+import { findCitations, parseCitation, stripCitations } from './citations.js';
+import { splitSections } from './markdown-sections.js';
+
+// Source excerpt size per verification request
+export const VERIFY_SOURCE_TOKENS = 6000;
+
+export const DEFAULT_VERIFY_CLAIMS = 20;
+
+const HEADING = /^#{1,6}\s/;
+const CODE_FENCE = /^\s*(```|~~~)/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+// Sections that restate rather than claim (flashcards repeat the summary, the TOC lists titles)
+const SKIPPED_SECTIONS = /flashcards|table of contents/i;
+const MIN_CLAIM_WORDS = 6;
+
+const STOP_WORDS = new Set([
+  'about', 'also', 'been', 'being', 'between', 'both', 'could', 'does', 'each', 'from',
+  'have', 'into', 'itself', 'more', 'most', 'much', 'only', 'other', 'over', 'same',
+  'should', 'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'through', 'very', 'were', 'what', 'when', 'where', 'which',
+  'while', 'will', 'with', 'within', 'would', 'your',
+]);
+
+/**
+ * Remove inline Markdown formatting from a claim
+ * @private
+ */
+function cleanClaimText(text) {
+  return stripCitations(text)
+    .replace(/\*\*|__|`/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .trim();
+}
+
+/**
+ * Extract checkable claims (list items and paragraph sentences) from a summary
+ * @param {string} markdown - Summary Markdown
+ * @returns {Array<{id: number, section: string|null, sectionIndex: number, text: string, pages: Array<{startPage: number, endPage: number}>}>}
+ */
+export function extractClaims(markdown) {
+  const claims = [];
+
+  splitSections(markdown).forEach((section, sectionIndex) => {
+    if (section.heading && SKIPPED_SECTIONS.test(section.heading)) {
+      return;
+    }
+
+    let inFence = false;
+    for (const line of section.text.split('\n')) {
+      if (CODE_FENCE.test(line)) {
+        inFence = !inFence;
+        continue;
+      }
+      if (inFence || HEADING.test(line) || /^\s*\|/.test(line) || !line.trim()) {
+        continue;
+      }
+
+      const listItem = line.match(LIST_ITEM);
+      const candidates = listItem ? [listItem[1]] : line.split(/(?<=[.!?])\s+(?=[A-Z])/);
+      for (const candidate of candidates) {
+        const text = cleanClaimText(candidate);
+        if (text.split(/\s+/).length < MIN_CLAIM_WORDS) {
+          continue;
+        }
+        claims.push({
+          id: claims.length + 1,
+          section: section.heading,
+          sectionIndex,
+          text,
+          pages: findCitations(candidate).flatMap(parseCitation),
+        });
+      }
+    }
+  });
+
+  return claims;
+}
+
+/**
+ * Pick up to `count` claims spread evenly over the summary (deterministic, so re-runs check the same claims)
+ * @param {Array} claims - Claims from extractClaims()
+ * @param {number} [count=DEFAULT_VERIFY_CLAIMS] - Number of claims to check
+ * @returns {Array} Sampled claims in document order
+ */
+export function sampleClaims(claims, count = DEFAULT_VERIFY_CLAIMS) {
+  if (claims.length <= count) {
+    return claims;
+  }
+  return Array.from({ length: count }, (_, i) => claims[Math.floor((i * claims.length) / count)]);
+}
+
+/**
+ * Lowercase content words of a text, with common suffixes removed so "caches" matches "caching"
+ * @private
+ */
+function keywords(text) {
+  return new Set(
+    (text.toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) ?? [])
+      .filter((word) => !STOP_WORDS.has(word))
+      .map((word) => word.replace(/(?<=\p{L}{4})(ations?|ions?|ates?|ing|ed|es|s)$/u, ''))
+  );
+}
+
+/**
+ * Match each claim to the source chunk it most likely comes from
+ *
+ * Claims with page citations go to the chunk holding the cited page. Other claims go to
+ * the chunk sharing the most key terms, rarer terms weighing more.
+ *
+ * @param {Array} claims - Claims from extractClaims()
+ * @param {Array<{startPage: number, endPage: number, text: string}>} chunks - Source chunks
+ * @returns {Array<{claim: Object, chunkIndex: number}>} chunkIndex is -1 when no chunk shares any key term
+ */
+export function matchClaimsToChunks(claims, chunks) {
+  const chunkTerms = chunks.map((chunk) => keywords(chunk.text));
+  const documentFrequency = new Map();
+  for (const terms of chunkTerms) {
+    for (const term of terms) {
+      documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1);
+    }
+  }
+
+  return claims.map((claim) => {
+    const citedPage = claim.pages[0]?.startPage;
+    const citedChunk = citedPage === undefined
+      ? -1
+      : chunks.findIndex((chunk) => citedPage >= chunk.startPage && citedPage <= chunk.endPage);
+    if (citedChunk >= 0) {
+      return { claim, chunkIndex: citedChunk };
+    }
+
+    const terms = [...keywords(claim.text)];
+    let best = { chunkIndex: -1, score: 0 };
+    chunkTerms.forEach((available, chunkIndex) => {
+      const score = terms
+        .filter((term) => available.has(term))
+        .reduce((sum, term) => sum + 1 / documentFrequency.get(term), 0);
+      if (score > best.score) {
+        best = { chunkIndex, score };
+      }
+    });
+    return { claim, chunkIndex: best.chunkIndex };
+  });
+}
+
+/**
+ * Parse the verifier's JSON verdicts
+ * @param {string} content - LLM response: a JSON array of { id, supported, reason }, optionally code-fenced
+ * @returns {Array<{id: number, supported: boolean, reason: string}>}
+ * @throws {Error} If the response holds no JSON array
+ */
+export function parseVerdicts(content) {
+  const start = content?.indexOf('[') ?? -1;
+  const end = content?.lastIndexOf(']') ?? -1;
+  if (start < 0 || end < start) {
+    throw new Error('Verification response did not contain a JSON array');
+  }
+
+  return JSON.parse(content.slice(start, end + 1)).map((verdict) => ({
+    id: Number(verdict.id),
+    supported: verdict.supported === true,
+    reason: String(verdict.reason ?? ''),
+  }));
+}
@@ -0,0 +1,71 @@
+/**
+ * Token Counter
+ *
+ * Counts tokens with the model's real BPE encoding (js-tiktoken) instead of a
+ * characters-per-token guess. Models whose tokenizer is not public (Anthropic,
+ * self-hosted models) are counted with the closest encoding and scaled up so the
+ * count errs on the safe side.
+ */
+
+import { createRequire } from 'node:module';
+import { Tiktoken } from 'js-tiktoken/lite';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Encoding per model family (first match wins)
+ * - exact: the encoding is the model's own tokenizer
+ * - scale: multiplier applied to approximate counts
+ */
+export const MODEL_ENCODINGS = [
+  { pattern: /^(gpt-5|gpt-4\.1|gpt-4o|chatgpt-4o|o1|o3|o4)/i, encoding: 'o200k_base', exact: true, scale: 1 },
+  { pattern: /^(gpt-4|gpt-3\.5)/i, encoding: 'cl100k_base', exact: true, scale: 1 },
+  // Anthropic's tokenizer produces roughly 10-20% more tokens than cl100k_base
+  { pattern: /^claude/i, encoding: 'cl100k_base', exact: false, scale: 1.2 },
+];
+
+// Self-hosted and unknown models (Llama, Mistral, Qwen, ...)
+export const DEFAULT_MODEL_ENCODING = { encoding: 'cl100k_base', exact: false, scale: 1.15 };
+
+const encoders = new Map();
+
+/**
+ * Look up the encoding used to count tokens for a model
+ * @param {string} [model] - Model name (e.g. 'gpt-5', 'claude-sonnet-4-5', 'llama3.1:70b')
+ * @returns {{ encoding: string, exact: boolean, scale: number }}
+ */
+export function getModelEncoding(model = '') {
+  const entry = MODEL_ENCODINGS.find(({ pattern }) => pattern.test(model));
+  if (!entry) {
+    return { ...DEFAULT_MODEL_ENCODING };
+  }
+  const { pattern, ...encoding } = entry;
+  return encoding;
+}
+
+/**
+ * Get a (cached) encoder; ranks are loaded on first use since each table is several MB
+ * @private
+ */
+function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, new Tiktoken(require(`js-tiktoken/ranks/${encoding}`)));
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * Count the tokens in a text for a model
+ * @param {string} text - Text to count
+ * @param {string} [model] - Model name
+ * @returns {number} Token count (scaled up for models without a public tokenizer)
+ */
+export function countTokens(text, model) {
+  if (!text) {
+    return 0;
+  }
+  const { encoding, scale } = getModelEncoding(model);
+  // Special-token strings in book text (e.g. "<|endoftext|>") are counted as plain text
+  const tokens = getEncoder(encoding).encode(text, [], []).length;
+  return Math.ceil(tokens * scale);
+}
@@ -0,0 +1,197 @@
+/**
+ * Tests for checkpoint store and resumable runs
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { CheckpointStore, CHECKPOINT_DIRNAME } from '../src/utils/checkpoint-store.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+// Long enough to pass the short-content check
+const sectionSummary = 'Section summary. '.repeat(20);
+
+describe('Checkpoint Store', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `summary-forge-checkpoints-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('CheckpointStore.hash()', () => {
+    it('should be stable for the same parts', () => {
+      expect(CheckpointStore.hash('model', 'prompt', 100)).toBe(CheckpointStore.hash('model', 'prompt', 100));
+    });
+
+    it('should change when any part changes', () => {
+      const base = CheckpointStore.hash('model', 'prompt', 100);
+      expect(CheckpointStore.hash('model', 'prompt', 200)).not.toBe(base);
+      expect(CheckpointStore.hash('other', 'prompt', 100)).not.toBe(base);
+    });
+
+    it('should not collide when parts are concatenated differently', () => {
+      expect(CheckpointStore.hash('ab', 'c')).not.toBe(CheckpointStore.hash('a', 'bc'));
+    });
+  });
+
+  describe('CheckpointStore.hashFile()', () => {
+    it('should hash file contents', async () => {
+      const fileA = path.join(testDir, 'a.pdf');
+      const fileB = path.join(testDir, 'b.pdf');
+      await fs.writeFile(fileA, 'same contents');
+      await fs.writeFile(fileB, 'same contents');
+
+      expect(await CheckpointStore.hashFile(fileA)).toBe(await CheckpointStore.hashFile(fileB));
+    });
+  });
+
+  describe('get() / set()', () => {
+    it('should return null for missing checkpoints', async () => {
+      const store = CheckpointStore.forBookDir(testDir);
+      expect(await store.get('chunk', CheckpointStore.hash('missing'))).toBeNull();
+    });
+
+    it('should round-trip JSON values in the .checkpoints folder', async () => {
+      const store = CheckpointStore.forBookDir(testDir);
+      const key = CheckpointStore.hash('chunk-1');
+
+      await store.set('chunk', key, 'Chunk summary');
+
+      expect(await store.get('chunk', key)).toBe('Chunk summary');
+      const files = await fs.readdir(path.join(testDir, CHECKPOINT_DIRNAME));
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/^chunk-[0-9a-f]+\.json$/);
+    });
+
+    it('should round-trip binary buffers', async () => {
+      const store = CheckpointStore.forBookDir(testDir);
+      const key = CheckpointStore.hash('audio-1');
+
+      await store.setBuffer('audio', key, Buffer.from([1, 2, 3]));
+
+      const buffer = await store.getBuffer('audio', key);
+      expect([...buffer]).toEqual([1, 2, 3]);
+    });
+
+    it('should treat corrupted checkpoints as missing', async () => {
+      const store = CheckpointStore.forBookDir(testDir);
+      const key = CheckpointStore.hash('broken');
+      await store.set('chunk', key, 'value');
+      await fs.writeFile(store.pathFor('chunk', key, 'json'), '{not json', 'utf8');
+
+      expect(await store.get('chunk', key)).toBeNull();
+    });
+
+    it('should ignore existing checkpoints when resume is false', async () => {
+      const key = CheckpointStore.hash('chunk-1');
+      await CheckpointStore.forBookDir(testDir).set('chunk', key, 'old');
+
+      const freshStore = CheckpointStore.forBookDir(testDir, { resume: false });
+      expect(await freshStore.get('chunk', key)).toBeNull();
+    });
+  });
+
+  describe('clear()', () => {
+    it('should remove the checkpoint folder', async () => {
+      const store = CheckpointStore.forBookDir(testDir);
+      await store.set('chunk', CheckpointStore.hash('x'), 'value');
+
+      await store.clear();
+
+      await expect(fs.access(path.join(testDir, CHECKPOINT_DIRNAME))).rejects.toThrow();
+    });
+  });
+
+  describe('SummaryForge resume', () => {
+    it('should restore chunk summaries without calling the LLM again', async () => {
+      const provider = createStubProvider(sectionSummary);
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+      const checkpoints = forge.openCheckpoints(testDir);
+
+      const first = await forge.processSingleChunk('Chunk text', 0, 2, 1, 10, { checkpoints });
+      const second = await forge.processSingleChunk('Chunk text', 0, 2, 1, 10, { checkpoints });
+
+      expect(second).toBe(first);
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('should recompute when the chunk input changes', async () => {
+      const provider = createStubProvider(sectionSummary);
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+      const checkpoints = forge.openCheckpoints(testDir);
+
+      await forge.processSingleChunk('Chunk text', 0, 2, 1, 10, { checkpoints });
+      await forge.processSingleChunk('Different text', 0, 2, 1, 10, { checkpoints });
+
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not use checkpoints when resume is disabled', async () => {
+      const provider = createStubProvider(sectionSummary);
+      const forge = new SummaryForge({ llmProvider: provider, resume: false, logger: SSELogger.createSilentLogger() });
+      const checkpoints = forge.openCheckpoints(testDir);
+
+      await forge.processSingleChunk('Chunk text', 0, 1, 1, 10, { checkpoints });
+      await forge.processSingleChunk('Chunk text', 0, 1, 1, 10, { checkpoints });
+
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+    });
+
+    it('should restore the synthesized summary', async () => {
+      const provider = createStubProvider('Final summary. '.repeat(30));
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+      const checkpoints = forge.openCheckpoints(testDir);
+
+      await forge.synthesizeChunkSummaries(['one', 'two'], 'Book', { checkpoints });
+      const restored = await forge.synthesizeChunkSummaries(['one', 'two'], 'Book', { checkpoints });
+
+      expect(restored).toContain('Final summary.');
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('should restore the audio script for a book directory', async () => {
+      const provider = createStubProvider('Welcome to this narration. '.repeat(10));
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+
+      await forge.generateAudioScript('# Summary\n\nContent', { bookDir: testDir });
+      const restored = await forge.generateAudioScript('# Summary\n\nContent', { bookDir: testDir });
+
+      expect(restored.success).toBe(true);
+      expect(restored.script).toContain('Welcome to this narration');
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('should restore a finished summary for the same PDF', async () => {
+      const provider = createStubProvider(sectionSummary);
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+      const pdfPath = path.join(testDir, 'book.pdf');
+      await fs.writeFile(pdfPath, 'pdf bytes');
+
+      const store = forge.openCheckpoints(testDir);
+      const summaryKey = await forge.getSummaryCheckpointKey(pdfPath);
+      await store.set('summary', summaryKey, {
+        success: true,
+        markdown: '# Saved summary',
+        length: 15,
+        method: 'text_extraction_chunked'
+      });
+
+      const result = await forge.generateSummary(pdfPath, { bookDir: testDir });
+
+      expect(result.success).toBe(true);
+      expect(result.resumed).toBe(true);
+      expect(result.markdown).toBe('# Saved summary');
+      expect(provider.complete).not.toHaveBeenCalled();
+    });
+  });
+});
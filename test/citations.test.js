@@ -0,0 +1,91 @@
+/**
+ * Tests for page citation helpers
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  formatPageRange,
+  addPageMarkers,
+  parseCitation,
+  findCitations,
+  citationsToFootnotes,
+  stripCitations
+} from '../src/utils/citations.js';
+
+describe('Page Citations', () => {
+  describe('formatPageRange()', () => {
+    it('should format a single page', () => {
+      expect(formatPageRange(12)).toBe('p. 12');
+      expect(formatPageRange(12, 12)).toBe('p. 12');
+    });
+
+    it('should format a page range', () => {
+      expect(formatPageRange(142, 145)).toBe('p. 142-145');
+    });
+  });
+
+  describe('parseCitation()', () => {
+    it('should parse single pages, ranges and lists', () => {
+      expect(parseCitation('p. 12; pp. 40-42')).toEqual([
+        { startPage: 12, endPage: 12 },
+        { startPage: 40, endPage: 42 }
+      ]);
+    });
+  });
+
+  describe('addPageMarkers()', () => {
+    it('should prefix each page with its number and update charCount', () => {
+      const pages = addPageMarkers([
+        { pageNum: 1, text: 'First page', charCount: 10 },
+        { pageNum: 2, text: 'Second page', charCount: 11 }
+      ]);
+
+      expect(pages[0].text).toBe('[Page 1]\nFirst page');
+      expect(pages[1].text).toBe('[Page 2]\nSecond page');
+      expect(pages[1].charCount).toBe(pages[1].text.length);
+      expect(pages[1].pageNum).toBe(2);
+    });
+  });
+
+  describe('findCitations()', () => {
+    it('should find single, range and combined citations', () => {
+      const markdown = [
+        '## Caching [p. 41-58]',
+        '- Write-through caches [p. 44]',
+        '- Stampedes [pp. 51-52]',
+        '- Merged point [p. 12; p. 40-42]'
+      ].join('\n');
+
+      expect(findCitations(markdown)).toEqual(['p. 41-58', 'p. 44', 'pp. 51-52', 'p. 12; p. 40-42']);
+    });
+
+    it('should ignore Markdown links and other brackets', () => {
+      expect(findCitations('See [p. 12](https://example.com) and [note] or [Page 3]')).toEqual([]);
+    });
+
+    it('should ignore citations inside code blocks', () => {
+      const markdown = '```\narr[p. 1]\n```\nText [p. 2]';
+      expect(findCitations(markdown)).toEqual(['p. 2']);
+    });
+  });
+
+  describe('citationsToFootnotes()', () => {
+    it('should turn citations into pandoc inline footnotes', () => {
+      expect(citationsToFootnotes('## Caching [p. 41-58]\n\n- Key point [p. 44].'))
+        .toBe('## Caching^[p. 41-58]\n\n- Key point^[p. 44].');
+    });
+
+    it('should leave code blocks untouched', () => {
+      const markdown = '```js\nconst x = a[p. 1];\n```';
+      expect(citationsToFootnotes(markdown)).toBe(markdown);
+    });
+  });
+
+  describe('stripCitations()', () => {
+    it('should remove citations and the space before them', () => {
+      expect(stripCitations('## Caching [p. 41-58]\n\n- Key point [p. 44].')).toBe('## Caching\n\n- Key point.');
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Tests for code listing extraction
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createWriteStream } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import PDFDocument from 'pdfkit';
+import {
+  isCodeLine,
+  findCodeListings,
+  guessLanguage,
+  groupListingsByChapter,
+  chapterDirName,
+  formatExamplesIndex,
+  extractCodeExamples,
+  EXAMPLES_DIRNAME
+} from '../src/utils/code-listings.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+
+const PROSE = 'A key-value store keeps every value under a unique key, and the simplest one is an in-memory dictionary that is written to disk.';
+
+/**
+ * Write a three-page programming book: a captioned Python listing, a shell session that runs
+ * over a page break and an uncaptioned JavaScript listing in the second chapter
+ * @private
+ */
+function writeBookPdf(pdfPath) {
+  // Courier at 10pt is 6pt per character
+  const code = (doc, lines, top) => {
+    doc.font('Courier').fontSize(10);
+    lines.forEach(([indent, text], idx) => doc.text(text, 72 + indent * 6, top + idx * 14, { lineBreak: false }));
+  };
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER' });
+    const stream = createWriteStream(pdfPath);
+    doc.pipe(stream);
+
+    doc.font('Helvetica').fontSize(16).text('Chapter 1: Storage', 72, 72);
+    doc.fontSize(11).text(PROSE, 72, 110, { width: 468 });
+    doc.fontSize(10).text('Listing 1.1: A key-value store', 72, 160);
+    code(doc, [[0, 'class Store:'], [4, 'def __init__(self):'], [8, 'self.data = {}'], [4, 'def put(self, key, value):'], [8, 'self.data[key] = value']], 180);
+    doc.font('Helvetica').fontSize(11).text(PROSE, 72, 280, { width: 468 });
+    code(doc, [[0, '$ pip install requests'], [0, '$ export STORE_PATH=/tmp/store'], [0, '$ python store.py --port 8080']], 700);
+
+    doc.addPage();
+    code(doc, [[0, '$ curl localhost:8080/keys/a'], [0, '$ python -m pytest tests/']], 72);
+    doc.font('Helvetica').fontSize(11).text(PROSE, 72, 120, { width: 468 });
+
+    doc.addPage();
+    doc.font('Helvetica').fontSize(16).text('Chapter 2: Replication', 72, 72);
+    doc.fontSize(11).text(PROSE, 72, 110, { width: 468 });
+    code(doc, [[0, 'const leader = createLeader();'], [0, 'for (const follower of followers) {'], [2, 'follower.apply(leader.log);'], [0, '}']], 170);
+
+    doc.end();
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+const line = (text, top, left = 72) => ({ text, left, right: left + text.length * 6, top, bottom: top + 12 });
+
+describe('Code Listings', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-listings-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('isCodeLine()', () => {
+    it('should tell code from prose', () => {
+      for (const code of ['def put(self, key, value):', 'int count = 0;', '}', 'return x', '// keep the lock', '$ npm install', 'SELECT * FROM users', 'items.forEach((item) => render(item))']) {
+        expect(isCodeLine(code), code).toBe(true);
+      }
+      for (const prose of [PROSE, 'with a leader that accepts the writes and sends them on to every follower', 'Replication', 'Listing 3.2: Leader election', '']) {
+        expect(isCodeLine(prose), prose).toBe(false);
+      }
+    });
+  });
+
+  describe('findCodeListings()', () => {
+    it('should rebuild the indentation from the line positions', () => {
+      const [listing] = findCodeListings([{
+        pageNum: 5,
+        lines: [line('Listing 5.1: Follower loop', 60), line('while True:', 80), line('entry = log.next()', 92, 96), line('apply(entry)', 104, 96)],
+      }]);
+
+      expect(listing).toEqual({ number: '5.1', caption: 'Follower loop', pageNum: 5, code: 'while True:\n    entry = log.next()\n    apply(entry)' });
+    });
+
+    it('should keep listings apart at captions and skip short uncaptioned code', () => {
+      const listings = findCodeListings([{
+        pageNum: 1,
+        lines: [
+          line('x = 1', 60), line('y = 2', 72), line('z = x + y', 84),
+          line('Listing 1.2: Second', 96), line('print(z)', 108),
+          line(PROSE, 150), line('a = 1', 170), line('b = 2', 182),
+        ],
+      }]);
+
+      expect(listings.map(({ number, code }) => [number, code])).toEqual([[null, 'x = 1\ny = 2\nz = x + y'], ['1.2', 'print(z)']]);
+    });
+  });
+
+  describe('guessLanguage()', () => {
+    it('should guess the language from the code', () => {
+      const samples = {
+        '.py': 'def put(self, key):\n    return key',
+        '.js': 'const store = new Map();\nstore.set(key, value);',
+        '.ts': 'function put(key: string): void {\n}',
+        '.java': 'public class Store {\n  System.out.println(key);\n}',
+        '.go': 'package main\n\nfunc main() {\n}',
+        '.rs': 'fn main() {\n    let mut store = HashMap::new();\n}',
+        '.c': '#include <stdio.h>\nint main(void) {\n}',
+        '.sql': 'SELECT key, value FROM store\nWHERE key = 1;',
+        '.sh': '$ npm install summary-forge',
+        '.html': '<html>\n<body></body>\n</html>',
+        '.txt': 'leader -> follower',
+      };
+
+      for (const [extension, code] of Object.entries(samples)) {
+        expect(guessLanguage(code).extension, code).toBe(extension);
+      }
+    });
+  });
+
+  describe('groupListingsByChapter()', () => {
+    const listings = [
+      { number: null, pageNum: 2 },
+      { number: '3.1', pageNum: 40 },
+      { number: '3.2', pageNum: 44 },
+    ];
+
+    it('should use the chapter starting on or before each listing', () => {
+      const groups = groupListingsByChapter(listings, [{ title: 'Storage', pageNum: 10 }, { title: 'Replication', pageNum: 38 }]);
+
+      expect(groups.map(({ number, title, listings: grouped }) => [number, title, grouped.length])).toEqual([
+        [0, 'Other listings', 1],
+        [2, 'Replication', 2],
+      ]);
+    });
+
+    it('should fall back to the caption numbers without chapters', () => {
+      const groups = groupListingsByChapter(listings, []);
+
+      expect(groups.map(({ number, title }) => [chapterDirName(number), title])).toEqual([['chapter-00', 'Other listings'], ['chapter-03', 'Chapter 3']]);
+    });
+  });
+
+  describe('formatExamplesIndex()', () => {
+    it('should link every listing under its chapter', () => {
+      const index = formatExamplesIndex([{
+        title: 'Chapter 3: Storage',
+        listings: [
+          { number: '3.1', caption: 'A key-value store', pageNum: 40, language: 'python', file: 'chapter-03/listing-3-1.py' },
+          { number: null, caption: '', pageNum: 42, language: 'shell', file: 'chapter-03/listing-02.sh' },
+        ],
+      }], { title: 'My Book' });
+
+      expect(index).toContain('Source listings from *My Book*');
+      expect(index).toContain('## Chapter 3: Storage\n\n- [listing-3-1.py](chapter-03/listing-3-1.py) - Listing 3.1: A key-value store (p. 40)\n- [listing-02.sh](chapter-03/listing-02.sh) - shell (p. 42)\n');
+    });
+  });
+
+  describe('extractCodeExamples()', () => {
+    it('should write the listings of a PDF by chapter with a README index', async () => {
+      const pdfPath = path.join(testDir, 'book.pdf');
+      await writeBookPdf(pdfPath);
+
+      const result = await extractCodeExamples(pdfPath, testDir, { title: 'My Book' });
+
+      const examplesDir = path.join(testDir, EXAMPLES_DIRNAME);
+      expect(result.directory).toBe(examplesDir);
+      expect(result.index).toBe(path.join(examplesDir, 'README.md'));
+      expect(result.listings.map(({ number, pageNum, language, file }) => [number, pageNum, language, file])).toEqual([
+        ['1.1', 1, 'python', 'chapter-01/listing-1-1.py'],
+        [null, 1, 'shell', 'chapter-01/listing-02.sh'],
+        [null, 3, 'javascript', 'chapter-02/listing-01.js'],
+      ]);
+
+      await expect(fs.readFile(path.join(examplesDir, 'chapter-01/listing-1-1.py'), 'utf8')).resolves.toBe(
+        'class Store:\n    def __init__(self):\n        self.data = {}\n    def put(self, key, value):\n        self.data[key] = value\n'
+      );
+      // The shell session continues on the next page
+      const shell = await fs.readFile(path.join(examplesDir, 'chapter-01/listing-02.sh'), 'utf8');
+      expect(shell.split('\n')).toHaveLength(6);
+      expect(shell).toContain('$ python store.py --port 8080\n$ curl localhost:8080/keys/a\n');
+      await expect(fs.readFile(path.join(examplesDir, 'chapter-02/listing-01.js'), 'utf8')).resolves.toContain('  follower.apply(leader.log);\n}');
+
+      const index = await fs.readFile(result.index, 'utf8');
+      expect(index).toContain('## Chapter 1: Storage');
+      expect(index).toContain('## Chapter 2: Replication');
+    });
+
+    it('should clear the examples of an earlier run', async () => {
+      const pdfPath = path.join(testDir, 'plain.pdf');
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument();
+        const stream = createWriteStream(pdfPath);
+        doc.pipe(stream);
+        doc.text(PROSE);
+        doc.end();
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+      await fs.mkdir(path.join(testDir, EXAMPLES_DIRNAME, 'chapter-01'), { recursive: true });
+
+      await expect(extractCodeExamples(pdfPath, testDir)).resolves.toMatchObject({ index: null, listings: [] });
+      await expect(fs.access(path.join(testDir, EXAMPLES_DIRNAME))).rejects.toThrow();
+    });
+  });
+
+  describe('SummaryForge', () => {
+    it('should report a PDF without listings as a failure', async () => {
+      const pdfPath = path.join(testDir, 'plain.pdf');
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument();
+        const stream = createWriteStream(pdfPath);
+        doc.pipe(stream);
+        doc.text(PROSE);
+        doc.end();
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+      const forge = new SummaryForge({ openaiApiKey: 'test-key', logger: SSELogger.createSilentLogger() });
+
+      await expect(forge.writeCodeExamples(pdfPath, testDir)).resolves.toEqual({ success: false, error: 'No code listings found in the PDF', count: 0 });
+    });
+
+    it('should put the examples in the processFile bundle', async () => {
+      const bookDir = path.join(testDir, 'uploads', 'My_Book');
+      await fs.mkdir(bookDir, { recursive: true });
+      const pdfPath = path.join(bookDir, 'My_Book.pdf');
+      await writeBookPdf(pdfPath);
+      const forge = new SummaryForge({ openaiApiKey: 'test-key', codeExamples: true, logger: SSELogger.createSilentLogger() });
+      forge.generateSummary = vi.fn(async () => ({ success: true, markdown: '# My Book' }));
+      forge.generateOutputFiles = vi.fn(async (markdown, basename, outputDir) => ({
+        success: true,
+        files: { summaryMd: path.join(outputDir, `${basename}.summary.md`) }
+      }));
+      vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      try {
+        const result = await forge.processFile(pdfPath);
+
+        expect(result.success).toBe(true);
+        expect(result.files).toContain(path.join(bookDir, EXAMPLES_DIRNAME, 'README.md'));
+        expect(result.files).toContain(path.join(bookDir, EXAMPLES_DIRNAME, 'chapter-01', 'listing-1-1.py'));
+        const archived = execFileSync('tar', ['-tzf', result.archive], { encoding: 'utf8' });
+        expect(archived).toContain('My_Book/examples/chapter-02/listing-01.js');
+      } finally {
+        process.stdout.write.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for the cross-book comparison
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+const report = `# Comparison: Designing Data Systems vs Database Internals
+
+## Overview
+
+Both books cover storage engines.`;
+
+describe('SummaryForge.compareSummaries()', () => {
+  let testDir;
+  let originalCwd;
+
+  const writeBook = async (dirName, files) => {
+    const bookDir = path.join('uploads', dirName);
+    await fs.mkdir(bookDir, { recursive: true });
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(bookDir, name), content);
+    }
+    return bookDir;
+  };
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'compare-test-'));
+    originalCwd = process.cwd();
+    process.chdir(testDir);
+
+    await writeBook('designing_data_systems', {
+      'designing_data_systems.summary.md': '# Designing Data Systems\n\n## Storage\n\nLogs and B-trees [p. 70-72].\n',
+      '.designing_data_systems.pandoc.md': 'temp',
+      'designing_data_systems.flashcards.md': '**Q: ?**'
+    });
+    await writeBook('database_internals', {
+      'database_internals.summary.md': '## Storage Engines\n\nB-trees in depth.\n'
+    });
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  it('should compare the summaries and render the report', async () => {
+    const provider = createStubProvider(report);
+    const forge = new SummaryForge({ llmProvider: provider, models: { compare: 'gpt-5' }, logger: SSELogger.createSilentLogger() });
+    forge.sh = vi.fn(async () => {});
+
+    const result = await forge.compareSummaries(['designing_data_systems', path.join('uploads', 'database_internals')]);
+
+    expect(result.success).toBe(true);
+    expect(result.books).toEqual([
+      { title: 'Designing Data Systems', directory: path.join('uploads', 'designing_data_systems'), summary: path.join('uploads', 'designing_data_systems', 'designing_data_systems.summary.md') },
+      { title: 'database internals', directory: path.join('uploads', 'database_internals'), summary: path.join('uploads', 'database_internals', 'database_internals.summary.md') }
+    ]);
+
+    const [request] = provider.complete.mock.calls[0];
+    expect(request.model).toBe('gpt-5');
+    expect(request.system).toContain('comparing 2 books');
+    expect(request.system).toContain('## Recommended Reading Order');
+    expect(request.prompt).toContain('=== Book 1: "Designing Data Systems" ===\n\n# Designing Data Systems');
+    expect(request.prompt).toContain('=== Book 2: "database internals" ===\n\n## Storage Engines');
+    expect(request.prompt).not.toContain('[p. 70-72]');
+
+    const outputDir = path.join('uploads', 'comparisons', 'designing_data_systems_vs_database_internals');
+    expect(result.directory).toBe(outputDir);
+    expect(result.files).toEqual({
+      comparisonMd: path.join(outputDir, 'comparison.md'),
+      comparisonPdf: path.join(outputDir, 'comparison.pdf'),
+      comparisonEpub: path.join(outputDir, 'comparison.epub')
+    });
+    await expect(fs.readFile(result.files.comparisonMd, 'utf8')).resolves.toBe(`${report}\n`);
+    expect(forge.sh).toHaveBeenCalledTimes(2);
+    expect(forge.sh.mock.calls[0][1]).toEqual(expect.arrayContaining([result.files.comparisonMd, '-o', result.files.comparisonPdf, 'title=Designing Data Systems vs database internals (Comparison)']));
+    expect(forge.sh.mock.calls[1][1]).toEqual(expect.arrayContaining(['-o', result.files.comparisonEpub]));
+    expect(result.costs.byModel['gpt-5'].requests).toBe(1);
+  });
+
+  it('should read the summaries in the output language and honor outputDir', async () => {
+    await fs.writeFile(path.join('uploads', 'database_internals', 'database_internals.summary.es.md'), '# Internos de bases de datos\n');
+    const provider = createStubProvider(report);
+    const forge = new SummaryForge({ llmProvider: provider, language: 'es', logger: SSELogger.createSilentLogger() });
+    forge.sh = vi.fn(async () => {});
+
+    const result = await forge.compareSummaries(['designing_data_systems', 'database_internals'], { outputDir: 'reports' });
+
+    expect(result.books.map((book) => book.title)).toEqual(['Designing Data Systems', 'Internos de bases de datos']);
+    expect(provider.complete.mock.calls[0][0].system).toContain('Write the whole report in Spanish');
+    expect(result.files.comparisonMd).toBe(path.join('reports', 'comparison.es.md'));
+  });
+
+  it('should fail without two books, a summary or room in the input budget', async () => {
+    await fs.mkdir(path.join('uploads', 'empty_book'));
+    const provider = createStubProvider(report);
+    const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+
+    await expect(forge.compareSummaries(['designing_data_systems'])).resolves.toEqual({ success: false, error: 'At least two book directories are needed for a comparison' });
+    await expect(forge.compareSummaries(['designing_data_systems', 'missing_book'])).resolves.toEqual({ success: false, error: 'Book directory not found: missing_book' });
+    await expect(forge.compareSummaries(['designing_data_systems', 'empty_book'])).resolves.toEqual({ success: false, error: `No summary found in ${path.join('uploads', 'empty_book')}` });
+
+    const smallForge = new SummaryForge({ llmProvider: provider, maxInputTokens: 50, logger: SSELogger.createSilentLogger() });
+    await expect(smallForge.compareSummaries(['designing_data_systems', 'database_internals'])).resolves.toMatchObject({ success: false, error: expect.stringContaining('too long to compare') });
+    expect(provider.complete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for concurrency utility
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { mapWithConcurrency, withRetries } from '../src/utils/concurrency.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Concurrency Utility', () => {
+  describe('mapWithConcurrency()', () => {
+    it('should return results in input order', async () => {
+      // Later items finish first
+      const results = await mapWithConcurrency([30, 20, 10, 0], 4, async (ms, i) => {
+        await delay(ms);
+        return `item-${i}`;
+      });
+
+      expect(results).toEqual(['item-0', 'item-1', 'item-2', 'item-3']);
+    });
+
+    it('should never exceed the concurrency limit', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await delay(5);
+        inFlight--;
+      });
+
+      expect(maxInFlight).toBe(3);
+    });
+
+    it('should process sequentially with a limit of 1', async () => {
+      const order = [];
+      await mapWithConcurrency([10, 0, 5], 1, async (ms, i) => {
+        order.push(`start-${i}`);
+        await delay(ms);
+        order.push(`end-${i}`);
+      });
+
+      expect(order).toEqual(['start-0', 'end-0', 'start-1', 'end-1', 'start-2', 'end-2']);
+    });
+
+    it('should treat invalid limits as 1', async () => {
+      const results = await mapWithConcurrency([1, 2], 0, async (n) => n * 2);
+      expect(results).toEqual([2, 4]);
+    });
+
+    it('should handle an empty list', async () => {
+      const fn = vi.fn();
+      const results = await mapWithConcurrency([], 3, fn);
+      expect(results).toEqual([]);
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it('should reject with the first error and stop starting new work', async () => {
+      const started = [];
+
+      await expect(
+        mapWithConcurrency([0, 1, 2, 3, 4, 5], 2, async (n) => {
+          started.push(n);
+          await delay(1);
+          if (n === 1) {
+            throw new Error('chunk 1 failed');
+          }
+          return n;
+        })
+      ).rejects.toThrow('chunk 1 failed');
+
+      expect(started.length).toBeLessThan(6);
+    });
+  });
+
+  describe('withRetries()', () => {
+    it('should return the first successful result', async () => {
+      const fn = vi.fn(async () => 'ok');
+      const result = await withRetries(fn, { retries: 2, delayMs: 0 });
+
+      expect(result).toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry failed attempts', async () => {
+      const onRetry = vi.fn();
+      const fn = vi.fn()
+        .mockRejectedValueOnce(new Error('timeout'))
+        .mockRejectedValueOnce(new Error('timeout'))
+        .mockResolvedValue('ok');
+
+      const result = await withRetries(fn, { retries: 2, delayMs: 0, onRetry });
+
+      expect(result).toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(fn).toHaveBeenLastCalledWith(3);
+      expect(onRetry).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledWith(expect.any(Error), 1);
+    });
+
+    it('should throw the last error once retries are exhausted', async () => {
+      const fn = vi.fn(async (attempt) => {
+        throw new Error(`attempt ${attempt} failed`);
+      });
+
+      await expect(withRetries(fn, { retries: 1, delayMs: 0 })).rejects.toThrow('attempt 2 failed');
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry when retries is 0', async () => {
+      const fn = vi.fn(async () => {
+        throw new Error('nope');
+      });
+
+      await expect(withRetries(fn, { retries: 0 })).rejects.toThrow('nope');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw at once when shouldRetry rejects the error', async () => {
+      const onRetry = vi.fn();
+      const fn = vi.fn()
+        .mockRejectedValueOnce(new Error('too short'))
+        .mockRejectedValueOnce(Object.assign(new Error('bad request'), { status: 400 }));
+
+      await expect(withRetries(fn, { retries: 3, delayMs: 0, shouldRetry: (error) => !error.status, onRetry })).rejects.toThrow('bad request');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledTimes(1);
+    });
+  });
+});
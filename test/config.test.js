@@ -191,6 +191,42 @@ describe('Config Utility', () => {
       expect(loadResult.source).toBe('file');
     });
 
+    it('should pass the chunking and retry settings through', async () => {
+      await saveConfig({
+        openaiApiKey: 'test',
+        chunkConcurrency: 6,
+        chunkRetries: 4,
+        chunkRetryDelay: 500,
+        maxRetries: 2
+      });
+      const loadResult = await loadConfig();
+
+      expect(loadResult.success).toBe(true);
+      expect(loadResult.config).toMatchObject({ chunkConcurrency: 6, chunkRetries: 4, chunkRetryDelay: 500, maxRetries: 2 });
+    });
+
+    it('should infer the LLM provider from the credentials when none is set', async () => {
+      const keys = ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'LLM_PROVIDER', 'LLM_BASE_URL'];
+      const saved = Object.fromEntries(keys.map((key) => [key, process.env[key]]));
+      const providerFor = async (env) => {
+        keys.forEach((key) => delete process.env[key]);
+        Object.assign(process.env, env);
+        return (await loadConfig()).config.llmProvider;
+      };
+
+      try {
+        await expect(providerFor({ ANTHROPIC_API_KEY: 'sk-ant-test' })).resolves.toBe('anthropic');
+        await expect(providerFor({ LLM_BASE_URL: 'http://localhost:11434/v1' })).resolves.toBe('openai-compatible');
+        await expect(providerFor({ OPENAI_API_KEY: 'sk-test', ANTHROPIC_API_KEY: 'sk-ant-test' })).resolves.toBe('openai');
+        await expect(providerFor({ ANTHROPIC_API_KEY: 'sk-ant-test', LLM_PROVIDER: 'openai' })).resolves.toBe('openai');
+
+        await saveConfig({ anthropicApiKey: 'sk-ant-test' });
+        await expect(providerFor({})).resolves.toBe('anthropic');
+      } finally {
+        keys.forEach((key) => (saved[key] === undefined ? delete process.env[key] : (process.env[key] = saved[key])));
+      }
+    });
+
     it('should handle malformed JSON gracefully', async () => {
       const configPathResult = getConfigPath();
       await fs.mkdir(path.dirname(configPathResult.path), { recursive: true });
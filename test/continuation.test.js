@@ -0,0 +1,139 @@
+/**
+ * Tests for continuing completions that stop at the output token limit
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { withContinuation, CONTINUE_PROMPT } from '../src/utils/continuation.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+const usage = (prompt_tokens, completion_tokens) => ({ prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens });
+
+// Answers each request with the next response in turn
+const createSequenceProvider = (...responses) => {
+  const provider = createStubProvider();
+  for (const response of responses) {
+    provider.complete.mockResolvedValueOnce({ usage: usage(100, 50), finishReason: 'stop', ...response });
+  }
+  return provider;
+};
+
+describe('Continuation', () => {
+  describe('withContinuation()', () => {
+    it('should pass complete responses through unchanged', async () => {
+      const provider = createSequenceProvider({ content: 'Done.' });
+      const onTruncated = vi.fn();
+
+      const response = await withContinuation(provider, { onTruncated }).complete({ prompt: 'Summarize', maxTokens: 100 });
+
+      expect(response).toEqual({ content: 'Done.', usage: usage(100, 50), finishReason: 'stop' });
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(onTruncated).not.toHaveBeenCalled();
+    });
+
+    it('should continue a truncated response until the model finishes', async () => {
+      const provider = createSequenceProvider(
+        { content: '# Summary\n\nLeaders repl', finishReason: 'length' },
+        { content: 'icate every write', finishReason: 'length' },
+        { content: ' to followers.' }
+      );
+      const onTruncated = vi.fn();
+
+      const response = await withContinuation(provider, { onTruncated })
+        .complete({ system: 'Be thorough', prompt: 'Summarize', maxTokens: 100, model: 'gpt-5-mini' });
+
+      expect(response).toMatchObject({
+        content: '# Summary\n\nLeaders replicate every write to followers.',
+        usage: usage(300, 150),
+        finishReason: 'stop',
+        continuations: 2,
+        truncated: false
+      });
+      const [, [second], [third]] = provider.complete.mock.calls;
+      expect(second).toEqual({
+        system: 'Be thorough',
+        maxTokens: 100,
+        model: 'gpt-5-mini',
+        messages: [
+          { role: 'user', content: 'Summarize' },
+          { role: 'assistant', content: '# Summary\n\nLeaders repl' },
+          { role: 'user', content: CONTINUE_PROMPT }
+        ]
+      });
+      expect(third.messages[1].content).toBe('# Summary\n\nLeaders replicate every write');
+      expect(onTruncated).toHaveBeenCalledWith(expect.objectContaining({ continuations: 2, truncated: false }));
+    });
+
+    it('should stop at the cap and report the output as truncated', async () => {
+      const provider = createSequenceProvider(
+        { content: 'One', finishReason: 'length' },
+        { content: ' two', finishReason: 'length' },
+        { content: ' three', finishReason: 'length' }
+      );
+
+      const response = await withContinuation(provider, { maxContinuations: 2 }).complete({ prompt: 'Count', maxTokens: 10 });
+
+      expect(provider.complete).toHaveBeenCalledTimes(3);
+      expect(response).toMatchObject({ content: 'One two three', continuations: 2, truncated: true });
+    });
+
+    it('should not continue a response without any text', async () => {
+      const provider = createSequenceProvider({ content: '', finishReason: 'length' });
+
+      const response = await withContinuation(provider).complete({ prompt: 'Think hard', maxTokens: 10 });
+
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(response).toMatchObject({ continuations: 0, truncated: true });
+    });
+
+    it('should stream the text so far across continuations', async () => {
+      const provider = {
+        name: 'stub',
+        complete: vi.fn(async ({ onToken, messages }) => {
+          const content = messages ? ' world' : 'Hello';
+          onToken(content, content);
+          return { content, usage: null, finishReason: messages ? 'stop' : 'length' };
+        })
+      };
+      const onToken = vi.fn();
+
+      await withContinuation(provider).complete({ prompt: 'Greet', maxTokens: 10, onToken });
+
+      expect(onToken.mock.calls).toEqual([['Hello', 'Hello'], [' world', 'Hello world']]);
+    });
+  });
+
+  describe('SummaryForge', () => {
+    const chunkText = 'Leaders replicate every write to their followers through a log. '.repeat(3);
+
+    it('should continue a truncated chunk summary and record a warning', async () => {
+      const provider = createSequenceProvider(
+        { content: chunkText, finishReason: 'length' },
+        { content: 'Followers apply the log in order.' }
+      );
+      const events = [];
+      const forge = new SummaryForge({ llmProvider: provider, logger: new SSELogger((event) => events.push(event)) });
+
+      const summary = await forge.processSingleChunk('Chunk text', 0, 1, 1, 10);
+
+      expect(summary).toBe(`${chunkText}Followers apply the log in order.`);
+      expect(forge.warnings).toEqual([expect.objectContaining({ code: 'output_continued', model: 'stub-model', continuations: 1 })]);
+      expect(forge.costs.byModel['stub-model']).toMatchObject({ inputTokens: 200, outputTokens: 100 });
+      expect(events.find((event) => event.metadata?.step === 'continuation')).toMatchObject({ level: 'warn' });
+    });
+
+    it('should warn when the output is still truncated at the cap', async () => {
+      const provider = createSequenceProvider({ content: chunkText, finishReason: 'length' });
+      const forge = new SummaryForge({ llmProvider: provider, maxContinuations: 0, logger: SSELogger.createSilentLogger() });
+
+      await forge.processSingleChunk('Chunk text', 0, 1, 1, 10);
+
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(forge.warnings[0].code).toBe('output_truncated');
+      expect(forge.warnings[0].message).toContain('still cut off');
+    });
+  });
+});
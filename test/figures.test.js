@@ -0,0 +1,285 @@
+/**
+ * Tests for figure extraction and embedding
+ *
+ * Testing Framework: Vitest
+ * pdftoppm is replaced by a fake spawn() that renders a blank page with sharp
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { createWriteStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+vi.mock('node:child_process', () => ({ spawn: vi.fn() }));
+
+const { spawn } = await import('node:child_process');
+const {
+  extractPageLayouts,
+  findFigures,
+  figureFileName,
+  extractFigures,
+  readFigureManifest,
+  formatFigureList,
+  embedFigures,
+  FIGURES_DIRNAME,
+  FIGURE_MANIFEST
+} = await import('../src/utils/figures.js');
+const { SummaryForge } = await import('../src/summary-forge.js');
+const { SSELogger } = await import('../src/utils/sse-logger.js');
+
+/**
+ * Fake pdftoppm: writes a blank US Letter page at the requested resolution
+ * @private
+ */
+function fakeSpawn(command, args) {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  const dpi = Number(args[args.indexOf('-r') + 1]);
+  sharp({ create: { width: Math.round(8.5 * dpi), height: 11 * dpi, channels: 3, background: '#ffffff' } })
+    .png()
+    .toFile(`${args.at(-1)}.png`)
+    .then(() => child.emit('close', 0), (error) => child.emit('error', error));
+  return child;
+}
+
+/**
+ * Write a one-page PDF with body text, a drawn figure and its caption
+ * @private
+ */
+function writeFigurePdf(pdfPath) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER' });
+    const stream = createWriteStream(pdfPath);
+    doc.pipe(stream);
+    doc.fontSize(11).text('Replication keeps a copy of the same data on several machines that are connected via a network.', 72, 72, { width: 468 });
+    doc.rect(150, 120, 300, 200).stroke();
+    doc.fontSize(10).text('Figure 5.1: Leader-based replication', 72, 340);
+    doc.fontSize(11).text('Figure 5.1 shows how writes flow from the leader to its followers over the replication log.', 72, 380, { width: 468 });
+    doc.end();
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+const line = (text, top, left = 72, right = 540) => ({ text, left, right, top, bottom: top + 12 });
+
+describe('Figures', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'figures-test-'));
+    spawn.mockReset();
+    spawn.mockImplementation(fakeSpawn);
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('findFigures()', () => {
+    it('should place a figure between the body text above and its caption', () => {
+      const figures = findFigures([{
+        pageNum: 4,
+        width: 612,
+        height: 792,
+        lines: [
+          line('A full line of body text that spans the whole text column.', 72),
+          line('Leader', 150, 250, 300),
+          line('Follower', 250, 250, 310),
+          line('Figure 3.2: Leader election', 340, 72, 260),
+        ],
+      }]);
+
+      expect(figures).toEqual([{
+        number: '3.2',
+        caption: 'Leader election',
+        pageNum: 4,
+        region: { left: 66, top: 90, width: 480, height: 244 },
+      }]);
+    });
+
+    it('should accept the usual caption styles and ignore references in the text', () => {
+      const page = (pageNum, caption) => ({ pageNum, width: 612, height: 792, lines: [line(caption, 400, 72, 300)] });
+
+      const figures = findFigures([
+        page(1, 'Fig. 4 - Partitioning'),
+        page(2, 'FIGURE 12 Consistent hashing'),
+        page(3, 'Figure 7 shows the write path'),
+        page(4, 'As Figure 8: not a caption'),
+        page(5, 'Figure 5.1 shows the read path'),
+      ]);
+
+      expect(figures.map(({ number, caption }) => [number, caption])).toEqual([
+        ['4', 'Partitioning'],
+        ['12', 'Consistent hashing'],
+      ]);
+    });
+
+    it('should skip captions without room for a figure and repeated numbers', () => {
+      const figures = findFigures([
+        {
+          pageNum: 1,
+          width: 612,
+          height: 792,
+          lines: [
+            line('A full line of body text that spans the whole text column.', 300),
+            line('Figure 1: Too close to the text above', 330, 72, 300),
+          ],
+        },
+        { pageNum: 2, width: 612, height: 792, lines: [line('Figure 2: Overview', 400, 72, 300)] },
+        { pageNum: 3, width: 612, height: 792, lines: [line('Figure 2: Overview (continued)', 400, 72, 300)] },
+      ]);
+
+      expect(figures.map(({ number, pageNum }) => [number, pageNum])).toEqual([['2', 2]]);
+    });
+  });
+
+  describe('extractPageLayouts()', () => {
+    it('should read the text lines of a PDF from the top of the page', async () => {
+      const pdfPath = path.join(testDir, 'book.pdf');
+      await writeFigurePdf(pdfPath);
+
+      const [page] = await extractPageLayouts(pdfPath);
+
+      expect(page.pageNum).toBe(1);
+      expect(page.width).toBeCloseTo(612);
+      const caption = page.lines.find((candidate) => candidate.text.startsWith('Figure 5.1:'));
+      expect(caption.top).toBeGreaterThan(320);
+      expect(caption.top).toBeLessThan(350);
+
+      const [figure] = findFigures([page]);
+      expect(figure.number).toBe('5.1');
+      expect(figure.region.top).toBeLessThan(120);
+      expect(figure.region.top + figure.region.height).toBeLessThan(caption.top);
+    });
+  });
+
+  describe('extractFigures()', () => {
+    it('should crop the figures into the figures folder and write the manifest', async () => {
+      const pdfPath = path.join(testDir, 'book.pdf');
+      await writeFigurePdf(pdfPath);
+
+      const figures = await extractFigures(pdfPath, testDir, { dpi: 72 });
+
+      expect(figures).toEqual([{ number: '5.1', caption: 'Leader-based replication', pageNum: 1, file: 'figures/figure-5-1.png' }]);
+      expect(spawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['-r', '72', '-f', '1', '-l', '1']));
+      const { width, height } = await sharp(path.join(testDir, figures[0].file)).metadata();
+      expect(width).toBeGreaterThan(400);
+      expect(height).toBeGreaterThan(200);
+      await expect(readFigureManifest(testDir)).resolves.toEqual(figures);
+    });
+
+    it('should clear the figures of an earlier run', async () => {
+      const pdfPath = path.join(testDir, 'plain.pdf');
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument();
+        const stream = createWriteStream(pdfPath);
+        doc.pipe(stream);
+        doc.text('A book without figures.');
+        doc.end();
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+      await fs.mkdir(path.join(testDir, FIGURES_DIRNAME));
+      await fs.writeFile(path.join(testDir, FIGURES_DIRNAME, FIGURE_MANIFEST), '[{"number":"1"}]');
+
+      await expect(extractFigures(pdfPath, testDir)).resolves.toEqual([]);
+      await expect(readFigureManifest(testDir)).resolves.toEqual([]);
+      expect(spawn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('formatting', () => {
+    const figures = [
+      { number: '3.2', caption: 'Leader election [simplified]', pageNum: 45, file: 'figures/figure-3-2.png' },
+      { number: '4', caption: '', pageNum: 60, file: 'figures/figure-4.png' },
+    ];
+
+    it('should name figure files after their number', () => {
+      expect(figureFileName('3.2')).toBe('figure-3-2.png');
+      expect(figureFileName('12-1')).toBe('figure-12-1.png');
+    });
+
+    it('should list figures for the prompts', () => {
+      expect(formatFigureList(figures)).toEqual(['- Figure 3.2 (p. 45): Leader election [simplified]', '- Figure 4 (p. 60)']);
+    });
+
+    it('should replace reference lines with images and keep unknown references', () => {
+      const markdown = '## Replication\n\n[Figure 3.2]\n\nSee [Figure 3.2] above.\n  [fig. 4]  \n[Figure 9]\n';
+
+      expect(embedFigures(markdown, figures)).toBe(
+        '## Replication\n\n![Figure 3.2: Leader election simplified](figures/figure-3-2.png)\n\n'
+        + 'See [Figure 3.2] above.\n![Figure 4](figures/figure-4.png)\n[Figure 9]\n'
+      );
+      expect(embedFigures('[Figure 4]', figures, { baseDir: '..' })).toBe('![Figure 4](../figures/figure-4.png)');
+    });
+  });
+
+  describe('SummaryForge figures option', () => {
+    const figures = [{ number: '1.1', caption: 'Architecture', pageNum: 3, file: 'figures/figure-1-1.png' }];
+
+    it('should embed the extracted figures in the outputs', async () => {
+      await fs.mkdir(path.join(testDir, FIGURES_DIRNAME));
+      await fs.writeFile(path.join(testDir, FIGURES_DIRNAME, FIGURE_MANIFEST), JSON.stringify(figures));
+      const forge = new SummaryForge({ llmProvider: createStubProvider(), figures: true, logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles('# Book\n\nOverview.\n\n[Figure 1.1]\n', 'Book', testDir);
+
+      expect(result.success).toBe(true);
+      expect(result.files.figures).toEqual([path.join(testDir, 'figures/figure-1-1.png')]);
+      await expect(fs.readFile(result.files.summaryMd, 'utf8')).resolves.toContain('![Figure 1.1: Architecture](figures/figure-1-1.png)');
+      await expect(fs.readFile(result.files.summaryTxt, 'utf8')).resolves.toContain('Figure 1.1: Architecture');
+      for (const [, args] of forge.sh.mock.calls) {
+        expect(args).toContain(`--resource-path=${testDir}`);
+      }
+    });
+
+    it('should leave the outputs alone when figures are off', async () => {
+      await fs.mkdir(path.join(testDir, FIGURES_DIRNAME));
+      await fs.writeFile(path.join(testDir, FIGURES_DIRNAME, FIGURE_MANIFEST), JSON.stringify(figures));
+      const forge = new SummaryForge({ llmProvider: createStubProvider(), logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles('# Book\n\n[Figure 1.1]\n', 'Book', testDir);
+
+      expect(result.files.figures).toEqual([]);
+      await expect(fs.readFile(result.files.summaryMd, 'utf8')).resolves.toContain('[Figure 1.1]\n');
+      expect(forge.sh.mock.calls[0][1].some((arg) => arg.startsWith('--resource-path'))).toBe(false);
+    });
+
+    it('should list the figures in the summary prompt', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(), figures: true });
+
+      const { system } = await forge.renderPrompts('book-summary', { fromText: true, figures: formatFigureList(figures) });
+
+      expect(system).toContain('reference it on its own line as [Figure N]');
+      expect(system).toContain('- Figure 1.1 (p. 3): Architecture');
+      expect(system).not.toContain('Keep all graphics as ASCII');
+    });
+
+    it('should continue without figures when the extraction fails', async () => {
+      spawn.mockImplementation(() => {
+        const child = new EventEmitter();
+        child.stdout = new EventEmitter();
+        child.stderr = new EventEmitter();
+        setImmediate(() => child.emit('error', Object.assign(new Error('spawn pdftoppm ENOENT'), { code: 'ENOENT' })));
+        return child;
+      });
+      const pdfPath = path.join(testDir, 'book.pdf');
+      await writeFigurePdf(pdfPath);
+      const logger = SSELogger.createSilentLogger();
+      const log = vi.spyOn(logger, 'log');
+      const forge = new SummaryForge({ llmProvider: createStubProvider(), figures: true, logger });
+
+      await expect(forge.extractSourceFigures(pdfPath, testDir)).resolves.toEqual([]);
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('Continuing without figures: pdftoppm not found'), 'warn');
+    });
+  });
+});
@@ -6,6 +6,7 @@
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { extractFlashcards, generateFlashcardsPDF, generateFlashcardImages } from '../src/flashcards.js';
+import { getFlashcardLabels } from '../src/utils/languages.js';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
@@ -201,6 +202,20 @@ A: It's \`code\` and [links](http://example.com) that should be cleaned.
       const stats = await fs.stat(testPdfPath);
       expect(stats.size).toBeGreaterThan(0);
     });
+
+    it('should accept translated labels', async () => {
+      const flashcards = [
+        { question: '¿Qué es Node.js?', answer: 'Un entorno de ejecución de JavaScript' }
+      ];
+
+      const result = await generateFlashcardsPDF(flashcards, testPdfPath, {
+        title: 'Tarjetas',
+        labels: getFlashcardLabels('es')
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.count).toBe(1);
+    });
   });
 
   describe('generateFlashcardImages', () => {
@@ -0,0 +1,148 @@
+/**
+ * Tests for glossary extraction
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { parseGlossary, formatGlossaryMarkdown } from '../src/utils/glossary.js';
+import { extractFlashcards } from '../src/flashcards.js';
+import { getFlashcardLabels } from '../src/utils/languages.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+const terms = [
+  { term: 'Write-ahead log', definition: 'An append-only file of changes, written before they are applied.', chapter: 'Chapter 3: Storage' },
+  { term: 'Leader', definition: 'The replica that accepts writes and sends them to the followers.', chapter: 'Chapter 5: Replication' },
+  { term: 'Quorum', definition: 'The minimum number of nodes that must agree for an operation to succeed.', chapter: '' }
+];
+
+describe('Glossary', () => {
+  describe('parseGlossary()', () => {
+    it('should parse, dedupe and sort the terms', () => {
+      const content = `Here is the glossary:\n\`\`\`json\n${JSON.stringify([...terms, { term: 'leader', definition: 'Duplicate.' }, { term: '', definition: 'No term.' }, { term: 'SSTable' }])}\n\`\`\``;
+
+      expect(parseGlossary(content)).toEqual([
+        { term: 'Leader', definition: terms[1].definition, chapter: 'Chapter 5: Replication' },
+        { term: 'Quorum', definition: terms[2].definition, chapter: null },
+        { term: 'Write-ahead log', definition: terms[0].definition, chapter: 'Chapter 3: Storage' }
+      ]);
+    });
+
+    it('should throw without a JSON array', () => {
+      expect(() => parseGlossary('No terms here.')).toThrow('did not contain a JSON array');
+    });
+  });
+
+  describe('formatGlossaryMarkdown()', () => {
+    it('should render a definition list that extractFlashcards can read', () => {
+      const markdown = formatGlossaryMarkdown(parseGlossary(JSON.stringify(terms)), { heading: 'Book - Glossary' });
+
+      expect(markdown).toMatch(/^# Book - Glossary\n\n\*\*Leader\*\*\n: The replica that accepts writes/);
+      expect(markdown).toContain('**Write-ahead log**\n: An append-only file of changes, written before they are applied. _(Chapter 3: Storage)_');
+      expect(extractFlashcards(markdown).patterns.definitions).toBe(3);
+    });
+  });
+
+  describe('extractFlashcards() with a glossary', () => {
+    it('should add definition cards for terms the markdown does not cover', () => {
+      const markdown = '**Q: What does the Leader do?**\nA: It accepts the writes and replicates them.';
+
+      const result = extractFlashcards(markdown, { glossary: terms });
+
+      expect(result.count).toBe(3);
+      expect(result.patterns.glossary).toBe(2);
+      expect(result.flashcards[1]).toEqual({ question: 'What is Write-ahead log?', answer: terms[0].definition, source: 'glossary' });
+    });
+
+    it('should word the questions in the output language and respect maxCards', () => {
+      const result = extractFlashcards('', { glossary: terms, labels: getFlashcardLabels('de'), maxCards: 2 });
+
+      expect(result.success).toBe(false);
+
+      const german = extractFlashcards('Keine Karten.', { glossary: terms, labels: getFlashcardLabels('de'), maxCards: 2 });
+      expect(german.flashcards.map((card) => card.question)).toEqual(['Was ist Write-ahead log?', 'Was ist Leader?']);
+    });
+  });
+
+  describe('SummaryForge', () => {
+    const answer = ({ system }) => (system.includes('glossary')
+      ? JSON.stringify(terms)
+      : '**Q: How do followers stay in sync?**\nA: They apply the leader\'s replication log in order.');
+
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'glossary-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should extract the glossary with the glossary stage model and restore it from a checkpoint', async () => {
+      const provider = createStubProvider(answer);
+      const forge = new SummaryForge({ llmProvider: provider, models: { glossary: 'gpt-5-mini' }, logger: SSELogger.createSilentLogger() });
+
+      const first = await forge.generateGlossary('# Book\n\n## Chapter 5: Replication\n\nLeaders...', { title: 'Book', bookDir: testDir });
+      const second = await forge.generateGlossary('# Book\n\n## Chapter 5: Replication\n\nLeaders...', { title: 'Book', bookDir: testDir });
+
+      expect(first).toMatchObject({ success: true, count: 3 });
+      expect(second).toMatchObject({ success: true, count: 3, resumed: true });
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(provider.complete.mock.calls[0][0]).toMatchObject({ model: 'gpt-5-mini' });
+      expect(provider.complete.mock.calls[0][0].prompt).toContain('Summary of "Book"');
+    });
+
+    it('should fail without terms instead of throwing', async () => {
+      const provider = createStubProvider('[]');
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+
+      await expect(forge.generateGlossary('# Book')).resolves.toMatchObject({ success: false, error: 'Glossary response contained no terms' });
+    });
+
+    it('should write the glossary files, append it to the PDF/EPUB and add definition flashcards', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(answer), glossary: true, logger: SSELogger.createSilentLogger() });
+      const pandocSources = [];
+      forge.sh = vi.fn(async (command, args) => {
+        pandocSources.push(await fs.readFile(args[0], 'utf8'));
+      });
+
+      const result = await forge.generateOutputFiles('# Book\n\n## Chapter 5: Replication\n\nLeaders replicate writes.\n', 'My_Book', testDir);
+
+      expect(result.files.glossaryMd).toBe(path.join(testDir, 'My_Book.glossary.md'));
+      expect(result.files.glossaryJson).toBe(path.join(testDir, 'glossary.json'));
+      await expect(fs.readFile(result.files.glossaryMd, 'utf8')).resolves.toMatch(/^# My Book - Glossary\n/);
+      const glossaryJson = JSON.parse(await fs.readFile(result.files.glossaryJson, 'utf8'));
+      expect(glossaryJson).toMatchObject({ title: 'My Book', language: 'en', count: 3 });
+      expect(glossaryJson.terms[0]).toEqual({ term: 'Leader', definition: terms[1].definition, chapter: 'Chapter 5: Replication' });
+
+      expect(pandocSources).toHaveLength(2);
+      for (const source of pandocSources) {
+        expect(source).toContain('Leaders replicate writes.\n\n\n# Glossary\n\n**Leader**');
+      }
+      // The .md itself stays the summary only
+      await expect(fs.readFile(result.files.summaryMd, 'utf8')).resolves.not.toContain('# Glossary');
+      await expect(fs.readdir(testDir)).resolves.not.toContain('.My_Book.pandoc.md');
+
+      const flashcards = await fs.readFile(result.files.flashcardsMd, 'utf8');
+      expect(flashcards).toContain('**Q: How do followers stay in sync?**');
+      expect(flashcards).toContain('**Q: What is Quorum?**');
+    });
+
+    it('should not extract a glossary by default', async () => {
+      const provider = createStubProvider(answer);
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles('# Book\n\nOverview.\n', 'Book', testDir);
+
+      expect(result.files.glossaryMd).toBeNull();
+      expect(provider.complete.mock.calls.some(([request]) => request.system.includes('glossary'))).toBe(false);
+    });
+  });
+});
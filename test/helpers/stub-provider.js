@@ -0,0 +1,33 @@
+/**
+ * LLM provider stub shared by the tests
+ */
+
+import { vi } from 'vitest';
+
+export const STUB_USAGE = { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 };
+
+/**
+ * Create a provider whose complete() is a vi.fn() answering every request
+ *
+ * @param {string|Function} [content=''] - Response text, or a function called with the request that returns it
+ * @param {Object} [options]
+ * @param {string} [options.model='stub-model'] - Model the provider reports as its default
+ * @param {Object|null} [options.usage] - Token usage returned with every response
+ * @param {Object} [options.methods] - Extra provider methods, e.g. uploadFile
+ * @returns {Object} Provider for new SummaryForge({ llmProvider })
+ */
+export function createStubProvider(content = '', options = {}) {
+  const { model = 'stub-model', usage = STUB_USAGE, methods = {} } = options;
+
+  return {
+    name: 'stub',
+    label: 'Stub model',
+    model,
+    complete: vi.fn(async (request) => ({
+      content: typeof content === 'function' ? content(request) : content,
+      usage,
+      finishReason: 'stop'
+    })),
+    ...methods
+  };
+}
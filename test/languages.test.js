@@ -0,0 +1,115 @@
+/**
+ * Tests for output languages
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  getLanguage,
+  getFlashcardLabels,
+  formatLabel,
+  LANGUAGES,
+  FLASHCARD_LABELS,
+  DEFAULT_LANGUAGE
+} from '../src/utils/languages.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+describe('Languages', () => {
+  describe('getLanguage()', () => {
+    it('should default to English', () => {
+      expect(getLanguage()).toEqual(LANGUAGES[DEFAULT_LANGUAGE]);
+      expect(DEFAULT_LANGUAGE).toBe('en');
+    });
+
+    it('should accept codes, region codes, English names and native names', () => {
+      expect(getLanguage('es').name).toBe('Spanish');
+      expect(getLanguage('ES-mx').code).toBe('es');
+      expect(getLanguage('pt_BR').code).toBe('pt');
+      expect(getLanguage('German').code).toBe('de');
+      expect(getLanguage(' français ').code).toBe('fr');
+    });
+
+    it('should reject unsupported languages and list the supported ones', () => {
+      expect(() => getLanguage('klingon')).toThrow(/^Unsupported language: klingon\. Supported: en \(English\), es \(Spanish\)/);
+    });
+  });
+
+  describe('getFlashcardLabels()', () => {
+    it('should translate every label for every language', () => {
+      const keys = Object.keys(FLASHCARD_LABELS.en).sort();
+      for (const code of Object.keys(LANGUAGES)) {
+        expect(Object.keys(getFlashcardLabels(code)).sort()).toEqual(keys);
+      }
+    });
+
+    it('should fall back to English', () => {
+      expect(getFlashcardLabels('xx')).toBe(FLASHCARD_LABELS.en);
+      expect(getFlashcardLabels().question).toBe('Q');
+    });
+  });
+
+  describe('formatLabel()', () => {
+    it('should fill placeholders and keep unknown ones', () => {
+      expect(formatLabel('Página {page} de {total}', { page: 2 })).toBe('Página 2 de {total}');
+    });
+  });
+
+  describe('SummaryForge language option', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'languages-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should default to English without a filename suffix', () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider() });
+
+      expect(forge.language.code).toBe('en');
+      expect(forge.languageSuffix).toBe('');
+      expect(forge.templates.variables.language).toBeNull();
+    });
+
+    it('should reject an unsupported language', () => {
+      expect(() => new SummaryForge({ llmProvider: createStubProvider(), language: 'xx' })).toThrow('Unsupported language: xx');
+    });
+
+    it('should ask for the summary in the target language', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(), language: 'Spanish' });
+
+      const { system } = await forge.renderPrompts('book-summary', { text: 'Book text' });
+
+      expect(system).toContain('Write the entire summary in Spanish, including all headings');
+    });
+
+    it('should write language-tagged output files', async () => {
+      const llm = createStubProvider();
+      const forge = new SummaryForge({ llmProvider: llm, language: 'es' });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles('# Libro\n\nResumen.', 'Book', testDir);
+
+      expect(result.success).toBe(true);
+      expect(result.files.summaryMd).toBe(path.join(testDir, 'Book.summary.es.md'));
+      expect(result.files.summaryPdf).toBe(path.join(testDir, 'Book.summary.es.pdf'));
+      expect(result.files.summaryEpub).toBe(path.join(testDir, 'Book.summary.es.epub'));
+      await expect(fs.readFile(path.join(testDir, 'Book.summary.es.md'), 'utf8')).resolves.toContain('Resumen.');
+
+      // pandoc gets the document language
+      for (const [, args] of forge.sh.mock.calls) {
+        expect(args).toContain('lang=es');
+      }
+
+      const flashcardRequest = llm.complete.mock.calls.find(([request]) => request.system.includes('flashcard'));
+      expect(flashcardRequest[0].system).toContain('Write the questions and answers in Spanish');
+    });
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Tests for LLM provider layer
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  createLLMProvider,
+  inferLLMProvider,
+  normalizeUsage,
+  OpenAIProvider,
+  AnthropicProvider,
+  DEFAULT_MODELS
+} from '../src/utils/llm-providers.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+
+/**
+ * Build a fake OpenAI client that records chat completion requests
+ */
+function createFakeOpenAIClient(content = 'Generated text', usage = { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 }) {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        create: vi.fn(async (request) => {
+          requests.push(request);
+          return {
+            model: request.model,
+            choices: [{ message: { content }, finish_reason: 'stop' }],
+            usage
+          };
+        })
+      }
+    },
+    files: {
+      create: vi.fn(async () => ({ id: 'file-123' })),
+      delete: vi.fn(async () => ({ deleted: true }))
+    }
+  };
+}
+
+describe('LLM Providers', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  describe('normalizeUsage()', () => {
+    it('should pass through OpenAI usage', () => {
+      const usage = normalizeUsage({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+      expect(usage).toEqual({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+    });
+
+    it('should convert Anthropic usage to the OpenAI shape', () => {
+      const usage = normalizeUsage({ input_tokens: 200, output_tokens: 80 });
+      expect(usage).toEqual({ prompt_tokens: 200, completion_tokens: 80, total_tokens: 280 });
+    });
+
+    it('should return null for missing usage', () => {
+      expect(normalizeUsage(undefined)).toBeNull();
+    });
+  });
+
+  describe('createLLMProvider()', () => {
+    it('should default to OpenAI', () => {
+      const provider = createLLMProvider({ openaiApiKey: 'test-key' });
+      expect(provider).toBeInstanceOf(OpenAIProvider);
+      expect(provider.name).toBe('openai');
+      expect(provider.model).toBe(DEFAULT_MODELS.openai);
+    });
+
+    it('should infer the provider from the credentials', () => {
+      expect(inferLLMProvider({ anthropicApiKey: 'sk-ant-test' })).toBe('anthropic');
+      expect(inferLLMProvider({ anthropicApiKey: 'sk-ant-test', llmBaseUrl: 'https://proxy.example.com' })).toBe('anthropic');
+      expect(inferLLMProvider({ llmBaseUrl: 'http://localhost:11434/v1' })).toBe('openai-compatible');
+      expect(inferLLMProvider({ openaiApiKey: 'test-key', anthropicApiKey: 'sk-ant-test' })).toBe('openai');
+      expect(createLLMProvider({ anthropicApiKey: 'sk-ant-test' })).toBeInstanceOf(AnthropicProvider);
+    });
+
+    it('should require an OpenAI API key for the openai provider', () => {
+      expect(() => createLLMProvider({})).toThrow('OpenAI API key is required');
+    });
+
+    it('should require a base URL for openai-compatible servers', () => {
+      expect(() => createLLMProvider({ llmProvider: 'openai-compatible' })).toThrow('llmBaseUrl is required');
+    });
+
+    it('should create an OpenAI-compatible provider without an API key', () => {
+      const provider = createLLMProvider({
+        llmProvider: 'openai-compatible',
+        llmBaseUrl: 'http://localhost:11434/v1',
+        llmModel: 'llama3.1:70b'
+      });
+      expect(provider.name).toBe('openai-compatible');
+      expect(provider.model).toBe('llama3.1:70b');
+      expect(provider.supportsFileInput).toBe(false);
+      expect(provider.label).toContain('localhost:11434');
+    });
+
+    it('should require an Anthropic API key for the anthropic provider', () => {
+      expect(() => createLLMProvider({ llmProvider: 'anthropic' })).toThrow('Anthropic API key is required');
+    });
+
+    it('should create an Anthropic provider', () => {
+      const provider = createLLMProvider({ llmProvider: 'anthropic', anthropicApiKey: 'sk-ant-test' });
+      expect(provider).toBeInstanceOf(AnthropicProvider);
+      expect(provider.model).toBe(DEFAULT_MODELS.anthropic);
+    });
+
+    it('should send Anthropic requests to the Messages endpoint under llmBaseUrl', () => {
+      const messagesURL = (llmBaseUrl) => createLLMProvider({ llmProvider: 'anthropic', anthropicApiKey: 'sk-ant-test', llmBaseUrl }).messagesURL;
+
+      expect(messagesURL(undefined)).toBe('https://api.anthropic.com/v1/messages');
+      expect(messagesURL('https://proxy.example.com/')).toBe('https://proxy.example.com/v1/messages');
+      expect(messagesURL('https://proxy.example.com/anthropic/v1')).toBe('https://proxy.example.com/anthropic/v1/messages');
+      expect(messagesURL('https://proxy.example.com/v1/messages')).toBe('https://proxy.example.com/v1/messages');
+    });
+
+    it('should accept a custom provider object', () => {
+      const custom = { name: 'custom', complete: async () => ({ content: 'x' }) };
+      expect(createLLMProvider({ llmProvider: custom })).toBe(custom);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createLLMProvider({ llmProvider: 'mystery' })).toThrow('Unknown LLM provider');
+    });
+  });
+
+  describe('OpenAIProvider', () => {
+    it('should send system and user messages with max_completion_tokens', async () => {
+      const client = createFakeOpenAIClient();
+      const provider = new OpenAIProvider({ client });
+
+      const result = await provider.complete({ system: 'Be brief', prompt: 'Hello', maxTokens: 500 });
+
+      expect(client.requests[0]).toEqual({
+        model: 'gpt-5',
+        messages: [
+          { role: 'system', content: 'Be brief' },
+          { role: 'user', content: 'Hello' }
+        ],
+        max_completion_tokens: 500
+      });
+      expect(result.content).toBe('Generated text');
+      expect(result.finishReason).toBe('stop');
+      expect(result.usage.prompt_tokens).toBe(100);
+    });
+
+    it('should use max_tokens for OpenAI-compatible servers', async () => {
+      const client = createFakeOpenAIClient();
+      const provider = new OpenAIProvider({ client, name: 'openai-compatible', baseURL: 'http://localhost:8000/v1', model: 'qwen' });
+
+      await provider.complete({ prompt: 'Hello', maxTokens: 300 });
+
+      expect(client.requests[0].max_tokens).toBe(300);
+      expect(client.requests[0].max_completion_tokens).toBeUndefined();
+      expect(client.requests[0].model).toBe('qwen');
+    });
+
+    it('should attach uploaded files to the user message', async () => {
+      const client = createFakeOpenAIClient();
+      const provider = new OpenAIProvider({ client });
+
+      await provider.complete({ prompt: 'Summarize', file: { id: 'file-123' }, maxTokens: 100 });
+
+      const userMessage = client.requests[0].messages[0];
+      expect(userMessage.content).toEqual([
+        { type: 'file', file: { file_id: 'file-123' } },
+        { type: 'text', text: 'Summarize' }
+      ]);
+    });
+
+    it('should stream when given onToken and collect the final usage', async () => {
+      const chunks = [
+        { model: 'gpt-5-2025', choices: [{ delta: { content: 'Hello' }, finish_reason: null }] },
+        { model: 'gpt-5-2025', choices: [{ delta: { content: ' world' }, finish_reason: null }] },
+        { model: 'gpt-5-2025', choices: [{ delta: {}, finish_reason: 'stop' }] },
+        { model: 'gpt-5-2025', choices: [], usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 } }
+      ];
+      const client = createFakeOpenAIClient();
+      client.chat.completions.create = vi.fn(async () => (async function* () { yield* chunks; })());
+      const provider = new OpenAIProvider({ client });
+      const onToken = vi.fn();
+
+      const result = await provider.complete({ prompt: 'Hi', maxTokens: 100, onToken });
+
+      expect(client.chat.completions.create.mock.calls[0][0]).toMatchObject({
+        stream: true,
+        stream_options: { include_usage: true },
+        max_completion_tokens: 100
+      });
+      expect(onToken.mock.calls).toEqual([['Hello', 'Hello'], [' world', 'Hello world']]);
+      expect(result).toEqual({
+        content: 'Hello world',
+        usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 },
+        finishReason: 'stop',
+        model: 'gpt-5-2025'
+      });
+    });
+
+    it('should refuse file uploads for OpenAI-compatible servers', async () => {
+      const provider = new OpenAIProvider({ client: createFakeOpenAIClient(), name: 'openai-compatible', baseURL: 'http://localhost' });
+      await expect(provider.uploadFile('/tmp/book.pdf')).rejects.toThrow('not supported');
+    });
+  });
+
+  describe('AnthropicProvider', () => {
+    it('should call the Messages API and normalize the response', async () => {
+      const fetchMock = vi.fn(async () => ({
+        ok: true,
+        json: async () => ({
+          model: 'claude-sonnet-4-5',
+          content: [{ type: 'text', text: 'Part one. ' }, { type: 'text', text: 'Part two.' }],
+          stop_reason: 'max_tokens',
+          usage: { input_tokens: 40, output_tokens: 20 }
+        })
+      }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const provider = new AnthropicProvider({ apiKey: 'sk-ant-test' });
+      const result = await provider.complete({ system: 'Be brief', prompt: 'Hello', maxTokens: 200 });
+
+      const [url, init] = fetchMock.mock.calls[0];
+      const body = JSON.parse(init.body);
+      expect(url).toBe('https://api.anthropic.com/v1/messages');
+      expect(init.headers['x-api-key']).toBe('sk-ant-test');
+      expect(body.system).toBe('Be brief');
+      expect(body.max_tokens).toBe(200);
+      expect(body.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+
+      expect(result.content).toBe('Part one. Part two.');
+      expect(result.finishReason).toBe('length');
+      expect(result.usage).toEqual({ prompt_tokens: 40, completion_tokens: 20, total_tokens: 60 });
+    });
+
+    it('should stream Server-Sent Events when given onToken', async () => {
+      const events = [
+        { type: 'message_start', message: { model: 'claude-sonnet-4-5', usage: { input_tokens: 40, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Part one. ' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Part two.' } },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 20 } },
+        { type: 'message_stop' }
+      ];
+      const payload = events.map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join('');
+      // Split mid-line to exercise buffering across network chunks
+      const bytes = new TextEncoder().encode(payload);
+      const body = [bytes.slice(0, 50), bytes.slice(50, 300), bytes.slice(300)];
+      const fetchMock = vi.fn(async () => ({ ok: true, body }));
+      vi.stubGlobal('fetch', fetchMock);
+      const onToken = vi.fn();
+
+      const provider = new AnthropicProvider({ apiKey: 'sk-ant-test' });
+      const result = await provider.complete({ prompt: 'Hello', maxTokens: 200, onToken });
+
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body).stream).toBe(true);
+      expect(onToken.mock.calls.map(([delta]) => delta)).toEqual(['Part one. ', 'Part two.']);
+      expect(result).toEqual({
+        content: 'Part one. Part two.',
+        usage: { prompt_tokens: 40, completion_tokens: 20, total_tokens: 60 },
+        finishReason: 'stop',
+        model: 'claude-sonnet-4-5'
+      });
+    });
+
+    it('should throw with status on API errors', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => ({
+        ok: false,
+        status: 529,
+        statusText: 'Overloaded',
+        headers: new Headers(),
+        text: async () => 'overloaded'
+      })));
+
+      const provider = new AnthropicProvider({ apiKey: 'sk-ant-test' });
+      await expect(provider.complete({ prompt: 'Hello', maxTokens: 10 })).rejects.toMatchObject({ status: 529 });
+    });
+  });
+
+  describe('SummaryForge integration', () => {
+    it('should route generation through the configured provider and track costs', async () => {
+      const provider = {
+        name: 'custom',
+        label: 'Custom model',
+        complete: vi.fn(async () => ({
+          content: 'Welcome to this narration. '.repeat(10),
+          usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 },
+          finishReason: 'stop',
+          model: 'custom-model'
+        }))
+      };
+
+      const forge = new SummaryForge({
+        llmProvider: provider,
+        logger: SSELogger.createSilentLogger()
+      });
+
+      const result = await forge.generateAudioScript('# Summary\n\nSome content.');
+
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(result.script).toContain('Welcome to this narration');
+      expect(forge.costs.openai).toBeGreaterThan(0);
+      expect(forge.openai).toBeNull();
+    });
+
+    it('should stream the synthesis with progress and partial events', async () => {
+      const summary = 'The synthesized summary covers every chapter in detail. '.repeat(10);
+      const provider = {
+        name: 'custom',
+        label: 'Custom model',
+        model: 'gpt-5',
+        complete: vi.fn(async ({ onToken }) => {
+          let text = '';
+          for (const word of summary.split(/(?<= )/)) {
+            text += word;
+            onToken(word, text);
+          }
+          return { content: text, usage: null, finishReason: 'stop', model: 'gpt-5' };
+        })
+      };
+      const events = [];
+      const forge = new SummaryForge({
+        llmProvider: provider,
+        stream: true,
+        streamEventInterval: 0,
+        maxTokens: 200,
+        logger: new SSELogger((event) => events.push(event))
+      });
+
+      const result = await forge.synthesizeChunkSummaries(['Chunk one summary', 'Chunk two summary'], 'Book');
+
+      expect(result).toBe(summary);
+      const streaming = events.filter((event) => event.step === 'streaming');
+      const partials = events.filter((event) => event.type === 'partial');
+      expect(streaming.length).toBeGreaterThan(1);
+      expect(streaming.every((event) => event.stage === 'synthesis')).toBe(true);
+      expect(streaming.every((event) => event.percentage >= 85 && event.percentage < 95)).toBe(true);
+      expect(streaming.at(-1).outputTokens).toBeGreaterThan(streaming[0].outputTokens);
+      expect(partials.at(-1).text).toBe(summary);
+      expect(events.at(-1)).toMatchObject({ type: 'progress', percentage: 95 });
+    });
+
+    it('should not stream by default', async () => {
+      const provider = {
+        name: 'custom',
+        label: 'Custom model',
+        complete: vi.fn(async () => ({ content: 'Synthesized summary. '.repeat(20), usage: null, finishReason: 'stop' }))
+      };
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+
+      await forge.synthesizeChunkSummaries(['One', 'Two'], 'Book');
+
+      expect(provider.complete.mock.calls[0][0].onToken).toBeUndefined();
+    });
+
+    it('should not require an OpenAI key when another provider is configured', () => {
+      const forge = new SummaryForge({
+        llmProvider: 'openai-compatible',
+        llmBaseUrl: 'http://localhost:11434/v1'
+      });
+
+      expect(forge.llm.name).toBe('openai-compatible');
+      // Self-hosted models are free unless llmPricing says otherwise
+      expect(forge.pricing.openai.inputPerMillion).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for Markdown section and chapter splitting
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  splitSections,
+  splitChapters,
+  promoteHeadings,
+  slugify,
+  chapterFileName,
+  CHAPTERS_DIRNAME
+} from '../src/utils/markdown-sections.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+const SUMMARY = [
+  '# Distributed Systems',
+  '',
+  'An introduction to the book.',
+  '',
+  '## Chapter 1: Replication [p. 1-20]',
+  '',
+  'Leaders replicate writes.',
+  '',
+  '### Raft',
+  '',
+  '```',
+  '# not a heading',
+  '```',
+  '',
+  '## Chapter 2: Caching',
+  '',
+  'Caches update the store.',
+].join('\n');
+
+describe('Markdown Sections', () => {
+  describe('splitSections()', () => {
+    it('should split at headings and restore the document when joined', () => {
+      const sections = splitSections(SUMMARY);
+
+      expect(sections.map((section) => section.heading)).toEqual([
+        'Distributed Systems', 'Chapter 1: Replication', 'Raft', 'Chapter 2: Caching'
+      ]);
+      expect(sections.map((section) => section.text).join('\n')).toBe(SUMMARY);
+    });
+
+    it('should keep content before the first heading', () => {
+      const sections = splitSections('Intro text\n\n## First\n\nBody');
+
+      expect(sections[0]).toEqual({ heading: null, level: 0, text: 'Intro text\n' });
+      expect(sections[1].level).toBe(2);
+    });
+  });
+
+  describe('splitChapters()', () => {
+    it('should take a lone level-1 heading as the title and the next level as chapters', () => {
+      const { title, level, front, chapters } = splitChapters(SUMMARY);
+
+      expect(title).toBe('Distributed Systems');
+      expect(level).toBe(2);
+      expect(front).toBe('An introduction to the book.');
+      expect(chapters.map((chapter) => chapter.title)).toEqual(['Chapter 1: Replication', 'Chapter 2: Caching']);
+      expect(chapters[0].text).toContain('### Raft');
+      expect(chapters[0].text).toContain('# not a heading');
+    });
+
+    it('should use level-1 headings as chapters when there are several', () => {
+      const { title, level, chapters } = splitChapters('# One\n\nA\n\n# Two\n\nB');
+
+      expect(title).toBeNull();
+      expect(level).toBe(1);
+      expect(chapters).toEqual([{ title: 'One', text: '# One\n\nA' }, { title: 'Two', text: '# Two\n\nB' }]);
+    });
+
+    it('should return no chapters for a summary without headings', () => {
+      expect(splitChapters('Just text.')).toEqual({ title: null, level: 0, front: 'Just text.', chapters: [] });
+    });
+  });
+
+  describe('promoteHeadings()', () => {
+    it('should shift headings outside code blocks', () => {
+      expect(promoteHeadings('## A\n### B\n```\n## code\n```', 1)).toBe('# A\n## B\n```\n## code\n```');
+    });
+
+    it('should never go above level 1', () => {
+      expect(promoteHeadings('## A', 3)).toBe('# A');
+    });
+  });
+
+  describe('slugify()', () => {
+    it('should drop a chapter prefix and citations', () => {
+      expect(slugify('Chapter 1: Getting Started [p. 1-20]')).toBe('getting-started');
+      expect(slugify('Part IV - Scaling Out')).toBe('scaling-out');
+    });
+
+    it('should transliterate accents and fall back to the full title', () => {
+      expect(slugify('Café Über Alles')).toBe('cafe-uber-alles');
+      expect(slugify('Chapter 12')).toBe('chapter-12');
+      expect(slugify('???')).toBe('chapter');
+    });
+  });
+
+  describe('chapterFileName()', () => {
+    it('should number files with at least two digits', () => {
+      expect(chapterFileName(0, 'Introduction', 9)).toBe('01-introduction.md');
+      expect(chapterFileName(4, 'Introduction', 120)).toBe('005-introduction.md');
+    });
+  });
+
+  describe('SummaryForge chapter files', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'summary-forge-chapters-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should write one file per chapter and an index', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider() });
+
+      const result = await forge.writeChapterFiles(SUMMARY, 'Distributed_Systems', testDir);
+
+      expect(result.success).toBe(true);
+      expect(result.directory).toBe(path.join(testDir, CHAPTERS_DIRNAME));
+      expect(result.chapters.map((chapter) => chapter.fileName)).toEqual(['01-replication.md', '02-caching.md']);
+
+      const chapter = await fs.readFile(result.chapters[0].path, 'utf8');
+      expect(chapter.startsWith('# Chapter 1: Replication [p. 1-20]\n')).toBe(true);
+      expect(chapter).toContain('\n## Raft\n');
+
+      const index = await fs.readFile(result.index, 'utf8');
+      expect(index).toContain('# Distributed Systems\n\nAn introduction to the book.');
+      expect(index).toContain('1. [Chapter 1: Replication](01-replication.md)\n2. [Chapter 2: Caching](02-caching.md)');
+      expect(index).toContain('(../Distributed_Systems.summary.md)');
+    });
+
+    it('should remove stale chapter files from a previous run', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider() });
+      await fs.mkdir(path.join(testDir, CHAPTERS_DIRNAME));
+      await fs.writeFile(path.join(testDir, CHAPTERS_DIRNAME, '01-old-title.md'), 'old');
+
+      await forge.writeChapterFiles(SUMMARY, 'Book', testDir);
+
+      const files = await fs.readdir(path.join(testDir, CHAPTERS_DIRNAME));
+      expect(files.sort()).toEqual(['01-replication.md', '02-caching.md', 'index.md']);
+    });
+
+    it('should fail when the summary has no headings', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider() });
+
+      const result = await forge.writeChapterFiles('Just text.', 'Book', testDir);
+
+      expect(result).toEqual({ success: false, error: 'No chapter headings found in the summary' });
+    });
+
+    it('should build the EPUB from the chapter split', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(), chapterFiles: true });
+      const epubSources = [];
+      forge.sh = vi.fn(async (cmd, args) => {
+        if (args.includes(path.join(testDir, 'Book.summary.epub'))) {
+          epubSources.push(await fs.readFile(args[0], 'utf8'));
+          expect(args).toContain('title=Distributed Systems');
+        }
+      });
+
+      const result = await forge.generateOutputFiles(SUMMARY, 'Book', testDir);
+
+      expect(result.success).toBe(true);
+      expect(result.files.chapterIndex).toBe(path.join(testDir, CHAPTERS_DIRNAME, 'index.md'));
+      expect(result.files.chapters).toHaveLength(2);
+      expect(epubSources).toHaveLength(1);
+      expect(epubSources[0]).toMatch(/^An introduction to the book\.\n\n# Chapter 1: Replication/);
+      expect(epubSources[0]).toContain('\n# Chapter 2: Caching\n');
+
+      // The temporary EPUB source is cleaned up
+      const files = await fs.readdir(testDir);
+      expect(files.filter((file) => file.startsWith('.'))).toEqual([]);
+    });
+
+    it('should not write chapter files by default', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider() });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles(SUMMARY, 'Book', testDir);
+
+      expect(result.files.chapterIndex).toBeNull();
+      expect(result.files.chapters).toEqual([]);
+      expect(forge.sh.mock.calls[1][1][0]).toBe(path.join(testDir, 'Book.summary.md'));
+    });
+  });
+});
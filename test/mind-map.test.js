@@ -0,0 +1,224 @@
+/**
+ * Tests for the mind map output
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import sharp from 'sharp';
+import {
+  buildMindMap,
+  formatMindMapMermaid,
+  formatMindMapOpml,
+  formatMindMapFreeMind,
+  renderMindMapSvg,
+  writeMindMap
+} from '../src/utils/mind-map.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+const summary = `# Designing Data Systems
+
+A book about **reliability** and **scalability**.
+
+## Chapter 1: Reliable Systems [p. 3]
+
+- Faults are not failures; design for *fault tolerance*
+- Humans cause most outages
+- Humans cause most outages
+
+### Maintainability
+
+Operability, simplicity and **evolvability** matter for max_retries_count.
+
+## Chapter 2: Data Models & Queries
+
+1. Relational model with \`SQL\`
+2. Document model for self-contained records
+
+\`\`\`
+- not a point
+\`\`\`
+`;
+
+const point = (label) => ({ label, kind: 'point', children: [] });
+
+describe('Mind Map', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mind-map-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('buildMindMap()', () => {
+    it('should nest the headings and add their key points', () => {
+      expect(buildMindMap(summary)).toEqual({
+        label: 'Designing Data Systems',
+        kind: 'root',
+        children: [
+          point('reliability'),
+          point('scalability'),
+          {
+            label: 'Chapter 1: Reliable Systems',
+            kind: 'heading',
+            children: [
+              point('Faults are not failures; design for fault tolerance'),
+              point('Humans cause most outages'),
+              { label: 'Maintainability', kind: 'heading', children: [point('evolvability')] }
+            ]
+          },
+          {
+            label: 'Chapter 2: Data Models & Queries',
+            kind: 'heading',
+            children: [point('Relational model with SQL'), point('Document model for self-contained records')]
+          }
+        ]
+      });
+    });
+
+    it('should fall back to the title option, limit the points and shorten long labels', () => {
+      const long = `${'word '.repeat(30).trim()}.`;
+      const tree = buildMindMap(`## One\n\n- a\n- b\n- c\n- ${long}\n\n## Two\n`, { title: 'My Book', maxPoints: 3 });
+
+      expect(tree.label).toBe('My Book');
+      expect(tree.children[0].children.map((child) => child.label)).toEqual(['a', 'b', 'c']);
+
+      const [shortened] = buildMindMap(`- ${long}`).children;
+      expect(shortened.label.length).toBeLessThanOrEqual(80);
+      expect(shortened.label).toMatch(/^word word .*word…$/);
+    });
+  });
+
+  describe('formats', () => {
+    const tree = buildMindMap(summary);
+
+    it('should write a Mermaid mindmap', () => {
+      const mermaid = formatMindMapMermaid(buildMindMap('# Book "One"\n\n## Part (1) [draft]\n\n- point'));
+
+      expect(mermaid).toBe('mindmap\n  root(("Book \'One\'"))\n    n1["Part (1) [draft]"]\n      n2["point"]\n');
+    });
+
+    it('should write an OPML outline', () => {
+      const opml = formatMindMapOpml(tree);
+
+      expect(opml).toContain('<title>Designing Data Systems</title>');
+      expect(opml).toContain('      <outline text="Chapter 2: Data Models &amp; Queries">\n        <outline text="Relational model with SQL"/>');
+      expect(opml).toContain('        <outline text="Maintainability">\n          <outline text="evolvability"/>\n        </outline>');
+    });
+
+    it('should write a FreeMind map with alternating branches', () => {
+      const freemind = formatMindMapFreeMind(buildMindMap('# Café\n\n## Über\n\n## Zwei\n\n- drei'));
+
+      expect(freemind).toBe([
+        '<map version="1.0.1">',
+        '  <node TEXT="Caf&#xe9;">',
+        '    <node TEXT="&#xdc;ber" POSITION="right"/>',
+        '    <node TEXT="Zwei" POSITION="left">',
+        '      <node TEXT="drei"/>',
+        '    </node>',
+        '  </node>',
+        '</map>',
+        ''
+      ].join('\n'));
+    });
+
+    it('should draw every node in the SVG', () => {
+      const svg = renderMindMapSvg(tree, { branding: 'SummaryForge.com' });
+
+      expect(svg).toMatch(/^<svg width="\d+" height="\d+"/);
+      expect(svg.match(/<rect [^>]*rx="8"/g)).toHaveLength(11);
+      expect(svg.match(/<path /g)).toHaveLength(10);
+      expect(svg).toContain('>Chapter 2: Data Models &amp; Queries</text>');
+      expect(svg).toContain('>SummaryForge.com</text>');
+    });
+  });
+
+  describe('writeMindMap()', () => {
+    it('should write every format with the suffix', async () => {
+      const files = await writeMindMap(buildMindMap(summary), testDir, { suffix: '.es' });
+
+      expect(files).toEqual({
+        mermaid: path.join(testDir, 'mindmap.es.mmd'),
+        opml: path.join(testDir, 'mindmap.es.opml'),
+        freemind: path.join(testDir, 'mindmap.es.mm'),
+        svg: path.join(testDir, 'mindmap.es.svg'),
+        png: path.join(testDir, 'mindmap.es.png')
+      });
+      const svg = await fs.readFile(files.svg, 'utf8');
+      const svgWidth = Number(svg.match(/^<svg width="(\d+)"/)[1]);
+      const { format, width } = await sharp(files.png).metadata();
+      expect(format).toBe('png');
+      expect(width).toBe(svgWidth * 2);
+    });
+
+    it('should keep the other formats when the PNG cannot be rendered', async () => {
+      await fs.mkdir(path.join(testDir, 'mindmap.png'));
+
+      const files = await writeMindMap(buildMindMap(summary), testDir);
+
+      expect(files).toMatchObject({ svg: path.join(testDir, 'mindmap.svg'), png: null, pngError: expect.any(String) });
+      await expect(fs.readFile(files.mermaid, 'utf8')).resolves.toContain('root(("Designing Data Systems"))');
+    });
+  });
+
+  describe('SummaryForge', () => {
+    const flashcards = '**Q: How do followers stay in sync?**\nA: They apply the leader\'s replication log in order.';
+
+    it('should write the mind map with the output files', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(flashcards), mindMap: true, logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles(summary, 'My_Book', testDir);
+
+      expect(result.files).toMatchObject({
+        mindMapMermaid: path.join(testDir, 'mindmap.mmd'),
+        mindMapOpml: path.join(testDir, 'mindmap.opml'),
+        mindMapFreeMind: path.join(testDir, 'mindmap.mm'),
+        mindMapSvg: path.join(testDir, 'mindmap.svg'),
+        mindMapPng: path.join(testDir, 'mindmap.png')
+      });
+      await expect(fs.readFile(result.files.mindMapMermaid, 'utf8')).resolves.toContain('root(("Designing Data Systems"))');
+      await expect(fs.access(result.files.mindMapPng)).resolves.toBeUndefined();
+    });
+
+    it('should skip a summary without headings or key points', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(flashcards), mindMap: true, logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles('Just a paragraph.\n', 'Book', testDir);
+
+      expect(result.files.mindMapMermaid).toBeNull();
+      await expect(fs.readdir(testDir)).resolves.not.toContain('mindmap.mmd');
+    });
+
+    it('should skip the mind map when its files cannot be written', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(flashcards), mindMap: true, logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+      await fs.mkdir(path.join(testDir, 'mindmap.mmd'));
+
+      const result = await forge.generateOutputFiles(summary, 'Book', testDir);
+
+      expect(result.success).toBe(true);
+      expect(result.files.mindMapMermaid).toBeNull();
+      expect(result.files.mindMapPng).toBeNull();
+    });
+
+    it('should not draw a mind map by default', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(flashcards), logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles(summary, 'Book', testDir);
+
+      expect(result.files.mindMapPng).toBeNull();
+      await expect(fs.readdir(testDir)).resolves.not.toContain('mindmap.png');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for per-stage models and the model pricing registry
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  MODEL_STAGES,
+  MODEL_PRICING,
+  getModelPricing,
+  resolveStageModels,
+  parseStageModels
+} from '../src/utils/models.js';
+import { CheckpointStore } from '../src/utils/checkpoint-store.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+describe('Models', () => {
+  describe('getModelPricing()', () => {
+    it('should price models by name', () => {
+      expect(getModelPricing('gpt-5-mini')).toEqual(MODEL_PRICING['gpt-5-mini']);
+      expect(getModelPricing('claude-sonnet-4-5')).toEqual({ inputPerMillion: 3, outputPerMillion: 15 });
+    });
+
+    it('should price dated snapshots as their base model', () => {
+      expect(getModelPricing('gpt-5-2025-08-07')).toEqual(MODEL_PRICING['gpt-5']);
+      expect(getModelPricing('gpt-5-mini-2025-08-07')).toEqual(MODEL_PRICING['gpt-5-mini']);
+      expect(getModelPricing('claude-sonnet-4-5-20250929')).toEqual(MODEL_PRICING['claude-sonnet-4-5']);
+    });
+
+    it('should return null for unknown models', () => {
+      expect(getModelPricing('llama3.1:70b')).toBeNull();
+      expect(getModelPricing('gpt-50')).toBeNull();
+      expect(getModelPricing(undefined)).toBeNull();
+    });
+  });
+
+  describe('resolveStageModels()', () => {
+    it('should fill stages without a model with the default model', () => {
+      const models = resolveStageModels({ chunk: 'gpt-5-mini' }, 'gpt-5');
+
+      expect(Object.keys(models)).toEqual(MODEL_STAGES);
+      expect(models.chunk).toBe('gpt-5-mini');
+      expect(models.synthesis).toBe('gpt-5');
+    });
+
+    it('should reject unknown stages', () => {
+      expect(() => resolveStageModels({ chunks: 'gpt-5-mini' }, 'gpt-5')).toThrow('Unknown model stage: chunks');
+    });
+  });
+
+  describe('parseStageModels()', () => {
+    it('should parse repeated and comma-separated stage=model pairs', () => {
+      expect(parseStageModels(['chunk=gpt-5-mini', 'synthesis=gpt-5,flashcards = gpt-5-nano'])).toEqual({
+        chunk: 'gpt-5-mini',
+        synthesis: 'gpt-5',
+        flashcards: 'gpt-5-nano'
+      });
+    });
+
+    it('should reject malformed pairs and unknown stages', () => {
+      expect(() => parseStageModels(['gpt-5-mini'])).toThrow('expected <stage>=<model>');
+      expect(() => parseStageModels(['merge=gpt-5'])).toThrow('Unknown model stage: merge');
+    });
+  });
+
+  describe('SummaryForge', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'models-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    const chunkSummary = 'Leaders replicate every write to their followers. '.repeat(10);
+    const stubOptions = { model: 'gpt-5', usage: { prompt_tokens: 1000000, completion_tokens: 100000, total_tokens: 1100000 } };
+
+    it('should send each stage to its model and charge that model\'s rate', async () => {
+      const provider = createStubProvider(chunkSummary, stubOptions);
+      const forge = new SummaryForge({
+        llmProvider: provider,
+        models: { chunk: 'gpt-5-mini' },
+        logger: SSELogger.createSilentLogger()
+      });
+
+      await forge.processSingleChunk('Chunk text', 0, 2, 1, 10);
+      await forge.synthesizeChunkSummaries(['one', 'two'], 'Book');
+
+      expect(provider.complete.mock.calls.map(([request]) => request.model)).toEqual(['gpt-5-mini', 'gpt-5']);
+      const costs = forge.getCostSummary();
+      expect(costs.breakdown.byModel['gpt-5-mini']).toBeCloseTo(0.25 + 0.2);
+      expect(costs.breakdown.byModel['gpt-5']).toBeCloseTo(1.25 + 1);
+      expect(costs.breakdown.openai).toBeCloseTo(0.45 + 2.25);
+      expect(costs.byModel['gpt-5-mini']).toEqual({ cost: '$0.4500', requests: 1, inputTokens: 1000000, outputTokens: 100000 });
+    });
+
+    it('should not reuse a checkpoint made with another model', async () => {
+      const checkpoints = CheckpointStore.forBookDir(testDir);
+      const cheap = createStubProvider(chunkSummary, stubOptions);
+      const strong = createStubProvider(chunkSummary, stubOptions);
+
+      await new SummaryForge({ llmProvider: cheap, models: { chunk: 'gpt-5-mini' }, logger: SSELogger.createSilentLogger() })
+        .processSingleChunk('Chunk text', 0, 1, 1, 10, { checkpoints });
+      await new SummaryForge({ llmProvider: strong, logger: SSELogger.createSilentLogger() })
+        .processSingleChunk('Chunk text', 0, 1, 1, 10, { checkpoints });
+
+      expect(strong.complete).toHaveBeenCalledTimes(1);
+    });
+
+    it('should apply modelPricing and llmPricing overrides', () => {
+      const forge = new SummaryForge({
+        llmProvider: createStubProvider('', { model: 'my-finetune' }),
+        llmPricing: { inputPerMillion: 4 },
+        modelPricing: { 'my-finetune': { inputPerMillion: 3, outputPerMillion: 12 }, 'gpt-5-mini': { inputPerMillion: 0.5, outputPerMillion: 4 } },
+        logger: SSELogger.createSilentLogger()
+      });
+
+      expect(forge.pricingFor()).toEqual({ inputPerMillion: 4, outputPerMillion: 12 });
+      expect(forge.pricingFor('gpt-5-mini')).toEqual({ inputPerMillion: 0.5, outputPerMillion: 4 });
+      // Not in the registry: charged like the provider's model
+      expect(forge.pricingFor('mystery-model')).toEqual({ inputPerMillion: 4, outputPerMillion: 12 });
+    });
+
+    it('should estimate costs at the stage model\'s rate', () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(chunkSummary, stubOptions), maxTokens: 1000, logger: SSELogger.createSilentLogger() });
+
+      expect(forge.estimateLLMCost(1000000, 1, 'gpt-5-nano')).toMatchObject({ inputCost: 0.05 });
+      expect(forge.estimateLLMCost(1000000, 1)).toMatchObject({ inputCost: 1.25 });
+    });
+
+    it('should reject unknown stages', () => {
+      expect(() => new SummaryForge({ llmProvider: createStubProvider(chunkSummary, stubOptions), models: { merge: 'gpt-5' } }))
+        .toThrow('Unknown model stage: merge');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for the OCR fallback for scanned PDFs
+ *
+ * Testing Framework: Vitest
+ * pdftoppm and tesseract are replaced by a fake spawn()
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { createWriteStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import PDFDocument from 'pdfkit';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+vi.mock('node:child_process', () => ({ spawn: vi.fn() }));
+
+const { spawn } = await import('node:child_process');
+const { needsOcr, ocrPdfPages, OCR_MIN_CHARS_PER_PAGE } = await import('../src/utils/ocr.js');
+const { SummaryForge } = await import('../src/summary-forge.js');
+const { SSELogger } = await import('../src/utils/sse-logger.js');
+
+/**
+ * Fake child process: tesseract "reads" the page number from the image name
+ * @private
+ */
+function fakeSpawn(command, args) {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  setImmediate(() => {
+    if (command === 'tesseract') {
+      const pageNum = args[0].match(/page(\d+)/)[1];
+      child.stdout.emit('data', Buffer.from(`Scanned page ${pageNum} explains how leaders replicate writes to followers.\n`));
+    }
+    child.emit('close', 0);
+  });
+  return child;
+}
+
+describe('OCR', () => {
+  beforeEach(() => {
+    spawn.mockReset();
+    spawn.mockImplementation(fakeSpawn);
+  });
+
+  describe('needsOcr()', () => {
+    it('should flag pages with (almost) no text', () => {
+      expect(needsOcr([{ text: '\n\n' }, { text: ' 12 \n\n' }])).toBe(true);
+    });
+
+    it('should accept pages with a text layer', () => {
+      const text = 'x'.repeat(OCR_MIN_CHARS_PER_PAGE);
+      expect(needsOcr([{ text }, { text: `${text}\n\n` }])).toBe(false);
+      expect(needsOcr([])).toBe(false);
+    });
+  });
+
+  describe('ocrPdfPages()', () => {
+    it('should rasterize and read each page in order', async () => {
+      const onPage = vi.fn();
+
+      const pages = await ocrPdfPages('/books/scan.pdf', [1, 2, 3], { language: 'eng+deu', dpi: 200, onPage });
+
+      expect(pages.map((page) => page.pageNum)).toEqual([1, 2, 3]);
+      expect(pages[1].text).toContain('Scanned page 2');
+      expect(onPage).toHaveBeenCalledTimes(3);
+
+      const [command, args] = spawn.mock.calls.find(([name]) => name === 'pdftoppm');
+      expect(command).toBe('pdftoppm');
+      expect(args).toEqual(expect.arrayContaining(['-r', '200', '-singlefile', '/books/scan.pdf']));
+      const tesseractArgs = spawn.mock.calls.find(([name]) => name === 'tesseract')[1];
+      expect(tesseractArgs.slice(1)).toEqual(['stdout', '-l', 'eng+deu']);
+    });
+
+    it('should explain how to install a missing OCR engine', async () => {
+      spawn.mockImplementation((command, args) => {
+        if (command !== 'tesseract') {
+          return fakeSpawn(command, args);
+        }
+        const child = new EventEmitter();
+        child.stdout = new EventEmitter();
+        child.stderr = new EventEmitter();
+        setImmediate(() => child.emit('error', Object.assign(new Error('spawn tesseract ENOENT'), { code: 'ENOENT' })));
+        return child;
+      });
+
+      await expect(ocrPdfPages('/books/scan.pdf', [1])).rejects.toThrow('tesseract not found - install Tesseract OCR');
+    });
+  });
+
+  describe('SummaryForge scanned PDF fallback', () => {
+    let testDir;
+    let pdfPath;
+
+    beforeEach(async () => {
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'summary-forge-ocr-'));
+      pdfPath = path.join(testDir, 'scan.pdf');
+      // Pages without a text layer, like a scanned book
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument();
+        const stream = createWriteStream(pdfPath);
+        doc.pipe(stream);
+        doc.rect(50, 50, 100, 100).fill('#cccccc');
+        doc.addPage();
+        doc.addPage();
+        doc.end();
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    const chunkSummary = '## Replication\n\nLeaders replicate writes to followers. '.repeat(10);
+
+    it('should summarize the OCR text through the chunking path', async () => {
+      const llm = createStubProvider(chunkSummary);
+      const forge = new SummaryForge({ llmProvider: llm, logger: SSELogger.createSilentLogger() });
+
+      const result = await forge.generateSummary(pdfPath, { bookDir: testDir });
+
+      expect(result.success).toBe(true);
+      expect(result.method).toBe('text_extraction_chunked');
+      expect(result.ocr).toBe(true);
+      const chunkPrompt = llm.complete.mock.calls[0][0].prompt;
+      expect(chunkPrompt).toContain('Scanned page 1');
+      expect(chunkPrompt).toContain('Scanned page 3');
+    });
+
+    it('should reuse the checkpointed OCR text', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(chunkSummary), logger: SSELogger.createSilentLogger() });
+      const checkpoints = forge.openCheckpoints(testDir);
+
+      const first = await forge.ocrPages(pdfPath, 3, checkpoints);
+      spawn.mockClear();
+      const second = await forge.extractSourcePages(pdfPath, checkpoints);
+
+      expect(second).toEqual(first);
+      expect(spawn).not.toHaveBeenCalled();
+    });
+
+    it('should not OCR when disabled', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(chunkSummary), ocr: false, logger: SSELogger.createSilentLogger() });
+
+      const result = await forge.generateSummary(pdfPath);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('scanned document');
+      expect(spawn).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,8 +2,46 @@
  * Tests for PDF Chunker Utility
  */
 
-import { describe, it, expect } from 'vitest';
-import { extractPdfPages, createChunks, calculateOptimalChunkSize, getPdfStats } from '../src/utils/pdf-chunker.js';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import PDFDocument from 'pdfkit';
+import {
+  extractPdfPages,
+  extractPdfOutline,
+  detectChapterHeadings,
+  findChapters,
+  createChunks,
+  createChapterChunks,
+  calculateOptimalChunkSize,
+  calculateChunkTokenBudget,
+  groupByTokenBudget,
+  getPdfStats
+} from '../src/utils/pdf-chunker.js';
+
+/**
+ * Write a PDF with one text block per page
+ */
+async function writeTestPdf(filePath, pageTexts, bookmarks = {}) {
+  const doc = new PDFDocument({ autoFirstPage: false });
+  const stream = fs.createWriteStream(filePath);
+  doc.pipe(stream);
+  pageTexts.forEach((text, i) => {
+    doc.addPage();
+    doc.text(text);
+    // bookmarks: { pageNum: title } adds an outline entry pointing at that page
+    if (bookmarks[i + 1]) {
+      doc.outline.addItem(bookmarks[i + 1]);
+    }
+  });
+  doc.end();
+  await new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
 
 describe('PDF Chunker', () => {
   describe('calculateOptimalChunkSize', () => {
@@ -47,6 +85,34 @@ describe('PDF Chunker', () => {
     });
   });
 
+  describe('calculateChunkTokenBudget', () => {
+    it('should subtract the prompt tokens and keep a small margin', () => {
+      expect(calculateChunkTokenBudget(100000, 2000)).toBe(93100);
+    });
+
+    it('should never return a budget below 1000 tokens', () => {
+      expect(calculateChunkTokenBudget(1000, 5000)).toBe(1000);
+    });
+  });
+
+  describe('groupByTokenBudget', () => {
+    it('should group consecutive items within the budget', () => {
+      expect(groupByTokenBudget([40, 40, 40, 40, 40], 100)).toEqual([[0, 1], [2, 3], [4]]);
+    });
+
+    it('should give oversized items their own group', () => {
+      expect(groupByTokenBudget([30, 150, 30, 30], 100)).toEqual([[0], [1], [2, 3]]);
+    });
+
+    it('should pair items when no two neighbours fit together', () => {
+      expect(groupByTokenBudget([80, 80, 80], 100)).toEqual([[0, 1], [2]]);
+    });
+
+    it('should keep a single item as is', () => {
+      expect(groupByTokenBudget([500], 100)).toEqual([[0]]);
+    });
+  });
+
   describe('createChunks', () => {
     it('should create single chunk for small content', () => {
       const pages = [
@@ -112,6 +178,296 @@ describe('PDF Chunker', () => {
       expect(chunks[0].charCount).toBe(10);
       expect(chunks[0].text).toBe('HelloWorld');
     });
+
+    it('should size chunks by token count when asked', () => {
+      const pages = [
+        { pageNum: 1, text: 'short', charCount: 5, tokenCount: 60 },
+        { pageNum: 2, text: 'short', charCount: 5, tokenCount: 60 },
+        { pageNum: 3, text: 'short', charCount: 5, tokenCount: 30 }
+      ];
+
+      const chunks = createChunks(pages, 100, { sizeKey: 'tokenCount' });
+
+      expect(chunks.map(c => [c.startPage, c.endPage])).toEqual([[1, 1], [2, 3]]);
+      expect(chunks.map(c => c.tokenCount)).toEqual([60, 90]);
+      expect(chunks[1].charCount).toBe(10);
+    });
+  });
+
+  describe('with a real PDF', () => {
+    let testDir;
+    let pdfPath;
+    const pageTexts = [
+      'Chapter one begins here.',
+      'A much longer second page that talks about many different things in detail.',
+      '',
+      'The final page ends the book.'
+    ];
+
+    beforeAll(async () => {
+      testDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'pdf-chunker-test-'));
+      pdfPath = path.join(testDir, 'book.pdf');
+      await writeTestPdf(pdfPath, pageTexts);
+    });
+
+    afterAll(async () => {
+      await fsp.rm(testDir, { recursive: true, force: true });
+    });
+
+    describe('extractPdfPages', () => {
+      it('should return one entry per real PDF page', async () => {
+        const pages = await extractPdfPages(pdfPath);
+        expect(pages.map(p => p.pageNum)).toEqual([1, 2, 3, 4]);
+      });
+
+      it('should keep each page\'s text on its own page', async () => {
+        const pages = await extractPdfPages(pdfPath);
+        expect(pages[0].text).toContain('Chapter one begins here.');
+        expect(pages[0].text).not.toContain('second page');
+        expect(pages[1].text).toContain('second page');
+        expect(pages[3].text).toContain('The final page ends the book.');
+      });
+
+      it('should keep blank pages so numbering stays aligned', async () => {
+        const pages = await extractPdfPages(pdfPath);
+        expect(pages[2].text.trim()).toBe('');
+      });
+
+      it('should report character counts that match the page text', async () => {
+        const pages = await extractPdfPages(pdfPath);
+        pages.forEach(page => {
+          expect(page.charCount).toBe(page.text.length);
+        });
+      });
+
+      it('should produce chunks whose boundaries fall on page boundaries', async () => {
+        const pages = await extractPdfPages(pdfPath);
+        const chunks = createChunks(pages, pages[0].charCount + pages[1].charCount);
+
+        expect(chunks[0].startPage).toBe(1);
+        expect(chunks[0].endPage).toBe(2);
+        expect(chunks[0].text).toContain('Chapter one begins here.');
+        expect(chunks[0].text).toContain('second page');
+        expect(chunks[1].startPage).toBe(3);
+        expect(chunks[1].text).toContain('The final page ends the book.');
+      });
+    });
+
+    describe('getPdfStats', () => {
+      it('should report the real page count', async () => {
+        const stats = await getPdfStats(pdfPath);
+        expect(stats.totalPages).toBe(4);
+        expect(stats.totalChars).toBeGreaterThan(0);
+        expect(Number.isFinite(stats.avgCharsPerPage)).toBe(true);
+      });
+
+      it('should count tokens with the model tokenizer', async () => {
+        const stats = await getPdfStats(pdfPath, { model: 'gpt-5' });
+        expect(stats.estimatedTokens).toBeGreaterThan(0);
+        expect(stats.estimatedTokens).toBeLessThan(stats.totalChars);
+      });
+    });
+  });
+
+  describe('detectChapterHeadings', () => {
+    const page = (pageNum, text) => ({ pageNum, text, charCount: text.length });
+
+    it('should detect "Chapter N: Title" headings', () => {
+      const chapters = detectChapterHeadings([
+        page(1, 'Preface\nSome intro'),
+        page(2, 'Chapter 1: Getting Started\nBody'),
+        page(3, 'More body'),
+        page(4, 'CHAPTER 2 - Going Further\nBody')
+      ]);
+
+      expect(chapters).toEqual([
+        { title: 'Chapter 1: Getting Started', pageNum: 2 },
+        { title: 'CHAPTER 2 - Going Further', pageNum: 4 }
+      ]);
+    });
+
+    it('should take the title from the next line when the heading is bare', () => {
+      const chapters = detectChapterHeadings([
+        page(1, 'Chapter 7\nConcurrency Patterns\nBody text')
+      ]);
+
+      expect(chapters).toEqual([{ title: 'Chapter 7: Concurrency Patterns', pageNum: 1 }]);
+    });
+
+    it('should collapse running headers that repeat the same chapter', () => {
+      const chapters = detectChapterHeadings([
+        page(1, 'Chapter 3: Testing\nBody'),
+        page(2, 'Chapter 3: Testing\nMore body'),
+        page(3, 'Chapter 4: Deploying\nBody')
+      ]);
+
+      expect(chapters.map(c => c.pageNum)).toEqual([1, 3]);
+    });
+
+    it('should ignore table of contents pages', () => {
+      const chapters = detectChapterHeadings([
+        page(1, 'Contents\nChapter 1: One\nChapter 2: Two\nChapter 3: Three'),
+        page(2, 'Chapter 1: One\nBody'),
+        page(3, 'Chapter 2: Two\nBody')
+      ]);
+
+      expect(chapters.map(c => c.pageNum)).toEqual([2, 3]);
+    });
+
+    it('should only look at the top of each page', () => {
+      const chapters = detectChapterHeadings([
+        page(1, 'a\nb\nc\nd\ne\nf\nChapter 9: Referenced in passing')
+      ]);
+
+      expect(chapters).toEqual([]);
+    });
+  });
+
+  describe('createChapterChunks', () => {
+    const makePages = (count, charsPerPage) => Array.from({ length: count }, (_, i) => ({
+      pageNum: i + 1,
+      text: String.fromCharCode(65 + (i % 26)).repeat(charsPerPage),
+      charCount: charsPerPage
+    }));
+
+    it('should create one chunk per chapter when chapters are large enough', () => {
+      const pages = makePages(6, 100);
+      const chapters = [
+        { title: 'Chapter 1', pageNum: 1 },
+        { title: 'Chapter 2', pageNum: 3 },
+        { title: 'Chapter 3', pageNum: 5 }
+      ];
+
+      const chunks = createChapterChunks(pages, chapters, 250, { minPerChunk: 150 });
+
+      expect(chunks.map(c => [c.startPage, c.endPage])).toEqual([[1, 2], [3, 4], [5, 6]]);
+      expect(chunks.map(c => c.chapters)).toEqual([['Chapter 1'], ['Chapter 2'], ['Chapter 3']]);
+    });
+
+    it('should merge small adjacent chapters', () => {
+      const pages = makePages(4, 100);
+      const chapters = [
+        { title: 'Chapter 1', pageNum: 1 },
+        { title: 'Chapter 2', pageNum: 2 },
+        { title: 'Chapter 3', pageNum: 3 },
+        { title: 'Chapter 4', pageNum: 4 }
+      ];
+
+      const chunks = createChapterChunks(pages, chapters, 250, { minPerChunk: 150 });
+
+      expect(chunks).toHaveLength(2);
+      expect(chunks[0].chapters).toEqual(['Chapter 1', 'Chapter 2']);
+      expect(chunks[0].charCount).toBe(200);
+      expect(chunks[1].chapters).toEqual(['Chapter 3', 'Chapter 4']);
+    });
+
+    it('should measure chapters by token count when asked', () => {
+      // Dense pages: few characters but many tokens
+      const pages = makePages(4, 100).map((page, i) => ({ ...page, tokenCount: i === 1 ? 400 : 50 }));
+      const chapters = [
+        { title: 'Chapter 1', pageNum: 1 },
+        { title: 'Chapter 2', pageNum: 2 },
+        { title: 'Chapter 3', pageNum: 3 }
+      ];
+
+      const chunks = createChapterChunks(pages, chapters, 250, { sizeKey: 'tokenCount' });
+
+      expect(chunks.map(c => c.chapters)).toEqual([['Chapter 1'], ['Chapter 2'], ['Chapter 3']]);
+      expect(chunks.map(c => c.tokenCount)).toEqual([50, 400, 100]);
+    });
+
+    it('should split oversized chapters on page boundaries', () => {
+      const pages = makePages(5, 100);
+      const chapters = [
+        { title: 'Chapter 1', pageNum: 1 },
+        { title: 'Chapter 2', pageNum: 5 }
+      ];
+
+      const chunks = createChapterChunks(pages, chapters, 250, { minPerChunk: 50 });
+
+      expect(chunks.map(c => [c.startPage, c.endPage])).toEqual([[1, 2], [3, 4], [5, 5]]);
+      expect(chunks[0].chapters).toEqual(['Chapter 1 (part 1/2)']);
+      expect(chunks[1].chapters).toEqual(['Chapter 1 (part 2/2)']);
+      chunks.forEach(chunk => expect(chunk.charCount).toBeLessThanOrEqual(250));
+    });
+
+    it('should keep pages before the first chapter as front matter', () => {
+      const pages = makePages(4, 100);
+      const chapters = [
+        { title: 'Chapter 1', pageNum: 3 },
+        { title: 'Chapter 2', pageNum: 4 }
+      ];
+
+      const chunks = createChapterChunks(pages, chapters, 200, { minPerChunk: 0 });
+
+      expect(chunks[0].chapters).toEqual(['Front Matter']);
+      expect(chunks[0].startPage).toBe(1);
+      expect(chunks[0].endPage).toBe(2);
+    });
+
+    it('should cover every page exactly once', () => {
+      const pages = makePages(40, 1000);
+      const chapters = [1, 4, 5, 6, 20, 38].map((pageNum, i) => ({ title: `Chapter ${i + 1}`, pageNum }));
+
+      const chunks = createChapterChunks(pages, chapters, 8000);
+
+      const covered = chunks.reduce((sum, c) => sum + (c.endPage - c.startPage + 1), 0);
+      expect(covered).toBe(40);
+      for (let i = 0; i < chunks.length - 1; i++) {
+        expect(chunks[i].endPage + 1).toBe(chunks[i + 1].startPage);
+      }
+    });
+  });
+
+  describe('PDF outline', () => {
+    let testDir;
+
+    beforeAll(async () => {
+      testDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'pdf-outline-test-'));
+    });
+
+    afterAll(async () => {
+      await fsp.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should read chapter start pages from bookmarks', async () => {
+      const pdfPath = path.join(testDir, 'outlined.pdf');
+      await writeTestPdf(pdfPath, ['Cover', 'Intro text', 'More text', 'Appendix'], {
+        2: 'Introduction',
+        4: 'Appendix A'
+      });
+
+      const outline = await extractPdfOutline(pdfPath);
+      expect(outline).toEqual([
+        { title: 'Introduction', pageNum: 2 },
+        { title: 'Appendix A', pageNum: 4 }
+      ]);
+    });
+
+    it('should return an empty list when the PDF has no outline', async () => {
+      const pdfPath = path.join(testDir, 'plain.pdf');
+      await writeTestPdf(pdfPath, ['Just text']);
+
+      expect(await extractPdfOutline(pdfPath)).toEqual([]);
+    });
+
+    it('should prefer the outline and fall back to detected headings', async () => {
+      const outlinedPath = path.join(testDir, 'outlined-find.pdf');
+      await writeTestPdf(outlinedPath, ['One', 'Two'], { 1: 'Part One', 2: 'Part Two' });
+      const outlined = await findChapters(outlinedPath, await extractPdfPages(outlinedPath));
+      expect(outlined.source).toBe('outline');
+
+      const headingsPath = path.join(testDir, 'headings.pdf');
+      await writeTestPdf(headingsPath, ['Chapter 1: Alpha', 'Body', 'Chapter 2: Beta']);
+      const detected = await findChapters(headingsPath, await extractPdfPages(headingsPath));
+      expect(detected.source).toBe('headings');
+      expect(detected.chapters.map(c => c.pageNum)).toEqual([1, 3]);
+
+      const plainPath = path.join(testDir, 'plain-find.pdf');
+      await writeTestPdf(plainPath, ['No structure here']);
+      const none = await findChapters(plainPath, await extractPdfPages(plainPath));
+      expect(none).toEqual({ source: null, chapters: [] });
+    });
   });
 
   describe('extractPdfPages', () => {
@@ -3,9 +3,23 @@
  * Testing Framework: Vitest
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import { createWriteStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import PDFDocument from 'pdfkit';
 import { SummaryForge } from '../src/summary-forge.js';
 import { SSELogger } from '../src/utils/sse-logger.js';
+import { fetchWebPageAsPdf } from '../src/utils/web-page.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+// Pass-through mock, so single tests can stand in for the browser
+vi.mock('../src/utils/web-page.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, fetchWebPageAsPdf: vi.fn(actual.fetchWebPageAsPdf) };
+});
 
 describe('SummaryForge.processWebPage', () => {
   let forge;
@@ -135,6 +149,82 @@ describe('SummaryForge.processWebPage', () => {
     });
   });
 
+  describe('bundle', () => {
+    it('should keep chapter files in their subdirectory', async () => {
+      const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'process-webpage-test-'));
+      const tempPdfPath = path.join(testDir, 'page.pdf');
+      await fs.writeFile(tempPdfPath, '%PDF-1.4');
+      vi.mocked(fetchWebPageAsPdf).mockResolvedValueOnce({ title: 'Replication Guide', pdfPath: tempPdfPath, url: 'https://example.com/replication' });
+
+      const provider = createStubProvider('**Q: What is a leader?**\nA: The replica that accepts writes.');
+      const chapterForge = new SummaryForge({ llmProvider: provider, chapterFiles: true, force: true, logger: SSELogger.createSilentLogger() });
+      chapterForge.generateWebPageSummary = vi.fn(async () => ({
+        success: true,
+        markdown: '# Replication Guide\n\n## Leaders\n\nLeaders accept writes.\n\n## Followers\n\nFollowers apply the log.\n'
+      }));
+      // pandoc is not needed: write empty renderings and run tar for real
+      const sh = chapterForge.sh.bind(chapterForge);
+      chapterForge.sh = vi.fn(async (command, args) => (command === 'pandoc' ? fs.writeFile(args[args.indexOf('-o') + 1], '') : sh(command, args)));
+      vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      try {
+        const result = await chapterForge.processWebPage('https://example.com/replication', testDir);
+
+        expect(result.success).toBe(true);
+        const archived = execFileSync('tar', ['-tzf', result.archive], { encoding: 'utf8' }).split('\n');
+        expect(archived).toContain('chapters/index.md');
+        expect(archived).toContain('chapters/01-leaders.md');
+        expect(archived).toContain('replication_guide.summary.md');
+      } finally {
+        process.stdout.write.mockRestore();
+        await fs.rm(testDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('text fallback', () => {
+    it('should summarize the page text when the provider cannot take the PDF', async () => {
+      const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'process-webpage-test-'));
+      const tempPdfPath = path.join(testDir, 'page.pdf');
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument();
+        const stream = createWriteStream(tempPdfPath);
+        doc.pipe(stream);
+        doc.text('Leaders replicate every write to their followers through a log. '.repeat(10));
+        doc.end();
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+      vi.mocked(fetchWebPageAsPdf).mockResolvedValueOnce({ title: 'Replication Guide', pdfPath: tempPdfPath, url: 'https://example.com/replication' });
+
+      const uploadFile = vi.fn(async () => {
+        throw new Error('PDF file input is not supported by the stub provider');
+      });
+      const provider = createStubProvider('# Replication Guide\n\n## Leaders\n\nLeaders replicate writes to followers. '.repeat(10), { methods: { uploadFile } });
+      const textForge = new SummaryForge({ llmProvider: provider, force: true, logger: SSELogger.createSilentLogger() });
+      const sh = textForge.sh.bind(textForge);
+      textForge.sh = vi.fn(async (command, args) => (command === 'pandoc' ? fs.writeFile(args[args.indexOf('-o') + 1], '') : sh(command, args)));
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      try {
+        const result = await textForge.processWebPage('https://example.com/replication', testDir);
+
+        expect(result.success).toBe(true);
+        expect(uploadFile).toHaveBeenCalledOnce();
+        const request = provider.complete.mock.calls[0][0];
+        expect(request.file).toBeUndefined();
+        expect(request.prompt).toContain('Leaders replicate every write to their followers through a log.');
+      } finally {
+        console.log.mockRestore();
+        console.error.mockRestore();
+        process.stdout.write.mockRestore();
+        await fs.rm(testDir, { recursive: true, force: true });
+      }
+    });
+  });
+
   describe('integration with fetchWebPageAsPdf', () => {
     it('should call fetchWebPageAsPdf with correct parameters', async () => {
       // This is an integration test that would require mocking
@@ -0,0 +1,185 @@
+/**
+ * Tests for prompt templates
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  renderTemplate,
+  PromptTemplates,
+  initUserTemplates,
+  TEMPLATE_NAMES,
+  BUILTIN_TEMPLATES_DIR
+} from '../src/utils/prompt-templates.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+describe('Prompt Templates', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `summary-forge-templates-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    await fs.mkdir(testDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('renderTemplate()', () => {
+    it('should substitute variables', () => {
+      expect(renderTemplate('Chunk {{chunkIndex}} of {{ totalChunks }}', { chunkIndex: 2, totalChunks: 5 }))
+        .toBe('Chunk 2 of 5');
+    });
+
+    it('should render missing variables as empty strings', () => {
+      expect(renderTemplate('Hello {{name}}!', {})).toBe('Hello !');
+    });
+
+    it('should join arrays with newlines', () => {
+      expect(renderTemplate('{{items}}', { items: ['- a', '- b'] })).toBe('- a\n- b');
+    });
+
+    it('should support dotted names', () => {
+      expect(renderTemplate('{{book.title}}', { book: { title: 'SICP' } })).toBe('SICP');
+    });
+
+    it('should render {{#if}} blocks with an optional {{else}}', () => {
+      const template = 'From {{#if fromText}}text{{else}}PDF{{/if}}.';
+      expect(renderTemplate(template, { fromText: true })).toBe('From text.');
+      expect(renderTemplate(template, { fromText: false })).toBe('From PDF.');
+      expect(renderTemplate('A{{#if x}}B{{/if}}C', {})).toBe('AC');
+    });
+
+    it('should treat empty arrays and strings as false', () => {
+      expect(renderTemplate('{{#if list}}yes{{else}}no{{/if}}', { list: [] })).toBe('no');
+      expect(renderTemplate('{{#if name}}yes{{else}}no{{/if}}', { name: '' })).toBe('no');
+    });
+
+    it('should support nested blocks', () => {
+      const template = '{{#if a}}A{{#if b}}B{{else}}-{{/if}}{{/if}}';
+      expect(renderTemplate(template, { a: true, b: true })).toBe('AB');
+      expect(renderTemplate(template, { a: true })).toBe('A-');
+      expect(renderTemplate(template, { b: true })).toBe('');
+    });
+
+    it('should remove lines that only hold a block tag', () => {
+      const template = 'First\n{{#if audience}}\nAudience: {{audience}}\n{{/if}}\nLast\n';
+      expect(renderTemplate(template, { audience: 'beginners' })).toBe('First\nAudience: beginners\nLast');
+      expect(renderTemplate(template, {})).toBe('First\nLast');
+    });
+
+    it('should not parse template syntax inside variable values', () => {
+      expect(renderTemplate('Text: {{text}}', { text: '{{#if x}}{{secret}}{{/if}}', secret: 'no' }))
+        .toBe('Text: {{#if x}}{{secret}}{{/if}}');
+    });
+  });
+
+  describe('PromptTemplates', () => {
+    it('should ship every built-in template', async () => {
+      const templates = new PromptTemplates({ userDirectory: testDir });
+
+      for (const name of TEMPLATE_NAMES) {
+        const { path: templatePath } = await templates.load(name);
+        expect(templatePath).toBe(path.join(BUILTIN_TEMPLATES_DIR, `${name}.txt`));
+      }
+    });
+
+    it('should prefer user templates over built-in ones', async () => {
+      await fs.writeFile(path.join(testDir, 'chunk-user.txt'), 'Custom {{startPage}}', 'utf8');
+      const templates = new PromptTemplates({ userDirectory: testDir });
+
+      expect(await templates.render('chunk-user', { startPage: 7 })).toBe('Custom 7');
+    });
+
+    it('should prefer the custom directory over the user directory', async () => {
+      const customDir = path.join(testDir, 'custom');
+      await fs.mkdir(customDir);
+      await fs.writeFile(path.join(testDir, 'chunk-user.txt'), 'User', 'utf8');
+      await fs.writeFile(path.join(customDir, 'chunk-user.txt'), 'Custom', 'utf8');
+      const templates = new PromptTemplates({ directory: customDir, userDirectory: testDir });
+
+      expect(await templates.render('chunk-user')).toBe('Custom');
+    });
+
+    it('should merge shared variables with per-call variables', async () => {
+      await fs.writeFile(path.join(testDir, 'greeting.txt'), '{{greeting}}, {{audience}}', 'utf8');
+      const templates = new PromptTemplates({ userDirectory: testDir, variables: { greeting: 'Hi', audience: 'team' } });
+
+      expect(await templates.render('greeting', { greeting: 'Hello' })).toBe('Hello, team');
+    });
+
+    it('should throw for unknown templates', async () => {
+      const templates = new PromptTemplates({ userDirectory: testDir });
+      await expect(templates.load('missing')).rejects.toThrow('Prompt template not found: missing');
+    });
+  });
+
+  describe('initUserTemplates()', () => {
+    it('should copy built-ins without overwriting edited templates', async () => {
+      await fs.writeFile(path.join(testDir, 'chunk-user.txt'), 'Edited', 'utf8');
+
+      const result = await initUserTemplates(testDir);
+
+      expect(result.success).toBe(true);
+      expect(result.copied).toHaveLength(TEMPLATE_NAMES.length - 1);
+      expect(result.copied).not.toContain('chunk-user.txt');
+      expect(await fs.readFile(path.join(testDir, 'chunk-user.txt'), 'utf8')).toBe('Edited');
+    });
+  });
+
+  describe('SummaryForge prompts', () => {
+    it('should render chunk prompts from a custom templates directory', async () => {
+      await fs.writeFile(
+        path.join(testDir, 'chunk-system.txt'),
+        'Chunk {{chunkIndex}}/{{totalChunks}} for {{audience}} ({{team}})',
+        'utf8'
+      );
+      const provider = createStubProvider('Generated text. '.repeat(20));
+      const forge = new SummaryForge({
+        llmProvider: provider,
+        templatesDir: testDir,
+        audience: 'new hires',
+        templateVariables: { team: 'Platform' },
+        logger: SSELogger.createSilentLogger()
+      });
+
+      await forge.processSingleChunk('Chunk text', 1, 4, 10, 20);
+
+      const { system, prompt } = provider.complete.mock.calls[0][0];
+      expect(system).toBe('Chunk 2/4 for new hires (Platform)');
+      expect(prompt).toBe('Summarize this section of the book (pages 10-20):\n\nChunk text');
+    });
+
+    it('should add the audience to the built-in prompts only when set', async () => {
+      const provider = createStubProvider('Generated text. '.repeat(20));
+      const forge = new SummaryForge({ llmProvider: provider, audience: 'product managers' });
+      const plainForge = new SummaryForge({ llmProvider: provider });
+
+      await forge.synthesizeChunkSummaries(['one', 'two'], 'Book');
+      await plainForge.synthesizeChunkSummaries(['one', 'two'], 'Book');
+
+      expect(provider.complete.mock.calls[0][0].system).toContain('- Write for this audience: product managers');
+      expect(provider.complete.mock.calls[1][0].system).not.toContain('audience');
+    });
+
+    it('should change the summary checkpoint key when a template changes', async () => {
+      const pdfPath = path.join(testDir, 'book.pdf');
+      await fs.writeFile(pdfPath, 'pdf bytes');
+      const templatesDir = path.join(testDir, 'templates');
+      await fs.mkdir(templatesDir);
+      const forge = new SummaryForge({ llmProvider: createStubProvider('Generated text. '.repeat(20)), templatesDir });
+      const before = await forge.getSummaryCheckpointKey(pdfPath);
+
+      await fs.writeFile(path.join(templatesDir, 'synthesis-system.txt'), 'Custom synthesis', 'utf8');
+      const editedForge = new SummaryForge({ llmProvider: createStubProvider('Generated text. '.repeat(20)), templatesDir });
+
+      expect(await editedForge.getSummaryCheckpointKey(pdfPath)).not.toBe(before);
+    });
+  });
+});
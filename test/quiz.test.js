@@ -0,0 +1,260 @@
+/**
+ * Tests for quiz generation and its LMS exports
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  parseQuiz,
+  formatQuizGift,
+  formatQtiItem,
+  writeQtiPackage,
+  generateQuizPDF,
+  QTI_DIRNAME
+} from '../src/quiz.js';
+import { getFlashcardLabels } from '../src/utils/languages.js';
+import { extractPdfPages } from '../src/utils/pdf-chunker.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+const rawQuestions = [
+  {
+    type: 'multiple_choice',
+    question: 'Why does a database write changes to a log first?',
+    options: ['To compress the data', 'To recover from a crash', 'To skip replication', 'To speed up reads'],
+    answer: 1,
+    explanation: 'The log is replayed after a crash.',
+    chapter: 'Chapter 3: Storage'
+  },
+  {
+    type: 'true_false',
+    question: 'Asynchronous followers can serve stale reads.',
+    answer: true,
+    explanation: 'They apply changes with a delay.',
+    chapter: ''
+  }
+];
+
+const questions = parseQuiz(JSON.stringify(rawQuestions));
+
+describe('Quiz', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quiz-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('parseQuiz()', () => {
+    it('should normalize the questions', () => {
+      expect(questions).toEqual([
+        { ...rawQuestions[0] },
+        { ...rawQuestions[1], chapter: null }
+      ]);
+    });
+
+    it('should accept letters, option text and strings as answers', () => {
+      const parsed = parseQuiz(JSON.stringify([
+        { type: 'multiple-choice', question: 'Letter?', options: ['a', 'b', 'c'], answer: 'C' },
+        { type: 'Multiple Choice', question: 'Text?', options: ['Leader', 'Follower', 'Quorum'], answer: 'follower' },
+        { type: 'true/false', question: 'String?', answer: 'False' }
+      ]));
+
+      expect(parsed.map(({ type, answer }) => [type, answer])).toEqual([
+        ['multiple_choice', 2],
+        ['multiple_choice', 1],
+        ['true_false', false]
+      ]);
+    });
+
+    it('should drop invalid and repeated questions', () => {
+      const parsed = parseQuiz(`Here is the quiz:\n${JSON.stringify([
+        rawQuestions[0],
+        { ...rawQuestions[0], question: rawQuestions[0].question.toUpperCase() },
+        { type: 'essay', question: 'Discuss.', answer: 0 },
+        { type: 'multiple_choice', question: 'Two options?', options: ['a', 'b'], answer: 0 },
+        { type: 'multiple_choice', question: 'Repeated options?', options: ['a', 'A', 'b'], answer: 0 },
+        { type: 'multiple_choice', question: 'Out of range?', options: ['a', 'b', 'c'], answer: 3 },
+        { type: 'true_false', question: 'Maybe?', answer: 'maybe' }
+      ])}`);
+
+      expect(parsed).toHaveLength(1);
+    });
+
+    it('should throw without a JSON array', () => {
+      expect(() => parseQuiz('No questions.')).toThrow('did not contain a JSON array');
+    });
+  });
+
+  describe('formatQuizGift()', () => {
+    it('should write GIFT questions with the explanation as general feedback', () => {
+      const gift = formatQuizGift(questions, { title: 'My Book - Quiz' });
+
+      expect(gift).toBe([
+        '// My Book - Quiz',
+        '$CATEGORY: My Book - Quiz',
+        '',
+        '::Q1::Why does a database write changes to a log first? {',
+        '\t~To compress the data',
+        '\t=To recover from a crash',
+        '\t~To skip replication',
+        '\t~To speed up reads',
+        '\t####The log is replayed after a crash.',
+        '}',
+        '',
+        '::Q2::Asynchronous followers can serve stale reads. {TRUE####They apply changes with a delay.}',
+        ''
+      ].join('\n'));
+    });
+
+    it('should escape the GIFT control characters', () => {
+      const [question] = parseQuiz(JSON.stringify([{ type: 'true_false', question: 'x = {a: 1} ~ #1', answer: false }]));
+
+      expect(formatQuizGift([question])).toBe('::Q1::x \\= \\{a\\: 1\\} \\~ \\#1 {FALSE}\n');
+    });
+  });
+
+  describe('QTI export', () => {
+    it('should write a QTI 2.1 item with the correct response and feedback', () => {
+      const xml = formatQtiItem(questions[0], 'q001');
+
+      expect(xml).toContain('<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"');
+      expect(xml).toContain('identifier="q001"');
+      expect(xml).toContain('<correctResponse><value>choice_B</value></correctResponse>');
+      expect(xml).toContain('<simpleChoice identifier="choice_D">To speed up reads</simpleChoice>');
+      expect(xml).toContain('<modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">The log is replayed after a crash.</modalFeedback>');
+    });
+
+    it('should word true/false choices in the output language and escape XML', () => {
+      const xml = formatQtiItem({ type: 'true_false', question: 'a < b & c', answer: false, explanation: '' }, 'q002', { labels: getFlashcardLabels('de') });
+
+      expect(xml).toContain('<prompt>a &lt; b &amp; c</prompt>');
+      expect(xml).toContain('<simpleChoice identifier="choice_A">Wahr</simpleChoice>');
+      expect(xml).toContain('<correctResponse><value>choice_B</value></correctResponse>');
+      expect(xml).not.toContain('modalFeedback');
+    });
+
+    it('should write the content package', async () => {
+      const qtiDir = path.join(testDir, QTI_DIRNAME);
+      await fs.mkdir(path.join(qtiDir, 'items'), { recursive: true });
+      await fs.writeFile(path.join(qtiDir, 'items', 'q099.xml'), 'stale');
+
+      const result = await writeQtiPackage(questions, qtiDir, { title: 'My Book - Quiz' });
+
+      expect(result.items).toEqual([path.join(qtiDir, 'items', 'q001.xml'), path.join(qtiDir, 'items', 'q002.xml')]);
+      await expect(fs.readdir(path.join(qtiDir, 'items'))).resolves.toEqual(['q001.xml', 'q002.xml']);
+      const manifest = await fs.readFile(result.manifest, 'utf8');
+      expect(manifest).toContain('<resource identifier="quiz" type="imsqti_test_xmlv2p1" href="test.xml">');
+      expect(manifest).toContain('<resource identifier="q002" type="imsqti_item_xmlv2p1" href="items/q002.xml">');
+      const test = await fs.readFile(result.test, 'utf8');
+      expect(test).toContain('title="My Book - Quiz"');
+      expect(test).toContain('<assessmentItemRef identifier="q001" href="items/q001.xml"/>');
+    });
+  });
+
+  describe('generateQuizPDF()', () => {
+    it('should print the questions and the answer key', async () => {
+      const pdfPath = path.join(testDir, 'quiz.pdf');
+
+      const result = await generateQuizPDF(questions, pdfPath, { title: 'My Book - Quiz' });
+
+      expect(result).toMatchObject({ success: true, path: pdfPath, count: 2 });
+      const pages = await extractPdfPages(pdfPath);
+      expect(pages).toHaveLength(2);
+      expect(pages[0].text).toContain('B. To recover from a crash');
+      expect(pages[0].text).toContain('A. True');
+      expect(pages[1].text).toContain('Answer Key: My Book - Quiz');
+      expect(pages[1].text).toContain('1. B (To recover from a crash)');
+      expect(pages[1].text).toContain('The log is replayed after a crash.');
+    });
+
+    it('should fail without questions', async () => {
+      await expect(generateQuizPDF([], path.join(testDir, 'quiz.pdf'))).resolves.toMatchObject({ success: false, count: 0 });
+    });
+
+    it('should reject with the write error', async () => {
+      await fs.mkdir(path.join(testDir, 'quiz.pdf'));
+
+      await expect(generateQuizPDF(questions, path.join(testDir, 'quiz.pdf'))).rejects.toThrow(/EISDIR/);
+    });
+  });
+
+  describe('SummaryForge', () => {
+    const answer = ({ system }) => (system.includes('graded quiz')
+      ? JSON.stringify(rawQuestions)
+      : '**Q: How do followers stay in sync?**\nA: They apply the leader\'s replication log in order.');
+
+    it('should write the quiz with the quiz stage model and restore it from a checkpoint', async () => {
+      const provider = createStubProvider(answer);
+      const forge = new SummaryForge({ llmProvider: provider, models: { quiz: 'gpt-5-mini' }, depth: 'brief', logger: SSELogger.createSilentLogger() });
+
+      const first = await forge.generateQuiz('# Book\n\n## Chapter 3: Storage\n\nLogs...', { title: 'Book', bookDir: testDir });
+      const second = await forge.generateQuiz('# Book\n\n## Chapter 3: Storage\n\nLogs...', { title: 'Book', bookDir: testDir });
+
+      expect(first).toMatchObject({ success: true, count: 2, questions });
+      expect(second).toMatchObject({ success: true, count: 2, resumed: true });
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      const [request] = provider.complete.mock.calls[0];
+      expect(request.model).toBe('gpt-5-mini');
+      expect(request.system).toContain('write 8-12 questions');
+      expect(request.prompt).toContain('Summary of "Book"');
+    });
+
+    it('should fail without valid questions instead of throwing', async () => {
+      const provider = createStubProvider('[{"type": "essay"}]');
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+
+      await expect(forge.generateQuiz('# Book')).resolves.toMatchObject({ success: false, error: 'Quiz response contained no valid questions' });
+    });
+
+    it('should write quiz.json and its exports with the output files', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(answer), quiz: true, language: 'es', logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles('# Book\n\n## Chapter 3: Storage\n\nLogs.\n', 'My_Book', testDir);
+
+      expect(result.files).toMatchObject({
+        quizJson: path.join(testDir, 'quiz.es.json'),
+        quizGift: path.join(testDir, 'My_Book.quiz.es.gift'),
+        quizQti: path.join(testDir, 'quiz-qti-es'),
+        quizPdf: path.join(testDir, 'My_Book.quiz.es.pdf')
+      });
+      const quizJson = JSON.parse(await fs.readFile(result.files.quizJson, 'utf8'));
+      expect(quizJson).toEqual({ title: 'My Book', language: 'es', count: 2, questions });
+      await expect(fs.readFile(result.files.quizGift, 'utf8')).resolves.toMatch(/^\/\/ My Book - Cuestionario\n/);
+      await expect(fs.readFile(path.join(result.files.quizQti, 'items', 'q002.xml'), 'utf8')).resolves.toContain('>Verdadero</simpleChoice>');
+      await expect(fs.access(result.files.quizPdf)).resolves.toBeUndefined();
+    });
+
+    it('should skip the quiz when its files cannot be written', async () => {
+      const forge = new SummaryForge({ llmProvider: createStubProvider(answer), quiz: true, logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+      await fs.mkdir(path.join(testDir, 'Book.quiz.pdf'));
+
+      const result = await forge.generateOutputFiles('# Book\n\n## Chapter 3: Storage\n\nLogs.\n', 'Book', testDir);
+
+      expect(result.success).toBe(true);
+      expect(result.files.quizJson).toBeNull();
+      expect(result.files.quizPdf).toBeNull();
+    });
+
+    it('should not write a quiz by default', async () => {
+      const provider = createStubProvider(answer);
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+      forge.sh = vi.fn(async () => {});
+
+      const result = await forge.generateOutputFiles('# Book\n\nOverview.\n', 'Book', testDir);
+
+      expect(result.files.quizJson).toBeNull();
+      expect(provider.complete.mock.calls.some(([request]) => request.system.includes('graded quiz'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests for record/replay of LLM and TTS calls
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createWriteStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import PDFDocument from 'pdfkit';
+import { FixtureStore, withLLMFixtures, withTTSFixtures, hashFixtureFile } from '../src/utils/record-replay.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+describe('Record/replay', () => {
+  let testDir;
+  let fixtureDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'record-replay-test-'));
+    fixtureDir = path.join(testDir, 'fixtures');
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  const createFileProvider = (content = 'Recorded answer') => createStubProvider(content, {
+    methods: {
+      uploadFile: vi.fn(async () => ({ id: `file-${Math.random()}` })),
+      deleteFile: vi.fn(async () => {})
+    }
+  });
+
+  const failingProvider = () => ({
+    ...createFileProvider(),
+    complete: vi.fn(async () => { throw new Error('network call during replay'); }),
+    uploadFile: vi.fn(async () => { throw new Error('network call during replay'); })
+  });
+
+  describe('FixtureStore', () => {
+    it('should reject unknown modes', () => {
+      expect(() => new FixtureStore(fixtureDir, { mode: 'live' })).toThrow('Unknown fixture mode: live');
+    });
+
+    it('should round-trip fixtures', async () => {
+      const recorder = new FixtureStore(fixtureDir, { mode: 'record' });
+      await recorder.write('llm', 'a'.repeat(64), { prompt: 'Hi' }, { content: 'Hello' });
+
+      const player = new FixtureStore(fixtureDir, { mode: 'replay' });
+
+      await expect(player.read('llm', 'a'.repeat(64), { prompt: 'Hi' })).resolves.toEqual({ content: 'Hello' });
+      expect(player.has('llm')).toBe(true);
+      expect(player.has('tts')).toBe(false);
+      expect(player.missReport()).toBeNull();
+    });
+
+    it('should fail and remember a miss', async () => {
+      const player = new FixtureStore(fixtureDir, { mode: 'replay' });
+
+      const error = await player.read('llm', 'b'.repeat(64), { prompt: 'Hi' }).catch((caught) => caught);
+
+      expect(error.code).toBe('REPLAY_MISS');
+      expect(error.message).toContain('No llm fixture for this request');
+      expect(player.misses).toEqual([{ kind: 'llm', key: 'b'.repeat(64), request: { prompt: 'Hi' } }]);
+      expect(player.missReport()).toBe(`Replay is missing 1 fixture(s) in ${fixtureDir}: llm bbbbbbbbbbbb`);
+    });
+  });
+
+  describe('hashFixtureFile()', () => {
+    it('should ignore PDF timestamps and document IDs', async () => {
+      const first = path.join(testDir, 'first.pdf');
+      const second = path.join(testDir, 'second.pdf');
+      await fs.writeFile(first, '%PDF-1.4\n/CreationDate (D:20240101120000Z)\n/ID [<ab> <cd>]\nbody');
+      await fs.writeFile(second, '%PDF-1.4\n/CreationDate (D:20250505080000Z)\n/ID [<ef> <01>]\nbody');
+
+      expect(await hashFixtureFile(first)).toBe(await hashFixtureFile(second));
+    });
+  });
+
+  describe('withLLMFixtures()', () => {
+    it('should replay recorded completions without calling the provider', async () => {
+      const recording = withLLMFixtures(createFileProvider(), new FixtureStore(fixtureDir, { mode: 'record' }));
+      const recorded = await recording.complete({ system: 'Be brief', prompt: 'Summarize', maxTokens: 100 });
+
+      const provider = failingProvider();
+      const replaying = withLLMFixtures(provider, new FixtureStore(fixtureDir, { mode: 'replay' }));
+      const onToken = vi.fn();
+      const replayed = await replaying.complete({ system: 'Be brief', prompt: 'Summarize', maxTokens: 100, onToken });
+
+      expect(replayed).toEqual(recorded);
+      expect(provider.complete).not.toHaveBeenCalled();
+      expect(onToken).toHaveBeenCalledWith('Recorded answer', 'Recorded answer');
+      expect(replaying.label).toBe('Stub model');
+      expect(replaying.model).toBe('stub-model');
+    });
+
+    it('should key PDF requests by the file contents, not the upload ID', async () => {
+      const pdfPath = path.join(testDir, 'book.pdf');
+      await fs.writeFile(pdfPath, '%PDF-1.4 book');
+      const recording = withLLMFixtures(createFileProvider('From the PDF'), new FixtureStore(fixtureDir, { mode: 'record' }));
+      const uploaded = await recording.uploadFile(pdfPath);
+      await recording.complete({ prompt: 'Summarize', file: uploaded });
+
+      const provider = failingProvider();
+      const replaying = withLLMFixtures(provider, new FixtureStore(fixtureDir, { mode: 'replay' }));
+      const file = await replaying.uploadFile(pdfPath);
+      const response = await replaying.complete({ prompt: 'Summarize', file });
+      await replaying.deleteFile(file);
+
+      expect(file.id).toBe(uploaded.id);
+      expect(response.content).toBe('From the PDF');
+      expect(provider.uploadFile).not.toHaveBeenCalled();
+      expect(provider.deleteFile).not.toHaveBeenCalled();
+    });
+
+    it('should replay a failed upload as the same error', async () => {
+      const pdfPath = path.join(testDir, 'book.pdf');
+      await fs.writeFile(pdfPath, '%PDF-1.4 book');
+      const { uploadFile, ...textOnly } = createFileProvider();
+      const recording = withLLMFixtures(textOnly, new FixtureStore(fixtureDir, { mode: 'record' }));
+      const recordedError = await recording.uploadFile(pdfPath).catch((error) => error);
+
+      const store = new FixtureStore(fixtureDir, { mode: 'replay' });
+      const replaying = withLLMFixtures(failingProvider(), store);
+
+      await expect(replaying.uploadFile(pdfPath)).rejects.toThrow(recordedError.message);
+      expect(store.misses).toEqual([]);
+    });
+
+    it('should fail on a request that was not recorded', async () => {
+      const store = new FixtureStore(fixtureDir, { mode: 'replay' });
+      const replaying = withLLMFixtures(failingProvider(), store);
+
+      await expect(replaying.complete({ prompt: 'Something new' })).rejects.toThrow('No llm fixture for this request');
+      expect(store.misses[0].request).toEqual({ prompt: 'Something new', model: 'stub-model' });
+    });
+  });
+
+  describe('withTTSFixtures()', () => {
+    it('should record and replay audio', async () => {
+      const client = {
+        textToSpeech: {
+          convert: vi.fn(async () => [Buffer.from('ID3'), Buffer.from('audio')])
+        }
+      };
+      const params = { text: 'Chapter one.', model_id: 'eleven_turbo_v2_5', output_format: 'mp3_44100_128' };
+
+      const recorded = await withTTSFixtures(client, new FixtureStore(fixtureDir, { mode: 'record' })).textToSpeech.convert('voice', params);
+      const replayed = await withTTSFixtures(null, new FixtureStore(fixtureDir, { mode: 'replay' })).textToSpeech.convert('voice', params);
+
+      expect(Buffer.concat(replayed).toString()).toBe('ID3audio');
+      expect(Buffer.concat(recorded).toString()).toBe('ID3audio');
+      expect(client.textToSpeech.convert).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('SummaryForge record/replay options', () => {
+    let pdfPath;
+
+    beforeEach(async () => {
+      pdfPath = path.join(testDir, 'book.pdf');
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument();
+        const stream = createWriteStream(pdfPath);
+        doc.pipe(stream);
+        doc.text('Chapter 1: Replication. Leaders replicate every write to their followers through a log. '.repeat(20));
+        doc.end();
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+    });
+
+    const summary = '# Designing Systems\n\n## Replication\n\nLeaders replicate writes to followers. '.repeat(10);
+
+    it('should not allow recording and replaying at once', () => {
+      expect(() => new SummaryForge({ llmProvider: createFileProvider(), record: fixtureDir, replay: fixtureDir }))
+        .toThrow('record and replay cannot be used together');
+    });
+
+    it('should replay without API keys', () => {
+      const forge = new SummaryForge({ replay: fixtureDir, resume: true, logger: SSELogger.createSilentLogger() });
+
+      expect(forge.llm.name).toBe('openai');
+      expect(forge.resume).toBe(false);
+      expect(forge.elevenlabs).toBeUndefined();
+    });
+
+    it('should replay a recorded summary run', async () => {
+      const recorder = new SummaryForge({ llmProvider: createFileProvider(summary), record: fixtureDir, logger: SSELogger.createSilentLogger() });
+      const recorded = await recorder.generateSummary(pdfPath, { bookDir: testDir });
+
+      const provider = failingProvider();
+      const player = new SummaryForge({ llmProvider: provider, replay: fixtureDir, logger: SSELogger.createSilentLogger() });
+      const replayed = await player.generateSummary(pdfPath, { bookDir: testDir });
+
+      expect(recorded.success).toBe(true);
+      expect(replayed.markdown).toBe(recorded.markdown);
+      expect(provider.complete).not.toHaveBeenCalled();
+      expect(() => player.assertReplayComplete()).not.toThrow();
+      expect(player.getCostSummary().breakdown.openai).toBeCloseTo(recorder.getCostSummary().breakdown.openai);
+    });
+
+    it('should fail a replay whose requests changed', async () => {
+      const recorder = new SummaryForge({ llmProvider: createFileProvider(summary), record: fixtureDir, logger: SSELogger.createSilentLogger() });
+      await recorder.generateSummary(pdfPath, { bookDir: testDir });
+
+      const player = new SummaryForge({ llmProvider: failingProvider(), replay: fixtureDir, depth: 'brief', logger: SSELogger.createSilentLogger() });
+      const replayed = await player.generateSummary(pdfPath, { bookDir: testDir });
+
+      expect(replayed.success).toBe(false);
+      expect(player.fixtures.misses.length).toBeGreaterThan(0);
+      expect(() => player.assertReplayComplete()).toThrow(/^Replay is missing \d+ fixture\(s\)/);
+    });
+  });
+});
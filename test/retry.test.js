@@ -0,0 +1,208 @@
+/**
+ * Tests for retry, backoff and rate limiting of AI calls
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import {
+  isRetryableError,
+  isRequestError,
+  retryAfterMs,
+  backoffDelay,
+  requestWithRetry,
+  RateLimiter,
+  withProviderRetries
+} from '../src/utils/retry.js';
+import { OpenAIProvider } from '../src/utils/llm-providers.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+
+const httpError = (status, headers = {}, extra = {}) => Object.assign(new Error(`${status} error`), { status, headers, ...extra });
+
+describe('Retry', () => {
+  describe('isRetryableError()', () => {
+    it('should retry rate limits, server errors and dropped connections', () => {
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError(httpError(529))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('Status code: 502'), { statusCode: 502 }))).toBe(true);
+      const socketError = Object.assign(new Error('other side closed'), { code: 'UND_ERR_SOCKET' });
+      expect(isRetryableError(new Error('Connection error.', { cause: new TypeError('terminated', { cause: socketError }) }))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('timed out'), { name: 'TimeoutError' }))).toBe(true);
+    });
+
+    it('should not retry errors that waiting will not fix', () => {
+      expect(isRetryableError(httpError(400))).toBe(false);
+      expect(isRetryableError(httpError(401))).toBe(false);
+      expect(isRetryableError(httpError(429, {}, { code: 'insufficient_quota' }))).toBe(false);
+      expect(isRetryableError(Object.assign(new Error('No llm fixture'), { code: 'REPLAY_MISS' }))).toBe(false);
+      expect(isRetryableError(new Error('fetch failed', { cause: Object.assign(new Error('getaddrinfo'), { code: 'ENOTFOUND' }) }))).toBe(false);
+      expect(isRetryableError(new TypeError('provider.uploadFile is not a function'))).toBe(false);
+    });
+  });
+
+  describe('isRequestError()', () => {
+    it('should recognize errors from a request', () => {
+      expect(isRequestError(httpError(400))).toBe(true);
+      expect(isRequestError(httpError(429, {}, { code: 'insufficient_quota' }))).toBe(true);
+      expect(isRequestError(Object.assign(new Error('No llm fixture'), { code: 'REPLAY_MISS' }))).toBe(true);
+      expect(isRequestError(new Error('fetch failed', { cause: Object.assign(new Error('getaddrinfo'), { code: 'ENOTFOUND' }) }))).toBe(true);
+      expect(isRequestError(Object.assign(new Error('timed out'), { name: 'TimeoutError' }))).toBe(true);
+    });
+
+    it('should not claim errors raised while checking a response', () => {
+      expect(isRequestError(new Error('Chunk 2 returned unexpectedly short content'))).toBe(false);
+      expect(isRequestError(new SyntaxError('Unexpected token } in JSON'))).toBe(false);
+    });
+  });
+
+  describe('retryAfterMs()', () => {
+    it('should read seconds, milliseconds and HTTP dates', () => {
+      expect(retryAfterMs(httpError(429, new Headers({ 'retry-after': '3' })))).toBe(3000);
+      expect(retryAfterMs(httpError(429, { 'retry-after-ms': '250', 'retry-after': '1' }))).toBe(250);
+      const later = retryAfterMs(httpError(503, { 'retry-after': new Date(Date.now() + 10000).toUTCString() }));
+      expect(later).toBeGreaterThan(8000);
+      expect(later).toBeLessThanOrEqual(10000);
+    });
+
+    it('should ignore missing or malformed headers', () => {
+      expect(retryAfterMs(new Error('no headers'))).toBeNull();
+      expect(retryAfterMs(httpError(429, { 'retry-after': 'soon' }))).toBeNull();
+    });
+  });
+
+  describe('backoffDelay()', () => {
+    it('should double per attempt with jitter, up to the maximum', () => {
+      expect(backoffDelay(1, { baseDelay: 1000, random: () => 0 })).toBe(500);
+      expect(backoffDelay(1, { baseDelay: 1000, random: () => 1 })).toBe(1000);
+      expect(backoffDelay(3, { baseDelay: 1000, random: () => 1 })).toBe(4000);
+      expect(backoffDelay(10, { baseDelay: 1000, maxDelay: 5000, random: () => 1 })).toBe(5000);
+    });
+  });
+
+  describe('requestWithRetry()', () => {
+    it('should retry transient failures and report each retry', async () => {
+      const fn = vi.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+        .mockResolvedValue('ok');
+      const sleep = vi.fn(async () => {});
+      const onRetry = vi.fn();
+
+      const result = await requestWithRetry(fn, { baseDelay: 100, sleep, onRetry, random: () => 1 });
+
+      expect(result).toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(3);
+      // Backoff first, then the longer Retry-After
+      expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([100, 2000]);
+      expect(onRetry).toHaveBeenNthCalledWith(2, expect.objectContaining({ attempt: 2, status: 429, delay: 2000, retryAfter: 2000 }));
+    });
+
+    it('should give up after the last retry', async () => {
+      const fn = vi.fn().mockRejectedValue(httpError(500));
+
+      await expect(requestWithRetry(fn, { retries: 2, sleep: async () => {} })).rejects.toThrow('500 error');
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('should fail at once on fatal errors and on a Retry-After beyond the maximum delay', async () => {
+      const fatal = vi.fn().mockRejectedValue(httpError(401));
+      const tooLong = vi.fn().mockRejectedValue(httpError(429, { 'retry-after': '3600' }));
+
+      await expect(requestWithRetry(fatal, { sleep: async () => {} })).rejects.toThrow('401 error');
+      await expect(requestWithRetry(tooLong, { maxDelay: 60000, sleep: async () => {} })).rejects.toThrow('429 error');
+      expect(fatal).toHaveBeenCalledTimes(1);
+      expect(tooLong).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('RateLimiter', () => {
+    it('should hold requests beyond the per-minute budget', async () => {
+      let now = 0;
+      const sleep = vi.fn(async (ms) => { now += ms; });
+      const limiter = new RateLimiter(2, { now: () => now, sleep });
+
+      const waits = await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+      expect(waits).toEqual([0, 0, 60000]);
+      expect(sleep).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not limit without a budget', async () => {
+      await expect(new RateLimiter(null).acquire()).resolves.toBe(0);
+    });
+  });
+
+  describe('withProviderRetries()', () => {
+    it('should retry completions and keep the provider interface', async () => {
+      const provider = {
+        name: 'stub',
+        label: 'Stub model',
+        model: 'stub-model',
+        complete: vi.fn().mockRejectedValueOnce(httpError(500)).mockResolvedValue({ content: 'Done' })
+      };
+      const onRetry = vi.fn();
+
+      const wrapped = withProviderRetries(provider, { baseDelay: 1, onRetry });
+
+      await expect(wrapped.complete({ prompt: 'Hi' })).resolves.toEqual({ content: 'Done' });
+      expect(wrapped.label).toBe('Stub model');
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ operation: 'complete', attempt: 1, status: 500 }));
+    });
+
+    it('should leave retries to SummaryForge instead of the OpenAI SDK', () => {
+      expect(new OpenAIProvider({ apiKey: 'test-key' }).client.maxRetries).toBe(0);
+    });
+  });
+
+  describe('SummaryForge', () => {
+    it('should retry a rate-limited LLM call and emit a retry event', async () => {
+      const events = [];
+      const llm = {
+        name: 'stub',
+        label: 'Stub model',
+        model: 'stub-model',
+        complete: vi.fn()
+          .mockRejectedValueOnce(httpError(429, { 'retry-after-ms': '5' }))
+          .mockResolvedValue({ content: 'Title', usage: null, finishReason: 'stop' })
+      };
+      const forge = new SummaryForge({ llmProvider: llm, retryBaseDelay: 1, logger: new SSELogger((event) => events.push(event)) });
+
+      const response = await forge.llm.complete({ prompt: 'Name this page' });
+
+      expect(response.content).toBe('Title');
+      const retry = events.find((event) => event.type === 'retry');
+      expect(retry).toMatchObject({ service: 'llm', operation: 'complete', attempt: 1, retries: 4, status: 429 });
+      expect(retry.message).toContain('Stub model request failed (429: 429 error) - retry 1/4');
+    });
+
+    it('should retry a failed text-to-speech request', async () => {
+      const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'retry-test-'));
+      const events = [];
+      const forge = new SummaryForge({
+        llmProvider: { name: 'stub', label: 'Stub', model: 'stub', complete: vi.fn() },
+        retryBaseDelay: 1,
+        logger: new SSELogger((event) => events.push(event))
+      });
+      const convert = vi.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Status code: 503'), { statusCode: 503 }))
+        .mockResolvedValue([Buffer.from('mp3')]);
+      forge.elevenlabs = { textToSpeech: { convert } };
+
+      try {
+        const result = await forge.generateAudio('A short narration.', path.join(testDir, 'summary.mp3'));
+
+        expect(result.success).toBe(true);
+        expect(convert).toHaveBeenCalledTimes(2);
+        expect(convert.mock.calls[0][2]).toEqual({ maxRetries: 0 });
+        expect(events.find((event) => event.type === 'retry')).toMatchObject({ service: 'tts', status: 503 });
+      } finally {
+        await fs.rm(testDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
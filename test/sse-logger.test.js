@@ -145,6 +145,39 @@ describe('SSELogger', () => {
     });
   });
 
+  describe('partial', () => {
+    it('should emit the text so far with metadata', () => {
+      return new Promise((resolve) => {
+        const logger = new SSELogger((event) => {
+          expect(event.type).toBe('partial');
+          expect(event.text).toBe('# Summary\n\nThe book');
+          expect(event.stage).toBe('summary');
+          expect(event.timestamp).toBeTypeOf('number');
+          resolve();
+        });
+
+        logger.partial('# Summary\n\nThe book', { stage: 'summary' });
+      });
+    });
+  });
+
+  describe('retry', () => {
+    it('should emit the retry message with metadata', () => {
+      return new Promise((resolve) => {
+        const logger = new SSELogger((event) => {
+          expect(event.type).toBe('retry');
+          expect(event.message).toBe('Request failed - retry 1/4 in 2.0s');
+          expect(event.service).toBe('llm');
+          expect(event.delay).toBe(2000);
+          expect(event.timestamp).toBeTypeOf('number');
+          resolve();
+        });
+
+        logger.retry('Request failed - retry 1/4 in 2.0s', { service: 'llm', delay: 2000 });
+      });
+    });
+  });
+
   describe('formatForSSE', () => {
     it('should format event data for SSE protocol', () => {
       const logger = new SSELogger();
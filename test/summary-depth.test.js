@@ -0,0 +1,52 @@
+/**
+ * Tests for summary depth presets
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SUMMARY_DEPTHS,
+  DEFAULT_SUMMARY_DEPTH,
+  getDepthPreset,
+  flashcardPromptLines
+} from '../src/utils/summary-depth.js';
+
+describe('Summary Depth', () => {
+  describe('getDepthPreset()', () => {
+    it('should return the standard preset by default', () => {
+      expect(DEFAULT_SUMMARY_DEPTH).toBe('standard');
+      expect(getDepthPreset()).toBe(SUMMARY_DEPTHS.standard);
+    });
+
+    it('should be case-insensitive', () => {
+      expect(getDepthPreset('DEEP')).toBe(SUMMARY_DEPTHS.deep);
+    });
+
+    it('should throw for unknown depths', () => {
+      expect(() => getDepthPreset('huge')).toThrow('Unknown summary depth: huge. Supported: brief, standard, deep');
+    });
+
+    it('should grow the token budget and flashcard count with depth', () => {
+      const { brief, standard, deep } = SUMMARY_DEPTHS;
+      expect(brief.maxTokens).toBeLessThan(standard.maxTokens);
+      expect(standard.maxTokens).toBeLessThan(deep.maxTokens);
+      expect(brief.flashcardMaxTokens).toBeLessThan(deep.flashcardMaxTokens);
+    });
+
+    it('should only ask for every chapter above brief depth', () => {
+      const { brief, standard, deep } = SUMMARY_DEPTHS;
+      expect(brief.coverage).not.toContain('all chapters');
+      expect(standard.coverage).toContain('all chapters/sections');
+      expect(deep.coverage).toBe(standard.coverage);
+    });
+  });
+
+  describe('flashcardPromptLines()', () => {
+    it('should include the preset flashcard count', () => {
+      const lines = flashcardPromptLines(SUMMARY_DEPTHS.deep);
+      expect(lines[0]).toContain('40-60 Q&A pairs');
+      expect(lines).toContain('  **Q: What is [concept]?**');
+    });
+  });
+});
@@ -4,11 +4,15 @@
  * Comprehensive tests for the SummaryForge class using Vitest
  */
 
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { tmpdir } from 'os';
+import { createWriteStream } from 'node:fs';
+import PDFDocument from 'pdfkit';
+import { createStubProvider } from './helpers/stub-provider.js';
 
 describe('SummaryForge', () => {
   let forge;
@@ -65,6 +69,36 @@ describe('SummaryForge', () => {
       expect(customForge.maxTokens).toBe(20000);
       expect(customForge.voiceId).toBe('custom-voice');
     });
+
+    it('should configure chunk concurrency and retries', () => {
+      expect(forge.chunkConcurrency).toBe(3);
+      expect(forge.chunkRetries).toBe(2);
+
+      const customForge = new SummaryForge({
+        openaiApiKey: testApiKey,
+        chunkConcurrency: 8,
+        chunkRetries: 0
+      });
+
+      expect(customForge.chunkConcurrency).toBe(8);
+      expect(customForge.chunkRetries).toBe(0);
+    });
+
+    it('should default to the standard summary depth', () => {
+      expect(forge.depth).toBe('standard');
+      expect(forge.maxTokens).toBe(16000);
+    });
+
+    it('should take the token budget from the depth preset', () => {
+      expect(new SummaryForge({ openaiApiKey: testApiKey, depth: 'brief' }).maxTokens).toBe(4000);
+      expect(new SummaryForge({ openaiApiKey: testApiKey, depth: 'deep' }).maxTokens).toBe(32000);
+      expect(new SummaryForge({ openaiApiKey: testApiKey, depth: 'deep', maxTokens: 12000 }).maxTokens).toBe(12000);
+    });
+
+    it('should reject unknown summary depths', () => {
+      expect(() => new SummaryForge({ openaiApiKey: testApiKey, depth: 'huge' }))
+        .toThrow('Unknown summary depth: huge');
+    });
   });
 
   describe('sanitizeFilename', () => {
@@ -829,4 +863,372 @@ describe('SummaryForge - Bug Fixes and Enhancements', () => {
       expect(proxyForge.proxyPassword).toBe('pass');
     });
   });
-});
\ No newline at end of file
+});
+describe('SummaryForge - Chapter-aware chunking', () => {
+  it('should tell each chunk which chapters it covers', async () => {
+    const provider = createStubProvider('Chunk summary. '.repeat(10));
+    const forge = new SummaryForge({ llmProvider: provider });
+
+    await forge.processSingleChunk('Text', 0, 3, 10, 25, { chapters: ['Chapter 2: Design', 'Chapter 3: Testing'] });
+
+    const { system } = provider.complete.mock.calls[0][0];
+    expect(system).toContain('It covers: Chapter 2: Design; Chapter 3: Testing.');
+  });
+
+  it('should pass the chapter titles to synthesis as a table of contents', async () => {
+    const provider = createStubProvider('Final summary. '.repeat(20));
+    const forge = new SummaryForge({ llmProvider: provider });
+
+    await forge.synthesizeChunkSummaries(['first', 'second', 'third'], 'Book', {
+      sectionChapters: [
+        ['Chapter 1: Intro', 'Chapter 2: Basics'],
+        ['Chapter 3: Scale (part 1/2)'],
+        ['Chapter 3: Scale (part 2/2)']
+      ]
+    });
+
+    const { system, prompt } = provider.complete.mock.calls[0][0];
+    expect(system).toContain('Mirror the provided table of contents');
+    expect(prompt).toContain('Table of contents:\n- Chapter 1: Intro\n- Chapter 2: Basics\n- Chapter 3: Scale\n');
+    expect(prompt).toContain('## Section 1: Chapter 1: Intro; Chapter 2: Basics');
+  });
+
+  it('should keep the generic synthesis prompt when no chapters are known', async () => {
+    const provider = createStubProvider('Final summary. '.repeat(20));
+    const forge = new SummaryForge({ llmProvider: provider });
+
+    await forge.synthesizeChunkSummaries(['first', 'second'], 'Book');
+
+    const { system, prompt } = provider.complete.mock.calls[0][0];
+    expect(system).not.toContain('Mirror the provided table of contents');
+    expect(prompt).not.toContain('Table of contents:');
+    expect(prompt).toContain('## Section 1\n\nfirst');
+  });
+});
+
+describe('SummaryForge - Summary depth', () => {
+  it('should ask for a study guide with more flashcards at deep depth', async () => {
+    const provider = createStubProvider('Generated text. '.repeat(20));
+    const forge = new SummaryForge({ llmProvider: provider, depth: 'deep' });
+
+    await forge.processSingleChunk('Text', 0, 2, 1, 10);
+    await forge.synthesizeChunkSummaries(['first', 'second'], 'Book');
+
+    const [chunkCall, synthesisCall] = provider.complete.mock.calls.map(([request]) => request);
+    expect(chunkCall.system).toContain('chapter-by-chapter study guide');
+    expect(synthesisCall.system).toContain('STUDY GUIDE');
+    expect(synthesisCall.system).toContain('all chapters/sections found in the book');
+    expect(synthesisCall.system).toContain('40-60 Q&A pairs');
+    expect(synthesisCall.maxTokens).toBe(32000);
+  });
+
+  it('should ask for a one-page summary at brief depth', async () => {
+    const provider = createStubProvider('Generated text. '.repeat(20));
+    const forge = new SummaryForge({ llmProvider: provider, depth: 'brief' });
+
+    await forge.synthesizeChunkSummaries(['first', 'second'], 'Book');
+
+    const { system, maxTokens } = provider.complete.mock.calls[0][0];
+    expect(system).toContain('ONE page');
+    expect(system).toContain('Leave out the Preface, per-chapter sections and Quick-Reference tables');
+    expect(system).not.toContain('all chapters/sections');
+    expect(system).toContain('8-12 Q&A pairs');
+    expect(maxTokens).toBe(4000);
+    await expect(forge.templates.render('book-summary-system', { fromText: true })).resolves.not.toContain('all chapters/sections');
+  });
+});
+
+describe('SummaryForge - Hierarchical synthesis', () => {
+  const answer = ({ system }) => (system.includes('consecutive sections')
+    ? 'Merged summary. '.repeat(10)
+    : 'Final summary. '.repeat(20));
+
+  it('should synthesize in one request when the summaries fit', async () => {
+    const provider = createStubProvider(answer);
+    const forge = new SummaryForge({ llmProvider: provider });
+
+    await forge.synthesizeChunkSummaries(['first', 'second', 'third'], 'Book');
+
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it('should merge groups of summaries first when they exceed maxInputTokens', async () => {
+    const provider = createStubProvider(answer);
+    const events = [];
+    const forge = new SummaryForge({
+      llmProvider: provider,
+      maxInputTokens: 1800,
+      logger: new SSELogger((event) => events.push(event))
+    });
+    const summaries = Array.from({ length: 6 }, (_, i) => `Chunk ${i + 1} details. `.repeat(110));
+
+    const result = await forge.synthesizeChunkSummaries(summaries, 'Book', {
+      sectionChapters: summaries.map((_, i) => [`Chapter ${i + 1}`])
+    });
+
+    const calls = provider.complete.mock.calls.map(([request]) => request);
+    const mergeCalls = calls.filter(({ system }) => system.includes('consecutive sections'));
+    expect(mergeCalls).toHaveLength(3);
+    expect(mergeCalls[0].prompt).toContain('## Section 1: Chapter 1');
+    expect(mergeCalls[0].prompt).toContain('## Section 2: Chapter 2');
+
+    const finalCall = calls.at(-1);
+    expect(finalCall.prompt).toContain('## Section 1: Chapter 1; Chapter 2\n\nMerged summary.');
+    expect(finalCall.prompt).toContain('Table of contents:\n- Chapter 1\n');
+    expect(result).toContain('Final summary.');
+
+    const levelEvents = events.filter((event) => event.type === 'progress' && event.step === 'synthesis_level');
+    expect(levelEvents).toEqual([expect.objectContaining({ level: 1, sections: 6, groups: 3 })]);
+    const groupEvents = events.filter((event) => event.step === 'synthesis_group');
+    expect(groupEvents.map((event) => event.current)).toEqual([1, 2, 3]);
+  });
+
+  it('should recurse until the final synthesis fits', async () => {
+    const provider = createStubProvider(({ system }) => (system.includes('consecutive sections')
+      ? 'Merged summary with plenty of detail. '.repeat(45)
+      : 'Final summary. '.repeat(20)));
+    const events = [];
+    const forge = new SummaryForge({
+      llmProvider: provider,
+      maxInputTokens: 1800,
+      logger: new SSELogger((event) => events.push(event))
+    });
+    const summaries = Array.from({ length: 8 }, (_, i) => `Chunk ${i + 1} details. `.repeat(110));
+
+    await forge.synthesizeChunkSummaries(summaries, 'Book');
+
+    const levels = events
+      .filter((event) => event.step === 'synthesis_level')
+      .map(({ level, sections, groups }) => ({ level, sections, groups }));
+    expect(levels).toEqual([
+      { level: 1, sections: 8, groups: 4 },
+      { level: 2, sections: 4, groups: 2 }
+    ]);
+  });
+});
+
+describe('SummaryForge - Token-aware chunking', () => {
+  let testDir;
+  let pdfPath;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(tmpdir(), 'summary-forge-tokens-'));
+    pdfPath = path.join(testDir, 'book.pdf');
+    await new Promise((resolve, reject) => {
+      const doc = new PDFDocument();
+      const stream = createWriteStream(pdfPath);
+      doc.pipe(stream);
+      for (let i = 0; i < 6; i++) {
+        if (i > 0) doc.addPage();
+        doc.text(`Page ${i + 1} explains an important idea in plenty of detail. `.repeat(25));
+      }
+      doc.end();
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  const summaryText = 'Generated summary text. '.repeat(20);
+
+  it('should chunk a short book when its tokens exceed maxInputTokens', async () => {
+    const provider = createStubProvider(summaryText, { model: 'gpt-5' });
+    const events = [];
+    const forge = new SummaryForge({
+      llmProvider: provider,
+      maxInputTokens: 2000,
+      chunkRetries: 0,
+      logger: new SSELogger((event) => events.push(event))
+    });
+
+    const result = await forge.generateSummary(pdfPath);
+
+    expect(result.success).toBe(true);
+    expect(result.method).toBe('text_extraction_chunked');
+    expect(result.chunks).toBeGreaterThan(1);
+    const estimate = events.find((event) => event.metadata?.step === 'cost_estimate');
+    expect(estimate.metadata.requests).toBe(result.chunks);
+  });
+
+  it('should retry a chunk as a whole only when its response is rejected', async () => {
+    const provider = createStubProvider(summaryText, { model: 'gpt-5' });
+    const events = [];
+    const forge = new SummaryForge({
+      llmProvider: provider,
+      maxInputTokens: 2000,
+      chunkConcurrency: 1,
+      chunkRetryDelay: 0,
+      logger: new SSELogger((event) => events.push(event))
+    });
+
+    provider.complete.mockResolvedValueOnce({ content: 'Too short', usage: null, finishReason: 'stop' });
+    const result = await forge.generateSummary(pdfPath);
+
+    expect(result.success).toBe(true);
+    expect(events.filter((event) => event.metadata?.step === 'chunk_retry')).toHaveLength(1);
+
+    provider.complete.mockClear();
+    provider.complete.mockRejectedValueOnce(Object.assign(new Error('400 Bad request'), { status: 400 }));
+    await forge.generateSummary(pdfPath, { force: true }).catch(() => {});
+
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+    expect(events.filter((event) => event.metadata?.step === 'chunk_retry')).toHaveLength(1);
+  });
+
+  it('should count chunk tokens with the chunk stage model', async () => {
+    const chunkEstimate = async (models) => {
+      const events = [];
+      const forge = new SummaryForge({
+        llmProvider: createStubProvider(summaryText, { model: 'gpt-5' }),
+        models,
+        maxInputTokens: 2000,
+        logger: new SSELogger((event) => events.push(event))
+      });
+      await forge.generateSummary(pdfPath);
+      return events.find((event) => event.metadata?.step === 'cost_estimate').metadata;
+    };
+
+    const gpt = await chunkEstimate({});
+    const claude = await chunkEstimate({ chunk: 'claude-sonnet-4-5' });
+
+    expect(claude.model).toBe('claude-sonnet-4-5');
+    expect(claude.inputTokens).toBeGreaterThan(gpt.inputTokens);
+  });
+
+  it('should send the book in one request when it fits', async () => {
+    const provider = createStubProvider(summaryText, { model: 'gpt-5' });
+    const events = [];
+    const forge = new SummaryForge({
+      llmProvider: provider,
+      logger: new SSELogger((event) => events.push(event))
+    });
+
+    const result = await forge.generateSummary(pdfPath);
+
+    expect(result.method).toBe('text_extraction_single');
+    const estimate = events.find((event) => event.metadata?.step === 'cost_estimate');
+    expect(estimate.metadata.inputTokens).toBeGreaterThan(0);
+    expect(estimate.metadata.maxOutputTokens).toBe(forge.maxTokens);
+  });
+
+  it('should estimate cost from token counts and pricing', () => {
+    const forge = new SummaryForge({
+      llmProvider: createStubProvider(summaryText, { model: 'gpt-5' }),
+      maxTokens: 1000,
+      llmPricing: { inputPerMillion: 2, outputPerMillion: 10 }
+    });
+
+    expect(forge.estimateLLMCost(500000, 2)).toEqual({
+      inputTokens: 500000,
+      maxOutputTokens: 2000,
+      inputCost: 1,
+      maxCost: 1.02
+    });
+  });
+});
+
+
+describe('SummaryForge - Page citations', () => {
+  let testDir;
+  let pdfPath;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(tmpdir(), 'summary-forge-citations-'));
+    pdfPath = path.join(testDir, 'book.pdf');
+    await new Promise((resolve, reject) => {
+      const doc = new PDFDocument();
+      const stream = createWriteStream(pdfPath);
+      doc.pipe(stream);
+      for (let i = 0; i < 6; i++) {
+        if (i > 0) doc.addPage();
+        doc.text(`Page ${i + 1} explains an important idea in plenty of detail. `.repeat(25));
+      }
+      doc.end();
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  const citedSummary = '## Key idea [p. 1]\n\n- Important point [p. 1-2] '.repeat(10);
+
+  it('should be off by default', () => {
+    const forge = new SummaryForge({ llmProvider: createStubProvider(citedSummary, { model: 'gpt-5' }) });
+
+    expect(forge.citations).toBe(false);
+  });
+
+  it('should add page markers and citation instructions to chunk prompts', async () => {
+    const provider = createStubProvider(citedSummary, { model: 'gpt-5' });
+    const forge = new SummaryForge({
+      llmProvider: provider,
+      citations: true,
+      maxInputTokens: 2000,
+      chunkRetries: 0,
+      logger: SSELogger.createSilentLogger()
+    });
+
+    const result = await forge.generateSummary(pdfPath);
+
+    expect(result.method).toBe('text_extraction_chunked');
+    const [chunkCall] = provider.complete.mock.calls[0];
+    expect(chunkCall.system).toContain('page citation such as [p. 12]');
+    expect(chunkCall.prompt).toMatch(/\[Page 1\]\nPage 1 explains/);
+
+    const synthesisCall = provider.complete.mock.calls.at(-1)[0];
+    expect(synthesisCall.system).toContain('Keep the page citations');
+    expect(synthesisCall.prompt).toMatch(/## Section 1 \[p\. 1(-\d+)?\]/);
+  });
+
+  it('should mark pages in the single-request text path', async () => {
+    const provider = createStubProvider(citedSummary, { model: 'gpt-5' });
+    const forge = new SummaryForge({
+      llmProvider: provider,
+      citations: true,
+      logger: SSELogger.createSilentLogger()
+    });
+
+    const result = await forge.generateSummary(pdfPath);
+
+    expect(result.method).toBe('text_extraction_single');
+    const [request] = provider.complete.mock.calls[0];
+    expect(request.system).toContain('using the [Page N] markers in the text');
+    expect(request.prompt).toContain('[Page 6]\nPage 6 explains');
+  });
+
+  it('should leave prompts unchanged when citations are off', async () => {
+    const provider = createStubProvider(citedSummary, { model: 'gpt-5' });
+    const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+
+    await forge.generateSummary(pdfPath);
+
+    const [request] = provider.complete.mock.calls[0];
+    expect(request.system).not.toContain('[p. X]');
+    expect(request.prompt).not.toContain('[Page 1]');
+  });
+
+  it('should merge page ranges when sections are merged', async () => {
+    const provider = createStubProvider(citedSummary, { model: 'gpt-5' });
+    const forge = new SummaryForge({ llmProvider: provider, citations: true, maxInputTokens: 1800 });
+    const summaries = Array.from({ length: 4 }, (_, i) => `Chunk ${i + 1} details. `.repeat(110));
+
+    await forge.synthesizeChunkSummaries(summaries, 'Book', {
+      sectionPages: [
+        { startPage: 1, endPage: 10 },
+        { startPage: 11, endPage: 20 },
+        { startPage: 21, endPage: 30 },
+        { startPage: 31, endPage: 40 }
+      ]
+    });
+
+    const calls = provider.complete.mock.calls.map(([request]) => request);
+    expect(calls[0].prompt).toContain('## Section 1 [p. 1-10]');
+    expect(calls.at(-1).prompt).toContain('## Section 1 [p. 1-20]');
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests for summary verification
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import { createWriteStream } from 'node:fs';
+import PDFDocument from 'pdfkit';
+import {
+  extractClaims,
+  sampleClaims,
+  matchClaimsToChunks,
+  parseVerdicts
+} from '../src/utils/summary-verification.js';
+import { SummaryForge } from '../src/summary-forge.js';
+import { SSELogger } from '../src/utils/sse-logger.js';
+import { createStubProvider } from './helpers/stub-provider.js';
+
+const SUMMARY = [
+  '# Distributed Systems',
+  '',
+  'This summary covers the replication and caching chapters of the book.',
+  '',
+  '## Replication',
+  '',
+  '- Leaders replicate every write to a majority of followers before acknowledging it.',
+  '- Raft elects a new leader within exactly fifty milliseconds of a crash.',
+  '',
+  '```',
+  '- a code line that looks like a list item but is not a claim',
+  '```',
+  '',
+  '## Caching [p. 3-4]',
+  '',
+  'Write-through caches update the store and the cache together on every write. Short one.',
+  '',
+  '| Table | Row with enough words to look like a claim here |',
+  '',
+  '## Study Flashcards',
+  '',
+  '**Q: What does a leader replicate to its followers?**',
+  'A: Every single write is replicated to a majority before acknowledging.',
+].join('\n');
+
+describe('Summary Verification', () => {
+  describe('extractClaims()', () => {
+    it('should extract list items and sentences, skipping code, tables, short sentences and flashcards', () => {
+      const claims = extractClaims(SUMMARY);
+
+      expect(claims.map((claim) => claim.text)).toEqual([
+        'This summary covers the replication and caching chapters of the book.',
+        'Leaders replicate every write to a majority of followers before acknowledging it.',
+        'Raft elects a new leader within exactly fifty milliseconds of a crash.',
+        'Write-through caches update the store and the cache together on every write.'
+      ]);
+      expect(claims.map((claim) => claim.id)).toEqual([1, 2, 3, 4]);
+      expect(claims[1].section).toBe('Replication');
+      expect(claims[1].sectionIndex).toBe(1);
+    });
+
+    it('should record cited pages and strip citations from the claim text', () => {
+      const [claim] = extractClaims('## Caching\n\n- Write-through caches update the store on every write [p. 44-45]');
+
+      expect(claim.text).toBe('Write-through caches update the store on every write');
+      expect(claim.pages).toEqual([{ startPage: 44, endPage: 45 }]);
+    });
+  });
+
+  describe('sampleClaims()', () => {
+    it('should return all claims when there are few enough', () => {
+      const claims = [{ id: 1 }, { id: 2 }];
+      expect(sampleClaims(claims, 5)).toBe(claims);
+    });
+
+    it('should spread the sample evenly over the summary', () => {
+      const claims = Array.from({ length: 10 }, (_, i) => ({ id: i + 1 }));
+      expect(sampleClaims(claims, 3).map((claim) => claim.id)).toEqual([1, 4, 7]);
+    });
+  });
+
+  describe('matchClaimsToChunks()', () => {
+    const chunks = [
+      { startPage: 1, endPage: 2, text: 'Leaders replicate writes to followers. Majority quorums.' },
+      { startPage: 3, endPage: 4, text: 'Write-through caches update the store and cache together.' }
+    ];
+
+    it('should match claims to the chunk sharing the most key terms', () => {
+      const matches = matchClaimsToChunks([
+        { id: 1, text: 'Caches update the store', pages: [] },
+        { id: 2, text: 'Followers receive replicated writes from leaders', pages: [] }
+      ], chunks);
+
+      expect(matches.map((match) => match.chunkIndex)).toEqual([1, 0]);
+    });
+
+    it('should prefer the chunk holding a cited page', () => {
+      const [match] = matchClaimsToChunks([
+        { id: 1, text: 'Leaders replicate writes to followers', pages: [{ startPage: 4, endPage: 4 }] }
+      ], chunks);
+
+      expect(match.chunkIndex).toBe(1);
+    });
+
+    it('should return -1 when no chunk shares a key term', () => {
+      const [match] = matchClaimsToChunks([{ id: 1, text: 'Quantum gravity unifies everything', pages: [] }], chunks);
+
+      expect(match.chunkIndex).toBe(-1);
+    });
+  });
+
+  describe('parseVerdicts()', () => {
+    it('should parse a code-fenced JSON array', () => {
+      const content = '```json\n[{"id": 1, "supported": true}, {"id": "2", "supported": false, "reason": "Not in excerpt"}]\n```';
+
+      expect(parseVerdicts(content)).toEqual([
+        { id: 1, supported: true, reason: '' },
+        { id: 2, supported: false, reason: 'Not in excerpt' }
+      ]);
+    });
+
+    it('should throw when there is no JSON array', () => {
+      expect(() => parseVerdicts('All claims are supported.')).toThrow('did not contain a JSON array');
+    });
+  });
+
+  describe('SummaryForge.verifySummary()', () => {
+    let testDir;
+    let pdfPath;
+
+    beforeEach(async () => {
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'summary-forge-verify-'));
+      pdfPath = path.join(testDir, 'book.pdf');
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument();
+        const stream = createWriteStream(pdfPath);
+        doc.pipe(stream);
+        doc.text('Leaders replicate every write to a majority of followers before acknowledging it.');
+        doc.addPage();
+        doc.text('Write-through caches update the store and the cache together on every write.');
+        doc.end();
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    // Flags the Raft claim as unsupported and rewrites sections without it
+    const answer = ({ system, prompt }) => {
+      if (system.includes('fact-checker')) {
+        return JSON.stringify([...prompt.matchAll(/^(\d+)\. (.*)$/gm)].map(([, id, text]) => ({
+          id: Number(id),
+          supported: !text.includes('Raft'),
+          reason: text.includes('Raft') ? 'The excerpt gives no election timing' : ''
+        })));
+      }
+      return '## Replication\n\n- Leaders replicate every write to a majority of followers before acknowledging it.';
+    };
+
+    it('should report unsupported claims without changing the summary', async () => {
+      const provider = createStubProvider(answer);
+      const forge = new SummaryForge({ llmProvider: provider, logger: SSELogger.createSilentLogger() });
+
+      const result = await forge.verifySummary(SUMMARY, pdfPath);
+
+      expect(result.success).toBe(true);
+      expect(result.markdown).toBe(SUMMARY);
+      expect(result.rewritten).toBe(false);
+      expect(result.report).toMatchObject({
+        source: 'book.pdf',
+        claimsFound: 4,
+        claimsChecked: 4,
+        supportedClaims: 3,
+        supportRate: 0.75,
+        rewrittenSections: []
+      });
+      expect(result.report.unsupportedClaims).toEqual([{
+        id: 3,
+        section: 'Replication',
+        claim: 'Raft elects a new leader within exactly fifty milliseconds of a crash.',
+        reason: 'The excerpt gives no election timing',
+        sourcePages: { startPage: 1, endPage: 2 }
+      }]);
+      const [verifyCall] = provider.complete.mock.calls[0];
+      expect(verifyCall.prompt).toContain('[Page 1]');
+    });
+
+    it('should rewrite sections with unsupported claims', async () => {
+      const provider = createStubProvider(answer);
+      const forge = new SummaryForge({ llmProvider: provider, verifyRewrite: true, logger: SSELogger.createSilentLogger() });
+
+      const result = await forge.verifySummary(SUMMARY, pdfPath);
+
+      expect(forge.verify).toBe(true);
+      expect(result.rewritten).toBe(true);
+      expect(result.report.rewrittenSections).toEqual(['Replication']);
+      expect(result.markdown).not.toContain('Raft');
+      expect(result.markdown).toContain('## Caching [p. 3-4]');
+      expect(result.markdown).toContain('acknowledging it.\n\n## Caching');
+
+      const rewriteCall = provider.complete.mock.calls.at(-1)[0];
+      expect(rewriteCall.prompt).toContain('- Raft elects a new leader within exactly fifty milliseconds of a crash. (The excerpt gives no election timing)');
+    });
+
+    it('should return an error result when the verifier never answers with JSON', async () => {
+      const provider = createStubProvider('Looks fine to me.');
+      const forge = new SummaryForge({ llmProvider: provider, chunkRetries: 0, logger: SSELogger.createSilentLogger() });
+
+      const result = await forge.verifySummary(SUMMARY, pdfPath);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('JSON array');
+      expect(result.markdown).toBe(SUMMARY);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for the token counter
+ *
+ * Testing Framework: Vitest
+ */
+
+import { describe, it, expect } from 'vitest';
+import { countTokens, getModelEncoding, DEFAULT_MODEL_ENCODING } from '../src/utils/token-counter.js';
+
+describe('Token Counter', () => {
+  describe('getModelEncoding()', () => {
+    it('should use o200k_base for GPT-5 and GPT-4o models', () => {
+      expect(getModelEncoding('gpt-5')).toEqual({ encoding: 'o200k_base', exact: true, scale: 1 });
+      expect(getModelEncoding('gpt-4o-mini').encoding).toBe('o200k_base');
+    });
+
+    it('should use cl100k_base for GPT-4 and GPT-3.5 models', () => {
+      expect(getModelEncoding('gpt-4-turbo')).toEqual({ encoding: 'cl100k_base', exact: true, scale: 1 });
+      expect(getModelEncoding('gpt-3.5-turbo').encoding).toBe('cl100k_base');
+    });
+
+    it('should scale approximate counts for Anthropic models', () => {
+      const encoding = getModelEncoding('claude-sonnet-4-5');
+      expect(encoding.exact).toBe(false);
+      expect(encoding.scale).toBeGreaterThan(1);
+    });
+
+    it('should fall back to the default encoding for unknown models', () => {
+      expect(getModelEncoding('llama3.1:70b')).toEqual(DEFAULT_MODEL_ENCODING);
+      expect(getModelEncoding()).toEqual(DEFAULT_MODEL_ENCODING);
+    });
+  });
+
+  describe('countTokens()', () => {
+    it('should count real tokens', () => {
+      expect(countTokens('hello world', 'gpt-5')).toBe(2);
+      expect(countTokens('', 'gpt-5')).toBe(0);
+    });
+
+    it('should count code more densely than prose', () => {
+      const prose = 'The quick brown fox jumps over the lazy dog. '.repeat(20);
+      const code = 'if(x[i]!==y[j]){z[k++]=(a<<2)|b;}\n'.repeat(26);
+      const charsPerToken = (text) => text.length / countTokens(text, 'gpt-5');
+
+      expect(charsPerToken(code)).toBeLessThan(charsPerToken(prose));
+    });
+
+    it('should scale up counts for models without a public tokenizer', () => {
+      const text = 'Summaries of technical books. '.repeat(10);
+      expect(countTokens(text, 'claude-sonnet-4-5')).toBeGreaterThan(countTokens(text, 'gpt-4'));
+    });
+
+    it('should treat special-token text in books as plain text', () => {
+      expect(() => countTokens('Docs mention <|endoftext|> markers', 'gpt-5')).not.toThrow();
+    });
+  });
+});